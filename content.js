@@ -373,6 +373,31 @@ function _getPageContext() {
   };
 }
 
+/**
+ * Get the page's declared language plus a text sample for language detection
+ * @returns {Object} Page language info
+ */
+function getPageLanguage() {
+  return {
+    lang: document.documentElement.lang || '',
+    sample: (document.body?.innerText || '').replace(/\s+/g, ' ').trim().substring(0, 1000)
+  };
+}
+
+/**
+ * Get the page's title, URL, description and a text excerpt for Plan mode research
+ * @returns {Object} Page context
+ */
+function getPageContext() {
+  const description = document.querySelector('meta[name="description"], meta[property="og:description"]');
+  return {
+    title: document.title || '',
+    url: window.location.href,
+    description: description?.getAttribute('content') || '',
+    text: (document.body?.innerText || '').replace(/\s+/g, ' ').trim().substring(0, 2000)
+  };
+}
+
 function replaceSelection(newText) {
   if (!_contentState.lastRange) {
     console.error('No stored range for replacement');
@@ -760,6 +785,14 @@ chrome.runtime.onMessage.addListener((message, _, sendResponse) => {
     sendResponse({ data: selectionData });
   }
 
+  if (message.action === 'getPageLanguage') {
+    sendResponse({ success: true, data: getPageLanguage() });
+  }
+
+  if (message.action === 'getPageContext') {
+    sendResponse({ success: true, data: getPageContext() });
+  }
+
   if (message.action === 'startScreenAreaSelection') {
     console.log('📸 Content script received startScreenAreaSelection');
     startScreenAreaSelection();
@@ -0,0 +1,247 @@
+/**
+ * CritiqueService - Self-critique and revise loop for generated drafts
+ * Scores a draft against the requirements it was written for (output type and tone, the user's
+ * constraints, the character limit) and revises it until it passes or the round limit is reached.
+ * The character limit is checked in code; the model only judges what code cannot measure.
+ */
+
+const CRITIQUE_SYSTEM_PROMPT = 'You are a strict editor. You check drafts against a list of requirements, then fix them without changing what already works.';
+
+const CRITIQUE_SCHEMA = {
+  type: 'object',
+  properties: {
+    score: { type: 'number', minimum: 0, maximum: 1 },
+    issues: { type: 'array', items: { type: 'string' }, maxItems: 5, default: [] },
+    summary: { type: 'string', default: '' }
+  },
+  required: ['score', 'issues']
+};
+
+class CritiqueService {
+  /**
+   * @param {Object} options - Loop settings
+   * @param {Function} options.promptServiceFactory - Returns a fresh PromptService-like object for one review
+   * @param {number} options.passScore - Score (0-1) at which a draft is accepted without revision
+   */
+  constructor(options = {}) {
+    this.promptServiceFactory = options.promptServiceFactory || (() => new window.PromptService(CRITIQUE_SYSTEM_PROMPT));
+    this.passScore = options.passScore ?? 0.8;
+  }
+
+  /**
+   * Collect the requirements a draft is judged against
+   * @param {Object} spec - What the draft was asked to be
+   * @param {string} spec.instruction - The user's request
+   * @param {string} spec.typeInstructions - Output type/tone instructions (generateOutputTypeInstructions)
+   * @param {string} spec.tone - Tone the draft should have
+   * @param {Array<string>} spec.constraints - Constraints the user stated explicitly
+   * @param {number} spec.maxCharacters - Character limit, if any
+   * @returns {Object} { items, maxCharacters }
+   */
+  buildRequirements(spec = {}) {
+    const items = [];
+    if (spec.instruction) {
+      items.push(`Does what the user asked: "${spec.instruction}"`);
+    }
+    if (spec.typeInstructions) {
+      items.push(spec.typeInstructions.trim());
+    }
+    if (spec.tone && spec.tone !== 'as-is') {
+      items.push(`Reads as ${spec.tone}`);
+    }
+    (spec.constraints || []).filter(Boolean).forEach(constraint => items.push(constraint));
+
+    const maxCharacters = Number.isInteger(spec.maxCharacters) && spec.maxCharacters > 0 ? spec.maxCharacters : null;
+    if (maxCharacters) {
+      items.push(`At most ${maxCharacters} characters`);
+    }
+
+    return { items, maxCharacters };
+  }
+
+  /**
+   * Critique then revise a draft up to maxRounds times; the best-scoring version is kept
+   * @param {string} draft - Generated draft
+   * @param {Object} requirements - From buildRequirements()
+   * @param {Object} options - Loop options
+   * @param {number} options.maxRounds - Maximum number of revisions
+   * @param {Function} options.onRound - Called with each critique ({round, score, issues, summary, length})
+   * @param {AbortSignal} options.signal - Cancels the loop; the best draft so far is kept
+   * @returns {Promise<Object>} { text, score, passed, rounds, revisions, stoppedBy }
+   */
+  async review(draft, requirements, options = {}) {
+    const maxRounds = options.maxRounds ?? 1;
+    const signal = options.signal || null;
+    const promptService = this.promptServiceFactory();
+    const rounds = [];
+    let current = draft;
+    let best = null;
+    let revisions = 0;
+    let stoppedBy = 'max-rounds';
+
+    for (let round = 0; round <= maxRounds; round++) {
+      if (signal?.aborted) {
+        stoppedBy = 'cancelled';
+        break;
+      }
+
+      let critique;
+      try {
+        critique = await this.critique(promptService, current, requirements, signal);
+      } catch (error) {
+        if (signal?.aborted) {
+          stoppedBy = 'cancelled';
+          break;
+        }
+        console.warn('⚠️ CritiqueService: Critique failed, keeping the best draft so far:', error);
+        stoppedBy = 'error';
+        break;
+      }
+
+      const entry = { round, ...critique, length: current.length };
+      rounds.push(entry);
+      options.onRound?.(entry);
+
+      if (!best || critique.score > best.score) {
+        best = { text: current, score: critique.score };
+      }
+
+      if (critique.score >= this.passScore && !critique.overLimit) {
+        stoppedBy = 'passed';
+        break;
+      }
+      if (round === maxRounds) {
+        break;
+      }
+
+      try {
+        const revised = await this.revise(promptService, current, critique, requirements, signal);
+        if (!revised || revised === current) {
+          stoppedBy = 'no-change';
+          break;
+        }
+        current = revised;
+        revisions++;
+      } catch (error) {
+        if (signal?.aborted) {
+          stoppedBy = 'cancelled';
+          break;
+        }
+        console.warn('⚠️ CritiqueService: Revision failed, keeping the best draft so far:', error);
+        stoppedBy = 'error';
+        break;
+      }
+    }
+
+    const text = best ? best.text : draft;
+    return {
+      text,
+      score: best ? best.score : null,
+      passed: stoppedBy === 'passed',
+      rounds,
+      revisions,
+      stoppedBy
+    };
+  }
+
+  /**
+   * Score a draft against its requirements
+   * @param {PromptService} promptService - Session for this review
+   * @param {string} draft - Draft to score
+   * @param {Object} requirements - From buildRequirements()
+   * @param {AbortSignal} signal - Cancels the call
+   * @returns {Promise<Object>} { score, issues, summary, overLimit }
+   */
+  async critique(promptService, draft, requirements, signal = null) {
+    const response = await promptService.sendStructured(this.buildCritiquePrompt(draft, requirements), {
+      schema: CRITIQUE_SCHEMA,
+      fallback: { issues: [], summary: '' },
+      ...(signal ? { signal } : {})
+    });
+    if (!response.data) {
+      throw new Error(`Critique was not valid JSON: ${response.errors.join('; ')}`);
+    }
+
+    const issues = [...response.data.issues];
+    let score = response.data.score;
+
+    // Length is measured, not judged: a draft over the limit cannot pass
+    const overLimit = Boolean(requirements.maxCharacters && draft.length > requirements.maxCharacters);
+    if (overLimit) {
+      issues.unshift(`${draft.length} characters, over the ${requirements.maxCharacters} character limit`);
+      score = Math.min(score, this.passScore - 0.01);
+    }
+
+    return {
+      score: Math.round(score * 100) / 100,
+      issues,
+      summary: response.data.summary || '',
+      overLimit
+    };
+  }
+
+  /**
+   * Rewrite a draft so it fixes the issues from its critique
+   * @param {PromptService} promptService - Session for this review
+   * @param {string} draft - Draft to revise
+   * @param {Object} critique - From critique()
+   * @param {Object} requirements - From buildRequirements()
+   * @param {AbortSignal} signal - Cancels the call
+   * @returns {Promise<string>} Revised draft
+   */
+  async revise(promptService, draft, critique, requirements, signal = null) {
+    const prompt = this.buildRevisionPrompt(draft, critique, requirements);
+    const revised = signal ? await promptService.send(prompt, [], { signal }) : await promptService.send(prompt);
+    return revised.replace(/^REVISED DRAFT:\s*/i, '').trim();
+  }
+
+  /**
+   * @param {string} draft - Draft to score
+   * @param {Object} requirements - From buildRequirements()
+   * @returns {string} Prompt
+   */
+  buildCritiquePrompt(draft, requirements) {
+    return `Score this draft from 0 to 1 for how well it meets every requirement.
+
+REQUIREMENTS:
+${requirements.items.map(item => `- ${item}`).join('\n')}
+
+DRAFT (${draft.length} characters):
+"""
+${draft}
+"""
+
+List each requirement the draft misses as a short, specific issue. Return an empty list if it meets them all.
+Respond with JSON: {"score": 0.0-1.0, "issues": ["..."], "summary": "one sentence"}`;
+  }
+
+  /**
+   * @param {string} draft - Draft to revise
+   * @param {Object} critique - From critique()
+   * @param {Object} requirements - From buildRequirements()
+   * @returns {string} Prompt
+   */
+  buildRevisionPrompt(draft, critique, requirements) {
+    const limit = requirements.maxCharacters ? `\nThe result must be at most ${requirements.maxCharacters} characters.` : '';
+    return `Revise the draft so it fixes these issues while keeping everything else:
+${critique.issues.map(issue => `- ${issue}`).join('\n') || '- Meet the requirements more closely'}
+
+REQUIREMENTS:
+${requirements.items.map(item => `- ${item}`).join('\n')}${limit}
+
+DRAFT:
+"""
+${draft}
+"""
+
+Respond with only the revised draft.`;
+  }
+}
+
+// Export to window for Chrome extension compatibility
+if (typeof window !== 'undefined') {
+  window.CritiqueService = CritiqueService;
+  console.log('✅ CritiqueService exported to window');
+} else {
+  console.error('❌ Window object not available - CritiqueService not exported');
+}
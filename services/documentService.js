@@ -154,6 +154,42 @@ class DocumentService {
     return resumeData.content || `[Resume: ${resumeData.filename} (${this.formatFileSize(resumeData.size)})]`;
   }
 
+  static async getResumeSection(name) {
+    const resumeText = await this.getResumeText();
+    if (!resumeText) return null;
+
+    const sections = this.splitResumeSections(resumeText);
+    const wanted = name.trim().toLowerCase();
+    const section = sections.find(item => item.title.toLowerCase().includes(wanted) || wanted.includes(item.title.toLowerCase()));
+
+    return {
+      section: section || null,
+      titles: sections.map(item => item.title),
+      text: resumeText
+    };
+  }
+
+  // Headings on their own line, or ALL-CAPS headings when PDF parsing flattened the lines
+  static splitResumeSections(text) {
+    const titles = 'summary|profile|objective|(?:work |professional )?experience|employment(?: history)?|education|(?:technical )?skills|projects|certifications|awards|publications|languages|interests|volunteer(?:ing)?';
+    const linePattern = new RegExp(`(?:^|\\n)[ \\t]*(${titles})[ \\t]*:?[ \\t]*(?=\\n)`, 'gi');
+    const capsPattern = new RegExp(`\\b(${titles.toUpperCase()})\\b`, 'g');
+
+    let matches = [...text.matchAll(linePattern)];
+    if (matches.length === 0) {
+      matches = [...text.matchAll(capsPattern)];
+    }
+
+    return matches.map((match, index) => {
+      const start = match.index + match[0].length;
+      const end = index + 1 < matches.length ? matches[index + 1].index : text.length;
+      return {
+        title: match[1].trim(),
+        content: text.substring(start, end).trim()
+      };
+    });
+  }
+
   static async buildColdEmailContext() {
     const resumeText = await this.getResumeText();
     const emailSubject = await this.getEmailSubject();
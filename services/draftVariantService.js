@@ -0,0 +1,206 @@
+/**
+ * DraftVariantService - Alternative drafts for write/rewrite requests
+ * Picks tone/length presets that differ from the primary draft (controlled diversity),
+ * diffs drafts word by word and merges sentences picked from several drafts.
+ */
+
+const DRAFT_PRESETS = {
+  rewrite: [
+    { id: 'more-formal', label: 'More formal', tone: 'more-formal', length: 'as-is', guidance: 'Make it noticeably more formal.' },
+    { id: 'more-casual', label: 'More casual', tone: 'more-casual', length: 'as-is', guidance: 'Make it noticeably more casual and relaxed.' },
+    { id: 'shorter', label: 'Shorter', tone: 'as-is', length: 'shorter', guidance: 'Make it noticeably shorter while keeping the meaning.' },
+    { id: 'longer', label: 'Longer', tone: 'as-is', length: 'longer', guidance: 'Expand it with a little more detail.' }
+  ],
+  write: [
+    { id: 'formal', label: 'Formal', tone: 'formal', length: 'medium', guidance: 'Write it in a formal tone.' },
+    { id: 'casual', label: 'Casual', tone: 'casual', length: 'medium', guidance: 'Write it in a casual, friendly tone.' },
+    { id: 'short', label: 'Short', tone: 'neutral', length: 'short', guidance: 'Keep it short and direct.' },
+    { id: 'long', label: 'Detailed', tone: 'neutral', length: 'long', guidance: 'Make it more detailed.' }
+  ]
+};
+
+// Settings that leave the draft as it is (presets using them vary the other setting)
+const NEUTRAL_SETTINGS = ['as-is', 'neutral', 'medium'];
+
+// Word-level diffs of longer drafts fall back to a whole-text replacement
+const MAX_DIFF_CELLS = 250000;
+
+class DraftVariantService {
+  /**
+   * @param {Object} options - Variant settings
+   * @param {Object} options.presets - Presets per draft type ({rewrite, write})
+   */
+  constructor(options = {}) {
+    this.presets = options.presets || DRAFT_PRESETS;
+  }
+
+  /**
+   * Pick presets for alternative drafts, skipping the ones the primary draft already used
+   * @param {string} type - Draft type ('write' or 'rewrite')
+   * @param {Object} base - Tone and length of the primary draft ({tone, length})
+   * @param {number} count - Number of alternatives wanted
+   * @returns {Array<Object>} Presets ({id, label, tone, length, guidance})
+   */
+  pickPresets(type, base = {}, count = 1) {
+    const presets = this.presets[type] || [];
+    const changesTone = (preset) => !NEUTRAL_SETTINGS.includes(preset.tone);
+
+    // A preset varies either tone or length; skip it when the primary draft already has that setting.
+    // Presets are ordered tone changes first, so two alternatives also differ from each other.
+    return presets
+      .filter(preset => (changesTone(preset) ? preset.tone !== base.tone : preset.length !== base.length))
+      .slice(0, Math.max(0, count));
+  }
+
+  /**
+   * Word-level diff between two drafts
+   * @param {string} from - Text to compare against (the original, or the primary draft)
+   * @param {string} to - Draft to show
+   * @returns {Array<Object>} Runs of {type: 'equal'|'insert'|'delete', text}
+   */
+  diff(from, to) {
+    const a = this.tokenize(from);
+    const b = this.tokenize(to);
+
+    if (a.length * b.length > MAX_DIFF_CELLS) {
+      return this.compact([{ type: 'delete', text: from }, { type: 'insert', text: to }]);
+    }
+
+    // Longest common subsequence table, filled from the end
+    const table = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+      }
+    }
+
+    const runs = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        runs.push({ type: 'equal', text: a[i++] });
+        j++;
+      } else if (table[i + 1][j] >= table[i][j + 1]) {
+        runs.push({ type: 'delete', text: a[i++] });
+      } else {
+        runs.push({ type: 'insert', text: b[j++] });
+      }
+    }
+    a.slice(i).forEach(text => runs.push({ type: 'delete', text }));
+    b.slice(j).forEach(text => runs.push({ type: 'insert', text }));
+
+    return this.compact(runs);
+  }
+
+  /**
+   * Split text into words and the whitespace between them
+   * @param {string} text - Text to split
+   * @returns {Array<string>} Tokens
+   */
+  tokenize(text) {
+    return (text || '').match(/\s+|[^\s]+/g) || [];
+  }
+
+  /**
+   * Join neighbouring runs into one deletion and one insertion per edit; whitespace left equal between
+   * two edits joins them ("the quick" → "a slow" rather than "the"→"a", " ", "quick"→"slow")
+   * @param {Array<Object>} runs - Diff runs
+   * @returns {Array<Object>} Compacted runs
+   */
+  compact(runs) {
+    const kept = runs.filter(run => run.text);
+    const compacted = [];
+    let edit = null;
+
+    const flush = () => {
+      if (edit) {
+        ['delete', 'insert']
+          .filter(type => edit[type])
+          .forEach(type => compacted.push({ type, text: edit[type] }));
+        edit = null;
+      }
+    };
+
+    kept.forEach((run, index) => {
+      const joinsEdits = run.type === 'equal' && !run.text.trim() && edit && kept[index + 1] && kept[index + 1].type !== 'equal';
+      if (run.type === 'equal' && !joinsEdits) {
+        flush();
+        const last = compacted[compacted.length - 1];
+        if (last && last.type === 'equal') {
+          last.text += run.text;
+        } else {
+          compacted.push({ ...run });
+        }
+        return;
+      }
+
+      edit = edit || { delete: '', insert: '' };
+      if (joinsEdits) {
+        // Both sides keep the whitespace, so each text still rebuilds from the runs
+        edit.delete += run.text;
+        edit.insert += run.text;
+      } else {
+        edit[run.type] += run.text;
+      }
+    });
+    flush();
+
+    return compacted;
+  }
+
+  /**
+   * Split a draft into sentences (line breaks end a sentence too)
+   * @param {string} text - Draft text
+   * @returns {Array<string>} Sentences, trimmed
+   */
+  splitSentences(text) {
+    return this.findSentenceParts(text).map(part => part.text);
+  }
+
+  /**
+   * Split a draft into sentences, each with the separator that follows it in the draft
+   * @param {string} text - Draft text
+   * @returns {Array<Object>} {text, separator} ('' after the last sentence)
+   */
+  findSentenceParts(text) {
+    const source = text || '';
+    const parts = window.SentenceSplitter.findSentences(source).map(span => {
+      const raw = source.slice(span.start, span.end);
+      const start = span.start + (raw.length - raw.trimStart().length);
+      return { text: raw.trim(), start, end: start + raw.trim().length };
+    });
+
+    return parts.map((part, index) => ({
+      text: part.text,
+      separator: index < parts.length - 1 ? source.slice(part.end, parts[index + 1].start) : ''
+    }));
+  }
+
+  /**
+   * Build one draft from sentences picked across several drafts, in the order they were picked
+   * Each sentence keeps the separator it had in its draft (a space, or a line or paragraph break).
+   * @param {Array<string>} drafts - Draft texts
+   * @param {Array<Object>} picks - Picked sentences ({draft, sentence} indexes)
+   * @returns {string} Merged draft
+   */
+  mergeSentences(drafts, picks) {
+    const parts = drafts.map(draft => this.findSentenceParts(draft));
+    const picked = picks
+      .map(pick => parts[pick.draft]?.[pick.sentence])
+      .filter(Boolean);
+
+    // A draft's last sentence has no separator of its own
+    return picked
+      .map((part, index) => (index === picked.length - 1 ? part.text : part.text + (part.separator || ' ')))
+      .join('');
+  }
+}
+
+// Export to window for Chrome extension compatibility
+if (typeof window !== 'undefined') {
+  window.DraftVariantService = DraftVariantService;
+  console.log('✅ DraftVariantService exported to window');
+} else {
+  console.error('❌ Window object not available - DraftVariantService not exported');
+}
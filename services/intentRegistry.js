@@ -0,0 +1,253 @@
+/**
+ * Intent Registry
+ * Single place where each intent declares how it is detected, described to the
+ * AI classifier, normalized and handled. SemanticRouter and the AI services
+ * manager read from the registry instead of hardcoding the intent list.
+ */
+
+class IntentRegistry {
+  constructor() {
+    // Ordered list - pattern matching checks intents in this order (specific first, generic last)
+    this.intents = [];
+  }
+
+  /**
+   * Register an intent
+   * @param {Object} definition - Intent definition
+   * @param {string} definition.name - Unique intent name (e.g. 'explain')
+   * @param {RegExp} definition.pattern - Fast pattern used by pattern routing
+   * @param {string} definition.description - One-line description for the AI classifier prompt
+   * @param {string} definition.promptGuidance - Optional extra classifier guidance
+   * @param {string} definition.action - Short phrase for reasoning ("create a summary")
+   * @param {string} definition.label - Processing step label ("Summarizing content")
+   * @param {Object} definition.clarification - Chip labels ({selection, input})
+   * @param {Function} definition.normalize - (baseResult, router) => normalized request
+   * @param {Function} definition.handler - async (manager, request) => result
+   * @param {Object} options - Registration options
+   * @param {string} options.before - Insert before this intent (pattern priority)
+   * @returns {IntentRegistry} This registry (chainable)
+   */
+  register(definition, options = {}) {
+    if (!definition || typeof definition.name !== 'string' || !definition.name.trim()) {
+      throw new Error('Intent definition requires a name');
+    }
+    if (!(definition.pattern instanceof RegExp)) {
+      throw new Error(`Intent "${definition.name}" requires a pattern`);
+    }
+    if (typeof definition.handler !== 'function') {
+      throw new Error(`Intent "${definition.name}" requires a handler`);
+    }
+
+    const intent = {
+      description: definition.name,
+      promptGuidance: null,
+      action: 'process the text',
+      label: 'Processing text',
+      clarification: null,
+      normalize: (baseResult) => ({ ...baseResult }),
+      ...definition
+    };
+
+    // Re-registering replaces the existing definition in place
+    const existingIndex = this.intents.findIndex(item => item.name === intent.name);
+    if (existingIndex !== -1) {
+      this.intents[existingIndex] = intent;
+      return this;
+    }
+
+    const beforeIndex = options.before ? this.intents.findIndex(item => item.name === options.before) : -1;
+    if (beforeIndex !== -1) {
+      this.intents.splice(beforeIndex, 0, intent);
+    } else {
+      this.intents.push(intent);
+    }
+
+    console.log(`📝 Intent registered: ${intent.name}`);
+    return this;
+  }
+
+  /**
+   * Remove an intent
+   * @param {string} name - Intent name
+   * @returns {boolean} True if removed
+   */
+  unregister(name) {
+    const index = this.intents.findIndex(item => item.name === name);
+    if (index === -1) {
+      return false;
+    }
+    this.intents.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Get an intent definition
+   * @param {string} name - Intent name
+   * @returns {Object|null} Intent definition
+   */
+  get(name) {
+    return this.intents.find(item => item.name === name) || null;
+  }
+
+  /**
+   * Check if an intent is registered
+   * @param {string} name - Intent name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.intents.some(item => item.name === name);
+  }
+
+  /**
+   * Get intent names in pattern priority order
+   * @returns {Array<string>}
+   */
+  getNames() {
+    return this.intents.map(item => item.name);
+  }
+
+  /**
+   * Get all intent definitions in pattern priority order
+   * @returns {Array<Object>}
+   */
+  list() {
+    return [...this.intents];
+  }
+
+  /**
+   * Get intent patterns keyed by name (insertion order = priority)
+   * @returns {Object} name → RegExp
+   */
+  getPatterns() {
+    return Object.fromEntries(this.intents.map(item => [item.name, item.pattern]));
+  }
+}
+
+/**
+ * Create a registry with TonePilot's built-in intents
+ * @returns {IntentRegistry}
+ */
+function createDefaultIntentRegistry() {
+  const registry = new IntentRegistry();
+
+  // Most specific: Translation (check first to avoid being overridden by generic keywords)
+  // Requires either: target language OR demonstrative reference ("this", "that", "the text")
+  const englishTargetPattern = /\b(translate\s+(this|that|the\s+(text|content|message|email|document))|translation\s+to\s+|translat(e|ing)\s+to\s+(english|spanish|french|german|italian|portuguese|russian|japanese|korean|chinese|arabic|hindi|dutch|polish|turkish|vietnamese|thai|indonesian|swedish|danish|finnish|norwegian|czech|hungarian|romanian|ukrainian|greek|hebrew)|to\s+(english|spanish|french|german|italian|portuguese|russian|japanese|korean|chinese|arabic|hindi|dutch|polish|turkish|vietnamese|thai|indonesian|swedish|danish|finnish|norwegian|czech|hungarian|romanian|ukrainian|greek|hebrew))\b/i;
+  // ISO codes, native names, regional variants and "the language of this page" come from the language resolver
+  const resolverTargetSource = window.languageResolver ? window.languageResolver.getTranslateTargetPatternSource() : null;
+  registry.register({
+    name: 'translate',
+    pattern: resolverTargetSource
+      ? new RegExp(`${englishTargetPattern.source}|${resolverTargetSource}`, 'iu')
+      : englishTargetPattern,
+    description: 'Translate SELECTED text to another language',
+    action: 'translate to another language',
+    label: 'Translating text',
+    clarification: { selection: 'Translate the selection', input: 'Translate my text' },
+    normalize: (baseResult) => ({ ...baseResult, type: 'translate' }),
+    handler: async (manager, request) => {
+      // Explicit, page-relative or confirmed target; falls back to settings
+      const { targetLanguage: translationTarget } = await manager.resolveTranslationTarget(request.instruction, request.text, request.selectionData, request.routing);
+      return await manager.handleTranslation(request.text, translationTarget, request.selectionData?.platform, request.selectionData?.context, request.conversationContext, request.stream);
+    }
+  });
+
+  // Specific: Summarization
+  registry.register({
+    name: 'summarize',
+    pattern: /\b(summarize|summary|tldr|tl;dr|key\s*points|brief|overview|abstract|condensed?|digest|sum\s*up)\b/i,
+    description: 'Create a summary or extract key points from SELECTED text',
+    action: 'create a summary',
+    label: 'Summarizing content',
+    clarification: { selection: 'Summarize the selection', input: 'Summarize my text' },
+    normalize: (baseResult) => ({
+      ...baseResult,
+      type: 'summarize',
+      summaryType: baseResult.outputType === 'list' ? 'key-points' : 'paragraph',
+      length: baseResult.tones.includes('urgent') || (baseResult.toneVector?.length ?? 0) <= -0.25 ? 'short' : 'medium'
+    }),
+    handler: async (manager, request) => {
+      return await manager.handleSummarize(request.text, request.selectionData?.platform, request.selectionData?.context, request.routing, request.conversationContext, request.stream);
+    }
+  });
+
+  // Specific: Content writing (draft new content, can use selection as reference)
+  // Includes response/reply patterns that indicate NEW content creation
+  registry.register({
+    name: 'write',
+    pattern: /\b(draft|compose|create\s+(a\s+|an\s+)?(email|letter|post|blog|message|content|response|reply)|write\s+(a\s+|an\s+|me\s+(a\s+|an\s+)?)?(email|letter|post|blog|message|response|reply)|cover\s*letter|outreach\s*(email|message)|(respond|reply|answer)\s+(to|about)|based\s+on|using\s+(this|the)|with\s+reference\s+to)\b/i,
+    description: 'Draft NEW content (can use selected text as REFERENCE/CONTEXT)',
+    promptGuidance: `Key indicators for "write" (even with selection):
+- "write/draft/create/compose [something] to/for/about/based on [this/the selection]"
+- "respond to", "reply to", "answer"
+- "generate", "produce new"`,
+    action: 'create new content',
+    label: 'Generating content',
+    clarification: { selection: 'Draft a reply to it', input: 'Write something new' },
+    normalize: (baseResult, router) => ({
+      ...baseResult,
+      type: 'write',
+      instructions: baseResult.text,
+      format: router.deriveFormatFromOutputType(baseResult.outputType)
+    }),
+    handler: async (manager, request) => {
+      return await manager.handleWrite(request.instruction, request.reference, request.selectionData?.platform, request.routing, request.conversationContext, request.stream);
+    }
+  });
+
+  // Specific: Proofreading (only specific keywords, removed generic "fix" and "correct")
+  registry.register({
+    name: 'proofread',
+    pattern: /\b(proofread|check\s+(grammar|spelling)|grammar\s+check|spell\s+check|typos?|punctuation\s+(error|check))\b/i,
+    description: 'Check grammar, spelling, and punctuation of SELECTED text',
+    action: 'check grammar and spelling',
+    label: 'Proofreading text',
+    clarification: { selection: 'Proofread the selection', input: 'Proofread my text' },
+    normalize: (baseResult) => ({ ...baseResult, type: 'proofread' }),
+    handler: async (manager, request) => {
+      return await manager.handleProofread(request.text, request.routing, request.conversationContext, request.stream);
+    }
+  });
+
+  // Generic: Rewriting (modifying existing text directly)
+  // "make this..." is a strong indicator of rewrite
+  registry.register({
+    name: 'rewrite',
+    pattern: /\b(make\s+(this|it|the\s+(text|content|message|email))\s+|change\s+(this|it)\s+|improve\s+(this|it)|revise|rewrite|rephrase|paraphrase|re-write|re-phrase|polish|refine|adjust|modify|more\s+(formal|casual|professional|friendly|diplomatic))\b/i,
+    description: 'Modify or rephrase the SELECTED text itself',
+    promptGuidance: `CRITICAL DISTINCTION when selected text exists:
+- "write" = Create NEW content, using selection as reference/context
+  Examples: "write a response to this", "draft a reply to this email", "create a cover letter based on this job posting"
+- "rewrite" = Modify the SELECTED text itself
+  Examples: "make this more formal", "rephrase this", "improve this", "polish this"
+
+Key indicators for "rewrite" (requires selection):
+- "make this...", "change this...", "improve this..."
+- "rephrase", "reword", "rewrite"
+- "more formal/casual/professional"
+- Direct modification verbs without creating something new`,
+    action: 'modify and improve the text',
+    label: 'Rewriting text',
+    clarification: { selection: 'Rewrite the selection', input: 'Rewrite my text' },
+    normalize: (baseResult, router) => ({
+      ...baseResult,
+      type: 'rewrite',
+      goal: router.deriveGoalFromOutputType(baseResult.outputType, baseResult.tones, baseResult.toneVector)
+    }),
+    handler: async (manager, request) => {
+      return await manager.handleRewrite(request.text, request.instruction, request.selectionData?.platform, request.selectionData?.context, request.routing, request.conversationContext, request.stream);
+    }
+  });
+
+  return registry;
+}
+
+// Export to window globals for Chrome extension compatibility
+if (typeof window !== 'undefined') {
+  window.IntentRegistry = IntentRegistry;
+  window.createDefaultIntentRegistry = createDefaultIntentRegistry;
+  window.intentRegistry = createDefaultIntentRegistry();
+  console.log('✅ IntentRegistry exported to window');
+} else {
+  console.error('❌ Window object not available - IntentRegistry not exported');
+}
@@ -0,0 +1,376 @@
+/**
+ * Language Resolver
+ * Parses translation targets out of free-form requests: English names ("to Spanish"),
+ * native names ("en español", "auf Deutsch"), ISO codes ("to pt-BR"), regional
+ * variants ("Brazilian Portuguese") and relative targets ("the language of this page").
+ */
+
+class LanguageResolver {
+  constructor() {
+    // code → English display name, names users type, native names, regional variants
+    this.languages = {
+      'en': {
+        name: 'English', names: ['english'], native: [],
+        variants: [
+          { code: 'en-US', name: 'English (US)', names: ['american english', 'us english', 'english (us)'] },
+          { code: 'en-GB', name: 'English (UK)', names: ['british english', 'uk english', 'english (uk)'] }
+        ]
+      },
+      'es': {
+        name: 'Spanish', names: ['spanish', 'castilian'], native: ['español', 'espanol', 'castellano'],
+        variants: [
+          { code: 'es-MX', name: 'Spanish (Mexico)', names: ['mexican spanish', 'spanish (mexico)'] },
+          { code: 'es-419', name: 'Spanish (Latin America)', names: ['latin american spanish', 'spanish (latin america)'] },
+          { code: 'es-ES', name: 'Spanish (Spain)', names: ['european spanish', 'spanish (spain)'] }
+        ]
+      },
+      'fr': {
+        name: 'French', names: ['french'], native: ['français', 'francais'],
+        variants: [
+          { code: 'fr-CA', name: 'French (Canada)', names: ['canadian french', 'quebec french', 'québécois', 'french (canada)'] }
+        ]
+      },
+      'de': {
+        name: 'German', names: ['german'], native: ['deutsch'],
+        variants: [
+          { code: 'de-CH', name: 'German (Switzerland)', names: ['swiss german', 'german (switzerland)'] },
+          { code: 'de-AT', name: 'German (Austria)', names: ['austrian german', 'german (austria)'] }
+        ]
+      },
+      'it': { name: 'Italian', names: ['italian'], native: ['italiano'], variants: [] },
+      'pt': {
+        name: 'Portuguese', names: ['portuguese'], native: ['português', 'portugues'],
+        variants: [
+          { code: 'pt-BR', name: 'Portuguese (Brazil)', names: ['brazilian portuguese', 'portuguese (brazil)', 'brazilian'] },
+          { code: 'pt-PT', name: 'Portuguese (Portugal)', names: ['european portuguese', 'portuguese (portugal)'] }
+        ]
+      },
+      'ru': { name: 'Russian', names: ['russian'], native: ['русский', 'русском', 'по-русски'], variants: [] },
+      'ja': { name: 'Japanese', names: ['japanese'], native: ['日本語'], variants: [] },
+      'ko': { name: 'Korean', names: ['korean'], native: ['한국어', '한글'], variants: [] },
+      'zh': {
+        name: 'Chinese (Simplified)', names: ['chinese', 'mandarin', 'simplified chinese'], native: ['中文', '简体中文', '普通话'],
+        variants: [
+          { code: 'zh-TW', name: 'Chinese (Traditional)', names: ['traditional chinese', 'taiwanese'], native: ['繁體中文', '繁体中文'] }
+        ]
+      },
+      'ar': { name: 'Arabic', names: ['arabic'], native: ['العربية', 'عربي'], variants: [] },
+      'hi': { name: 'Hindi', names: ['hindi'], native: ['हिन्दी', 'हिंदी'], variants: [] },
+      'nl': { name: 'Dutch', names: ['dutch', 'flemish'], native: ['nederlands'], variants: [] },
+      'pl': { name: 'Polish', names: ['polish'], native: ['polski', 'po polsku'], variants: [] },
+      'tr': { name: 'Turkish', names: ['turkish'], native: ['türkçe', 'turkce'], variants: [] },
+      'vi': { name: 'Vietnamese', names: ['vietnamese'], native: ['tiếng việt', 'tieng viet'], variants: [] },
+      'th': { name: 'Thai', names: ['thai'], native: ['ภาษาไทย', 'ไทย'], variants: [] },
+      'id': { name: 'Indonesian', names: ['indonesian'], native: ['bahasa indonesia'], variants: [] },
+      'sv': { name: 'Swedish', names: ['swedish'], native: ['svenska'], variants: [] },
+      'da': { name: 'Danish', names: ['danish'], native: ['dansk'], variants: [] },
+      'fi': { name: 'Finnish', names: ['finnish'], native: ['suomi', 'suomeksi'], variants: [] },
+      'no': { name: 'Norwegian', names: ['norwegian'], native: ['norsk'], variants: [] },
+      'cs': { name: 'Czech', names: ['czech'], native: ['čeština', 'česky'], variants: [] },
+      'hu': { name: 'Hungarian', names: ['hungarian'], native: ['magyar', 'magyarul'], variants: [] },
+      'ro': { name: 'Romanian', names: ['romanian'], native: ['română', 'românește'], variants: [] },
+      'uk': { name: 'Ukrainian', names: ['ukrainian'], native: ['українська', 'українською'], variants: [] },
+      'el': { name: 'Greek', names: ['greek'], native: ['ελληνικά'], variants: [] },
+      'he': { name: 'Hebrew', names: ['hebrew'], native: ['עברית'], variants: [] }
+    };
+
+    // Two-letter codes that are also everyday English words ("to it", "say no") need a region subtag
+    this.ambiguousCodes = new Set(['it', 'no', 'id', 'hi', 'he', 'uk']);
+
+    // Native adverbs already say "in X" ("po polsku", "suomeksi"), so they need no cue of their own
+    this.adverbialNatives = new Set(['по-русски', 'po polsku', 'suomeksi', 'magyarul', 'česky', 'românește', 'українською']);
+
+    // Script subtags map onto the regional codes Chrome's Translator expects
+    this.scriptAliases = { 'zh-hans': 'zh', 'zh-hant': 'zh-TW' };
+
+    this.pageTargetPattern = /\b(?:to|into|in)\s+(?:the\s+)?(?:language\s+(?:of|on|used\s+(?:on|in|by))\s+(?:this|the)\s+(?:page|site|website|tab)|(?:page|site|website)(?:'s)?\s+language)\b/i;
+    this.userTargetPattern = /\b(?:to|into|in)\s+my\s+(?:own\s+|native\s+|browser\s+)?language\b/i;
+    this.isoTargetPattern = /(?:^|\s)(?:to|into|in|as)\s+([a-z]{2,3})(?:[-_]([a-z]{2}|\d{3}|[a-z]{4}))?(?![\p{L}\d-])/giu;
+
+    this.mentions = this.buildMentionIndex();
+  }
+
+  /**
+   * Flatten every name into a lookup list, longest first so "brazilian portuguese" wins over "portuguese"
+   * @returns {Array<{text: string, code: string, kind: string}>}
+   */
+  buildMentionIndex() {
+    const mentions = [];
+    for (const [code, language] of Object.entries(this.languages)) {
+      language.names.forEach(text => mentions.push({ text, code, kind: 'name' }));
+      language.native.forEach(text => mentions.push({ text, code, kind: 'native' }));
+      language.variants.forEach(variant => {
+        variant.names.forEach(text => mentions.push({ text, code: variant.code, kind: 'variant' }));
+        (variant.native || []).forEach(text => mentions.push({ text, code: variant.code, kind: 'native' }));
+      });
+    }
+    return mentions.sort((a, b) => b.text.length - a.text.length);
+  }
+
+  /**
+   * Parse the translation target out of a request
+   * @param {string} input - User request
+   * @returns {Object|null} { code, name, source: 'page'|'user'|'iso'|'variant'|'native'|'name', matched } or null
+   */
+  parseTarget(input) {
+    const text = (input || '').toLowerCase();
+    if (!text.trim()) {
+      return null;
+    }
+
+    // Relative targets are resolved later (page detection / browser locale)
+    const pageMatch = text.match(this.pageTargetPattern);
+    if (pageMatch) {
+      return { code: null, name: null, source: 'page', matched: pageMatch[0].trim() };
+    }
+
+    const userMatch = text.match(this.userTargetPattern);
+    if (userMatch) {
+      const code = this.normalizeCode(typeof navigator !== 'undefined' ? navigator.language : null);
+      return { code, name: code ? this.getName(code) : null, source: 'user', matched: userMatch[0].trim() };
+    }
+
+    const candidates = [...this.findIsoMentions(text), ...this.findNameMentions(text)];
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    // Strongest cue wins ("to X" beats a bare mention); on ties the later mention is the target
+    // ("translate this English note to Spanish")
+    const best = candidates.reduce((winner, candidate) => {
+      if (!winner || candidate.strength > winner.strength) {
+        return candidate;
+      }
+      if (candidate.strength === winner.strength && candidate.index > winner.index) {
+        return candidate;
+      }
+      return winner;
+    }, null);
+
+    return {
+      code: best.code,
+      name: this.getName(best.code),
+      source: best.kind,
+      matched: best.matched
+    };
+  }
+
+  /**
+   * Find ISO-code targets ("to pt-BR", "into ja", "as zh_Hant")
+   * @param {string} text - Lowercased request
+   * @returns {Array<Object>} Mentions with position and strength
+   */
+  findIsoMentions(text) {
+    const mentions = [];
+    for (const match of text.matchAll(this.isoTargetPattern)) {
+      const [whole, base, subtag] = match;
+      if (!this.languages[base] && !subtag) {
+        continue;
+      }
+      if (!subtag && this.ambiguousCodes.has(base)) {
+        continue;
+      }
+
+      const code = this.normalizeCode(subtag ? `${base}-${subtag}` : base);
+      if (!code || (!this.languages[base] && !this.hasDisplayName(code))) {
+        continue;
+      }
+
+      mentions.push({ code, kind: 'iso', strength: 3, index: match.index, matched: whole.trim() });
+    }
+    return mentions;
+  }
+
+  /**
+   * Find English, native and regional-variant names
+   * @param {string} text - Lowercased request
+   * @returns {Array<Object>} Mentions with position and strength
+   */
+  findNameMentions(text) {
+    const mentions = [];
+    const taken = [];
+
+    for (const mention of this.mentions) {
+      let from = 0;
+      while (from < text.length) {
+        const index = text.indexOf(mention.text, from);
+        if (index === -1) {
+          break;
+        }
+        from = index + mention.text.length;
+
+        const end = index + mention.text.length;
+        if (!this.isWordBoundary(text, index, end)) {
+          continue;
+        }
+        // A longer name already covers this span ("brazilian portuguese" vs "portuguese")
+        if (taken.some(([start, stop]) => index < stop && end > start)) {
+          continue;
+        }
+        taken.push([index, end]);
+
+        const before = text.substring(Math.max(0, index - 12), index);
+        let strength = 1;
+        if (/\b(?:to|into)\s+(?:the\s+)?$/.test(before)) {
+          strength = 3;
+        } else if (/\b(?:in|as)\s+$/.test(before) || mention.kind === 'native') {
+          strength = 2;
+        }
+
+        mentions.push({ code: mention.code, kind: mention.kind, strength, index, matched: mention.text });
+      }
+    }
+    return mentions;
+  }
+
+  /**
+   * Check that a match is not part of a longer word ("deutsch" in "deutschland")
+   * Scripts written without spaces (CJK, Thai) always count as a boundary.
+   * @param {string} text - Text
+   * @param {number} start - Match start
+   * @param {number} end - Match end
+   * @returns {boolean}
+   */
+  isWordBoundary(text, start, end) {
+    const isLetter = (char) => Boolean(char) && /[\p{L}\p{N}]/u.test(char) && !/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\p{Script=Thai}]/u.test(char);
+    return !isLetter(text[start - 1]) && !isLetter(text[end]);
+  }
+
+  /**
+   * Normalize a BCP 47 code to the form Chrome's Translator expects ("pt_br" → "pt-BR")
+   * @param {string} code - Language code
+   * @returns {string|null} Normalized code
+   */
+  normalizeCode(code) {
+    if (!code || typeof code !== 'string') {
+      return null;
+    }
+
+    const lower = code.trim().replace('_', '-').toLowerCase();
+    if (this.scriptAliases[lower]) {
+      return this.scriptAliases[lower];
+    }
+
+    const [base, subtag] = lower.split('-');
+    if (!/^[a-z]{2,3}$/.test(base)) {
+      return null;
+    }
+    if (!subtag) {
+      return base;
+    }
+    if (/^[a-z]{4}$/.test(subtag)) {
+      return `${base}-${subtag[0].toUpperCase()}${subtag.slice(1)}`;
+    }
+    return `${base}-${subtag.toUpperCase()}`;
+  }
+
+  /**
+   * Check whether the browser knows a display name for a code
+   * @param {string} code - Language code
+   * @returns {boolean}
+   */
+  hasDisplayName(code) {
+    try {
+      const name = new Intl.DisplayNames(['en'], { type: 'language', fallback: 'none' }).of(code);
+      return Boolean(name);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Get the English display name for a language code
+   * @param {string} code - Language code ("es", "pt-BR")
+   * @returns {string} Display name (the code itself if unknown)
+   */
+  getName(code) {
+    if (!code) {
+      return code;
+    }
+
+    const normalized = this.normalizeCode(code) || code;
+    const base = normalized.split('-')[0];
+    const language = this.languages[base];
+    if (language) {
+      if (normalized === base) {
+        return language.name;
+      }
+      const variant = language.variants.find(item => item.code === normalized);
+      if (variant) {
+        return variant.name;
+      }
+    }
+
+    try {
+      return new Intl.DisplayNames(['en'], { type: 'language' }).of(normalized) || normalized;
+    } catch (error) {
+      return language ? language.name : normalized;
+    }
+  }
+
+  /**
+   * Whether two codes name the same language for translation purposes
+   * Regional variants of one language match ("es-MX" vs "es"); Chinese scripts do not.
+   * @param {string} a - Language code
+   * @param {string} b - Language code
+   * @returns {boolean}
+   */
+  isSameLanguage(a, b) {
+    const first = this.normalizeCode(a);
+    const second = this.normalizeCode(b);
+    if (!first || !second) {
+      return false;
+    }
+
+    const [firstBase] = first.split('-');
+    const [secondBase] = second.split('-');
+    if (firstBase !== secondBase) {
+      return false;
+    }
+    if (firstBase === 'zh') {
+      return (first === 'zh-TW') === (second === 'zh-TW');
+    }
+    return true;
+  }
+
+  /**
+   * Pattern source matching the targets that make a request a translation
+   * (used by the translate intent alongside its English-name pattern)
+   * @returns {string} RegExp source (needs the "u" flag)
+   */
+  getTranslateTargetPatternSource() {
+    const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const variantNames = this.mentions.filter(mention => mention.kind === 'variant').map(mention => escape(mention.text));
+    const nativeNames = this.mentions.filter(mention => mention.kind === 'native').map(mention => mention.text);
+    // Scripts written without spaces can't use letter lookarounds ("日本語で")
+    const unspaced = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\p{Script=Thai}]/u;
+    const adverbs = nativeNames.filter(name => this.adverbialNatives.has(name)).map(escape);
+    const spacedNative = nativeNames.filter(name => !unspaced.test(name) && !this.adverbialNatives.has(name)).map(escape);
+    const unspacedNative = nativeNames.filter(name => unspaced.test(name)).map(escape);
+    // A native name is only a target after a cue in some language ("en español", "auf Deutsch", "на русском"),
+    // or before a postposition in scripts that use them ("日本語で", "한국어로"); a bare mention is just a topic
+    const cue = '(?<![\\p{L}])(?:to|into|in|en|al|auf|em|na|на|på|til|naar|w|po|ke|sang)\\s+';
+    // Only known base codes: "to re-do" or "to co-op" are words, not language tags
+    const baseCodes = Object.keys(this.languages).join('|');
+
+    return [
+      this.pageTargetPattern.source,
+      '\\btranslat(?:e|ing)\\s+(?:it\\s+|this\\s+|that\\s+)?(?:to|into)\\s+',
+      `\\b(?:to|into)\\s+(?:${baseCodes})[-_](?:[a-z]{2}|\\d{3}|[a-z]{4})(?![\\p{L}\\d-])`,
+      `\\b(?:to|into)\\s+(?:${variantNames.join('|')})`,
+      `${cue}(?:${spacedNative.join('|')})(?![\\p{L}])`,
+      `(?<![\\p{L}])(?:${adverbs.join('|')})(?![\\p{L}])`,
+      `(?:${cue}|[成为為用到]|เป็น)(?:${unspacedNative.join('|')})`,
+      `(?:${unspacedNative.join('|')})(?:で|に|へ|으로|로)`
+    ].join('|');
+  }
+}
+
+// Export to window globals for Chrome extension compatibility
+if (typeof window !== 'undefined') {
+  window.LanguageResolver = LanguageResolver;
+  window.languageResolver = new LanguageResolver();
+  console.log('✅ LanguageResolver exported to window');
+} else {
+  console.error('❌ Window object not available - LanguageResolver not exported');
+}
@@ -0,0 +1,475 @@
+/**
+ * Memory Retrievers - Rank memory items for a query
+ * Every retriever has the same interface, rank(query, items) → [{item, score, relevant}] best first,
+ * where `relevant` marks a hit strong enough to count as a reuse of that memory.
+ *
+ * - Bm25Retriever: lexical baseline (shared terms)
+ * - EmbeddingRetriever: cosine similarity of vectors from a pluggable embedder (keyword expansion
+ *   by the on-device language model by default)
+ * - HybridRetriever: reciprocal rank fusion of a lexical and a semantic ranking
+ */
+
+const EXPANSION_SYSTEM_PROMPT = 'You index saved writing requests for search. You list the words someone might use to look a request up later and answer in JSON.';
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'this', 'that', 'you', 'your', 'about', 'from', 'into', 'our', 'are',
+  'was', 'were', 'will', 'can', 'please', 'but', 'not', 'have', 'has', 'had', 'they', 'them', 'their',
+  'its', 'all', 'any', 'some', 'what', 'when', 'how', 'who', 'which', 'there', 'here', 'him', 'her',
+  'to', 'of', 'in', 'on', 'at', 'by', 'an', 'is', 'it', 'be', 'as', 'or', 'my', 'me', 'we', 'us', 'so'
+]);
+
+/**
+ * Lexical baseline: BM25 over query + content of each memory item
+ */
+class Bm25Retriever {
+  /**
+   * @param {Object} options - Scoring settings
+   * @param {number} options.k1 - Term frequency saturation
+   * @param {number} options.b - Length normalization
+   * @param {number} options.minScore - Score that counts as a relevant hit
+   */
+  constructor(options = {}) {
+    this.name = 'bm25';
+    this.k1 = options.k1 ?? 1.5;
+    this.b = options.b ?? 0.75;
+    this.minScore = options.minScore ?? 1.0;
+  }
+
+  /**
+   * @param {string} query - User query
+   * @param {Array} items - Memory items
+   * @returns {Array<Object>} {item, score, relevant}, best first
+   */
+  rank(query, items) {
+    return items
+      .map(item => {
+        const score = this.score(query, item, items);
+        return { item, score, relevant: score >= this.minScore };
+      })
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * BM25 score of one item for a query
+   * @param {string} query - User query
+   * @param {Object} item - Memory item (with query and content fields)
+   * @param {Array} corpus - Items the score is relative to
+   * @returns {number} BM25 score
+   */
+  score(query, item, corpus) {
+    const queryTerms = this.tokenize(query.toLowerCase());
+    const docTerms = this.tokenize(`${item.query} ${item.content}`.toLowerCase());
+
+    const avgDocLength = this.getAverageDocLength(corpus);
+    const docLength = docTerms.length;
+    const docTermFreqs = this.getTermFrequencies(docTerms);
+
+    let score = 0;
+    for (const term of queryTerms) {
+      const tf = docTermFreqs[term] || 0;
+      if (tf === 0) continue;
+
+      const idf = this.calculateIDF(term, corpus);
+      const numerator = tf * (this.k1 + 1);
+      const denominator = tf + this.k1 * (1 - this.b + this.b * (docLength / avgDocLength));
+
+      score += idf * (numerator / denominator);
+    }
+
+    return score;
+  }
+
+  /**
+   * Tokenize text into terms (simple whitespace tokenization)
+   * @param {string} text - Text to tokenize
+   * @returns {Array<string>} Terms longer than two characters
+   */
+  tokenize(text) {
+    return text
+      .toLowerCase()
+      .replace(/[^\w\s]/g, ' ') // Remove punctuation
+      .split(/\s+/)
+      .filter(term => term.length > 2); // Filter out very short terms
+  }
+
+  /**
+   * @param {Array<string>} terms - Terms of a document
+   * @returns {Object} Term frequency map
+   */
+  getTermFrequencies(terms) {
+    const freqs = {};
+    for (const term of terms) {
+      freqs[term] = (freqs[term] || 0) + 1;
+    }
+    return freqs;
+  }
+
+  /**
+   * @param {Array} corpus - Memory items
+   * @returns {number} Average document length in terms
+   */
+  getAverageDocLength(corpus) {
+    if (corpus.length === 0) return 0;
+
+    const totalLength = corpus.reduce((sum, item) => {
+      return sum + this.tokenize(`${item.query} ${item.content}`.toLowerCase()).length;
+    }, 0);
+
+    return totalLength / corpus.length;
+  }
+
+  /**
+   * Inverse document frequency: how rare a term is across the corpus
+   * @param {string} term - Term
+   * @param {Array} corpus - Memory items
+   * @returns {number} IDF score (0 when no item has the term)
+   */
+  calculateIDF(term, corpus) {
+    const N = corpus.length;
+    const docsWithTerm = corpus.filter(item => `${item.query} ${item.content}`.toLowerCase().includes(term)).length;
+
+    // IDF formula: log((N - df + 0.5) / (df + 0.5) + 1)
+    if (docsWithTerm === 0) return 0;
+
+    return Math.log((N - docsWithTerm + 0.5) / (docsWithTerm + 0.5) + 1);
+  }
+}
+
+/**
+ * Embedder that expands each memory with keywords from the on-device language model: a text's
+ * vector has one dimension per word stem, and the keywords the model listed for it ("recruiter",
+ * "job application") add weight to their stems, so paraphrases meet even when the texts share no
+ * words. Expansion is async and done once per text (prepare); embed() stays synchronous and uses
+ * whatever keywords are known. Without a model, vectors hold the text's own words only.
+ */
+class KeywordExpansionEmbedder {
+  /**
+   * @param {Object} options - Embedding settings
+   * @param {Function} options.expander - async (text) => Array<string>|null; defaults to the on-device language model
+   * @param {number} options.expansionWeight - Weight of keyword stems relative to the text's own words
+   * @param {number} options.maxKeywords - Keywords kept per text
+   */
+  constructor(options = {}) {
+    this.expander = options.expander || (text => this.expandWithLanguageModel(text));
+    this.expansionWeight = options.expansionWeight ?? 1.0;
+    this.maxKeywords = options.maxKeywords ?? 10;
+    this.cacheLimit = 500;
+    this.cache = new Map();
+    this.expansions = new Map();
+  }
+
+  /**
+   * Expand texts that have no keywords yet, one model call at a time
+   * A failed expansion leaves the text on its own words; it is tried again on the next prepare.
+   * @param {Array<string>} texts - Texts to expand
+   * @returns {Promise<number>} Number of texts expanded
+   */
+  async prepare(texts) {
+    let expanded = 0;
+    for (const text of texts) {
+      if (!text || this.expansions.has(text)) {
+        continue;
+      }
+      try {
+        const keywords = await this.expander(text);
+        if (Array.isArray(keywords)) {
+          this.setExpansion(text, keywords);
+          expanded++;
+        }
+      } catch (error) {
+        console.warn('⚠️ KeywordExpansionEmbedder: Expansion failed, using the text\'s own words:', error.message);
+      }
+    }
+    return expanded;
+  }
+
+  /**
+   * Store keywords for a text (e.g. ones saved with a memory item)
+   * @param {string} text - Expanded text
+   * @param {Array<string>} keywords - Keywords for it
+   */
+  setExpansion(text, keywords) {
+    const cleaned = keywords
+      .filter(keyword => typeof keyword === 'string' && keyword.trim())
+      .map(keyword => keyword.trim().toLowerCase())
+      .slice(0, this.maxKeywords);
+    this.expansions.set(text, cleaned);
+    this.cache.delete(text);
+  }
+
+  /**
+   * @param {string} text - Expanded text
+   * @returns {Array<string>|null} Its keywords, or null when it has not been expanded
+   */
+  getExpansion(text) {
+    return this.expansions.get(text) || null;
+  }
+
+  /**
+   * Ask the on-device language model for search keywords
+   * @param {string} text - Text to expand
+   * @returns {Promise<Array<string>|null>} Keywords, or null when no model is available
+   */
+  async expandWithLanguageModel(text) {
+    if (typeof self === 'undefined' || !self.LanguageModel || !window.PromptService) {
+      return null;
+    }
+
+    const snippet = text.length > 600 ? `${text.substring(0, 600)}...` : text;
+    const response = await new window.PromptService(EXPANSION_SYSTEM_PROMPT).sendStructured(
+      `Saved request: "${snippet}"
+
+List up to ${this.maxKeywords} short keywords someone might search for to find this again: synonyms, related terms and the topic. Leave out words that are already in the text.
+Respond with JSON: {"keywords": ["..."]}`,
+      {
+        schema: {
+          type: 'object',
+          properties: { keywords: { type: 'array', items: { type: 'string' }, maxItems: this.maxKeywords, default: [] } },
+          required: ['keywords']
+        },
+        fallback: { keywords: [] }
+      }
+    );
+    return response.data?.keywords || null;
+  }
+
+  /**
+   * @param {string} text - Text to embed
+   * @returns {Map<string, number>} Sparse unit-length vector (dimension → weight)
+   */
+  embed(text) {
+    const key = text || '';
+    if (this.cache.has(key)) {
+      return this.cache.get(key);
+    }
+
+    const vector = new Map();
+    const add = (words, weight) => words.forEach(word => {
+      const dimension = this.stem(word);
+      vector.set(dimension, (vector.get(dimension) || 0) + weight);
+    });
+
+    add(this.words(key), 1);
+    (this.expansions.get(key) || []).forEach(keyword => add(this.words(keyword), this.expansionWeight));
+
+    const norm = Math.sqrt([...vector.values()].reduce((sum, weight) => sum + weight * weight, 0));
+    if (norm > 0) {
+      vector.forEach((weight, dimension) => vector.set(dimension, weight / norm));
+    }
+
+    if (this.cache.size >= this.cacheLimit) {
+      this.cache.clear();
+    }
+    this.cache.set(key, vector);
+    return vector;
+  }
+
+  /**
+   * @param {string} text - Text
+   * @returns {Array<string>} Lowercase words, without stop words
+   */
+  words(text) {
+    return text
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(word => word.length > 1 && !STOP_WORDS.has(word));
+  }
+
+  /**
+   * Light suffix stripping so "answering", "answered" and "answers" share a stem
+   * @param {string} word - Lowercase word
+   * @returns {string} Stem
+   */
+  stem(word) {
+    if (word.length <= 3) {
+      return word;
+    }
+    const stemmed = word
+      .replace(/ies$/, 'y')
+      .replace(/(ss|x|ch|sh)es$/, '$1')
+      .replace(/([^s])s$/, '$1')
+      .replace(/(?:ation|ment|ing|ed|ly)$/, '')
+      .replace(/e$/, '');
+    return stemmed.length >= 3 ? stemmed : word;
+  }
+}
+
+/**
+ * Semantic retriever: cosine similarity between the query and item embeddings
+ */
+class EmbeddingRetriever {
+  /**
+   * @param {Object} options - Retriever settings
+   * @param {Object} options.embedder - Object with embed(text) → Map of dimension → weight, and optionally
+   *   prepare/getExpansion/setExpansion (defaults to KeywordExpansionEmbedder)
+   * @param {number} options.minScore - Similarity that counts as a relevant hit
+   */
+  constructor(options = {}) {
+    this.name = 'embedding';
+    this.embedder = options.embedder || new KeywordExpansionEmbedder();
+    this.minScore = options.minScore ?? 0.3;
+  }
+
+  /**
+   * Get memory items ready to rank: keywords saved on an item are reused, the rest are expanded
+   * and written back to item.keywords so the caller can save them (an empty expansion is not
+   * written back, so the item is tried again next session)
+   * @param {Array} items - Memory items
+   * @returns {Promise<number>} Number of items that got new keywords
+   */
+  async prepare(items) {
+    if (typeof this.embedder.prepare !== 'function') {
+      return 0;
+    }
+
+    const pending = [];
+    items.forEach(item => {
+      const text = this.getItemText(item);
+      if (Array.isArray(item.keywords)) {
+        this.embedder.setExpansion(text, item.keywords);
+      } else {
+        pending.push(item);
+      }
+    });
+
+    await this.embedder.prepare(pending.map(item => this.getItemText(item)));
+    let expanded = 0;
+    pending.forEach(item => {
+      const keywords = this.embedder.getExpansion(this.getItemText(item));
+      if (keywords && keywords.length > 0) {
+        item.keywords = keywords;
+        expanded++;
+      }
+    });
+    return expanded;
+  }
+
+  /**
+   * Expand a query before ranking so it can meet memories through keywords on both sides
+   * @param {string} query - User query
+   * @returns {Promise<void>}
+   */
+  async prepareQuery(query) {
+    if (typeof this.embedder.prepare === 'function') {
+      await this.embedder.prepare([query]);
+    }
+  }
+
+  /**
+   * @param {Object} item - Memory item
+   * @returns {string} Text embedded for the item
+   */
+  getItemText(item) {
+    return `${item.query} ${item.content}`;
+  }
+
+  /**
+   * @param {string} query - User query
+   * @param {Array} items - Memory items
+   * @returns {Array<Object>} {item, score, relevant}, best first
+   */
+  rank(query, items) {
+    const queryVector = this.embedder.embed(query);
+    return items
+      .map(item => {
+        const score = this.cosine(queryVector, this.embedder.embed(this.getItemText(item)));
+        return { item, score, relevant: score >= this.minScore };
+      })
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * @param {Map<string, number>} a - Vector
+   * @param {Map<string, number>} b - Vector
+   * @returns {number} Cosine similarity (vectors from the embedder are unit length)
+   */
+  cosine(a, b) {
+    const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+    let dot = 0;
+    small.forEach((weight, dimension) => {
+      dot += weight * (large.get(dimension) || 0);
+    });
+    return dot;
+  }
+}
+
+/**
+ * Hybrid retriever: reciprocal rank fusion (RRF) of a lexical and a semantic ranking
+ * Ranks are fused instead of scores because BM25 and cosine scores are on different scales.
+ */
+class HybridRetriever {
+  /**
+   * @param {Object} options - Retriever settings
+   * @param {Object} options.lexical - Lexical retriever (defaults to Bm25Retriever)
+   * @param {Object} options.semantic - Semantic retriever (defaults to EmbeddingRetriever)
+   * @param {number} options.k - RRF constant; larger values flatten the gap between ranks
+   */
+  constructor(options = {}) {
+    this.name = 'hybrid';
+    this.lexical = options.lexical || new Bm25Retriever();
+    this.semantic = options.semantic || new EmbeddingRetriever();
+    this.k = options.k ?? 60;
+  }
+
+  /**
+   * Get memory items ready to rank with whichever component needs it (see EmbeddingRetriever.prepare)
+   * @param {Array} items - Memory items
+   * @returns {Promise<number>} Number of items that got new keywords
+   */
+  async prepare(items) {
+    let expanded = 0;
+    for (const retriever of [this.lexical, this.semantic]) {
+      if (typeof retriever.prepare === 'function') {
+        expanded += await retriever.prepare(items);
+      }
+    }
+    return expanded;
+  }
+
+  /**
+   * @param {string} query - User query
+   * @returns {Promise<void>}
+   */
+  async prepareQuery(query) {
+    for (const retriever of [this.lexical, this.semantic]) {
+      if (typeof retriever.prepareQuery === 'function') {
+        await retriever.prepareQuery(query);
+      }
+    }
+  }
+
+  /**
+   * @param {string} query - User query
+   * @param {Array} items - Memory items
+   * @returns {Array<Object>} {item, score, relevant, components: {lexical, semantic}}, best first
+   */
+  rank(query, items) {
+    const fused = new Map(items.map(item => [item, { item, score: 0, relevant: false, components: {} }]));
+
+    [['lexical', this.lexical], ['semantic', this.semantic]].forEach(([component, retriever]) => {
+      // Only hits the retriever itself finds relevant earn rank credit; weak matches
+      // (a shared "the") would otherwise rank as high as real ones once scores are dropped
+      retriever.rank(query, items)
+        .filter(result => result.relevant)
+        .forEach((result, index) => {
+          const entry = fused.get(result.item);
+          entry.score += 1 / (this.k + index + 1);
+          entry.relevant = entry.relevant || result.relevant;
+          entry.components[component] = result.score;
+        });
+    });
+
+    return [...fused.values()].sort((a, b) => b.score - a.score);
+  }
+}
+
+// Export to window for Chrome extension compatibility
+if (typeof window !== 'undefined') {
+  window.Bm25Retriever = Bm25Retriever;
+  window.KeywordExpansionEmbedder = KeywordExpansionEmbedder;
+  window.EmbeddingRetriever = EmbeddingRetriever;
+  window.HybridRetriever = HybridRetriever;
+  console.log('✅ Memory retrievers exported to window');
+} else {
+  console.error('❌ Window object not available - memory retrievers not exported');
+}
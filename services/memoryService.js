@@ -8,6 +8,16 @@
  *
  * Stores conversation history with auto-summarized content for context.
  * Memory is cleared when browser closes, ensuring fresh context each session.
+ *
+ * Opt-in long-term tier (IndexedDB via StorageManager):
+ * - Session items that are reused, pinned or marked useful are promoted into it
+ * - Has its own retention (item limit, age limit for unpinned items)
+ * - Retrieval searches both tiers and merges the results
+ *
+ * Scoping:
+ * - Items record where they came from (domain, platform, counterpart person)
+ * - Retrieval prefers items from the same scope
+ * - Isolated domains (chrome.storage.local) never share memory with other sites
  */
 
 class MemoryService extends window.BaseService {
@@ -18,10 +28,27 @@ class MemoryService extends window.BaseService {
     this.storageService = null;
     this.memoryStore = [];
 
+    // Long-term tier (off until the user opts in)
+    this.longTermStorage = null;
+    this.longTermEnabled = false;
+    this.longTermStore = [];
+
+    // Ranking for non-chronological queries: BM25 fused with keyword-expanded embeddings (see memoryRetrievers.js)
+    this.bm25 = new window.Bm25Retriever();
+    this.retriever = new window.HybridRetriever({ lexical: this.bm25 });
+
+    // Sites whose memory stays on that site (and that never see other sites' memory)
+    this.scopeRules = { isolatedDomains: [] };
+
     // Configuration
     this.MAX_MEMORY_ITEMS = 50; // Maximum number of conversations to store in session
     this.CONTENT_LENGTH_THRESHOLD = 500; // Summarize content longer than this
     this.MAX_QUERY_LENGTH = 200; // Truncate very long queries
+    this.LONG_TERM_MAX_ITEMS = 200; // Maximum number of conversations kept long-term
+    this.LONG_TERM_MAX_AGE_DAYS = 90; // Unpinned long-term items unused for longer are dropped
+    this.QUERY_EXPANSION_BUDGET_MS = 800; // Longest wait for query keywords before ranking without them
+    this.PROMOTE_AFTER_REUSES = 2; // Retrievals before a session item is kept long-term
+    this.SCOPE_BOOSTS = { counterpart: 0.5, domain: 0.25, platform: 0.1 }; // Score bonus for matching the current scope
   }
 
   async onInitialize() {
@@ -33,6 +60,8 @@ class MemoryService extends window.BaseService {
 
     // Load existing memory from storage
     await this.loadMemoryFromStorage();
+    await this.loadScopeRules();
+    this.prepareRetrieval(this.memoryStore);
 
     this.isAvailable = true;
     this.log('✅', 'MemoryService initialized with', this.memoryStore.length, 'items');
@@ -73,14 +102,269 @@ class MemoryService extends window.BaseService {
     }
   }
 
+  /**
+   * Replace the retriever used for non-chronological queries
+   * @param {Object} retriever - Object with rank(query, items) → [{item, score, relevant}] (see memoryRetrievers.js)
+   */
+  setRetriever(retriever) {
+    this.validateRequired(retriever, 'retriever');
+    this.retriever = retriever;
+    this.log('🔧', 'Memory retriever set to', retriever.name || 'custom');
+    this.prepareRetrieval([...this.memoryStore, ...this.longTermStore]);
+  }
+
+  /**
+   * Let the retriever get items ready to rank (keyword expansion calls the language model once per new item)
+   * Callers don't wait for it: until an item is ready it ranks on its own words. Keywords the retriever
+   * adds stay on the items and are saved with the session.
+   * @param {Array} items - Stored memory items (not copies, so added keywords are kept)
+   * @returns {Promise<void>}
+   */
+  async prepareRetrieval(items) {
+    if (!this.retriever || typeof this.retriever.prepare !== 'function' || items.length === 0) {
+      return;
+    }
+
+    try {
+      const expanded = await this.retriever.prepare(items);
+      if (expanded > 0) {
+        this.log('🔑', 'Expanded', expanded, 'memory items for retrieval');
+        await this.saveMemoryToStorage();
+      }
+    } catch (error) {
+      this.warn('Failed to prepare memory for retrieval:', error.message);
+    }
+  }
+
+  /**
+   * Let the retriever expand a query before getRelevantContext, waiting at most QUERY_EXPANSION_BUDGET_MS
+   * A late expansion still finishes in the background, so the same query is expanded next time.
+   * @param {string} query - User's current query
+   * @returns {Promise<void>}
+   */
+  async prepareQuery(query) {
+    if (!query || !this.retriever || typeof this.retriever.prepareQuery !== 'function' || this.detectChronologicalQuery(query)) {
+      return;
+    }
+
+    let timer = null;
+    const budget = new Promise(resolve => {
+      timer = setTimeout(resolve, this.QUERY_EXPANSION_BUDGET_MS);
+    });
+    const expansion = this.retriever.prepareQuery(query)
+      .catch(error => this.warn('Failed to expand query:', error.message));
+
+    await Promise.race([expansion, budget]);
+    clearTimeout(timer);
+  }
+
+  /**
+   * Connect the long-term tier and load what it remembers
+   * @param {StorageManager|null} storage - Storage with the long-term memory store
+   */
+  async setLongTermStorage(storage) {
+    this.longTermStorage = storage;
+    this.longTermEnabled = false;
+    this.longTermStore = [];
+
+    if (!storage) {
+      return;
+    }
+
+    try {
+      this.longTermEnabled = Boolean(await storage.getSetting('longTermMemory', false));
+      this.longTermStore = await storage.getLongTermMemories();
+      await this.applyLongTermRetention();
+      this.prepareRetrieval(this.longTermStore);
+      this.log('📚', 'Loaded', this.longTermStore.length, 'long-term memory items', this.longTermEnabled ? '' : '(long-term memory is off)');
+    } catch (error) {
+      this.handleError('Failed to load long-term memory', error, false);
+      this.longTermStore = [];
+    }
+  }
+
+  /**
+   * Turn the long-term tier on or off (remembered across browser restarts)
+   * Items already kept stay until deleted; while off they are neither used nor added to.
+   * @param {boolean} enabled - Whether to use long-term memory
+   * @returns {Promise<boolean>} Whether long-term memory is now on
+   */
+  async setLongTermEnabled(enabled) {
+    if (!this.longTermStorage) {
+      if (enabled) {
+        this.warn('Long-term memory storage not available');
+      }
+      return false;
+    }
+
+    this.longTermEnabled = Boolean(enabled);
+    await this.longTermStorage.saveSetting('longTermMemory', this.longTermEnabled);
+
+    // Session items that already qualify are kept right away
+    if (this.longTermEnabled) {
+      for (const item of this.memoryStore) {
+        await this.promoteIfEligible(item);
+      }
+    }
+
+    this.log('⚙️', 'Long-term memory', this.longTermEnabled ? 'enabled' : 'disabled');
+    return this.longTermEnabled;
+  }
+
+  /**
+   * Load scoping rules from Chrome local storage (they outlive the session, unlike the memory)
+   */
+  async loadScopeRules() {
+    try {
+      const result = await chrome.storage.local.get('memoryScopeRules');
+      this.scopeRules = this.normalizeScopeRules(result.memoryScopeRules);
+    } catch (error) {
+      this.handleError('Failed to load memory scope rules', error, false);
+      this.scopeRules = this.normalizeScopeRules();
+    }
+  }
+
+  /**
+   * Replace the scoping rules
+   * @param {Object} rules - {isolatedDomains: Array<string>} sites that never share memory with other sites
+   * @returns {Promise<Object>} - Normalized rules
+   */
+  async setScopeRules(rules) {
+    this.scopeRules = this.normalizeScopeRules(rules);
+    await chrome.storage.local.set({ memoryScopeRules: this.scopeRules });
+    this.log('⚙️', 'Memory scope rules updated:', this.scopeRules.isolatedDomains.length, 'isolated domains');
+    return this.scopeRules;
+  }
+
+  /**
+   * @param {Object} rules - Rules as entered ({isolatedDomains})
+   * @returns {Object} - Rules with lowercase, de-duplicated bare domains
+   */
+  normalizeScopeRules(rules = {}) {
+    const domains = (rules?.isolatedDomains || [])
+      .map(domain => this.normalizeDomain(domain))
+      .filter(Boolean);
+    return { isolatedDomains: [...new Set(domains)] };
+  }
+
+  /**
+   * Where a conversation happened
+   * @param {Object|null} scope - {domain or url, platform, counterpart} (platform is derived from the domain when missing)
+   * @returns {Object|null} - {domain, platform, counterpart}, or null when nothing is known
+   */
+  normalizeScope(scope) {
+    if (!scope) {
+      return null;
+    }
+
+    const domain = this.normalizeDomain(scope.domain || scope.url);
+    const counterpart = typeof scope.counterpart === 'string' && scope.counterpart.trim()
+      ? scope.counterpart.trim().replace(/\s+/g, ' ')
+      : null;
+    if (!domain && !counterpart) {
+      return null;
+    }
+
+    return {
+      domain,
+      platform: scope.platform || this.platformForDomain(domain),
+      counterpart
+    };
+  }
+
+  /**
+   * @param {string} value - Domain or URL ("https://www.linkedin.com/feed")
+   * @returns {string|null} - Bare lowercase hostname ("linkedin.com")
+   */
+  normalizeDomain(value) {
+    const domain = String(value || '')
+      .trim()
+      .toLowerCase()
+      .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+      .replace(/[/?#:].*$/, '')
+      .replace(/^www\./, '')
+      .replace(/\.$/, '');
+    return domain || null;
+  }
+
+  /**
+   * Platform of a domain (same identifiers as detectPlatform() in the content script)
+   * @param {string|null} domain - Bare hostname
+   * @returns {string} - 'linkedin', 'gmail', 'twitter' or 'generic'
+   */
+  platformForDomain(domain) {
+    const hostname = domain || '';
+    // Whole labels only, so dropbox.com is not x.com
+    const isSite = (site) => hostname === site || hostname.endsWith(`.${site}`);
+    if (isSite('linkedin.com')) {
+      return 'linkedin';
+    } else if (isSite('gmail.com') || isSite('mail.google.com')) {
+      return 'gmail';
+    } else if (isSite('twitter.com') || isSite('x.com')) {
+      return 'twitter';
+    }
+    return 'generic';
+  }
+
+  /**
+   * The isolation rule a domain falls under ("slack.com" also covers "acme.slack.com")
+   * @param {string|null} domain - Bare hostname
+   * @returns {string|null} - Matching isolated domain, or null when the domain shares memory freely
+   */
+  isolationGroup(domain) {
+    if (!domain) {
+      return null;
+    }
+    return this.scopeRules.isolatedDomains
+      .find(rule => domain === rule || domain.endsWith(`.${rule}`)) || null;
+  }
+
+  /**
+   * Whether an item may be used in the current scope: items from an isolated domain stay there,
+   * and an isolated domain sees only its own items
+   * @param {Object} item - Memory item
+   * @param {Object|null} scope - Current scope from normalizeScope()
+   * @returns {boolean}
+   */
+  isShareable(item, scope) {
+    return this.isolationGroup(item.scope?.domain || null) === this.isolationGroup(scope?.domain || null);
+  }
+
+  /**
+   * Score multiplier for items from the same scope (same person counts most)
+   * @param {Object} item - Memory item
+   * @param {Object|null} scope - Current scope from normalizeScope()
+   * @returns {number} - 1 when nothing matches
+   */
+  scopeBoost(item, scope) {
+    const itemScope = item.scope;
+    if (!scope || !itemScope) {
+      return 1;
+    }
+
+    let boost = 1;
+    if (scope.counterpart && itemScope.counterpart && scope.counterpart.toLowerCase() === itemScope.counterpart.toLowerCase()) {
+      boost += this.SCOPE_BOOSTS.counterpart;
+    }
+    if (scope.domain && scope.domain === itemScope.domain) {
+      boost += this.SCOPE_BOOSTS.domain;
+    }
+    if (scope.platform && scope.platform !== 'generic' && scope.platform === itemScope.platform) {
+      boost += this.SCOPE_BOOSTS.platform;
+    }
+    return boost;
+  }
+
   /**
    * Add a conversation to memory
    * @param {string} query - User's query
    * @param {string} content - AI-generated content
    * @param {Object} metadata - Additional metadata (intent, format, etc.)
+   * @param {Object|null} scope - Where it happened ({domain or url, platform, counterpart})
+   * @param {string|null} parentId - Item this one follows up on; it joins that item's thread (null starts a new thread)
    * @returns {Promise<Object>} - The memory item that was added
    */
-  async addConversation(query, content, metadata = {}) {
+  async addConversation(query, content, metadata = {}, scope = null, parentId = null) {
     this.ensureInitialized();
     this.validateNonEmptyString(query, 'query');
     this.validateNonEmptyString(content, 'content');
@@ -110,14 +394,24 @@ class MemoryService extends window.BaseService {
         }
       }
 
+      // A follow-up joins its parent's thread; an unknown parent (e.g. forgotten since) starts a new one
+      const id = this.generateId();
+      const parent = parentId ? this.findItems(parentId)[0] : null;
+      if (parentId && !parent) {
+        this.warn('Parent memory item not found, starting a new thread:', parentId);
+      }
+
       // Create memory item
       const memoryItem = {
-        id: this.generateId(),
+        id,
+        threadId: parent ? this.getThreadId(parent) : id,
+        parentId: parent ? parent.id : null,
         timestamp: new Date().toISOString(),
         query: truncatedQuery,
         content: processedContent,
         originalContentLength: content.length,
         isSummarized: isSummarized,
+        scope: this.normalizeScope(scope),
         metadata: {
           intent: metadata.intent || 'unknown',
           format: metadata.format || 'unknown',
@@ -137,6 +431,7 @@ class MemoryService extends window.BaseService {
 
       // Save to storage
       await this.saveMemoryToStorage();
+      this.prepareRetrieval([memoryItem]);
 
       this.log('💾', 'Added conversation to memory:', memoryItem.id);
       return memoryItem;
@@ -232,12 +527,19 @@ class MemoryService extends window.BaseService {
    * Get context string from recent conversations
    * Useful for providing context to AI services
    * @param {number} count - Number of recent conversations to include
+   * @param {string|null} threadId - Active thread; its latest items come first, in order, and fill the rest with other recent conversations
+   * @param {Object|null} scope - Current scope ({domain or url, platform, counterpart}); items the scope rules keep from it are left out
    * @returns {string} - Formatted context string
    */
-  getContextString(count = 5) {
+  getContextString(count = 5, threadId = null, scope = null) {
     this.ensureInitialized();
 
-    const recent = this.getRecentConversations(count);
+    const currentScope = this.normalizeScope(scope);
+    if (threadId) {
+      return this.getThreadContextString(count, threadId, currentScope);
+    }
+
+    const recent = this.getShareableRecent(count, currentScope);
     if (recent.length === 0) {
       return '';
     }
@@ -252,19 +554,85 @@ class MemoryService extends window.BaseService {
     return contextString;
   }
 
+  /**
+   * Context string led by the active thread (oldest first, so the back-and-forth reads in order)
+   * @param {number} count - Number of conversations to include in total
+   * @param {string} threadId - Active thread
+   * @param {Object|null} scope - Current scope from normalizeScope()
+   * @returns {string} - Formatted context string
+   */
+  getThreadContextString(count, threadId, scope) {
+    const thread = this.getThread(threadId)
+      .filter(item => this.isShareable(item, scope))
+      .slice(-count);
+    const threadIds = new Set(thread.map(item => item.id));
+    const others = this.getShareableRecent(count + thread.length, scope)
+      .filter(item => !threadIds.has(item.id))
+      .slice(0, Math.max(0, count - thread.length));
+
+    const sections = [];
+    if (thread.length > 0) {
+      const threadLines = thread.map((item, index) => `[${index + 1}] Q: ${item.query}\nA: ${item.content}`);
+      sections.push(`ACTIVE THREAD CONTEXT:\n\n${threadLines.join('\n\n')}`);
+    }
+    if (others.length > 0) {
+      const otherLines = others.map((item, index) => `[${others.length - index}] Q: ${item.query}\nA: ${item.content}`);
+      sections.push(`OTHER RECENT CONVERSATIONS:\n\n${otherLines.join('\n\n')}`);
+    }
+
+    this.log('📋', 'Generated thread context from', thread.length, 'thread and', others.length, 'other conversations');
+    return sections.join('\n\n');
+  }
+
+  /**
+   * Most recent session items the scope rules allow in the current scope
+   * @param {number} count - Number of items
+   * @param {Object|null} scope - Current scope from normalizeScope()
+   * @returns {Array} - Memory items, newest first
+   */
+  getShareableRecent(count, scope) {
+    return this.memoryStore
+      .filter(item => this.isShareable(item, scope))
+      .slice(-count)
+      .reverse();
+  }
+
+  /**
+   * Thread a memory item belongs to (items saved before threads existed are their own thread)
+   * @param {Object} item - Memory item
+   * @returns {string} - Thread ID
+   */
+  getThreadId(item) {
+    return item.threadId || item.id;
+  }
+
+  /**
+   * Items of one thread across both tiers
+   * @param {string} threadId - Thread ID (the ID of its first item)
+   * @returns {Array} - Memory items, oldest first
+   */
+  getThread(threadId) {
+    this.ensureInitialized();
+    return this.getRetrievalCorpus().filter(item => this.getThreadId(item) === threadId);
+  }
+
   /**
    * Retrieve relevant conversations based on query
-   * Uses chronological patterns and BM25 semantic similarity
+   * Uses chronological patterns, or the configured retriever, over the session and long-term tiers.
+   * Items the scope rules keep from the current scope are left out; items from the same scope rank higher.
    *
    * @param {string} query - User's current query
    * @param {number} topK - Number of relevant conversations to return
-   * @returns {Array} - Array of relevant memory items with scores
+   * @param {Object|null} scope - Current scope ({domain or url, platform, counterpart}); null when unknown
+   * @returns {Array} - Array of relevant memory items with scores and their tier ('session' or 'longTerm')
    */
-  retrieveRelevant(query, topK = 5) {
+  retrieveRelevant(query, topK = 5, scope = null) {
     this.ensureInitialized();
     this.validateNonEmptyString(query, 'query');
 
-    if (this.memoryStore.length === 0) {
+    const currentScope = this.normalizeScope(scope);
+    const corpus = this.getRetrievalCorpus().filter(item => this.isShareable(item, currentScope));
+    if (corpus.length === 0) {
       this.log('📚', 'No memory to retrieve from');
       return [];
     }
@@ -273,36 +641,120 @@ class MemoryService extends window.BaseService {
     const isChronological = this.detectChronologicalQuery(query);
 
     if (isChronological) {
-      // For chronological queries, return recent items in reverse chronological order
-      const recentCount = Math.min(topK, this.memoryStore.length);
-      const recent = this.memoryStore.slice(-recentCount).reverse();
+      // For chronological queries, return recent items in reverse chronological order, same scope first
+      const recent = [...corpus]
+        .reverse()
+        .sort((a, b) => this.scopeBoost(b, currentScope) - this.scopeBoost(a, currentScope))
+        .slice(0, topK);
 
       this.log('🕐', 'Chronological query detected, returning', recent.length, 'recent items');
 
-      return recent.map((item, index) => ({
+      const results = recent.map((item, index) => ({
         ...item,
         score: 1.0 - (index * 0.1), // Descending scores for recency
+        relevant: index === 0,
         retrievalType: 'chronological'
       }));
+      this.trackReuse(results);
+      return results;
     }
 
-    // 2. For semantic queries, use BM25 scoring
-    const scoredItems = this.memoryStore.map(item => {
-      const score = this.calculateBM25Score(query, item);
-      return {
+    // 2. For semantic queries, rank with the configured retriever, prefer the same scope and return top K
+    const topResults = this.retriever.rank(query, corpus)
+      .map(({ item, score, relevant }) => ({
         ...item,
-        score: score,
+        score: score * this.scopeBoost(item, currentScope),
+        relevant: relevant,
         retrievalType: 'semantic'
-      };
+      }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+
+    this.log('🔍', 'Retrieved', topResults.length, 'semantically relevant items with', this.retriever.name || 'custom retriever');
+
+    this.trackReuse(topResults);
+    return topResults;
+  }
+
+  /**
+   * Items to retrieve from: session items plus (when enabled) long-term items no longer in the session
+   * @returns {Array} - Memory items tagged with their tier, oldest first
+   */
+  getRetrievalCorpus() {
+    const session = this.memoryStore.map(item => ({ ...item, tier: 'session' }));
+    if (!this.longTermEnabled || this.longTermStore.length === 0) {
+      return session;
+    }
+
+    const sessionIds = new Set(this.memoryStore.map(item => item.id));
+    const longTerm = this.longTermStore
+      .filter(item => !sessionIds.has(item.id))
+      .map(item => ({ ...item, tier: 'longTerm' }));
+
+    // Stable sort keeps session order for items saved in the same millisecond
+    return [...longTerm, ...session].sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+  }
+
+  /**
+   * Count relevant retrieval hits as reuses; reused items may be promoted to long-term memory
+   * @param {Array} results - Retrieved items marked relevant or not by the retriever
+   */
+  trackReuse(results) {
+    const reused = results.filter(result => result.relevant);
+    if (reused.length === 0) {
+      return;
+    }
+
+    const lastUsedAt = new Date().toISOString();
+    const items = reused.map(result => {
+      const matches = this.findItems(result.id);
+      matches.forEach(item => {
+        const usage = this.getUsage(item);
+        usage.reuses++;
+        usage.lastUsedAt = lastUsedAt;
+      });
+      return matches[0];
     });
 
-    // 3. Sort by score (descending) and return top K
-    const sorted = scoredItems.sort((a, b) => b.score - a.score);
-    const topResults = sorted.slice(0, topK);
+    this.persistReuse(items).catch(error => {
+      this.warn('Failed to record memory reuse:', error.message);
+    });
+  }
 
-    this.log('🔍', 'Retrieved', topResults.length, 'semantically relevant items');
+  /**
+   * Save updated usage counts and promote items that now qualify
+   * @param {Array} items - Reused memory items
+   * @returns {Promise<void>}
+   */
+  async persistReuse(items) {
+    await this.saveMemoryToStorage();
+    for (const item of items) {
+      await this.promoteIfEligible(item);
+    }
+  }
 
-    return topResults;
+  /**
+   * Usage record of a memory item, created on first use
+   * @param {Object} item - Memory item
+   * @returns {Object} - {reuses, pinned, useful, lastUsedAt}
+   */
+  getUsage(item) {
+    if (!item.usage) {
+      item.usage = { reuses: 0, pinned: false, useful: false, lastUsedAt: null };
+    }
+    return item.usage;
+  }
+
+  /**
+   * Find a memory item in both tiers
+   * @param {string} id - Memory item ID
+   * @returns {Array} - The session copy and/or the long-term copy
+   */
+  findItems(id) {
+    return [
+      this.memoryStore.find(item => item.id === id),
+      this.longTermStore.find(item => item.id === id)
+    ].filter(Boolean);
   }
 
   /**
@@ -328,43 +780,11 @@ class MemoryService extends window.BaseService {
    *
    * @param {string} query - User query
    * @param {Object} item - Memory item (with query and content fields)
+   * @param {Array} corpus - Items the score is relative to (defaults to the session memory)
    * @returns {number} - BM25 score
    */
-  calculateBM25Score(query, item) {
-    // BM25 parameters
-    const k1 = 1.5; // Term frequency saturation parameter
-    const b = 0.75; // Length normalization parameter
-
-    // Combine item query and content for matching
-    const document = `${item.query} ${item.content}`.toLowerCase();
-    const queryTerms = this.tokenize(query.toLowerCase());
-    const docTerms = this.tokenize(document);
-
-    // Calculate average document length
-    const avgDocLength = this.getAverageDocLength();
-    const docLength = docTerms.length;
-
-    // Calculate document term frequencies
-    const docTermFreqs = this.getTermFrequencies(docTerms);
-
-    // Calculate BM25 score
-    let score = 0;
-
-    for (const term of queryTerms) {
-      const tf = docTermFreqs[term] || 0;
-      if (tf === 0) continue;
-
-      // Calculate IDF (Inverse Document Frequency)
-      const idf = this.calculateIDF(term);
-
-      // BM25 formula
-      const numerator = tf * (k1 + 1);
-      const denominator = tf + k1 * (1 - b + b * (docLength / avgDocLength));
-
-      score += idf * (numerator / denominator);
-    }
-
-    return score;
+  calculateBM25Score(query, item, corpus = this.memoryStore) {
+    return this.bm25.score(query, item, corpus);
   }
 
   /**
@@ -373,77 +793,20 @@ class MemoryService extends window.BaseService {
    * @returns {Array<string>} - Array of terms
    */
   tokenize(text) {
-    return text
-      .toLowerCase()
-      .replace(/[^\w\s]/g, ' ') // Remove punctuation
-      .split(/\s+/)
-      .filter(term => term.length > 2); // Filter out very short terms
-  }
-
-  /**
-   * Get term frequencies in document
-   * @param {Array<string>} terms - Array of terms
-   * @returns {Object} - Term frequency map
-   */
-  getTermFrequencies(terms) {
-    const freqs = {};
-    for (const term of terms) {
-      freqs[term] = (freqs[term] || 0) + 1;
-    }
-    return freqs;
-  }
-
-  /**
-   * Calculate average document length across all memory items
-   * @returns {number} - Average document length
-   */
-  getAverageDocLength() {
-    if (this.memoryStore.length === 0) return 0;
-
-    const totalLength = this.memoryStore.reduce((sum, item) => {
-      const doc = `${item.query} ${item.content}`;
-      return sum + this.tokenize(doc.toLowerCase()).length;
-    }, 0);
-
-    return totalLength / this.memoryStore.length;
-  }
-
-  /**
-   * Calculate IDF (Inverse Document Frequency) for a term
-   * IDF measures how unique/rare a term is across all documents
-   *
-   * @param {string} term - Term to calculate IDF for
-   * @returns {number} - IDF score
-   */
-  calculateIDF(term) {
-    const N = this.memoryStore.length; // Total number of documents
-
-    // Count documents containing the term
-    let docsWithTerm = 0;
-    for (const item of this.memoryStore) {
-      const doc = `${item.query} ${item.content}`.toLowerCase();
-      if (doc.includes(term)) {
-        docsWithTerm++;
-      }
-    }
-
-    // IDF formula: log((N - df + 0.5) / (df + 0.5) + 1)
-    // Adding smoothing to avoid division by zero
-    if (docsWithTerm === 0) return 0;
-
-    return Math.log((N - docsWithTerm + 0.5) / (docsWithTerm + 0.5) + 1);
+    return this.bm25.tokenize(text);
   }
 
   /**
    * Get context string from retrieved relevant conversations
    * @param {string} query - User query
    * @param {number} topK - Number of relevant items to retrieve
+   * @param {Object|null} scope - Current scope ({domain or url, platform, counterpart})
    * @returns {string} - Formatted context string
    */
-  getRelevantContextString(query, topK = 5) {
+  getRelevantContextString(query, topK = 5, scope = null) {
     this.ensureInitialized();
 
-    const relevant = this.retrieveRelevant(query, topK);
+    const relevant = this.retrieveRelevant(query, topK, scope);
     if (relevant.length === 0) {
       return '';
     }
@@ -494,6 +857,184 @@ class MemoryService extends window.BaseService {
     return true;
   }
 
+  /**
+   * Pin a conversation so it is kept long-term and never expires by age
+   * @param {string} id - Memory item ID
+   * @returns {Promise<boolean>} - True if the conversation is now in long-term memory
+   */
+  async pinConversation(id) {
+    return this.flagConversation(id, 'pinned');
+  }
+
+  /**
+   * Mark a conversation as useful so it is kept long-term
+   * @param {string} id - Memory item ID
+   * @returns {Promise<boolean>} - True if the conversation is now in long-term memory
+   */
+  async markUseful(id) {
+    return this.flagConversation(id, 'useful');
+  }
+
+  /**
+   * Set a usage flag on a conversation in both tiers and promote it
+   * @param {string} id - Memory item ID
+   * @param {string} flag - 'pinned' or 'useful'
+   * @returns {Promise<boolean>} - True if the conversation is now in long-term memory
+   */
+  async flagConversation(id, flag) {
+    this.ensureInitialized();
+    this.validateRequired(id, 'id');
+
+    const items = this.findItems(id);
+    if (items.length === 0) {
+      this.warn('Memory item not found:', id);
+      return false;
+    }
+
+    items.forEach(item => {
+      this.getUsage(item)[flag] = true;
+    });
+    await this.saveMemoryToStorage();
+
+    return this.promoteIfEligible(items[0]);
+  }
+
+  /**
+   * Copy a memory item into long-term memory if it was reused enough, pinned or marked useful
+   * An item already kept long-term is updated with its latest usage.
+   * @param {Object} item - Memory item
+   * @returns {Promise<boolean>} - True if the item is in long-term memory
+   */
+  async promoteIfEligible(item) {
+    if (!this.longTermEnabled || !this.longTermStorage || !item) {
+      return false;
+    }
+
+    const usage = this.getUsage(item);
+    if (!usage.pinned && !usage.useful && usage.reuses < this.PROMOTE_AFTER_REUSES) {
+      return false;
+    }
+
+    const { tier, score, retrievalType, ...stored } = item;
+    const existingIndex = this.longTermStore.findIndex(kept => kept.id === item.id);
+    const record = {
+      ...stored,
+      usage: { ...usage },
+      promotedAt: existingIndex === -1 ? new Date().toISOString() : this.longTermStore[existingIndex].promotedAt
+    };
+
+    try {
+      await this.longTermStorage.saveLongTermMemory(record);
+    } catch (error) {
+      this.handleError('Failed to save long-term memory', error, false);
+      return false;
+    }
+
+    if (existingIndex === -1) {
+      this.longTermStore.push(record);
+      this.log('📌', 'Promoted to long-term memory:', record.id);
+    } else {
+      this.longTermStore[existingIndex] = record;
+    }
+
+    await this.applyLongTermRetention();
+    return this.longTermStore.some(kept => kept.id === record.id);
+  }
+
+  /**
+   * Drop unpinned long-term items unused for too long, then the least recently used beyond the item limit
+   * @returns {Promise<number>} - Number of items dropped
+   */
+  async applyLongTermRetention() {
+    const lastUsed = (item) => Date.parse(item.usage?.lastUsedAt || item.promotedAt || item.timestamp) || 0;
+    const cutoff = Date.now() - this.LONG_TERM_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+
+    const expired = this.longTermStore.filter(item => !item.usage?.pinned && lastUsed(item) < cutoff);
+    const kept = this.longTermStore.filter(item => !expired.includes(item));
+
+    // Over the limit: unpinned items go first, least recently used first
+    const overflow = kept.length - this.LONG_TERM_MAX_ITEMS;
+    const evicted = overflow > 0
+      ? [...kept]
+        .sort((a, b) => Number(Boolean(a.usage?.pinned)) - Number(Boolean(b.usage?.pinned)) || lastUsed(a) - lastUsed(b))
+        .slice(0, overflow)
+      : [];
+
+    const dropped = [...expired, ...evicted];
+    if (dropped.length === 0) {
+      return 0;
+    }
+
+    this.longTermStore = this.longTermStore.filter(item => !dropped.includes(item));
+    for (const item of dropped) {
+      try {
+        await this.longTermStorage.deleteLongTermMemory(item.id);
+      } catch (error) {
+        this.warn('Failed to drop long-term memory item:', item.id, error.message);
+      }
+    }
+
+    this.log('🗑️', 'Long-term retention dropped', dropped.length, 'items');
+    return dropped.length;
+  }
+
+  /**
+   * Get what is remembered long-term
+   * @returns {Array} - Long-term memory items, most recently used first
+   */
+  getLongTermMemories() {
+    const lastUsed = (item) => Date.parse(item.usage?.lastUsedAt || item.promotedAt || item.timestamp) || 0;
+    return [...this.longTermStore].sort((a, b) => lastUsed(b) - lastUsed(a));
+  }
+
+  /**
+   * Forget a long-term conversation (its session copy is removed too, so it is not promoted again)
+   * @param {string} id - Memory item ID
+   * @returns {Promise<boolean>} - True if deleted, false if not found
+   */
+  async deleteLongTermMemory(id) {
+    this.ensureInitialized();
+    this.validateRequired(id, 'id');
+
+    const index = this.longTermStore.findIndex(item => item.id === id);
+    if (index === -1) {
+      this.warn('Long-term memory item not found:', id);
+      return false;
+    }
+
+    await this.longTermStorage.deleteLongTermMemory(id);
+    this.longTermStore.splice(index, 1);
+
+    if (this.memoryStore.some(item => item.id === id)) {
+      this.memoryStore = this.memoryStore.filter(item => item.id !== id);
+      await this.saveMemoryToStorage();
+    }
+
+    this.log('🗑️', 'Deleted long-term memory item:', id);
+    return true;
+  }
+
+  /**
+   * Forget everything remembered long-term (and the session copies of those conversations)
+   */
+  async clearLongTermMemory() {
+    this.ensureInitialized();
+
+    if (this.longTermStorage) {
+      await this.longTermStorage.clearLongTermMemory();
+    }
+
+    const forgotten = new Set(this.longTermStore.map(item => item.id));
+    this.longTermStore = [];
+
+    if (this.memoryStore.some(item => forgotten.has(item.id))) {
+      this.memoryStore = this.memoryStore.filter(item => !forgotten.has(item.id));
+      await this.saveMemoryToStorage();
+    }
+
+    this.log('🗑️', 'Cleared long-term memory:', forgotten.size, 'items removed');
+  }
+
   /**
    * Get memory statistics
    * @returns {Object} - Statistics about the memory store
@@ -524,7 +1065,9 @@ class MemoryService extends window.BaseService {
       spaceSaved: totalOriginalChars - totalStoredChars,
       intentBreakdown: intentBreakdown,
       oldestConversation: totalItems > 0 ? this.memoryStore[0].timestamp : null,
-      newestConversation: totalItems > 0 ? this.memoryStore[totalItems - 1].timestamp : null
+      newestConversation: totalItems > 0 ? this.memoryStore[totalItems - 1].timestamp : null,
+      longTermEnabled: this.longTermEnabled,
+      longTermConversations: this.longTermStore.length
     };
   }
 
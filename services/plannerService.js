@@ -1,52 +1,485 @@
-export class PlannerService {
-  constructor(apiService, searchService, memoryService) {
-    this.api = apiService;
-    this.search = searchService;
-    this.memory = memoryService;
-  }
-
-  async generatePlanReAct(query) {
-    const history = [];
-    let reasoning = `Task: ${query}\nLet's plan step by step.`;
-    let finalAnswer = null;
-
-    for (let step = 0; step < 5; step++) {
-      // 🧠 Step 1: Reason
-      const thoughtPrompt = `
-        ${reasoning}
-        You can: (1) Search, (2) RecallMemory, or (3) Finish.
-        Respond with JSON:
-        {"thought":"...","action":"Search|RecallMemory|Finish","query":"..."}
-      `;
-      const decision = await this.api.query(thoughtPrompt, { parseJson: true });
-      history.push(decision);
-
-      // ⚙️ Step 2: Act
-      let observation;
-      if (decision.action === "Search") {
-        observation = await this.search.searchWeb(decision.query);
-      } else if (decision.action === "RecallMemory") {
-        observation = this.memory.getRelevantContextString(decision.query, 3);
-      } else if (decision.action === "Finish") {
-        finalAnswer = decision.thought;
+/**
+ * PlannerService - Plan mode research loop
+ * Runs a Thought → Action → Observation loop over the tools in a ToolRegistry (web search,
+ * conversation memory, stored documents, the current page, ...) before a request is handed to its
+ * intent handler. The loop ends when the model picks "finish", after maxSteps decisions, or when
+ * the next prompt would exceed the token budget.
+ * In Plan mode, proposePlan() first lists the lookups for the user to review; the approved ones then
+ * run through the same loop, which can adjust or skip each one after seeing what the earlier ones found.
+ */
+
+const PLANNER_SYSTEM_PROMPT = 'You are the planning step of a writing assistant. You gather only the context needed to complete the user\'s request, one tool call at a time, and answer in JSON.';
+
+class PlannerService {
+  /**
+   * @param {Object} options - Planner dependencies and limits
+   * @param {ToolRegistry} options.registry - Tools the planner can call (defaults to the built-in tools)
+   * @param {Function} options.promptServiceFactory - Returns a fresh PromptService-like object for one run
+   * @param {SearchService} options.searchService - Web search
+   * @param {MemoryService} options.memoryService - Conversation memory
+   * @param {Object} options.documentService - Stored documents (DocumentService statics)
+   * @param {StorageManager} options.storageManager - Rewrite history
+   * @param {TranslationService} options.translationService - Language detection
+   * @param {ProofreaderService} options.proofreaderService - Proofreading
+   * @param {Function} options.pageContextProvider - async () => { title, url, description, text }
+   * @param {number} options.maxSteps - Maximum number of decisions per run
+   * @param {number} options.tokenBudget - Estimated prompt + response tokens per run
+   * @param {number} options.maxObservationChars - Observations are truncated to this length
+   */
+  constructor(options = {}) {
+    this.registry = options.registry || window.createDefaultToolRegistry();
+    this.promptServiceFactory = options.promptServiceFactory || (() => new window.PromptService(PLANNER_SYSTEM_PROMPT));
+    this.services = {
+      searchService: options.searchService || null,
+      memoryService: options.memoryService || null,
+      documentService: options.documentService || (typeof window !== 'undefined' ? window.DocumentService : null) || null,
+      storageManager: options.storageManager || null,
+      translationService: options.translationService || null,
+      proofreaderService: options.proofreaderService || null,
+      pageContextProvider: options.pageContextProvider || null
+    };
+    this.maxSteps = options.maxSteps ?? 5;
+    this.tokenBudget = options.tokenBudget ?? 3000;
+    this.maxObservationChars = options.maxObservationChars ?? 800;
+  }
+
+  /**
+   * Set or replace services the tools use (e.g. once memory or storage is ready)
+   * @param {Object} services - Services keyed like the constructor options
+   */
+  setServices(services) {
+    Object.assign(this.services, services);
+  }
+
+  /**
+   * Build the environment passed to tools
+   * @param {Object} context - Request context
+   * @param {Object} run - Current run (tools add sources to it)
+   * @param {AbortSignal} signal - Cancels tool calls that support it
+   * @returns {Object} env
+   */
+  createEnv(context, run, signal = null) {
+    return { ...this.services, context, run, signal };
+  }
+
+  /**
+   * Build the opening prompt of a run
+   * @param {string} query - User request
+   * @param {Object} context - Request context
+   * @param {string} context.selectedText - Selected text, if any
+   * @param {string} context.intent - Routed intent
+   * @param {Array<string>} toolNames - Tools offered to the model
+   * @returns {string} Prompt
+   */
+  buildTaskPrompt(query, context, toolNames) {
+    return `${this.buildRequestSection(query, context)}
+Decide whether more context is needed before writing. Available actions:
+${this.buildActionsSection(toolNames)}
+
+Call one action at a time. Do not repeat an action with the same arguments. Pick "finish" as soon as you have enough.
+Respond with JSON: {"thought": "...", "action": "...", "args": {...}}`;
+  }
+
+  /**
+   * Build the prompt after an approved lookup ran: what it found and the approved lookups still waiting
+   * @param {string} query - User request
+   * @param {Object} context - Request context
+   * @param {Array<string>} toolNames - Approved tools
+   * @param {Object} step - Lookup that just ran
+   * @param {Array<Object>} pending - Approved lookups still waiting, in order
+   * @param {boolean} opening - Whether this is the run's first prompt (the request and tools are included)
+   * @returns {string} Prompt
+   */
+  buildApprovedStepPrompt(query, context, toolNames, step, pending, opening) {
+    const intro = opening
+      ? `${this.buildRequestSection(query, context)}
+The user approved lookups to run before writing. Available actions:
+${this.buildActionsSection(toolNames)}
+
+`
+      : '';
+    const waiting = pending
+      .map(approved => `- ${approved.action}(${JSON.stringify(approved.args || {})})${approved.reason ? `: ${approved.reason}` : ''}`)
+      .join('\n');
+
+    return `${intro}Observation from ${step.action}:
+${step.observation}
+
+Approved lookups still to run, in order:
+${waiting}
+
+Pick the next one, changing its arguments if what you found calls for it. You may skip one that is no longer needed, or pick "finish" as soon as you have enough.
+Respond with JSON: {"thought": "...", "action": "...", "args": {...}}`;
+  }
+
+  /**
+   * @param {string} query - User request
+   * @param {Object} context - Request context ({selectedText, intent})
+   * @returns {string} The request, selection and routed intent for a planner prompt
+   */
+  buildRequestSection(query, context) {
+    const selection = context.selectedText
+      ? `\nSelected text: "${this.truncate(context.selectedText, 300)}"`
+      : '';
+
+    return `Request: "${query}"${selection}
+${context.intent ? `The request will be handled as: ${context.intent}\n` : ''}`;
+  }
+
+  /**
+   * @param {Array<string>} toolNames - Tools offered to the model
+   * @returns {string} One line per action, finish included
+   */
+  buildActionsSection(toolNames) {
+    return [
+      this.registry.buildPromptSection(toolNames),
+      '- finish({notes?: string}): Stop gathering. notes: the facts you found that matter for the request.'
+    ].filter(Boolean).join('\n');
+  }
+
+  /**
+   * Run the planning loop
+   * With approvedSteps, the loop walks a plan the user approved instead of picking its own tools: the
+   * first lookup runs as approved, then after each observation the model picks the next approved
+   * lookup (changing its arguments to fit what was found), skips ahead, or finishes. Only approved
+   * lookups can run, and the step cap and token budget still apply.
+   * @param {string} query - User request
+   * @param {Object} context - Request context
+   * @param {string} context.selectedText - Selected text, if any
+   * @param {string} context.domain - Site the request comes from, if known
+   * @param {string} context.intent - Routed intent
+   * @param {Object} options - Run options
+   * @param {Array<Object>} options.approvedSteps - Approved tool steps ({id, action, args, reason}), in order
+   * @param {Object} options.run - Run to continue, so steps, sources and tokens add up across calls
+   * @param {Function} options.onStep - Called with each step as it starts ('active') and ends ('completed');
+   *   steps taken from the approved plan carry its approvedId
+   * @param {AbortSignal} options.signal - Cancels the run; it stops with stoppedBy 'cancelled'
+   * @returns {Promise<Object>} { steps, notes, context, sources, stoppedBy, tokensUsed, error }
+   */
+  async plan(query, context = {}, options = {}) {
+    const onStep = options.onStep || (() => {});
+    const run = options.run || { steps: [], notes: '', sources: [], tokensUsed: 0, error: null };
+    run.tokensUsed = run.tokensUsed || 0;
+    run.stoppedBy = 'max-steps';
+    const signal = options.signal || null;
+    const env = this.createEnv(context, run, signal);
+    // Approved lookups still waiting to run (null when the loop picks its own tools)
+    const pending = options.approvedSteps ? [...options.approvedSteps] : null;
+    const toolNames = pending ? [...new Set(pending.map(step => step.action))] : this.registry.getAvailable(env);
+    const promptService = this.promptServiceFactory();
+
+    let prompt = pending ? null : this.buildTaskPrompt(query, context, toolNames);
+    let prompted = false;
+
+    for (let taken = 0; taken < this.maxSteps; taken++) {
+      if (signal?.aborted) {
+        run.stoppedBy = 'cancelled';
+        break;
+      }
+      if (pending && pending.length === 0) {
+        run.stoppedBy = 'plan-complete';
+        break;
+      }
+
+      let decision;
+      if (!prompt) {
+        // The first approved lookup has nothing to react to yet, so it runs as approved
+        decision = { thought: pending[0].reason || '', action: pending[0].action, args: pending[0].args };
+      } else {
+        const promptTokens = this.estimateTokens(prompt);
+        if (run.tokensUsed + promptTokens > this.tokenBudget) {
+          console.log(`🧭 PlannerService: Token budget reached (${run.tokensUsed}/${this.tokenBudget})`);
+          run.stoppedBy = 'token-budget';
+          break;
+        }
+
+        try {
+          const offered = pending ? [...new Set(pending.map(step => step.action))] : toolNames;
+          const response = await promptService.sendStructured(prompt, {
+            schema: this.registry.buildDecisionSchema(offered),
+            fallback: { thought: '', action: 'finish', args: {} },
+            ...(signal ? { signal } : {})
+          });
+          prompted = true;
+          run.tokensUsed += promptTokens + this.estimateTokens(response.raw || '');
+          decision = response.data;
+        } catch (error) {
+          if (signal?.aborted) {
+            run.stoppedBy = 'cancelled';
+            break;
+          }
+          console.warn('⚠️ PlannerService: Decision failed:', error);
+          run.stoppedBy = 'error';
+          run.error = error.message;
+          break;
+        }
+
+        if (!decision) {
+          run.stoppedBy = 'error';
+          run.error = 'Planner response did not match the decision schema';
+          break;
+        }
+      }
+
+      const step = {
+        index: run.steps.length + 1,
+        thought: (decision.thought || '').trim(),
+        action: decision.action,
+        args: decision.args || {},
+        observation: null,
+        error: null,
+        status: 'active'
+      };
+
+      if (pending && step.action !== 'finish') {
+        // The first waiting lookup of the picked tool runs (any before it are skipped), with the
+        // arguments the model changed and the approved ones for the rest
+        const position = pending.findIndex(approved => approved.action === step.action);
+        if (position === -1) {
+          run.stoppedBy = 'error';
+          run.error = `${step.action} is not an approved lookup`;
+          break;
+        }
+        const approved = pending.splice(0, position + 1).pop();
+        step.approvedId = approved.id;
+        step.args = { ...approved.args, ...step.args };
+        step.thought = step.thought || approved.reason || '';
+      }
+      run.steps.push(step);
+
+      if (step.action === 'finish') {
+        step.status = 'completed';
+        run.notes = typeof step.args.notes === 'string' ? step.args.notes.trim() : '';
+        run.stoppedBy = 'finish';
+        onStep(step);
         break;
       }
 
-      // 👀 Step 3: Observe
-      reasoning += `
-Thought: ${decision.thought}
-Action: ${decision.action}(${decision.query})
-Observation: ${JSON.stringify(observation).slice(0, 500)}
-`;
+      onStep(step);
+      const outcome = await this.registry.execute(step.action, step.args, env);
+      step.args = outcome.args || step.args;
+      step.error = outcome.error;
+      step.observation = outcome.ok
+        ? this.truncate(String(outcome.output || 'Nothing found.'), this.maxObservationChars)
+        : outcome.error;
+      step.status = 'completed';
+      onStep(step);
+
+      prompt = pending
+        ? this.buildApprovedStepPrompt(query, context, toolNames, step, pending, !prompted)
+        : `Observation from ${step.action}:\n${step.observation}\n\nDecide the next action. Respond with JSON.`;
+    }
+
+    if (pending && pending.length === 0 && run.stoppedBy === 'max-steps') {
+      run.stoppedBy = 'plan-complete';
+    }
+
+    run.context = this.buildContext(run);
+    console.log(`🧭 PlannerService: ${run.steps.length} step(s), stopped by ${run.stoppedBy}, ~${run.tokensUsed} tokens`);
+    return run;
+  }
+
+  /**
+   * Propose a plan for the user to review before anything runs: the lookups to make, in order,
+   * followed by the generation steps the router picked
+   * @param {string} query - User request
+   * @param {Object} context - Request context ({selectedText, domain, intent})
+   * @param {Array<Object>} generateSteps - Generation steps ({intent, instruction, ...})
+   * @param {Object} options - Proposal options
+   * @param {AbortSignal} options.signal - Cancels the proposal call
+   * @returns {Promise<Object>} { query, steps, constraints, proposedBy, error }
+   */
+  async proposePlan(query, context = {}, generateSteps = [], options = {}) {
+    const env = this.createEnv(context, { steps: [], sources: [] });
+    const toolNames = this.registry.getAvailable(env);
+    const plan = { query, steps: [], constraints: [], proposedBy: 'planner', error: null };
+
+    if (toolNames.length > 0) {
+      try {
+        const response = await this.promptServiceFactory().sendStructured(this.buildProposalPrompt(query, context, toolNames), {
+          schema: this.buildProposalSchema(toolNames),
+          fallback: { steps: [] },
+          ...(options.signal ? { signal: options.signal } : {})
+        });
+        (response.data?.steps || []).forEach(proposed => {
+          const checked = this.registry.validateArgs(proposed.action, proposed.args);
+          if (!checked.valid) {
+            console.warn(`⚠️ PlannerService: Dropping proposed ${proposed.action} step:`, checked.errors);
+            return;
+          }
+          plan.steps.push(this.createToolStep(proposed.action, checked.value, proposed.reason));
+        });
+      } catch (error) {
+        console.warn('⚠️ PlannerService: Plan proposal failed, proposing generation only:', error);
+        plan.proposedBy = 'fallback';
+        plan.error = error.message;
+      }
+    }
+
+    generateSteps.forEach(step => {
+      plan.steps.push({ kind: 'generate', ...step, originalInstruction: step.instruction });
+    });
+    plan.steps.forEach((step, index) => {
+      step.id = `plan-${index + 1}`;
+    });
+
+    console.log('🧭 PlannerService: Proposed plan:', plan.steps.map(step => step.action || step.intent).join(' → '));
+    return plan;
+  }
+
+  /**
+   * Build a reviewable tool step
+   * @param {string} action - Tool name
+   * @param {Object} args - Validated arguments
+   * @param {string} reason - Why the step is needed
+   * @returns {Object} Tool step
+   */
+  createToolStep(action, args, reason = '') {
+    const tool = this.registry.get(action);
+    return {
+      kind: 'tool',
+      action,
+      args,
+      reason: (reason || '').trim(),
+      label: tool?.label || action,
+      argSchema: tool?.args || { type: 'object', properties: {} }
+    };
+  }
+
+  /**
+   * Describe a plan step in one line ("Searching the web: acme launch", "rewrite: make it formal")
+   * @param {Object} step - Tool or generation step
+   * @returns {string}
+   */
+  describeStep(step) {
+    if (step.kind === 'tool') {
+      return `${step.label || step.action}${this.describeArgs(step.args)}`;
     }
+    return `${step.intent}: ${step.instruction}`;
+  }
 
-    // 🏁 Step 4: Summarize Plan
-    const planPrompt = `
-${reasoning}
-Now, produce a structured plan with numbered steps, each with reasoning and outcome.
-`;
-    const plan = await this.api.query(planPrompt);
+  /**
+   * Build the prompt that asks for a whole plan up front
+   * @param {string} query - User request
+   * @param {Object} context - Request context
+   * @param {Array<string>} toolNames - Tools offered to the model
+   * @returns {string} Prompt
+   */
+  buildProposalPrompt(query, context, toolNames) {
+    return `${this.buildRequestSection(query, context)}
+List the lookups to run, in order, before writing (at most ${this.maxSteps}). Available tools:
+${this.registry.buildPromptSection(toolNames)}
 
-    return { type: "plan", primary: plan, trace: history };
+Only include lookups the request needs. Return an empty list if none are needed.
+Respond with JSON: {"steps": [{"action": "...", "args": {...}, "reason": "..."}]}`;
   }
-}
\ No newline at end of file
+
+  /**
+   * Build the JSON schema for a proposed plan
+   * @param {Array<string>} toolNames - Tools offered to the model
+   * @returns {Object} JSON schema
+   */
+  buildProposalSchema(toolNames) {
+    return {
+      type: 'object',
+      properties: {
+        steps: {
+          type: 'array',
+          maxItems: this.maxSteps,
+          items: {
+            type: 'object',
+            properties: {
+              action: { type: 'string', enum: toolNames },
+              args: { type: 'object', default: {} },
+              reason: { type: 'string', default: '' }
+            },
+            required: ['action', 'args']
+          }
+        }
+      },
+      required: ['steps']
+    };
+  }
+
+  /**
+   * Replay one tool step of a saved trace: the recorded observation is reused and no tool runs
+   * @param {Object} step - Tool step with what was recorded ({action, args, recorded: {observation, error, sources}})
+   * @param {Object} run - Run collecting steps and sources
+   * @returns {Object} The recorded step, marked as replayed
+   */
+  replayPlanStep(step, run) {
+    const recorded = step.recorded || {};
+    const record = {
+      index: run.steps.length + 1,
+      thought: step.reason || '',
+      action: step.action,
+      args: step.args,
+      observation: recorded.observation || 'Nothing found.',
+      error: recorded.error || null,
+      status: 'completed',
+      replayed: true
+    };
+    run.steps.push(record);
+    (recorded.sources || []).forEach(source => run.sources.push(source));
+    return record;
+  }
+
+  /**
+   * Turn the run into context for the intent handler
+   * @param {Object} run - Finished run
+   * @returns {string} Research notes, or '' when nothing was gathered
+   */
+  buildContext(run) {
+    const observations = run.steps
+      .filter(step => step.observation && !step.error)
+      .map(step => `[${step.action}${this.describeArgs(step.args)}]\n${step.observation}`);
+
+    if (observations.length === 0 && !run.notes) {
+      return '';
+    }
+
+    const sections = ['RESEARCH NOTES FROM PLANNING:'];
+    if (run.notes) {
+      sections.push(run.notes);
+    }
+    sections.push(...observations);
+    return sections.join('\n\n');
+  }
+
+  /**
+   * Summarize tool arguments for the research notes
+   * @param {Object} args - Tool arguments
+   * @returns {string} ": value, value" or ''
+   */
+  describeArgs(args) {
+    const values = Object.values(args || {}).filter(value => value !== '' && value !== null && value !== undefined);
+    return values.length > 0 ? `: ${values.join(', ')}` : '';
+  }
+
+  /**
+   * Rough token estimate (about four characters per token)
+   * @param {string} text - Text
+   * @returns {number} Estimated tokens
+   */
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+
+  /**
+   * Cut text to a maximum length
+   * @param {string} text - Text
+   * @param {number} maxLength - Maximum length
+   * @returns {string} Truncated text
+   */
+  truncate(text, maxLength) {
+    return text.length > maxLength ? `${text.substring(0, maxLength)}...` : text;
+  }
+}
+
+// Export to window for Chrome extension compatibility
+if (typeof window !== 'undefined') {
+  window.PlannerService = PlannerService;
+  console.log('✅ PlannerService exported to window');
+} else {
+  console.error('❌ Window object not available - PlannerService not exported');
+}
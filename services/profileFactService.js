@@ -0,0 +1,395 @@
+/**
+ * ProfileFactService - Facts about the user learned from their conversations
+ *
+ * Uses chrome.storage.local so facts stay on this device and survive restarts.
+ * After each conversation is saved, the query ("I work at Acme as a PM") and, for drafts the
+ * user asked to write, the result (a "Best, Jiwon" sign-off) are scanned for the user's name, role, company, sign-off and
+ * product names. Nothing is used until the user confirms it; confirmed facts are added to
+ * write and rewrite context when the request calls for them.
+ */
+
+// Words that start a role but are not one ("I'm a bit late for Monday")
+const NOT_A_ROLE = /^(bit|little|lot|fan|big|huge|part|one|person|guy|girl)\b/i;
+// Capitalized words that follow "call me" but are not a name ("ask Dan to call me Monday")
+const NOT_A_NAME = /^(monday|tuesday|wednesday|thursday|friday|saturday|sunday|january|february|march|april|may|june|july|august|september|october|november|december|today|tomorrow|tonight|morning|afternoon|evening|noon|later|soon|asap|back|next|this|anytime|weekend)\b/i;
+const NAME = "[A-Z][\\p{Ll}'-]+(?: [A-Z][\\p{Ll}'-]+)?";
+const COMPANY = '[A-Z][\\w&.-]*(?: [A-Z][\\w&.-]*){0,2}';
+const ROLE = '[A-Za-z][A-Za-z-]*(?: [A-Za-z][A-Za-z-]*){0,3}?';
+
+class ProfileFactService extends window.BaseService {
+  constructor() {
+    super('ProfileFactService');
+
+    this.facts = [];
+
+    // Configuration
+    this.STORAGE_KEY = 'profileFacts';
+    this.MAX_FACTS = 100; // Oldest unconfirmed facts are dropped beyond this
+    this.MAX_VALUE_LENGTH = 80;
+    this.SINGLE_VALUED = new Set(['name', 'role', 'company', 'signOff']); // Confirming one replaces the last
+    this.LABELS = {
+      name: 'Name',
+      role: 'Role',
+      company: 'Works at',
+      signOff: 'Signs emails as',
+      product: 'Product'
+    };
+
+    // Statements about the user in their own requests; each capture group is the fact named in keys
+    this.STATEMENTS = [
+      { keys: ['name'], pattern: new RegExp(`\\b[Mm]y name is (${NAME})`, 'u') },
+      { keys: ['name'], pattern: new RegExp(`\\b[Cc]all me (${NAME})`, 'u') },
+      { keys: ['name'], pattern: new RegExp(`\\b[Ii](?:'m| am) (${NAME}) from\\b`, 'u') },
+      { keys: ['company'], pattern: new RegExp(`\\b[Ii] (?:work|am working) (?:at|for) (${COMPANY})`) },
+      { keys: ['company', 'role'], pattern: new RegExp(`\\b[Ii] (?:work|am working) (?:at|for) (${COMPANY}) as (?:an? |the )?(${ROLE})(?=[,.;!?]|$| and\\b)`) },
+      { keys: ['role', 'company'], pattern: new RegExp(`\\b[Ii](?:'m| am| work as) (?:an? |the )(${ROLE}) (?:at|for) (${COMPANY})`) },
+      { keys: ['company'], pattern: new RegExp(`\\b[Mm]y (?:company|employer) is (${COMPANY})`) },
+      { keys: ['role'], pattern: new RegExp(`\\b[Mm]y (?:role|title|job title) is (?:an? |the )?(${ROLE})(?=[,.;!?]|$| and\\b| at\\b)`) },
+      { keys: ['product'], pattern: new RegExp(`\\b[Oo]ur (?:product|app|tool|platform|service),? (?:called |named )?(${COMPANY})`) },
+      { keys: ['signOff'], pattern: /\b[Ss]ign(?: it| off| emails| my emails)? (?:as|with) ["“']?([A-Z][^"”'\n]{1,40}?)["”']?(?=[.!?]?$|["”'])/mu }
+    ];
+
+    // Closing lines of a letter or email ("Best,\nJiwon" or "Best, Jiwon")
+    this.CLOSINGS = /^(Best|Best regards|Best wishes|Kind regards|Warm regards|Warmly|Regards|Thanks|Thank you|Many thanks|Cheers|Sincerely|All the best)\b,?$/i;
+
+    // Which facts a request calls for, by its wording or its output type
+    this.RELEVANCE = {
+      name: /\b(email|letter|reply|respond|message|note|introduc\w*|sign\w*|bio|about me|cover letter|follow[- ]up|thank)/i,
+      signOff: /\b(email|letter|reply|respond|message|note|sign\w*|follow[- ]up|thank)/i,
+      role: /\b(introduc\w*|bio|about me|linkedin|cover letter|job|role|position|team|client|customer|pitch|outreach|networking|colleague|work)/i,
+      company: /\b(introduc\w*|bio|about me|linkedin|cover letter|job|company|team|client|customer|pitch|outreach|networking|colleague|work)/i,
+      product: /\b(product|launch|release|feature|announc\w*|demo|customer|pitch)/i
+    };
+    this.OUTPUT_TYPE_FACTS = {
+      email: ['name', 'signOff', 'role', 'company'],
+      letter: ['name', 'signOff', 'role', 'company'],
+      response: ['name', 'signOff'],
+      post: ['role', 'company', 'product'],
+      announcement: ['company', 'product']
+    };
+  }
+
+  async onInitialize() {
+    await this.loadFactsFromStorage();
+
+    this.isAvailable = true;
+    this.log('✅', 'ProfileFactService initialized with', this.getConfirmedFacts().length, 'confirmed facts');
+  }
+
+  /**
+   * Load facts from Chrome local storage
+   */
+  async loadFactsFromStorage() {
+    try {
+      const result = await chrome.storage.local.get(this.STORAGE_KEY);
+      const stored = result[this.STORAGE_KEY];
+
+      if (stored && Array.isArray(stored)) {
+        this.facts = stored;
+        this.log('📚', 'Loaded', stored.length, 'profile facts');
+      }
+    } catch (error) {
+      this.handleError('Failed to load profile facts', error, false);
+      this.facts = [];
+    }
+  }
+
+  /**
+   * Save facts to Chrome local storage
+   */
+  async saveFactsToStorage() {
+    try {
+      await chrome.storage.local.set({ [this.STORAGE_KEY]: this.facts });
+      this.log('💾', 'Saved', this.facts.length, 'profile facts');
+    } catch (error) {
+      this.handleError('Failed to save profile facts', error, false);
+    }
+  }
+
+  /**
+   * Find candidate facts in a conversation
+   * @param {string} query - What the user asked (statements about themselves)
+   * @param {string} content - The result (a sign-off at its end)
+   * @param {string|null} resultType - Result type ('write', 'rewrite', ...); only the user's own drafts carry their sign-off,
+   *   a rewrite or summary may end with someone else's
+   * @returns {Array<Object>} Candidates ({key, value}), without duplicates
+   */
+  extractFacts(query, content = '', resultType = null) {
+    const candidates = [];
+
+    this.STATEMENTS.forEach(({ keys, pattern }) => {
+      const match = (query || '').match(pattern);
+      const role = match && keys.includes('role') ? match[keys.indexOf('role') + 1] : null;
+      const name = match && keys.includes('name') ? match[keys.indexOf('name') + 1] : null;
+      if (!match || (role && NOT_A_ROLE.test(role)) || (name && NOT_A_NAME.test(name))) {
+        return;
+      }
+      keys.forEach((key, index) => candidates.push({ key, value: match[index + 1] }));
+    });
+
+    const signOff = resultType === 'write' ? this.extractSignOff(content) : null;
+    if (signOff) {
+      candidates.push({ key: 'signOff', value: signOff });
+    }
+
+    const seen = new Set();
+    return candidates
+      .map(candidate => ({ key: candidate.key, value: this.cleanValue(candidate.value) }))
+      .filter(candidate => {
+        if (!candidate.value) {
+          return false;
+        }
+        const id = this.factKey(candidate);
+        if (seen.has(id)) {
+          return false;
+        }
+        seen.add(id);
+        return true;
+      });
+  }
+
+  /**
+   * Read the sign-off at the end of a letter or email
+   * @param {string} content - Generated text
+   * @returns {string|null} Sign-off ("Best, Jiwon"), or null when there is none or the name is a placeholder
+   */
+  extractSignOff(content) {
+    const lines = (content || '').trim().split('\n').map(line => line.trim()).filter(Boolean);
+    const nameLine = lines[lines.length - 1] || '';
+
+    const sameLine = nameLine.match(new RegExp(`^([^,]+), (${NAME})$`, 'u'));
+    if (sameLine && this.CLOSINGS.test(sameLine[1])) {
+      return `${sameLine[1]}, ${sameLine[2]}`;
+    }
+
+    const closing = (lines[lines.length - 2] || '').replace(/,$/, '');
+    if (lines.length >= 2 && this.CLOSINGS.test(closing) && new RegExp(`^${NAME}$`, 'u').test(nameLine)) {
+      return `${closing}, ${nameLine}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Propose the facts found in a conversation that are not already known
+   * Facts the user confirmed, dismissed or has yet to decide on are not proposed again.
+   * @param {string} query - What the user asked
+   * @param {string} content - The result
+   * @param {string|null} resultType - Result type; sign-offs are read only from 'write' results
+   * @returns {Promise<Array<Object>>} Newly proposed facts
+   */
+  async proposeFacts(query, content = '', resultType = null) {
+    this.ensureInitialized();
+
+    const known = new Set(this.facts.map(fact => this.factKey(fact)));
+    const proposals = this.extractFacts(query, content, resultType)
+      .filter(candidate => !known.has(this.factKey(candidate)))
+      .map(candidate => ({
+        id: `fact_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`,
+        key: candidate.key,
+        value: candidate.value,
+        status: 'proposed',
+        source: (query || '').slice(0, 200),
+        timestamp: new Date().toISOString()
+      }));
+
+    if (proposals.length === 0) {
+      return [];
+    }
+
+    this.facts.push(...proposals);
+    this.trimFacts();
+    await this.saveFactsToStorage();
+
+    this.log('💡', 'Proposed profile facts:', proposals.map(fact => this.describeFact(fact)).join('; '));
+    return proposals;
+  }
+
+  /**
+   * Confirm a proposed fact so it is used in context
+   * @param {string} id - Fact ID
+   * @returns {Promise<Object|null>} The confirmed fact, or null when it is unknown
+   */
+  async confirmFact(id) {
+    this.ensureInitialized();
+
+    const fact = this.facts.find(item => item.id === id);
+    if (!fact) {
+      return null;
+    }
+
+    // A new name, role, company or sign-off replaces the one confirmed before
+    if (this.SINGLE_VALUED.has(fact.key)) {
+      this.facts = this.facts.filter(item => item === fact || item.key !== fact.key || item.status !== 'confirmed');
+    }
+
+    fact.status = 'confirmed';
+    fact.confirmedAt = new Date().toISOString();
+    await this.saveFactsToStorage();
+
+    this.log('✅', 'Confirmed profile fact:', this.describeFact(fact));
+    return fact;
+  }
+
+  /**
+   * Dismiss a proposed fact; it is remembered so it is not proposed again
+   * @param {string} id - Fact ID
+   * @returns {Promise<boolean>} True if the fact was found
+   */
+  async dismissFact(id) {
+    this.ensureInitialized();
+
+    const fact = this.facts.find(item => item.id === id);
+    if (!fact) {
+      return false;
+    }
+
+    fact.status = 'dismissed';
+    await this.saveFactsToStorage();
+    return true;
+  }
+
+  /**
+   * Forget a fact entirely
+   * @param {string} id - Fact ID
+   * @returns {Promise<boolean>} True if the fact was found
+   */
+  async removeFact(id) {
+    this.ensureInitialized();
+
+    const previousCount = this.facts.length;
+    this.facts = this.facts.filter(item => item.id !== id);
+    if (this.facts.length === previousCount) {
+      return false;
+    }
+
+    await this.saveFactsToStorage();
+    return true;
+  }
+
+  /**
+   * Delete all facts
+   */
+  async clearFacts() {
+    this.ensureInitialized();
+
+    const previousCount = this.facts.length;
+    this.facts = [];
+    await this.saveFactsToStorage();
+
+    this.log('🗑️', 'Cleared profile facts:', previousCount, 'removed');
+  }
+
+  /**
+   * @returns {Array<Object>} Facts the user confirmed (oldest first)
+   */
+  getConfirmedFacts() {
+    return this.facts.filter(fact => fact.status === 'confirmed');
+  }
+
+  /**
+   * @returns {Array<Object>} Facts waiting for the user to confirm or dismiss them
+   */
+  getProposedFacts() {
+    return this.facts.filter(fact => fact.status === 'proposed');
+  }
+
+  /**
+   * Confirmed facts a request calls for
+   * @param {string} query - User query or rewrite instructions
+   * @param {string|null} outputType - Routed output type ('email', 'post', ...)
+   * @returns {Array<Object>} Relevant confirmed facts
+   */
+  getRelevantFacts(query, outputType = null) {
+    const text = query || '';
+    const forOutputType = this.OUTPUT_TYPE_FACTS[outputType] || [];
+    const mentions = (value) => new RegExp(`(^|[^\\w])${value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}($|[^\\w])`, 'i').test(text);
+
+    return this.getConfirmedFacts().filter(fact =>
+      forOutputType.includes(fact.key) ||
+      this.RELEVANCE[fact.key]?.test(text) ||
+      mentions(fact.value)
+    );
+  }
+
+  /**
+   * Context block of the relevant confirmed facts
+   * @param {string} query - User query or rewrite instructions
+   * @param {string|null} outputType - Routed output type
+   * @returns {string} Context block, or '' when no fact is relevant
+   */
+  buildProfileContext(query, outputType = null) {
+    const facts = this.getRelevantFacts(query, outputType);
+    if (facts.length === 0) {
+      return '';
+    }
+
+    const lines = facts.map(fact => `- ${this.describeFact(fact)}`);
+    return `--- About the User ---\n${lines.join('\n')}\nUse these facts where they fit (for example, the sign-off of an email); do not mention them otherwise.`;
+  }
+
+  /**
+   * @param {Object} fact - Fact ({key, value})
+   * @returns {string} Readable fact ('Signs emails as: "Best, Jiwon"')
+   */
+  describeFact(fact) {
+    const value = fact.key === 'signOff' ? `"${fact.value}"` : fact.value;
+    return `${this.LABELS[fact.key] || fact.key}: ${value}`;
+  }
+
+  /**
+   * @param {Object} fact - Fact ({key, value})
+   * @returns {string} Identity used to tell whether a fact is already known
+   */
+  factKey(fact) {
+    return `${fact.key}:${fact.value.toLowerCase()}`;
+  }
+
+  /**
+   * Tidy an extracted value: collapse whitespace, drop trailing punctuation, cap the length
+   * @param {string} value - Extracted value
+   * @returns {string} Cleaned value ('' when too long to be a fact)
+   */
+  cleanValue(value) {
+    const cleaned = (value || '').replace(/\s+/g, ' ').replace(/[\s,.;:!?]+$/, '').trim();
+    return cleaned.length > this.MAX_VALUE_LENGTH ? '' : cleaned;
+  }
+
+  /**
+   * Drop the oldest unconfirmed facts beyond the limit
+   */
+  trimFacts() {
+    let excess = this.facts.length - this.MAX_FACTS;
+    if (excess <= 0) {
+      return;
+    }
+
+    this.facts = this.facts.filter(fact => {
+      if (excess > 0 && fact.status !== 'confirmed') {
+        excess--;
+        return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Get store statistics
+   * @returns {Object} Statistics about stored facts
+   */
+  getStats() {
+    return {
+      totalFacts: this.facts.length,
+      confirmedFacts: this.getConfirmedFacts().length,
+      proposedFacts: this.getProposedFacts().length
+    };
+  }
+}
+
+// Export to window globals for Chrome extension compatibility
+if (typeof window !== 'undefined') {
+  window.ProfileFactService = ProfileFactService;
+  console.log('✅ ProfileFactService exported to window');
+} else {
+  console.error('❌ Window object not available - ProfileFactService not exported');
+}
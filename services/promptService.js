@@ -1,11 +1,14 @@
 // PromptService - Handles Chrome Built-in AI interactions
 class PromptService {
-    constructor(systemPrompt = "You are a helpful and friendly assistant.", responseSchema = {
-
-    }) {
+    /**
+     * @param {string} systemPrompt - System prompt for the session
+     * @param {Object|null} responseSchema - Default JSON schema for sendStructured()
+     */
+    constructor(systemPrompt = "You are a helpful and friendly assistant.", responseSchema = null) {
         this.session = null;
         this.system = systemPrompt;
-        this.response = responseSchema
+        this.responseSchema = responseSchema;
+        this.maxRepairAttempts = 1;
     }
 
     async ensure() {
@@ -57,19 +60,438 @@ class PromptService {
      * Sends input and images.
      * @param {str} input - User query
      * @param {List[image]} images - The list of images, default is null
+     * @param {Object} options - Extra prompt options (e.g. responseConstraint, signal to cancel)
      * @returns {output} Text output of returned by prompt api
      */
-    async send(input, images = []) {
+    async send(input, images = [], options = {}) {
         const s = await this.ensure();
         const content = [{ type: "text", value: input }];
         for (const img of images) {
             content.push({ type: "image", value: img });
         }
 
-        const res = await s.prompt([{ role: "user", content } ]);
+        const res = await s.prompt([{ role: "user", content } ], options);
         const out = res?.output ?? res?.output_text ?? "";
         return String(out).trim();
     }
+
+    /**
+     * Sends input and streams the response.
+     * Aborting options.signal stops the session call; the output so far is returned instead of an error.
+     * @param {str} input - User query
+     * @param {Object} options - Extra prompt options (e.g. signal)
+     * @param {Function} onChunk - Called with (chunk, fullText) as output arrives
+     * @returns {output} Text output so far (all of it unless aborted)
+     */
+    async sendStreaming(input, options = {}, onChunk = null) {
+        const s = await this.ensure();
+        let full = '';
+
+        try {
+            const stream = s.promptStreaming([{ role: "user", content: [{ type: "text", value: input }] }], options);
+            for await (const chunk of stream) {
+                full += chunk;
+                if (onChunk) {
+                    onChunk(chunk, full);
+                }
+            }
+        } catch (error) {
+            if (options.signal?.aborted) {
+                console.log('⏹️ PromptService: Stopped, keeping partial output');
+                return full.trim();
+            }
+            throw error;
+        }
+
+        return full.trim();
+    }
+
+    /**
+     * Sends input and returns JSON validated against a schema.
+     * Invalid output gets one repair prompt (maxRepairAttempts), then the fallback is used.
+     * @param {str} input - Prompt that asks for JSON
+     * @param {Object} options - Structured output options
+     * @param {Object} options.schema - JSON schema (defaults to the constructor responseSchema)
+     * @param {Object|null} options.fallback - Values used for fields that are still invalid after repair
+     * @param {List[image]} options.images - Images to send with the prompt
+     * @param {AbortSignal} options.signal - Cancels the prompt (and any repair prompt)
+     * @returns {Object} { data, valid, raw, repairAttempts, usedFallback, coercedFields, errors }
+     */
+    async sendStructured(input, options = {}) {
+        const schema = options.schema || this.responseSchema;
+        if (!schema) {
+            throw new Error('sendStructured requires a response schema');
+        }
+
+        const fallback = options.fallback ?? null;
+        const images = options.images || [];
+        const coercedFields = new Set();
+        const signal = options.signal || null;
+        let raw = await this.sendWithConstraint(input, images, schema, signal);
+        let checked = PromptService.parseStructured(raw, schema);
+        let repairAttempts = 0;
+
+        while (!checked.valid && repairAttempts < this.maxRepairAttempts) {
+            repairAttempts++;
+            console.warn(`⚠️ PromptService: Structured output invalid (attempt ${repairAttempts}):`, checked.errors);
+            raw = await this.sendWithConstraint(PromptService.buildRepairPrompt(raw, schema, checked.errors), [], schema, signal);
+            checked = PromptService.parseStructured(raw, schema);
+        }
+
+        checked.coercedFields.forEach(field => coercedFields.add(field));
+
+        if (checked.valid) {
+            if (coercedFields.size > 0) {
+                console.log('🔧 PromptService: Coerced fields:', [...coercedFields]);
+            }
+            return {
+                data: checked.value,
+                valid: true,
+                raw,
+                repairAttempts,
+                usedFallback: false,
+                coercedFields: [...coercedFields],
+                errors: []
+            };
+        }
+
+        console.warn('⚠️ PromptService: Structured output still invalid after repair, using fallback:', checked.errors);
+        const patched = fallback ? PromptService.applyFallback(checked.value, fallback, schema) : null;
+        if (patched) {
+            patched.coercedFields.forEach(field => coercedFields.add(field));
+        }
+
+        return {
+            data: patched?.valid ? patched.value : null,
+            valid: false,
+            raw,
+            repairAttempts,
+            usedFallback: Boolean(patched?.valid),
+            coercedFields: [...coercedFields],
+            errors: checked.errors
+        };
+    }
+
+    /**
+     * Prompt with a responseConstraint, retrying without it on Chrome builds that reject the option
+     * @param {str} input - Prompt text
+     * @param {List[image]} images - Images to send
+     * @param {Object} schema - JSON schema
+     * @param {AbortSignal} signal - Cancels the prompt
+     * @returns {str} Raw model output
+     */
+    async sendWithConstraint(input, images, schema, signal = null) {
+        const options = signal ? { signal } : {};
+        try {
+            return await this.send(input, images, { responseConstraint: schema, ...options });
+        } catch (error) {
+            if (error?.name !== 'NotSupportedError' && error?.name !== 'TypeError') {
+                throw error;
+            }
+            console.warn('⚠️ PromptService: responseConstraint not supported, prompting without it');
+            return await this.send(input, images, options);
+        }
+    }
+
+    /**
+     * Build the follow-up prompt asking the model to fix its own output
+     * @param {str} raw - Previous model output
+     * @param {Object} schema - JSON schema
+     * @param {Array<str>} errors - Validation errors
+     * @returns {str} Repair prompt
+     */
+    static buildRepairPrompt(raw, schema, errors) {
+        return `Your previous response did not match the required JSON schema.
+
+Problems:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Previous response:
+${String(raw || '').substring(0, 1500)}
+
+Required JSON schema:
+${JSON.stringify(schema)}
+
+Respond with ONLY the corrected JSON object. No explanation, no code fences.`;
+    }
+
+    /**
+     * Extract and validate JSON from raw model output
+     * @param {str} raw - Raw model output
+     * @param {Object} schema - JSON schema
+     * @returns {Object} { value, valid, coercedFields, errors }
+     */
+    static parseStructured(raw, schema) {
+        const extracted = PromptService.extractJson(raw);
+        if (extracted.error) {
+            return { value: null, valid: false, coercedFields: [], errors: [extracted.error] };
+        }
+
+        const result = PromptService.validateAgainstSchema(extracted.value, schema);
+        if (extracted.repaired) {
+            result.coercedFields.unshift('(syntax)');
+        }
+        return result;
+    }
+
+    /**
+     * Find the first balanced JSON object/array in model output.
+     * Handles code fences, leading prose and trailing commas.
+     * @param {str} raw - Raw model output
+     * @returns {Object} { value, repaired, error }
+     */
+    static extractJson(raw) {
+        const text = String(raw || '').replace(/```(?:json)?/gi, '').trim();
+        const start = text.search(/[{[]/);
+        if (start === -1) {
+            return { value: null, repaired: false, error: 'No JSON found in response' };
+        }
+
+        // Walk to the matching closing bracket (string-aware) instead of a greedy regex
+        const stack = [];
+        let inString = false;
+        let escaped = false;
+        let end = -1;
+        for (let i = start; i < text.length; i++) {
+            const char = text[i];
+            if (inString) {
+                if (escaped) {
+                    escaped = false;
+                } else if (char === '\\') {
+                    escaped = true;
+                } else if (char === '"') {
+                    inString = false;
+                }
+                continue;
+            }
+            if (char === '"') {
+                inString = true;
+            } else if (char === '{' || char === '[') {
+                stack.push(char === '{' ? '}' : ']');
+            } else if (char === '}' || char === ']') {
+                if (stack.pop() !== char) {
+                    break;
+                }
+                if (stack.length === 0) {
+                    end = i;
+                    break;
+                }
+            }
+        }
+
+        if (end === -1) {
+            return { value: null, repaired: false, error: 'Incomplete JSON in response' };
+        }
+
+        const candidate = text.substring(start, end + 1);
+        try {
+            return { value: JSON.parse(candidate), repaired: false, error: null };
+        } catch (error) {
+            // Common model slips: trailing commas and smart quotes
+            const cleaned = candidate
+                .replace(/[“”]/g, '"')
+                .replace(/,\s*([}\]])/g, '$1');
+            try {
+                return { value: JSON.parse(cleaned), repaired: true, error: null };
+            } catch (retryError) {
+                return { value: null, repaired: false, error: `Invalid JSON: ${error.message}` };
+            }
+        }
+    }
+
+    /**
+     * Validate a value against a JSON schema subset (type, properties, required,
+     * enum, items, minimum/maximum, maxItems, default), coercing where the intent is clear.
+     * Invalid optional fields are dropped; invalid required fields are errors.
+     * @param {*} value - Parsed value
+     * @param {Object} schema - JSON schema
+     * @param {str} path - Field path used in reports
+     * @returns {Object} { value, valid, coercedFields, errors }
+     */
+    static validateAgainstSchema(value, schema, path = '') {
+        const coercedFields = [];
+        const errors = [];
+        const label = path || '(root)';
+        const types = Array.isArray(schema.type) ? schema.type : (schema.type ? [schema.type] : []);
+
+        if (value === null || value === undefined) {
+            if (types.includes('null')) {
+                return { value: null, valid: true, coercedFields, errors };
+            }
+            if (schema.default !== undefined) {
+                return { value: schema.default, valid: true, coercedFields: [label], errors };
+            }
+            return { value, valid: false, coercedFields, errors: [`${label} is required`] };
+        }
+
+        let coerced = value;
+        const primaryType = types.find(type => type !== 'null');
+
+        if (primaryType === 'object') {
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                return { value, valid: false, coercedFields, errors: [`${label} must be an object`] };
+            }
+            coerced = {};
+            const properties = schema.properties || {};
+            const required = schema.required || [];
+
+            for (const [key, propertySchema] of Object.entries(properties)) {
+                const fieldPath = path ? `${path}.${key}` : key;
+                if (value[key] === undefined) {
+                    if (required.includes(key)) {
+                        if (propertySchema.default !== undefined) {
+                            coerced[key] = propertySchema.default;
+                            coercedFields.push(fieldPath);
+                        } else {
+                            errors.push(`${fieldPath} is required`);
+                        }
+                    }
+                    continue;
+                }
+
+                const child = PromptService.validateAgainstSchema(value[key], propertySchema, fieldPath);
+                coercedFields.push(...child.coercedFields);
+                if (child.valid) {
+                    coerced[key] = child.value;
+                } else if (required.includes(key)) {
+                    errors.push(...child.errors);
+                    coerced[key] = value[key];
+                } else {
+                    coercedFields.push(fieldPath); // Dropped invalid optional field
+                }
+            }
+
+            for (const key of Object.keys(value)) {
+                if (properties[key]) {
+                    continue;
+                }
+                if (schema.additionalProperties === false) {
+                    coercedFields.push(path ? `${path}.${key}` : key);
+                } else {
+                    coerced[key] = value[key];
+                }
+            }
+        } else if (primaryType === 'array') {
+            let items = value;
+            if (!Array.isArray(items)) {
+                items = typeof value === 'string' ? value.split(',').map(item => item.trim()).filter(Boolean) : [value];
+                coercedFields.push(label);
+            }
+            coerced = [];
+            items.forEach((item, index) => {
+                const child = schema.items
+                    ? PromptService.validateAgainstSchema(item, schema.items, `${label}[${index}]`)
+                    : { value: item, valid: true, coercedFields: [] };
+                if (child.valid) {
+                    coercedFields.push(...child.coercedFields);
+                    coerced.push(child.value);
+                } else {
+                    coercedFields.push(`${label}[${index}]`); // Dropped invalid item
+                }
+            });
+            if (schema.maxItems !== undefined && coerced.length > schema.maxItems) {
+                coerced = coerced.slice(0, schema.maxItems);
+                coercedFields.push(label);
+            }
+        } else if (primaryType === 'number' || primaryType === 'integer') {
+            let num = value;
+            if (typeof value === 'string') {
+                num = parseFloat(value);
+                // "85%" on a 0-1 scale
+                if (value.trim().endsWith('%') && schema.maximum === 1) {
+                    num = num / 100;
+                }
+                coercedFields.push(label);
+            }
+            if (typeof num !== 'number' || isNaN(num)) {
+                return { value, valid: false, coercedFields, errors: [`${label} must be a number`] };
+            }
+            if (primaryType === 'integer' && !Number.isInteger(num)) {
+                num = Math.round(num);
+                coercedFields.push(label);
+            }
+            if (schema.minimum !== undefined && num < schema.minimum) {
+                num = schema.minimum;
+                coercedFields.push(label);
+            }
+            if (schema.maximum !== undefined && num > schema.maximum) {
+                num = schema.maximum;
+                coercedFields.push(label);
+            }
+            coerced = num;
+        } else if (primaryType === 'boolean') {
+            if (typeof value !== 'boolean') {
+                const normalized = String(value).trim().toLowerCase();
+                if (normalized !== 'true' && normalized !== 'false') {
+                    return { value, valid: false, coercedFields, errors: [`${label} must be a boolean`] };
+                }
+                coerced = normalized === 'true';
+                coercedFields.push(label);
+            }
+        } else if (primaryType === 'string') {
+            if (typeof value === 'number' || typeof value === 'boolean') {
+                coerced = String(value);
+                coercedFields.push(label);
+            } else if (typeof value !== 'string') {
+                return { value, valid: false, coercedFields, errors: [`${label} must be a string`] };
+            }
+            // Models often return "null" as a string for nullable fields
+            if (types.includes('null') && coerced.trim().toLowerCase() === 'null') {
+                return { value: null, valid: true, coercedFields: [...coercedFields, label], errors };
+            }
+        }
+
+        if (Array.isArray(schema.enum) && !schema.enum.includes(coerced)) {
+            const match = typeof coerced === 'string'
+                ? schema.enum.find(option => typeof option === 'string' && option.toLowerCase() === coerced.trim().toLowerCase())
+                : undefined;
+            if (match !== undefined) {
+                coerced = match;
+                coercedFields.push(label);
+            } else if (types.includes('null')) {
+                return { value: null, valid: true, coercedFields: [...coercedFields, label], errors };
+            } else {
+                errors.push(`${label} must be one of: ${schema.enum.join(', ')}`);
+            }
+        }
+
+        return { value: coerced, valid: errors.length === 0, coercedFields, errors };
+    }
+
+    /**
+     * Fill fields that are still invalid with fallback values
+     * @param {*} partial - Best-effort parsed value (may be null)
+     * @param {Object} fallback - Fallback values
+     * @param {Object} schema - JSON schema
+     * @returns {Object} { value, valid, coercedFields, errors }
+     */
+    static applyFallback(partial, fallback, schema) {
+        const isObject = partial && typeof partial === 'object' && !Array.isArray(partial);
+        if (!isObject || schema.type !== 'object') {
+            const result = PromptService.validateAgainstSchema(fallback, schema);
+            result.coercedFields = ['(root)'];
+            return result;
+        }
+
+        // Keep the fields the model got right, replace the ones it got wrong
+        const merged = {};
+        const replaced = [];
+        for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+            const check = partial[key] === undefined
+                ? { valid: !(schema.required || []).includes(key) }
+                : PromptService.validateAgainstSchema(partial[key], propertySchema, key);
+            if (check.valid && partial[key] !== undefined) {
+                merged[key] = partial[key];
+            } else if (fallback[key] !== undefined) {
+                merged[key] = fallback[key];
+                replaced.push(key);
+            }
+        }
+
+        const result = PromptService.validateAgainstSchema(merged, schema);
+        result.coercedFields = [...new Set([...replaced, ...result.coercedFields])];
+        return result;
+    }
 }
 
 if (typeof window !== 'undefined') {
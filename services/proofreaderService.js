@@ -72,9 +72,11 @@ class ProofreaderService {
   /**
    * Proofread text using Chrome's AI
    * @param {string} text - Text to proofread
+   * @param {Object} options - Proofreading options
+   * @param {AbortSignal} options.signal - Cancels the call
    * @returns {Promise<{corrected: string, corrections: Array, original: string}>}
    */
-  async proofread(text) {
+  async proofread(text, options = {}) {
     if (!text || typeof text !== 'string') {
       throw new Error('Invalid text input for proofreading');
     }
@@ -89,7 +91,7 @@ class ProofreaderService {
     }
 
     try {
-      const result = await this.proofreader.proofread(text);
+      const result = await this.proofreader.proofread(text, options.signal ? { signal: options.signal } : undefined);
 
       return {
         original: text,
@@ -0,0 +1,136 @@
+/**
+ * RefinementService - Follow-up commands on an existing result ("shorter", "warmer", "add a CTA")
+ * Sorts a command into a structural removal (done in code), a pure tone/length change (a rewrite
+ * driven by the tone vector) or a free-form edit (a constrained language model rewrite).
+ */
+
+const ORDINALS = {
+  first: 1, second: 2, third: 3, fourth: 4, fifth: 5, sixth: 6, seventh: 7, eighth: 8, ninth: 9, tenth: 10
+};
+
+// Words that can surround tone cues without asking for anything else ("make it a bit warmer please")
+const TONE_FILLER = /\b(make|it|this|that|the|text|result|a|an|bit|little|lot|tad|touch|more|less|much|way|very|slightly|somewhat|sound|sounding|be|please|and|but|too|so|not|overly|just|keep|reply|message|email|version)\b/gi;
+
+class RefinementService {
+  /**
+   * @param {Object} options - Dependencies
+   * @param {ToneAnalyzer} options.toneAnalyzer - Reads tone cues from commands (defaults to window.toneAnalyzer)
+   */
+  constructor(options = {}) {
+    this.toneAnalyzer = options.toneAnalyzer || window.toneAnalyzer || null;
+  }
+
+  /**
+   * Classify a refinement command
+   * @param {string} instruction - What the user typed ("shorter", "remove the second paragraph")
+   * @returns {Object} {kind: 'remove', unit, position} | {kind: 'tone', toneVector, toneConflicts, tones} | {kind: 'edit'}
+   */
+  parse(instruction) {
+    const command = (instruction || '').trim();
+
+    const removal = command.match(/^(?:please\s+)?(?:remove|delete|drop|cut)\s+(?:the\s+)?(first|second|third|fourth|fifth|sixth|seventh|eighth|ninth|tenth|last|\d+(?:st|nd|rd|th)?)\s+(paragraph|sentence|line|bullet(?:\s+point)?)\.?$/i);
+    if (removal) {
+      const word = removal[1].toLowerCase();
+      return {
+        kind: 'remove',
+        unit: removal[2].toLowerCase().replace(/\s+point$/, ''),
+        position: word === 'last' ? -1 : (ORDINALS[word] || parseInt(word, 10))
+      };
+    }
+
+    if (this.toneAnalyzer) {
+      const analysis = this.toneAnalyzer.analyze(command);
+      const leftover = analysis.cues
+        .reduce((text, cue) => text.replace(cue.matched, ' '), command)
+        .replace(TONE_FILLER, ' ')
+        .replace(/[^\p{L}\p{N}]+/gu, '');
+      if (analysis.cues.length > 0 && !leftover) {
+        return {
+          kind: 'tone',
+          toneVector: analysis.vector,
+          toneConflicts: analysis.conflicts,
+          tones: analysis.tones
+        };
+      }
+    }
+
+    return { kind: 'edit' };
+  }
+
+  /**
+   * Remove one paragraph, sentence, line or bullet from a text
+   * @param {string} text - Current result
+   * @param {Object} command - From parse() ({unit, position}; position -1 is the last one)
+   * @returns {string} Text without that part
+   * @throws {Error} When the text has no such part
+   */
+  applyRemoval(text, command) {
+    const parts = this.findParts(text, command.unit);
+    const index = command.position === -1 ? parts.length - 1 : command.position - 1;
+    const part = parts[index];
+    if (!part) {
+      throw new Error(`There is no ${command.position === -1 ? 'last' : `#${command.position}`} ${command.unit} to remove`);
+    }
+
+    return `${text.slice(0, part.start)}${text.slice(part.end)}`
+      .replace(/\n{3,}/g, '\n\n')
+      .replace(/[ \t]+\n/g, '\n')
+      .trim();
+  }
+
+  /**
+   * Locate the parts of a text of one unit
+   * @param {string} text - Text to split
+   * @param {string} unit - 'paragraph', 'sentence', 'line' or 'bullet'
+   * @returns {Array<Object>} Spans ({start, end}) including trailing separators
+   */
+  findParts(text, unit) {
+    // Sentences end at punctuation but not after abbreviations like "Dr." (see utils/sentenceSplitter.js)
+    if (unit === 'sentence') {
+      return window.SentenceSplitter.findSentences(text);
+    }
+
+    const patterns = {
+      paragraph: /[^\n]+(?:\n(?!\s*\n)[^\n]*)*(?:\n\s*\n|\s*$)/g,
+      line: /[^\n]*\S[^\n]*(?:\n|$)/g,
+      bullet: /^[ \t]*(?:[-*•]|\d+[.)])[ \t]+[^\n]*(?:\n|$)/gm
+    };
+    const pattern = patterns[unit] || patterns.paragraph;
+    return [...(text || '').matchAll(pattern)]
+      .filter(match => match[0].trim())
+      .map(match => ({ start: match.index, end: match.index + match[0].length }));
+  }
+
+  /**
+   * Prompt for a free-form refinement that must leave everything else as it is
+   * @param {string} text - Current result
+   * @param {string} instruction - Refinement command
+   * @param {Object} constraints - Limits the result must keep ({maxCharacters})
+   * @returns {string} Prompt
+   */
+  buildPrompt(text, instruction, constraints = {}) {
+    const limit = constraints.maxCharacters ? `\n- Keep it at most ${constraints.maxCharacters} characters.` : '';
+    return `Apply one change to the text below.
+
+CHANGE: ${instruction}
+
+RULES:
+- Change only what the request asks for; keep the rest word for word.
+- Keep the same language, format and point of view.${limit}
+
+TEXT:
+"""
+${text}
+"""
+
+Respond with only the revised text.`;
+  }
+}
+
+// Export to window for Chrome extension compatibility
+if (typeof window !== 'undefined') {
+  window.RefinementService = RefinementService;
+  console.log('✅ RefinementService exported to window');
+} else {
+  console.error('❌ Window object not available - RefinementService not exported');
+}
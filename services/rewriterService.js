@@ -108,6 +108,9 @@ class RewriterService {
    * @param {string} options.tone - Override tone for this request
    * @param {string} options.format - Override format for this request
    * @param {string} options.length - Override length for this request
+   * @param {Object} options.toneVector - Tone dimensions from routing; fills tone/length when not given
+   * @param {Array<Object>} options.toneConflicts - Reconciled tone conflicts from routing
+   * @param {AbortSignal} options.signal - Cancels the call
    * @returns {Promise<{rewritten: string, original: string, metadata: Object}>}
    */
   async rewrite(text, options = {}) {
@@ -115,33 +118,16 @@ class RewriterService {
       throw new Error('Invalid text input for rewriting');
     }
 
-    // Initialize with custom config if overrides provided
-    const configOverrides = {};
-    if (options.tone && options.tone !== this.currentConfig?.tone) {
-      configOverrides.tone = options.tone;
-    }
-    if (options.format && options.format !== this.currentConfig?.format) {
-      configOverrides.format = options.format;
-    }
-    if (options.length && options.length !== this.currentConfig?.length) {
-      configOverrides.length = options.length;
-    }
-
-    if (Object.keys(configOverrides).length > 0) {
-      await this.initialize({ ...this.currentConfig, ...configOverrides });
-    } else if (!this.isInitialized) {
-      await this.initialize();
-    }
-
-    if (!this.rewriter) {
-      throw new Error('Rewriter not initialized');
-    }
+    options = await this.prepareRewrite(options);
 
     try {
       const rewriteOptions = {};
       if (options.context) {
         rewriteOptions.context = options.context;
       }
+      if (options.signal) {
+        rewriteOptions.signal = options.signal;
+      }
 
       const rewrittenText = await this.rewriter.rewrite(text, rewriteOptions);
 
@@ -167,18 +153,37 @@ class RewriterService {
   }
 
   /**
-   * Rewrite text with streaming output
-   * @param {string} text - Text to rewrite
-   * @param {Object} options - Rewriting options
-   * @param {Function} onChunk - Callback for each chunk
-   * @returns {Promise<string>} Complete rewritten text
+   * Resolve per-request options and make sure the rewriter session matches them
+   * @param {Object} options - Rewriting options (see rewrite)
+   * @returns {Promise<Object>} Options with tone/length/context filled in from the tone vector
    */
-  async rewriteStreaming(text, options = {}, onChunk = null) {
-    if (!text || typeof text !== 'string') {
-      throw new Error('Invalid text input for streaming rewriting');
+  async prepareRewrite(options = {}) {
+    if (options.toneVector) {
+      const mapped = this.mapToneVector(options.toneVector, options.toneConflicts);
+      const context = [options.context, ...mapped.modifiers].filter(Boolean).join(' ');
+      options = {
+        ...options,
+        tone: options.tone || mapped.tone,
+        length: options.length || mapped.length,
+        context: context || undefined
+      };
+    }
+
+    // Initialize with custom config if overrides provided
+    const configOverrides = {};
+    if (options.tone && options.tone !== this.currentConfig?.tone) {
+      configOverrides.tone = options.tone;
+    }
+    if (options.format && options.format !== this.currentConfig?.format) {
+      configOverrides.format = options.format;
+    }
+    if (options.length && options.length !== this.currentConfig?.length) {
+      configOverrides.length = options.length;
     }
 
-    if (!this.isInitialized) {
+    if (Object.keys(configOverrides).length > 0) {
+      await this.initialize({ ...this.currentConfig, ...configOverrides });
+    } else if (!this.isInitialized) {
       await this.initialize();
     }
 
@@ -186,14 +191,35 @@ class RewriterService {
       throw new Error('Rewriter not initialized');
     }
 
+    return options;
+  }
+
+  /**
+   * Rewrite text with streaming output
+   * @param {string} text - Text to rewrite
+   * @param {Object} options - Rewriting options (as for rewrite)
+   * @param {AbortSignal} options.signal - Stops the rewrite; the text so far is returned
+   * @param {Function} onChunk - Callback for each chunk
+   * @returns {Promise<string>} Complete rewritten text (or the part written before a stop)
+   */
+  async rewriteStreaming(text, options = {}, onChunk = null) {
+    if (!text || typeof text !== 'string') {
+      throw new Error('Invalid text input for streaming rewriting');
+    }
+
+    options = await this.prepareRewrite(options);
+    let fullRewrite = '';
+
     try {
       const rewriteOptions = {};
       if (options.context) {
         rewriteOptions.context = options.context;
       }
+      if (options.signal) {
+        rewriteOptions.signal = options.signal;
+      }
 
       const stream = this.rewriter.rewriteStreaming(text, rewriteOptions);
-      let fullRewrite = '';
 
       for await (const chunk of stream) {
         fullRewrite += chunk;
@@ -204,11 +230,37 @@ class RewriterService {
 
       return fullRewrite;
     } catch (error) {
+      if (options.signal?.aborted) {
+        console.log('⏹️ Rewriting stopped, keeping partial output');
+        return fullRewrite;
+      }
       console.error('Streaming rewriting failed:', error);
       throw new Error(`Streaming rewriting failed: ${error.message}`);
     }
   }
 
+  /**
+   * Map a routing tone vector onto Rewriter options
+   * Formality picks the tone, length (or strong urgency) picks the length; everything
+   * the API cannot express goes into prompt modifiers for the per-request context.
+   * @param {Object} toneVector - Tone dimensions (-1..1) from ToneAnalyzer
+   * @param {Array<Object>} toneConflicts - Reconciled conflicts
+   * @returns {{tone: string, length: string, modifiers: Array<string>}}
+   */
+  mapToneVector(toneVector, toneConflicts = []) {
+    const analyzer = window.toneAnalyzer;
+    if (!toneVector || !analyzer) {
+      return { tone: 'as-is', length: 'as-is', modifiers: [] };
+    }
+
+    const lengthValue = toneVector.urgency >= 0.6 ? Math.min(toneVector.length, -analyzer.threshold) : toneVector.length;
+    return {
+      tone: analyzer.pickOption(toneVector.formality, ['more-casual', 'as-is', 'more-formal']),
+      length: analyzer.pickOption(lengthValue, ['shorter', 'as-is', 'longer']),
+      modifiers: analyzer.toPromptModifiers(toneVector, { conflicts: toneConflicts, covered: ['formality', 'length'] })
+    };
+  }
+
   /**
    * Get available tone options
    * @returns {Array<string>} Available tone options
@@ -0,0 +1,319 @@
+/**
+ * RoutingFeedbackService - Learns routing from the user's own corrections
+ *
+ * Uses chrome.storage.local so corrections stay on this device and survive restarts.
+ * Each time the user overrides the detected intent or output type, the query and the
+ * corrected labels are stored as a labeled example. SemanticRouter uses them as:
+ * - few-shot examples in the AI classifier prompt
+ * - learned keyword weights in pattern routing ("tighten" → rewrite, "blurb" → post)
+ */
+
+class RoutingFeedbackService extends window.BaseService {
+  constructor() {
+    super('RoutingFeedbackService');
+
+    this.examples = [];
+    this.keywordWeights = null; // Lazily rebuilt when examples change
+    this.revision = 0; // Bumped on every change so routing caches can tell they are stale
+
+    // Configuration
+    this.STORAGE_KEY = 'routingExamples';
+    this.MAX_EXAMPLES = 200; // Oldest corrections are dropped beyond this
+    this.MAX_QUERY_LENGTH = 200;
+    this.STOPWORDS = new Set([
+      'the', 'and', 'for', 'this', 'that', 'with', 'from', 'into', 'about', 'please',
+      'can', 'you', 'could', 'would', 'make', 'some', 'more', 'less', 'its', 'our',
+      'your', 'their', 'them', 'they', 'then', 'than', 'just', 'also', 'bit'
+    ]);
+  }
+
+  async onInitialize() {
+    await this.loadExamplesFromStorage();
+
+    this.isAvailable = true;
+    this.log('✅', 'RoutingFeedbackService initialized with', this.examples.length, 'examples');
+  }
+
+  /**
+   * Load labeled examples from Chrome local storage
+   */
+  async loadExamplesFromStorage() {
+    try {
+      const result = await chrome.storage.local.get(this.STORAGE_KEY);
+      const stored = result[this.STORAGE_KEY];
+
+      if (stored && Array.isArray(stored)) {
+        this.examples = stored;
+        this.log('📚', 'Loaded', stored.length, 'routing examples');
+      }
+    } catch (error) {
+      this.handleError('Failed to load routing examples', error, false);
+      this.examples = [];
+    }
+
+    this.keywordWeights = null;
+    this.revision++;
+  }
+
+  /**
+   * Save labeled examples to Chrome local storage
+   */
+  async saveExamplesToStorage() {
+    try {
+      await chrome.storage.local.set({ [this.STORAGE_KEY]: this.examples });
+      this.log('💾', 'Saved', this.examples.length, 'routing examples');
+    } catch (error) {
+      this.handleError('Failed to save routing examples', error, false);
+    }
+  }
+
+  /**
+   * Record a user correction as a labeled example
+   * @param {Object} correction - Correction details
+   * @param {string} correction.query - User's original query
+   * @param {boolean} correction.hasSelectedText - Whether text was selected
+   * @param {Object} correction.predicted - Routed labels ({intent, outputType})
+   * @param {Object} correction.corrected - Labels chosen by the user ({intent, outputType})
+   * @returns {Promise<Object|null>} The stored example, or null if nothing changed
+   */
+  async addCorrection(correction) {
+    this.ensureInitialized();
+    this.validateNonEmptyString(correction?.query, 'query');
+    this.validateRequired(correction.corrected, 'corrected');
+
+    const predicted = correction.predicted || {};
+    const corrected = {
+      intent: correction.corrected.intent || predicted.intent || null,
+      outputType: correction.corrected.outputType !== undefined
+        ? correction.corrected.outputType
+        : (predicted.outputType || null)
+    };
+
+    if (corrected.intent === predicted.intent && corrected.outputType === (predicted.outputType || null)) {
+      return null;
+    }
+
+    const query = correction.query.trim();
+    const example = {
+      id: `route_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`,
+      timestamp: new Date().toISOString(),
+      query: query.length > this.MAX_QUERY_LENGTH ? query.substring(0, this.MAX_QUERY_LENGTH) : query,
+      hasSelectedText: Boolean(correction.hasSelectedText),
+      intent: corrected.intent,
+      outputType: corrected.outputType,
+      predicted: {
+        intent: predicted.intent || null,
+        outputType: predicted.outputType || null
+      }
+    };
+
+    // A newer correction for the same query replaces the older one
+    this.examples = this.examples.filter(item => item.query.toLowerCase() !== example.query.toLowerCase());
+    this.examples.push(example);
+
+    if (this.examples.length > this.MAX_EXAMPLES) {
+      this.examples.splice(0, this.examples.length - this.MAX_EXAMPLES);
+    }
+
+    this.keywordWeights = null;
+    this.revision++;
+    await this.saveExamplesToStorage();
+
+    this.log('🎓', `Learned correction: "${example.query}" → ${example.intent}${example.outputType ? `/${example.outputType}` : ''}`);
+    return example;
+  }
+
+  /**
+   * Get all stored examples
+   * @returns {Array<Object>} Labeled examples (oldest first)
+   */
+  getExamples() {
+    return [...this.examples];
+  }
+
+  /**
+   * Pick the stored examples most similar to a query for few-shot prompting
+   * @param {string} query - User query
+   * @param {number} count - Maximum number of examples
+   * @returns {Array<Object>} Most relevant examples (best first)
+   */
+  getFewShotExamples(query, count = 5) {
+    const queryTerms = new Set(this.tokenize(query));
+    if (queryTerms.size === 0 || this.examples.length === 0) {
+      return [];
+    }
+
+    return this.examples
+      .map(example => ({
+        example,
+        overlap: this.tokenize(example.query).filter(term => queryTerms.has(term)).length
+      }))
+      .filter(entry => entry.overlap > 0)
+      .sort((a, b) => b.overlap - a.overlap)
+      .slice(0, count)
+      .map(entry => entry.example);
+  }
+
+  /**
+   * Get learned keyword weights per label
+   * Weight = how often the term appeared in corrections to that label, times how
+   * specific the term is to that label (0-1).
+   * @returns {{intents: Object, outputTypes: Object}} label → {term: weight}
+   */
+  getKeywordWeights() {
+    if (this.keywordWeights) {
+      return this.keywordWeights;
+    }
+
+    const intentCounts = {};
+    const outputTypeCounts = {};
+    const termTotals = {};
+
+    for (const example of this.examples) {
+      const terms = new Set(this.tokenize(example.query));
+      for (const term of terms) {
+        termTotals[term] = (termTotals[term] || 0) + 1;
+        if (example.intent) {
+          intentCounts[example.intent] = intentCounts[example.intent] || {};
+          intentCounts[example.intent][term] = (intentCounts[example.intent][term] || 0) + 1;
+        }
+        if (example.outputType) {
+          outputTypeCounts[example.outputType] = outputTypeCounts[example.outputType] || {};
+          outputTypeCounts[example.outputType][term] = (outputTypeCounts[example.outputType][term] || 0) + 1;
+        }
+      }
+    }
+
+    const toWeights = (counts) => {
+      const weights = {};
+      for (const [label, terms] of Object.entries(counts)) {
+        weights[label] = {};
+        for (const [term, count] of Object.entries(terms)) {
+          weights[label][term] = count * (count / termTotals[term]);
+        }
+      }
+      return weights;
+    };
+
+    this.keywordWeights = {
+      intents: toWeights(intentCounts),
+      outputTypes: toWeights(outputTypeCounts)
+    };
+    return this.keywordWeights;
+  }
+
+  /**
+   * Score a query against learned keyword weights
+   * @param {string} query - User query
+   * @param {string} kind - 'intents' or 'outputTypes'
+   * @returns {Array<{label: string, weight: number, terms: Array<string>}>} Matches, strongest first
+   */
+  scoreQuery(query, kind = 'intents') {
+    const weights = this.getKeywordWeights()[kind] || {};
+    const terms = new Set(this.tokenize(query));
+
+    return Object.entries(weights)
+      .map(([label, termWeights]) => {
+        const matched = [...terms].filter(term => termWeights[term]);
+        return {
+          label,
+          weight: matched.reduce((sum, term) => sum + termWeights[term], 0),
+          terms: matched
+        };
+      })
+      .filter(match => match.weight > 0)
+      .sort((a, b) => b.weight - a.weight);
+  }
+
+  /**
+   * Tokenize a query into content terms
+   * @param {string} text - Text to tokenize
+   * @returns {Array<string>} Terms (hyphenated words like "one-pager" kept whole)
+   */
+  tokenize(text) {
+    return (text || '')
+      .toLowerCase()
+      .replace(/[^\w\s-]/g, ' ')
+      .split(/\s+/)
+      .map(term => term.replace(/^-+|-+$/g, ''))
+      .filter(term => term.length > 2 && !this.STOPWORDS.has(term));
+  }
+
+  /**
+   * Delete all stored examples
+   */
+  async clearExamples() {
+    this.ensureInitialized();
+
+    const previousCount = this.examples.length;
+    this.examples = [];
+    this.keywordWeights = null;
+    this.revision++;
+    await this.saveExamplesToStorage();
+
+    this.log('🗑️', 'Cleared routing examples:', previousCount, 'removed');
+  }
+
+  /**
+   * Export examples as JSON
+   * @returns {string} JSON string of all examples
+   */
+  exportExamples() {
+    this.ensureInitialized();
+    return JSON.stringify(this.examples, null, 2);
+  }
+
+  /**
+   * Import examples from JSON (merged with existing, newest kept on conflict)
+   * @param {string} jsonString - JSON string to import
+   * @returns {Promise<number>} Number of examples after import
+   */
+  async importExamples(jsonString) {
+    this.ensureInitialized();
+    this.validateNonEmptyString(jsonString, 'jsonString');
+
+    const imported = JSON.parse(jsonString);
+    if (!Array.isArray(imported)) {
+      throw new Error('Invalid routing examples format: expected array');
+    }
+
+    const valid = imported.filter(item => item && typeof item.query === 'string' && item.intent);
+    const byQuery = new Map();
+    [...this.examples, ...valid]
+      .sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)))
+      .forEach(item => byQuery.set(item.query.toLowerCase(), item));
+
+    this.examples = [...byQuery.values()].slice(-this.MAX_EXAMPLES);
+    this.keywordWeights = null;
+    this.revision++;
+    await this.saveExamplesToStorage();
+
+    this.log('📥', 'Imported routing examples, total:', this.examples.length);
+    return this.examples.length;
+  }
+
+  /**
+   * Get store statistics
+   * @returns {Object} Statistics about stored examples
+   */
+  getStats() {
+    const intentBreakdown = this.examples.reduce((acc, item) => {
+      acc[item.intent] = (acc[item.intent] || 0) + 1;
+      return acc;
+    }, {});
+
+    return {
+      totalExamples: this.examples.length,
+      maxExamples: this.MAX_EXAMPLES,
+      intentBreakdown
+    };
+  }
+}
+
+// Export to window globals for Chrome extension compatibility
+if (typeof window !== 'undefined') {
+  window.RoutingFeedbackService = RoutingFeedbackService;
+  console.log('✅ RoutingFeedbackService exported to window');
+} else {
+  console.error('❌ Window object not available - RoutingFeedbackService not exported');
+}
@@ -92,6 +92,7 @@ class SearchService {
    * @param {string} options.language - Language for results (e.g., 'en', 'es')
    * @param {string} options.dateRestrict - Date restriction (e.g., 'd7' for past 7 days, 'm1' for past month)
    * @param {string} options.siteSearch - Restrict results to specific site
+   * @param {AbortSignal} options.signal - Cancels the request (no retries after a cancel)
    * @returns {Promise<Object>} Search results
    */
   async search(query, options = {}) {
@@ -135,7 +136,7 @@ class SearchService {
 
     try {
       console.log('🔍 SearchService: Performing search:', query);
-      const response = await this.fetchWithRetry(url);
+      const response = await this.fetchWithRetry(url, 0, options.signal || null);
 
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}));
@@ -165,16 +166,18 @@ class SearchService {
    * Fetch with retry logic
    * @param {string} url - URL to fetch
    * @param {number} retryCount - Current retry attempt
+   * @param {AbortSignal} signal - Cancels the request
    * @returns {Promise<Response>} Fetch response
    */
-  async fetchWithRetry(url, retryCount = 0) {
+  async fetchWithRetry(url, retryCount = 0, signal = null) {
     try {
-      return await fetch(url);
+      return await fetch(url, signal ? { signal } : undefined);
     } catch (error) {
-      if (retryCount < this.maxRetries) {
+      if (retryCount < this.maxRetries && !signal?.aborted) {
         console.log(`⚠️ SearchService: Retry ${retryCount + 1}/${this.maxRetries} after error:`, error.message);
         await this.sleep(this.retryDelay * (retryCount + 1));
-        return this.fetchWithRetry(url, retryCount + 1);
+        signal?.throwIfAborted();
+        return this.fetchWithRetry(url, retryCount + 1, signal);
       }
       throw error;
     }
@@ -5,7 +5,18 @@
 
 // SemanticRouter - Routes user input to appropriate intents
 class SemanticRouter {
-  constructor(classifierPrompt = null, useAIRouting = true) {
+  /**
+   * @param {PromptService|null} classifierPrompt - Classifier for AI routing (created if omitted)
+   * @param {boolean} useAIRouting - Whether to try AI routing before patterns
+   * @param {IntentRegistry|null} registry - Intent registry (defaults to window.intentRegistry)
+   */
+  constructor(classifierPrompt = null, useAIRouting = true, registry = null) {
+    // Intents (patterns, prompt descriptions, normalizers) come from the registry
+    this.registry = registry || window.intentRegistry || (window.createDefaultIntentRegistry ? window.createDefaultIntentRegistry() : null);
+    if (!this.registry) {
+      throw new Error('SemanticRouter requires an IntentRegistry (load intentRegistry.js first)');
+    }
+
     // Initialize AI classifier for intelligent routing
     try {
       this.classifier = classifierPrompt || (window.PromptService ? new window.PromptService("You are an intent classifier.") : null);
@@ -14,31 +25,20 @@ class SemanticRouter {
       this.classifier = null;
     }
     this.threshold = 0.55;
+    // Minimum gap between the top two candidates before we stop asking the user
+    this.clarificationMargin = 0.15;
     this.useAIRouting = useAIRouting && this.classifier !== null;
 
-    console.log(`✅ SemanticRouter initialized with ${this.useAIRouting ? 'AI-based' : 'pattern-based'} routing`);
+    // Learned routing from user corrections (RoutingFeedbackService), attached by the services manager
+    this.feedbackStore = null;
 
-    // Fast patterns for action classification
-    // IMPORTANT: Order matters! More specific patterns first, generic ones last
-    this.patterns = {
-      // Most specific: Translation (check first to avoid being overridden by generic keywords)
-      // Requires either: target language OR demonstrative reference ("this", "that", "the text")
-      translate: /\b(translate\s+(this|that|the\s+(text|content|message|email|document))|translation\s+to\s+|translat(e|ing)\s+to\s+(english|spanish|french|german|italian|portuguese|russian|japanese|korean|chinese|arabic|hindi|dutch|polish|turkish|vietnamese|thai|indonesian|swedish|danish|finnish|norwegian|czech|hungarian|romanian|ukrainian|greek|hebrew)|to\s+(english|spanish|french|german|italian|portuguese|russian|japanese|korean|chinese|arabic|hindi|dutch|polish|turkish|vietnamese|thai|indonesian|swedish|danish|finnish|norwegian|czech|hungarian|romanian|ukrainian|greek|hebrew))\b/i,
+    // Routing decisions cached per (query, hasSelection, planMode); AI classifier raced against a latency budget
+    this.routeCache = new Map();
+    this.cacheTTL = 10 * 60 * 1000;
+    this.maxCacheEntries = 100;
+    this.latencyBudget = window.TONEPILOT_CONSTANTS?.DEFAULTS?.ROUTER_TIMEOUT || 3000;
 
-      // Specific: Summarization
-      summarize: /\b(summarize|summary|tldr|tl;dr|key\s*points|brief|overview|abstract|condensed?|digest|sum\s*up)\b/i,
-
-      // Specific: Content writing (draft new content, can use selection as reference)
-      // Includes response/reply patterns that indicate NEW content creation
-      write: /\b(draft|compose|create\s+(a\s+|an\s+)?(email|letter|post|blog|message|content|response|reply)|write\s+(a\s+|an\s+|me\s+(a\s+|an\s+)?)?(email|letter|post|blog|message|response|reply)|cover\s*letter|outreach\s*(email|message)|(respond|reply|answer)\s+(to|about)|based\s+on|using\s+(this|the)|with\s+reference\s+to)\b/i,
-
-      // Specific: Proofreading (only specific keywords, removed generic "fix" and "correct")
-      proofread: /\b(proofread|check\s+(grammar|spelling)|grammar\s+check|spell\s+check|typos?|punctuation\s+(error|check))\b/i,
-
-      // Generic: Rewriting (modifying existing text directly)
-      // "make this..." is a strong indicator of rewrite
-      rewrite: /\b(make\s+(this|it|the\s+(text|content|message|email))\s+|change\s+(this|it)\s+|improve\s+(this|it)|revise|rewrite|rephrase|paraphrase|re-write|re-phrase|polish|refine|adjust|modify|more\s+(formal|casual|professional|friendly|diplomatic))\b/i,
-    };
+    console.log(`✅ SemanticRouter initialized with ${this.useAIRouting ? 'AI-based' : 'pattern-based'} routing`);
 
     // Output type patterns for format/style detection
     this.outputTypePatterns = {
@@ -64,6 +64,22 @@ class SemanticRouter {
       confident: /\b(confident|assertive|strong\s+(tone|voice)|direct|bold|decisive)\b/i,
       empathetic: /\b(empathetic|understanding|compassionate|supportive|warm|caring)\b/i
     };
+
+    // Clause separators for compound requests ("proofread this, then translate to Spanish").
+    // Bare "and" only splits when an action verb follows, so "formal and friendly" stays one clause.
+    const actionVerb = '(?:also\\s+)?(?:proofread|summari[sz]e|translate|rewrite|rephrase|paraphrase|polish|revise|make|draft|write|compose|check|fix|shorten|condense|convert|turn)\\b';
+    this.operationSeparator = new RegExp(
+      `\\s*(?:[,;]\\s*(?:and\\s+)?then\\s+|\\s+(?:and\\s+)?then\\s+|;\\s*|,\\s*and\\s+(?=${actionVerb})|\\s+and\\s+(?=${actionVerb})|,\\s*(?=${actionVerb}))`,
+      'i'
+    );
+  }
+
+  /**
+   * Intent patterns keyed by name, in priority order (more specific first, generic last)
+   * @returns {Object} name → RegExp
+   */
+  get patterns() {
+    return this.registry.getPatterns();
   }
 
   async route(input, options = {}) {
@@ -80,22 +96,424 @@ class SemanticRouter {
     const hasSelectedText = options.hasSelectedText || false;
     const selectedText = options.selectedText || '';
     const planMode = options.planMode || false;
+    // Cancelling the request aborts the classifier call and stops routing
+    const signal = options.signal || null;
+    signal?.throwIfAborted();
+    const text = (input || '').trim();
+    const startedAt = Date.now();
+    // What the classifier said and why we fell back, for the "Why this?" inspector
+    const trace = { classifier: null, fallbackReason: null };
+
+    // Same request in the same context → reuse the earlier classifier decision
+    const cacheKey = this.getCacheKey(query, hasSelectedText, planMode);
+    const cached = this.getCachedRoute(cacheKey);
+    if (cached) {
+      console.log('⚡ Using cached routing result:', cached.routePath);
+      return this.finalizeRoute(this.completeRoute(cached, text, hasSelectedText), `cached ${cached.routePath}`, startedAt, trace);
+    }
 
-    // Try AI-based routing first if enabled
+    // Try AI-based routing first if enabled, racing it against the latency budget
     if (this.useAIRouting) {
-      try {
-        const aiResult = await this.routeWithAI(input, hasSelectedText, selectedText, planMode);
-        if (aiResult) {
-          console.log('🤖 Using AI-based routing result:', aiResult);
-          return aiResult;
+      const aiRouting = this.routeWithAI(input, hasSelectedText, selectedText, planMode, trace, signal)
+        .then(aiResult => {
+          if (!aiResult) {
+            return null;
+          }
+          // Cross-check the classifier against the pattern scores
+          const patternCandidates = this.scorePatternCandidates(query, hasSelectedText);
+          const reconciled = this.reconcileCandidates(aiResult, patternCandidates, hasSelectedText);
+          this.setCachedRoute(cacheKey, reconciled);
+          return reconciled;
+        })
+        .catch(error => {
+          console.warn('⚠️ AI routing failed, falling back to pattern matching:', error);
+          trace.fallbackReason = `AI routing failed: ${error.message}`;
+          return null;
+        });
+
+      let budgetTimer = null;
+      const budget = new Promise(resolve => {
+        budgetTimer = setTimeout(() => resolve('timeout'), this.latencyBudget);
+      });
+      const winner = await Promise.race([aiRouting, budget]);
+      clearTimeout(budgetTimer);
+      signal?.throwIfAborted();
+
+      if (winner && winner !== 'timeout') {
+        console.log('🤖 Using AI-based routing result:', winner);
+        return this.finalizeRoute(this.completeRoute(winner, text, hasSelectedText), winner.via, startedAt, trace);
+      }
+
+      if (winner === 'timeout') {
+        // The late AI result still lands in the cache for the next identical request
+        console.warn(`⏱️ AI routing exceeded ${this.latencyBudget}ms budget, using pattern matching`);
+        trace.fallbackReason = `AI classifier exceeded the ${this.latencyBudget}ms budget`;
+        // No Plan mode reasoning here: asking the classifier for it would spend the budget a second time
+        const patternResult = await this.routeWithPatterns(query, hasSelectedText, false);
+        return this.finalizeRoute(this.completeRoute(patternResult, text, hasSelectedText), `${patternResult.via} (AI timed out)`, startedAt, trace);
+      }
+    } else {
+      trace.fallbackReason = this.classifier ? 'AI routing is turned off' : 'AI classifier unavailable';
+    }
+
+    // Fallback to pattern-based routing (cheap, so not cached)
+    const patternResult = await this.routeWithPatterns(query, hasSelectedText, planMode);
+    return this.finalizeRoute(this.completeRoute(patternResult, text, hasSelectedText), patternResult.via, startedAt, trace);
+  }
+
+  /**
+   * Stamp a routing result with the winning path and elapsed time
+   * via reads "ai-classifier in 412ms" and is what history and memory save; routePath keeps the bare path
+   * and routingMs the time for code that needs them apart.
+   * @param {Object} result - Routing result
+   * @param {string} path - Winning path ("ai-classifier", "patterns (AI timed out)", "cached patterns", ...)
+   * @param {number} startedAt - Routing start timestamp
+   * @param {Object} trace - Classifier response and fallback reason collected while routing
+   * @returns {Object} Routing result with via, routePath, routingMs and routeTrace
+   */
+  finalizeRoute(result, path, startedAt, trace = null) {
+    const routingMs = Date.now() - startedAt;
+    console.log(`🧭 Routed via ${path} in ${routingMs}ms`);
+    return {
+      ...result,
+      routePath: path,
+      routingMs,
+      via: `${path} in ${routingMs}ms`,
+      // Kept by reference: a classifier that answers after the budget still shows up in the inspector
+      routeTrace: trace
+    };
+  }
+
+  /**
+   * Build the routing cache key
+   * @param {string} query - Lowercased query
+   * @param {boolean} hasSelectedText - Whether user has text selected
+   * @param {boolean} planMode - Whether Plan mode is active
+   * @returns {string} Cache key
+   */
+  getCacheKey(query, hasSelectedText, planMode) {
+    const normalized = query
+      .replace(/\s+/g, ' ')
+      .replace(/[.!?…]+$/, '')
+      .trim();
+    return `${hasSelectedText ? 1 : 0}|${planMode ? 1 : 0}|${normalized}`;
+  }
+
+  /**
+   * Read a fresh routing decision from the cache
+   * @param {string} key - Cache key
+   * @returns {Object|null} Copy of the cached result, or null if missing/expired
+   */
+  getCachedRoute(key) {
+    const entry = this.routeCache.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (Date.now() - entry.timestamp > this.cacheTTL || entry.feedbackRevision !== this.getFeedbackRevision()) {
+      this.routeCache.delete(key);
+      return null;
+    }
+    return { ...JSON.parse(JSON.stringify(entry.result)), routePath: entry.result.via };
+  }
+
+  /**
+   * Store a classifier decision (before operations are attached, so instructions use fresh input)
+   * @param {string} key - Cache key
+   * @param {Object} result - Routing result
+   */
+  setCachedRoute(key, result) {
+    if (this.cacheTTL <= 0 || !result) {
+      return;
+    }
+    // Map keeps insertion order, so the first key is the oldest entry
+    this.routeCache.delete(key);
+    this.routeCache.set(key, {
+      result: JSON.parse(JSON.stringify(result)),
+      timestamp: Date.now(),
+      feedbackRevision: this.getFeedbackRevision()
+    });
+    if (this.routeCache.size > this.maxCacheEntries) {
+      this.routeCache.delete(this.routeCache.keys().next().value);
+    }
+  }
+
+  /**
+   * Revision of the attached feedback store (new corrections invalidate cached decisions)
+   * @returns {number}
+   */
+  getFeedbackRevision() {
+    return this.feedbackStore?.revision || 0;
+  }
+
+  /**
+   * Drop all cached routing decisions (after corrections or registry changes)
+   */
+  clearCache() {
+    this.routeCache.clear();
+    console.log('🧹 Routing cache cleared');
+  }
+
+  /**
+   * Configure the AI latency budget and cache lifetime
+   * @param {Object} options - Routing performance options
+   * @param {number} options.latencyBudget - Max ms to wait for the AI classifier
+   * @param {number} options.cacheTTL - Cache lifetime in ms (0 disables caching)
+   */
+  configure(options = {}) {
+    if (typeof options.latencyBudget === 'number' && options.latencyBudget > 0) {
+      this.latencyBudget = options.latencyBudget;
+    }
+    if (typeof options.cacheTTL === 'number' && options.cacheTTL >= 0) {
+      this.cacheTTL = options.cacheTTL;
+      this.clearCache();
+    }
+    console.log('🔧 Routing configured:', { latencyBudget: this.latencyBudget, cacheTTL: this.cacheTTL });
+  }
+
+  /**
+   * Attach operations and the translation target to a routing result
+   * @param {Object} result - Routing result
+   * @param {string} text - Trimmed user input
+   * @param {boolean} hasSelectedText - Whether user has text selected
+   * @returns {Object} Routing result with operations and targetLanguage
+   */
+  completeRoute(result, text, hasSelectedText = false) {
+    return this.attachToneVector(this.attachTargetLanguage(this.attachOperations(result, text, hasSelectedText), text), text);
+  }
+
+  /**
+   * Attach weighted tone dimensions (formality, warmth, urgency, ...) to a routing result
+   * `tones` stays the flat list (now also naming tones only the analyzer caught, e.g. "polite");
+   * toneVector carries intensities and toneConflicts the
+   * opposing cues that were reconciled ("casual but professional"). Each operation gets
+   * the vector of its own clause.
+   * @param {Object} result - Routing result
+   * @param {string} text - Trimmed user input
+   * @returns {Object} Routing result with toneVector and toneConflicts (null without a ToneAnalyzer)
+   */
+  attachToneVector(result, text) {
+    const analyzer = window.toneAnalyzer;
+    if (!analyzer) {
+      return { ...result, toneVector: null, toneConflicts: [] };
+    }
+
+    const analysis = analyzer.analyzeWithLabels(text, result.tones || []);
+    if (analysis.conflicts.length > 0) {
+      console.log('🎨 Reconciled tone conflicts:', analysis.conflicts);
+    }
+
+    const operations = (result.operations || []).map(op => {
+      const opAnalysis = result.operations.length > 1 ? analyzer.analyzeWithLabels(op.instruction, op.tones) : analysis;
+      return { ...op, toneVector: opAnalysis.vector, toneConflicts: opAnalysis.conflicts };
+    });
+
+    return {
+      ...result,
+      tones: analysis.tones,
+      operations,
+      toneVector: analysis.vector,
+      toneConflicts: analysis.conflicts
+    };
+  }
+
+  /**
+   * Attach the parsed translation target (null unless a translate step is involved)
+   * languageTarget keeps how the target was written (ISO code, native name, "this page", ...);
+   * page-relative targets have no code until the page language is detected.
+   * @param {Object} result - Routing result
+   * @param {string} text - Trimmed user input
+   * @returns {Object} Routing result with targetLanguage and languageTarget
+   */
+  attachTargetLanguage(result, text) {
+    const translates = result.intent === 'translate' || (result.operations || []).some(op => op.intent === 'translate');
+    if (!translates || !window.languageResolver) {
+      return { ...result, targetLanguage: null, languageTarget: null };
+    }
+
+    const translateStep = (result.operations || []).find(op => op.intent === 'translate');
+    const languageTarget = window.languageResolver.parseTarget(translateStep && result.operations.length > 1 ? translateStep.instruction : text);
+    if (languageTarget) {
+      console.log('🌐 Translation target:', languageTarget);
+    }
+    return {
+      ...result,
+      targetLanguage: languageTarget?.code || null,
+      languageTarget
+    };
+  }
+
+  /**
+   * Attach the ordered operation list to a routing result
+   * A compound request is explicit about each step, so it is never treated as ambiguous.
+   * @param {Object} result - Routing result
+   * @param {string} text - Trimmed user input (original casing kept for instructions)
+   * @param {boolean} hasSelectedText - Whether user has text selected
+   * @returns {Object} Routing result with operations
+   */
+  attachOperations(result, text, hasSelectedText = false) {
+    const operations = this.detectOperations(text, hasSelectedText);
+
+    if (operations.length > 1) {
+      console.log('🔗 Compound request detected:', operations.map(op => op.intent).join(' → '));
+      return {
+        ...result,
+        intent: operations[0].intent,
+        operations,
+        ambiguous: false
+      };
+    }
+
+    return {
+      ...result,
+      operations: [{ intent: result.intent, instruction: text, tones: result.tones || [] }]
+    };
+  }
+
+  /**
+   * Split a compound request into ordered operations
+   * A clause starts an operation when an intent pattern or a learned phrase matches it. Clauses
+   * without a clear intent of their own are folded into the previous clause; leading ones
+   * ("for the client update; make it formal, ...") are kept at the front of the first operation.
+   * @param {string} text - User input
+   * @param {boolean} hasSelectedText - Whether user has text selected
+   * @returns {Array<Object>} Ordered operations ({intent, instruction, tones}), empty if not compound
+   */
+  detectOperations(text, hasSelectedText = false) {
+    const clauses = (text || '')
+      .split(this.operationSeparator)
+      .map(clause => clause.trim())
+      .filter(Boolean);
+
+    if (clauses.length < 2) {
+      return [];
+    }
+
+    const operations = [];
+    let leading = [];
+    clauses.forEach(clause => {
+      const [top] = this.scorePatternCandidates(clause, hasSelectedText);
+      const previous = operations[operations.length - 1];
+
+      if (!this.isMatchedCandidate(top) || (previous && previous.intent === top.intent)) {
+        if (previous) {
+          previous.instruction = `${previous.instruction}, ${clause}`;
+          previous.tones = this.detectTones(previous.instruction);
+        } else {
+          leading.push(clause);
         }
-      } catch (error) {
-        console.warn('⚠️ AI routing failed, falling back to pattern matching:', error);
+        return;
       }
+
+      const instruction = [...leading, clause].join(', ');
+      leading = [];
+      operations.push({ intent: top.intent, instruction, tones: this.detectTones(instruction) });
+    });
+
+    return operations.length > 1 ? operations : [];
+  }
+
+  /**
+   * Merge AI classifier output with pattern candidates into one ranked list
+   * @param {Object} aiResult - Result from routeWithAI (score may be null)
+   * @param {Array<Object>} patternCandidates - Ranked candidates from scorePatternCandidates
+   * @param {boolean} hasSelectedText - Whether user has text selected
+   * @returns {Object} Routing result with candidates and ambiguous flag
+   */
+  reconcileCandidates(aiResult, patternCandidates, hasSelectedText = false) {
+    const topPattern = patternCandidates[0] || null;
+    // A context-fallback guess is no evidence against the classifier
+    const agrees = !this.isMatchedCandidate(topPattern) || topPattern.intent === aiResult.intent;
+
+    // Without a self-reported confidence, trust the classifier only as far as the patterns back it up
+    let score = aiResult.score;
+    if (typeof score !== 'number') {
+      score = topPattern && topPattern.intent === aiResult.intent ? topPattern.score : this.threshold - 0.05;
     }
 
-    // Fallback to pattern-based routing
-    return await this.routeWithPatterns(query, hasSelectedText, planMode);
+    const merged = this.mergeCandidates(
+      [{ intent: aiResult.intent, score, source: 'ai-classifier' }],
+      aiResult.candidates || [],
+      patternCandidates
+    );
+    const candidates = this.rankCandidates(merged, aiResult.intent, hasSelectedText);
+
+    return {
+      ...aiResult,
+      score,
+      candidates,
+      ambiguous: !agrees || this.isAmbiguous(candidates)
+    };
+  }
+
+  /**
+   * Whether a candidate comes from the request's own wording (an intent pattern or a learned phrase)
+   * rather than a guess from the context
+   * @param {Object|null} candidate - Candidate from scorePatternCandidates
+   * @returns {boolean}
+   */
+  isMatchedCandidate(candidate) {
+    return Boolean(candidate) && (candidate.source === 'patterns' || candidate.source === 'learned');
+  }
+
+  /**
+   * Merge candidate lists, keeping the highest score per intent
+   * @param {...Array<Object>} lists - Candidate lists
+   * @returns {Array<Object>} Merged (unsorted) candidates
+   */
+  mergeCandidates(...lists) {
+    const merged = new Map();
+    lists.flat().forEach(candidate => {
+      const existing = merged.get(candidate.intent);
+      if (!existing || candidate.score > existing.score) {
+        merged.set(candidate.intent, candidate);
+      }
+    });
+    return [...merged.values()];
+  }
+
+  /**
+   * Sort candidates by score (preferred intent wins ties) and attach chip labels
+   * @param {Array<Object>} candidates - Unsorted candidates
+   * @param {string} preferredIntent - Intent that should win a tie
+   * @param {boolean} hasSelectedText - Whether user has text selected
+   * @returns {Array<Object>} Ranked candidates
+   */
+  rankCandidates(candidates, preferredIntent = null, hasSelectedText = false) {
+    return candidates
+      .sort((a, b) => (b.score - a.score) || ((b.intent === preferredIntent) - (a.intent === preferredIntent)))
+      .map(candidate => ({
+        ...candidate,
+        score: Math.round(candidate.score * 100) / 100,
+        label: this.getClarificationLabel(candidate.intent, hasSelectedText)
+      }));
+  }
+
+  /**
+   * Decide whether the ranked candidates are too close to run without asking
+   * @param {Array<Object>} candidates - Ranked candidates
+   * @returns {boolean} True if the user should pick an intent
+   */
+  isAmbiguous(candidates) {
+    if (!candidates || candidates.length < 2) {
+      return false;
+    }
+
+    const [top, second] = candidates;
+    return top.score < this.threshold || (top.score - second.score) < this.clarificationMargin;
+  }
+
+  /**
+   * Get the clarification chip label for an intent
+   * @param {string} intent - Intent name
+   * @param {boolean} hasSelectedText - Whether user has text selected
+   * @returns {string} Short user-facing label
+   */
+  getClarificationLabel(intent, hasSelectedText = false) {
+    const labels = this.registry.get(intent)?.clarification;
+    if (!labels) {
+      return intent;
+    }
+    return hasSelectedText ? labels.selection : labels.input;
   }
 
   /**
@@ -104,9 +522,11 @@ class SemanticRouter {
    * @param {boolean} hasSelectedText - Whether user has text selected
    * @param {string} selectedText - The selected text (optional)
    * @param {boolean} planMode - Whether Plan mode is active
+   * @param {Object} trace - Optional trace filled with the raw response, validation result and failure reason
+   * @param {AbortSignal} signal - Cancels the classifier call
    * @returns {Promise<Object|null>} Routing result or null if failed
    */
-  async routeWithAI(input, hasSelectedText = false, selectedText = '', planMode = false) {
+  async routeWithAI(input, hasSelectedText = false, selectedText = '', planMode = false, trace = null, signal = null) {
     console.log('🤖 routeWithAI called:', { hasClassifier: !!this.classifier, planMode });
 
     if (!this.classifier) {
@@ -128,81 +548,94 @@ class SemanticRouter {
   "outputType": "email",
   "tones": ["professional"],
   "confidence": 0.95,
+  "alternatives": [{ "intent": "rewrite", "confidence": 0.3 }],
   "reasoning": "User wants to draft a professional response email"
 }`
       : `{
   "intent": "the main intent",
   "outputType": "detected output type or null",
   "tones": ["tone1", "tone2"],
-  "confidence": 0.0-1.0
+  "confidence": 0.0-1.0,
+  "alternatives": [{ "intent": "another plausible intent", "confidence": 0.0-1.0 }]
 }`;
 
     console.log('🤖 AI routing with planMode:', planMode, 'reasoningRequest:', reasoningRequest ? 'YES' : 'NO');
 
+    const intents = this.registry.list();
+    const intentList = intents.map(intent => `- ${intent.name}: ${intent.description}`).join('\n');
+    const guidance = intents
+      .filter(intent => intent.promptGuidance)
+      .map(intent => intent.promptGuidance)
+      .join('\n\n');
+
     const prompt = `Analyze the following user request and classify it into one of these intents:
-- proofread: Check grammar, spelling, and punctuation of SELECTED text
-- summarize: Create a summary or extract key points from SELECTED text
-- write: Draft NEW content (can use selected text as REFERENCE/CONTEXT)
-- rewrite: Modify or rephrase the SELECTED text itself
-- translate: Translate SELECTED text to another language
-
-CRITICAL DISTINCTION when selected text exists:
-- "write" = Create NEW content, using selection as reference/context
-  Examples: "write a response to this", "draft a reply to this email", "create a cover letter based on this job posting"
-- "rewrite" = Modify the SELECTED text itself
-  Examples: "make this more formal", "rephrase this", "improve this", "polish this"
-
-Key indicators for "write" (even with selection):
-- "write/draft/create/compose [something] to/for/about/based on [this/the selection]"
-- "respond to", "reply to", "answer"
-- "generate", "produce new"
-
-Key indicators for "rewrite" (requires selection):
-- "make this...", "change this...", "improve this..."
-- "rephrase", "reword", "rewrite"
-- "more formal/casual/professional"
-- Direct modification verbs without creating something new
+${intentList}
+${guidance ? `\n${guidance}\n` : ''}
+Be honest about "confidence": use a low value when the request could reasonably mean more than one intent, and list the other plausible intents in "alternatives".
 
 Also identify:
 - Output type (email, letter, post, document, list, script, summary, response, announcement, tutorial)
 - Tone/style (formal, casual, persuasive, urgent, diplomatic, confident, empathetic)
 
-User request: "${input}"${contextInfo}${reasoningRequest}
+${this.buildFewShotExamples(input)}User request: "${input}"${contextInfo}${reasoningRequest}
 
 Respond in this exact JSON format:
 ${responseFormat}`;
 
     try {
-      const response = await this.classifier.send(prompt);
-      console.log('🤖 AI classifier raw response:', response);
+      const structured = await this.classifyStructured(prompt, this.buildRoutingSchema(), planMode ? { reasoning: null } : null, signal);
+      console.log('🤖 AI classifier raw response:', structured.raw);
+      if (trace) {
+        trace.classifier = {
+          raw: structured.raw ?? null,
+          valid: Boolean(structured.data),
+          errors: structured.errors || [],
+          coercedFields: structured.coercedFields || [],
+          repairAttempts: structured.repairAttempts || 0,
+          usedFallback: Boolean(structured.usedFallback)
+        };
+      }
 
-      // Parse JSON from response
-      const jsonMatch = response.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        console.warn('⚠️ Could not find JSON in AI response');
+      if (!structured.data) {
+        console.warn('⚠️ AI response did not match the routing schema:', structured.errors);
+        if (trace) {
+          trace.fallbackReason = 'AI response did not match the routing schema';
+        }
         return null;
       }
 
-      const parsed = JSON.parse(jsonMatch[0]);
+      const parsed = structured.data;
       console.log('🤖 Parsed AI response:', {
         hasReasoning: !!parsed.reasoning,
         reasoning: parsed.reasoning,
-        intent: parsed.intent
+        intent: parsed.intent,
+        coercedFields: structured.coercedFields
       });
 
-      // Validate response
-      if (!parsed.intent || !['proofread', 'summarize', 'write', 'rewrite', 'translate'].includes(parsed.intent)) {
-        console.warn('⚠️ Invalid intent from AI:', parsed.intent);
-        return null;
-      }
+      const validIntents = this.registry.getNames();
+
+      // Keep the classifier's own confidence; null means "not reported" and is resolved in route()
+      const confidence = this.parseConfidence(parsed.confidence);
+      const alternatives = Array.isArray(parsed.alternatives)
+        ? parsed.alternatives
+          .filter(alt => alt && validIntents.includes(alt.intent) && alt.intent !== parsed.intent)
+          .map(alt => ({
+            intent: alt.intent,
+            score: this.parseConfidence(alt.confidence) ?? 0,
+            source: 'ai-classifier'
+          }))
+        : [];
 
       const result = {
         intent: parsed.intent,
         outputType: parsed.outputType || null,
         tones: Array.isArray(parsed.tones) ? parsed.tones : [],
-        score: parsed.confidence || 0.85,
+        score: confidence,
+        candidates: alternatives,
         via: "ai-classifier",
-        reasoning: parsed.reasoning || null
+        reasoning: parsed.reasoning || null,
+        coercedFields: structured.coercedFields,
+        repairAttempts: structured.repairAttempts
       };
 
       console.log('🤖 Final AI routing result:', {
@@ -213,8 +646,149 @@ ${responseFormat}`;
       return result;
     } catch (error) {
       console.error('❌ AI routing error:', error);
+      if (trace) {
+        trace.classifier = { ...(trace.classifier || {}), error: error.message };
+        trace.fallbackReason = `AI classifier error: ${error.message}`;
+      }
+      return null;
+    }
+  }
+
+  /**
+   * JSON schema for classifier output (intents come from the registry)
+   * reasoning stays optional even in Plan mode: a missing one becomes null instead of costing a repair call.
+   * @returns {Object} JSON schema
+   */
+  buildRoutingSchema() {
+    const intents = this.registry.getNames();
+    return {
+      type: 'object',
+      properties: {
+        intent: { type: 'string', enum: intents },
+        outputType: { type: ['string', 'null'] },
+        tones: { type: 'array', items: { type: 'string' }, maxItems: 5 },
+        confidence: { type: 'number', minimum: 0, maximum: 1 },
+        alternatives: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              intent: { type: 'string', enum: intents },
+              confidence: { type: 'number', minimum: 0, maximum: 1 }
+            },
+            required: ['intent']
+          }
+        },
+        reasoning: { type: ['string', 'null'] }
+      },
+      required: ['intent']
+    };
+  }
+
+  /**
+   * Ask the classifier for schema-valid JSON.
+   * Classifiers without sendStructured (plain send) get validation without the repair retry.
+   * @param {string} prompt - Classifier prompt
+   * @param {Object} schema - JSON schema
+   * @param {Object|null} fallback - Fallback values for fields still invalid after repair
+   * @param {AbortSignal} signal - Cancels the classifier call
+   * @returns {Promise<Object>} { data, raw, coercedFields, repairAttempts, errors }
+   */
+  async classifyStructured(prompt, schema, fallback = null, signal = null) {
+    const signalOptions = signal ? { signal } : {};
+    if (typeof this.classifier.sendStructured === 'function') {
+      return await this.classifier.sendStructured(prompt, { schema, fallback, ...signalOptions });
+    }
+
+    const raw = await this.classifier.send(prompt, [], signalOptions);
+    let checked = window.PromptService.parseStructured(raw, schema);
+    if (!checked.valid && fallback) {
+      checked = window.PromptService.applyFallback(checked.value, fallback, schema);
+    }
+    return {
+      data: checked.valid ? checked.value : null,
+      raw,
+      coercedFields: checked.coercedFields,
+      repairAttempts: 0,
+      errors: checked.errors
+    };
+  }
+
+  /**
+   * Attach the store of user corrections used for few-shot examples and learned keywords
+   * @param {RoutingFeedbackService|null} store - Feedback store (null to disable learning)
+   */
+  setFeedbackStore(store) {
+    this.feedbackStore = store;
+    this.clearCache();
+    console.log(`🎓 Routing feedback ${store ? 'attached' : 'detached'}`);
+  }
+
+  /**
+   * Build the few-shot block of past user corrections for the classifier prompt
+   * @param {string} input - User input
+   * @returns {string} Prompt section (empty if no relevant corrections)
+   */
+  buildFewShotExamples(input) {
+    if (!this.feedbackStore?.isInitialized) {
+      return '';
+    }
+
+    const examples = this.feedbackStore.getFewShotExamples(input, 5);
+    if (examples.length === 0) {
+      return '';
+    }
+
+    const lines = examples.map(example => `- "${example.query}"${example.hasSelectedText ? ' (with selected text)' : ''} → ${JSON.stringify({ intent: example.intent, outputType: example.outputType || null })}`);
+    return `This user has corrected similar requests before. Follow their labels:\n${lines.join('\n')}\n\n`;
+  }
+
+  /**
+   * Score intents from keywords learned from user corrections
+   * @param {string} query - Normalized query string
+   * @returns {Array<Object>} Learned candidates ({intent, score, source, terms})
+   */
+  scoreLearnedCandidates(query) {
+    if (!this.feedbackStore?.isInitialized) {
+      return [];
+    }
+
+    // One confident correction is roughly as strong as a fallback guess; repeats approach a pattern hit
+    return this.feedbackStore.scoreQuery(query, 'intents')
+      .filter(match => this.patterns[match.label])
+      .map(match => ({
+        intent: match.label,
+        score: Math.min(0.95, 0.5 + 0.2 * match.weight),
+        source: 'learned',
+        terms: match.terms
+      }));
+  }
+
+  /**
+   * Get the output type learned from user corrections, if any
+   * @param {string} query - Normalized query string
+   * @returns {string|null} Learned output type
+   */
+  detectLearnedOutputType(query) {
+    if (!this.feedbackStore?.isInitialized) {
+      return null;
+    }
+
+    const [top] = this.feedbackStore.scoreQuery(query, 'outputTypes');
+    return top && top.weight >= 1 ? top.label : null;
+  }
+
+  /**
+   * Parse a classifier confidence value into [0, 1]
+   * @param {*} value - Raw confidence from the model
+   * @returns {number|null} Confidence, or null if missing/invalid
+   */
+  parseConfidence(value) {
+    const confidence = typeof value === 'string' ? parseFloat(value) : value;
+    if (typeof confidence !== 'number' || isNaN(confidence)) {
       return null;
     }
+    return Math.min(1, Math.max(0, confidence));
   }
 
   /**
@@ -223,6 +797,7 @@ ${responseFormat}`;
    */
   setAIRouting(enabled) {
     this.useAIRouting = enabled && this.classifier !== null;
+    this.clearCache();
     console.log(`🔧 AI routing ${this.useAIRouting ? 'enabled' : 'disabled'}`);
   }
 
@@ -242,42 +817,12 @@ ${responseFormat}`;
    * @returns {Object} Routing result
    */
   async routeWithPatterns(query, hasSelectedText = false, planMode = false) {
-    let matchedIntent = null;
     let matchedOutputType = null;
     let matchedTones = [];
 
-    // Fast pattern matching for intent
-    for (const [intent, pattern] of Object.entries(this.patterns)) {
-      if (pattern.test(query)) {
-        console.log(`✅ Matched intent: "${intent}" with pattern:`, pattern);
-        matchedIntent = intent;
-        break;
-      }
-    }
-
-    // Smart fallback based on context
-    if (!matchedIntent) {
-      // Check if query suggests using selection as reference vs modifying it
-      const isReferencePattern = /\b(for|about|regarding|concerning|on|to|in\s+response)\b/i;
-      const isModificationPattern = /\b(this|it|the\s+(text|content|message))\b/i;
-
-      let defaultIntent;
-      if (hasSelectedText) {
-        // With selection: check if user wants to use it as reference or modify it
-        if (isReferencePattern.test(query)) {
-          defaultIntent = 'write'; // "help me with something for this" = write using selection as reference
-        } else if (isModificationPattern.test(query)) {
-          defaultIntent = 'rewrite'; // "help me with this" = modify the selection
-        } else {
-          defaultIntent = 'write'; // Ambiguous, default to write (safer assumption)
-        }
-      } else {
-        defaultIntent = 'write'; // No selection = create new content
-      }
-
-      console.log(`ℹ️ No intent pattern matched, using smart fallback: ${defaultIntent} (hasSelectedText: ${hasSelectedText}, query pattern hints: ${isReferencePattern.test(query) ? 'reference' : isModificationPattern.test(query) ? 'modification' : 'ambiguous'})`);
-      matchedIntent = defaultIntent;
-    }
+    const candidates = this.scorePatternCandidates(query, hasSelectedText);
+    const top = candidates[0];
+    const matchedIntent = top.intent;
 
     // Detect output type
     for (const [outputType, pattern] of Object.entries(this.outputTypePatterns)) {
@@ -288,26 +833,22 @@ ${responseFormat}`;
       }
     }
 
-    // Detect tone/style (can have multiple)
-    for (const [tone, pattern] of Object.entries(this.tonePatterns)) {
-      if (pattern.test(query)) {
-        console.log(`🎨 Matched tone: ${tone}`);
-        matchedTones.push(tone);
+    // Fall back to output types learned from user corrections ("blurb" → post)
+    if (!matchedOutputType) {
+      matchedOutputType = this.detectLearnedOutputType(query);
+      if (matchedOutputType) {
+        console.log(`🎓 Learned output type: ${matchedOutputType}`);
       }
     }
 
+    // Detect tone/style (can have multiple)
+    matchedTones = this.detectTones(query);
+
     // Generate reasoning in Plan mode using AI
     let reasoning = null;
     if (planMode && this.classifier) {
       try {
-        const intentDescriptions = {
-          'proofread': 'check grammar and spelling',
-          'summarize': 'create a summary',
-          'rewrite': 'modify and improve the text',
-          'write': 'create new content',
-          'translate': 'translate to another language'
-        };
-        const action = intentDescriptions[matchedIntent] || 'process the text';
+        const action = this.registry.get(matchedIntent)?.action || 'process the text';
         const reasoningPrompt = `Generate a single brief sentence (8-12 words) explaining what the user wants to do.
 
 User wants to: ${action}
@@ -330,59 +871,202 @@ CRITICAL: Respond with ONLY ONE sentence. No quotes, no extra text. Start with "
       intent: matchedIntent,
       outputType: matchedOutputType,
       tones: matchedTones,
-      score: matchedIntent ? 0.9 : 0.7,
-      via: matchedIntent ? "patterns" : "context-fallback",
+      score: top.score,
+      candidates,
+      ambiguous: this.isAmbiguous(candidates),
+      via: { patterns: "patterns", learned: "learned-patterns" }[top.source] || "context-fallback",
       reasoning: reasoning  // Generated by AI in Plan mode, null otherwise
     };
   }
 
+  /**
+   * Detect tone/style keywords (can have multiple)
+   * @param {string} text - Query or clause text
+   * @returns {Array<string>} Matched tones
+   */
+  detectTones(text) {
+    return Object.entries(this.tonePatterns)
+      .filter(([, pattern]) => pattern.test(text))
+      .map(([tone]) => tone);
+  }
+
+  /**
+   * Score every intent pattern against the query instead of taking the first hit
+   * @param {string} query - Normalized query string
+   * @param {boolean} hasSelectedText - Whether user has text selected
+   * @returns {Array<Object>} Ranked candidates ({intent, score, source, label})
+   */
+  scorePatternCandidates(query, hasSelectedText = false) {
+    // Pattern order still matters: earlier (more specific) patterns rank higher on ties
+    const hits = Object.entries(this.patterns)
+      .filter(([, pattern]) => pattern.test(query))
+      .map(([intent]) => intent);
+
+    // Keywords learned from the user's corrections compete with the built-in patterns
+    const learned = this.scoreLearnedCandidates(query);
+    if (learned.length > 0) {
+      console.log('🎓 Learned intent keywords:', learned.map(c => `${c.intent} (${c.terms.join(', ')})`).join('; '));
+    }
+
+    if (hits.length > 0) {
+      console.log(`✅ Matched intent patterns: ${hits.join(', ')}`);
+      // Every extra hit makes the winner less certain
+      const candidates = hits.map((intent, rank) => ({
+        intent,
+        score: Math.max(0.4, 0.9 - 0.15 * (hits.length - 1) - 0.1 * rank),
+        source: 'patterns'
+      }));
+      return this.rankCandidates(this.mergeCandidates(candidates, learned), hits[0], hasSelectedText);
+    }
+
+    if (learned.length > 0) {
+      return this.rankCandidates(learned, learned[0].intent, hasSelectedText);
+    }
+
+    // Smart fallback based on context
+    // Check if query suggests using selection as reference vs modifying it
+    const isReferencePattern = /\b(for|about|regarding|concerning|on|to|in\s+response)\b/i;
+    const isModificationPattern = /\b(this|it|the\s+(text|content|message))\b/i;
+
+    if (!hasSelectedText) {
+      console.log('ℹ️ No intent pattern matched, using smart fallback: write (no selection)');
+      return this.rankCandidates([{ intent: 'write', score: 0.6, source: 'context-fallback' }], 'write', false);
+    }
+
+    // With selection: check if user wants to use it as reference or modify it
+    let defaultIntent;
+    let hint;
+    if (isReferencePattern.test(query)) {
+      defaultIntent = 'write'; // "help me with something for this" = write using selection as reference
+      hint = 'reference';
+    } else if (isModificationPattern.test(query)) {
+      defaultIntent = 'rewrite'; // "help me with this" = modify the selection
+      hint = 'modification';
+    } else {
+      defaultIntent = 'write'; // Ambiguous, default to write (safer assumption)
+      hint = 'ambiguous';
+    }
+    const otherIntent = defaultIntent === 'write' ? 'rewrite' : 'write';
+
+    console.log(`ℹ️ No intent pattern matched, using smart fallback: ${defaultIntent} (hasSelectedText: ${hasSelectedText}, query pattern hints: ${hint})`);
+
+    // A guess from context alone is below threshold, so the user gets asked
+    return this.rankCandidates([
+      { intent: defaultIntent, score: hint === 'ambiguous' ? 0.45 : 0.5, source: 'context-fallback' },
+      { intent: otherIntent, score: 0.4, source: 'context-fallback' }
+    ], defaultIntent, true);
+  }
+
   normalize(input, routingResult) {
     const text = (input || "").trim();
     const intent = routingResult.intent || 'rewrite';
     const outputType = routingResult.outputType;
     const tones = routingResult.tones || [];
+    const toneVector = routingResult.toneVector || null;
 
     const baseResult = {
       type: intent,
       text,
       outputType,
       tones,
+      toneVector,
       originalQuery: input
     };
 
-    switch (intent) {
-      case "proofread":
-        return { ...baseResult, type: "proofread" };
-      case "rewrite":
-        return { ...baseResult, type: "rewrite", goal: this.deriveGoalFromOutputType(outputType, tones) };
-      case "write":
-        return {
-          ...baseResult,
-          type: "write",
-          instructions: text,
-          format: this.deriveFormatFromOutputType(outputType)
-        };
-      case "summarize":
-        return {
-          ...baseResult,
-          type: "summarize",
-          summaryType: outputType === 'list' ? 'key-points' : 'paragraph',
-          length: tones.includes('urgent') ? 'short' : 'medium'
-        };
-      case "translate":
-        return { ...baseResult, type: "translate" };
-      default:
-        return { ...baseResult, type: "prompt" };
+    // Each intent normalizes its own request shape; unknown intents fall back to a plain prompt
+    const definition = this.registry.get(intent);
+    return definition ? definition.normalize(baseResult, this) : { ...baseResult, type: "prompt" };
+  }
+
+  /**
+   * Explain a routing decision for the "Why this?" inspector
+   * Pattern hits are recomputed from the query (cheap); the classifier response and the
+   * fallback reason come from the trace recorded while routing.
+   * @param {string} input - User input as typed
+   * @param {Object} routing - Routing result from route(), or a forced/overridden routing
+   * @returns {Object} Inspector data
+   */
+  explain(input, routing) {
+    const text = (input || '').trim();
+    const query = text.toLowerCase();
+    const trace = routing.routeTrace || null;
+
+    return {
+      query: text,
+      intent: routing.intent,
+      outputType: routing.outputType || null,
+      score: routing.score ?? null,
+      routePath: routing.routePath || routing.via || null,
+      routingMs: routing.routingMs ?? null,
+      reasoning: routing.reasoning || null,
+      candidates: (routing.candidates || []).map(({ intent, score, source }) => ({ intent, score, source })),
+      patternMatches: this.findPatternMatches(query),
+      outputTypeMatch: this.findOutputTypeMatch(query),
+      learned: this.scoreLearnedCandidates(query).map(({ intent, terms }) => ({ intent, terms })),
+      toneCues: window.toneAnalyzer ? window.toneAnalyzer.findCues(text).map(cue => cue.matched) : [],
+      classifier: trace?.classifier || null,
+      fallbackReason: trace?.fallbackReason || null,
+      normalized: this.normalize(text, routing)
+    };
+  }
+
+  /**
+   * Every intent pattern that matches, with the matched span
+   * @param {string} query - Lowercased query
+   * @returns {Array<Object>} Matches ({intent, pattern, match, start, end}) in priority order
+   */
+  findPatternMatches(query) {
+    return Object.entries(this.patterns)
+      .map(([intent, pattern]) => this.matchSpan(query, pattern, { intent }))
+      .filter(Boolean);
+  }
+
+  /**
+   * The output type pattern that routeWithPatterns would pick, with the matched span
+   * @param {string} query - Lowercased query
+   * @returns {Object|null} Match ({outputType, pattern, match, start, end})
+   */
+  findOutputTypeMatch(query) {
+    for (const [outputType, pattern] of Object.entries(this.outputTypePatterns)) {
+      const span = this.matchSpan(query, pattern, { outputType });
+      if (span) {
+        return span;
+      }
     }
+    return null;
+  }
+
+  /**
+   * Run a pattern and describe where it matched
+   * @param {string} query - Text to search
+   * @param {RegExp} pattern - Pattern
+   * @param {Object} label - Fields copied into the result (e.g. {intent})
+   * @returns {Object|null} Span, or null if the pattern does not match
+   */
+  matchSpan(query, pattern, label) {
+    // A fresh non-global copy keeps lastIndex from leaking between calls
+    const match = new RegExp(pattern.source, pattern.flags.replace('g', '')).exec(query);
+    if (!match) {
+      return null;
+    }
+    return {
+      ...label,
+      pattern: pattern.source,
+      match: match[0],
+      start: match.index,
+      end: match.index + match[0].length
+    };
   }
 
   /**
    * Derive rewrite goal from detected output type and tones
+   * The tone vector, when present, gives intensities ("noticeably formal and slightly warm").
    */
-  deriveGoalFromOutputType(outputType, tones = []) {
+  deriveGoalFromOutputType(outputType, tones = [], toneVector = null) {
     if (!outputType) return null;
 
-    const toneModifier = tones.length > 0 ? ` in a ${tones.join(', ')} tone` : '';
+    const tonePhrase = toneVector && window.toneAnalyzer ? window.toneAnalyzer.toPhrase(toneVector) : tones.join(', ');
+    const toneModifier = tonePhrase ? ` in a ${tonePhrase} tone` : '';
 
     switch (outputType) {
       case 'email':
@@ -4,23 +4,26 @@
  */
 const STORAGE_CONSTANTS = {
   DB_NAME: 'TonePilotDB',
-  DB_VERSION: 1,
+  DB_VERSION: 3,
   MAX_HISTORY_ITEMS: 5,
   MAX_EXPORT_ITEMS: 100,
+  MAX_PLAN_TRACES: 20,
   STORE_NAMES: {
     REWRITES: 'rewrites',
-    SETTINGS: 'settings'
+    SETTINGS: 'settings',
+    PLAN_TRACES: 'planTraces',
+    LONG_TERM_MEMORY: 'longTermMemory'
   },
   INDICES: {
     TIMESTAMP: 'timestamp',
     DOMAIN: 'domain'
   },
-  SETTING_KEYS: ['storeHistory', 'defaultPreset', 'piiScrubbing']
+  SETTING_KEYS: ['storeHistory', 'defaultPreset', 'piiScrubbing', 'longTermMemory']
 };
 
 /**
  * IndexedDB-based storage manager for TonePilot extension
- * Handles rewrite history, settings, and data export/import functionality
+ * Handles rewrite history, Plan mode traces, long-term memory, settings, and data export/import functionality
  */
 class StorageManager {
   /**
@@ -31,6 +34,7 @@ class StorageManager {
     this.dbVersion = STORAGE_CONSTANTS.DB_VERSION;
     this.db = null;
     this.maxHistoryItems = STORAGE_CONSTANTS.MAX_HISTORY_ITEMS;
+    this.maxPlanTraces = STORAGE_CONSTANTS.MAX_PLAN_TRACES;
     this.isInitialized = false;
   }
 
@@ -128,6 +132,23 @@ class StorageManager {
         keyPath: 'key'
       });
     }
+
+    // Added in version 2
+    if (!db.objectStoreNames.contains(STORE_NAMES.PLAN_TRACES)) {
+      const traceStore = db.createObjectStore(STORE_NAMES.PLAN_TRACES, {
+        keyPath: 'id',
+        autoIncrement: true
+      });
+      traceStore.createIndex(INDICES.TIMESTAMP, INDICES.TIMESTAMP, { unique: false });
+    }
+
+    // Added in version 3; keyed by the memory item's own ID
+    if (!db.objectStoreNames.contains(STORE_NAMES.LONG_TERM_MEMORY)) {
+      const memoryStore = db.createObjectStore(STORE_NAMES.LONG_TERM_MEMORY, {
+        keyPath: 'id'
+      });
+      memoryStore.createIndex(INDICES.TIMESTAMP, INDICES.TIMESTAMP, { unique: false });
+    }
   }
 
   /**
@@ -280,6 +301,235 @@ class StorageManager {
     }
   }
 
+  /**
+   * Save the trace of a Plan mode run (steps, tool calls, observations, timings, final output)
+   * @param {Object} trace - Trace built while running the plan
+   * @param {string} trace.query - User request
+   * @param {Array} trace.steps - Recorded steps
+   * @returns {Promise<number>} The ID of the saved trace
+   * @throws {Error} If the trace is invalid or the save fails
+   */
+  async savePlanTrace(trace) {
+    await this._ensureInitialized();
+
+    if (!trace || typeof trace.query !== 'string' || !Array.isArray(trace.steps)) {
+      throw new Error('Invalid plan trace provided');
+    }
+
+    // Stored copies must be structured-cloneable; drop anything that is not plain data
+    const record = { ...JSON.parse(JSON.stringify(trace)), timestamp: Date.now() };
+    delete record.id;
+
+    try {
+      const id = await this._executeTransaction(
+        [STORAGE_CONSTANTS.STORE_NAMES.PLAN_TRACES],
+        'readwrite',
+        (store) => store.add(record)
+      );
+
+      this.cleanupOldPlanTraces().catch(error => {
+        console.warn('Failed to cleanup old plan traces:', error);
+      });
+
+      return id;
+    } catch (error) {
+      console.error('Failed to save plan trace:', error);
+      throw new Error(`Failed to save plan trace: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a saved plan trace
+   * @param {number} id - Trace ID
+   * @returns {Promise<Object|null>} The trace, or null if it no longer exists
+   * @throws {Error} If the ID is invalid or the database operation fails
+   */
+  async getPlanTrace(id) {
+    await this._ensureInitialized();
+
+    if (!Number.isInteger(id)) {
+      throw new Error('Trace ID must be an integer');
+    }
+
+    try {
+      const trace = await this._executeTransaction(
+        [STORAGE_CONSTANTS.STORE_NAMES.PLAN_TRACES],
+        'readonly',
+        (store) => store.get(id)
+      );
+      return trace || null;
+    } catch (error) {
+      console.error('Failed to get plan trace:', error);
+      throw new Error(`Failed to retrieve plan trace: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the most recent plan traces
+   * @param {number} [limit=20] - Maximum number of traces to retrieve
+   * @returns {Promise<Array>} Traces, newest first
+   * @throws {Error} If database operation fails
+   */
+  async getRecentPlanTraces(limit = STORAGE_CONSTANTS.MAX_PLAN_TRACES) {
+    await this._ensureInitialized();
+
+    if (!Number.isInteger(limit) || limit < 0) {
+      throw new Error('Limit must be a non-negative integer');
+    }
+
+    try {
+      return await this._getCursorResults(
+        STORAGE_CONSTANTS.STORE_NAMES.PLAN_TRACES,
+        STORAGE_CONSTANTS.INDICES.TIMESTAMP,
+        null,
+        'prev',
+        limit
+      );
+    } catch (error) {
+      console.error('Failed to get recent plan traces:', error);
+      throw new Error(`Failed to retrieve recent plan traces: ${error.message}`);
+    }
+  }
+
+  /**
+   * Clear all plan traces
+   * @returns {Promise<void>}
+   * @throws {Error} If database operation fails
+   */
+  async clearPlanTraces() {
+    await this._ensureInitialized();
+
+    try {
+      await this._executeTransaction(
+        [STORAGE_CONSTANTS.STORE_NAMES.PLAN_TRACES],
+        'readwrite',
+        (store) => store.clear()
+      );
+    } catch (error) {
+      console.error('Failed to clear plan traces:', error);
+      throw new Error(`Failed to clear plan traces: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cleanup plan traces beyond the maximum limit
+   * @returns {Promise<number>} Number of traces deleted
+   */
+  async cleanupOldPlanTraces() {
+    if (!this.isInitialized || !this.db) {
+      return 0;
+    }
+
+    try {
+      return await this._executeTransaction(
+        [STORAGE_CONSTANTS.STORE_NAMES.PLAN_TRACES],
+        'readwrite',
+        async (store) => {
+          const index = store.index(STORAGE_CONSTANTS.INDICES.TIMESTAMP);
+          return await this._cleanupWithCursor(index, this.maxPlanTraces);
+        }
+      );
+    } catch (error) {
+      console.warn('Failed to cleanup old plan traces:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Save a conversation promoted to long-term memory (replaces an earlier copy with the same ID)
+   * @param {Object} item - Memory item from MemoryService
+   * @param {string} item.id - Memory item ID
+   * @returns {Promise<string>} The ID of the saved item
+   * @throws {Error} If the item is invalid or the save fails
+   */
+  async saveLongTermMemory(item) {
+    await this._ensureInitialized();
+
+    if (!item || typeof item.id !== 'string' || !item.id) {
+      throw new Error('Invalid memory item provided');
+    }
+
+    // Stored copies must be structured-cloneable; drop anything that is not plain data
+    const record = JSON.parse(JSON.stringify(item));
+
+    try {
+      return await this._executeTransaction(
+        [STORAGE_CONSTANTS.STORE_NAMES.LONG_TERM_MEMORY],
+        'readwrite',
+        (store) => store.put(record)
+      );
+    } catch (error) {
+      console.error('Failed to save long-term memory:', error);
+      throw new Error(`Failed to save long-term memory: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get every conversation kept in long-term memory
+   * @returns {Promise<Array>} Memory items, oldest first
+   * @throws {Error} If database operation fails
+   */
+  async getLongTermMemories() {
+    await this._ensureInitialized();
+
+    try {
+      const items = await this._executeTransaction(
+        [STORAGE_CONSTANTS.STORE_NAMES.LONG_TERM_MEMORY],
+        'readonly',
+        (store) => store.index(STORAGE_CONSTANTS.INDICES.TIMESTAMP).getAll()
+      );
+      return items || [];
+    } catch (error) {
+      console.error('Failed to get long-term memory:', error);
+      throw new Error(`Failed to retrieve long-term memory: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete one conversation from long-term memory
+   * @param {string} id - Memory item ID
+   * @returns {Promise<void>}
+   * @throws {Error} If the ID is invalid or the database operation fails
+   */
+  async deleteLongTermMemory(id) {
+    await this._ensureInitialized();
+
+    if (typeof id !== 'string' || !id) {
+      throw new Error('Memory item ID must be a non-empty string');
+    }
+
+    try {
+      await this._executeTransaction(
+        [STORAGE_CONSTANTS.STORE_NAMES.LONG_TERM_MEMORY],
+        'readwrite',
+        (store) => store.delete(id)
+      );
+    } catch (error) {
+      console.error('Failed to delete long-term memory:', error);
+      throw new Error(`Failed to delete long-term memory: ${error.message}`);
+    }
+  }
+
+  /**
+   * Clear all long-term memory
+   * @returns {Promise<void>}
+   * @throws {Error} If database operation fails
+   */
+  async clearLongTermMemory() {
+    await this._ensureInitialized();
+
+    try {
+      await this._executeTransaction(
+        [STORAGE_CONSTANTS.STORE_NAMES.LONG_TERM_MEMORY],
+        'readwrite',
+        (store) => store.clear()
+      );
+    } catch (error) {
+      console.error('Failed to clear long-term memory:', error);
+      throw new Error(`Failed to clear long-term memory: ${error.message}`);
+    }
+  }
+
   /**
    * Cleanup old records beyond the maximum limit
    * @returns {Promise<number>} Number of records deleted
@@ -308,9 +558,10 @@ class StorageManager {
    * Cleanup records using cursor iteration
    * @private
    * @param {IDBIndex} index - Timestamp index
+   * @param {number} [maxItems] - Number of newest records to keep (defaults to the history limit)
    * @returns {Promise<number>} Number of deleted records
    */
-  _cleanupWithCursor(index) {
+  _cleanupWithCursor(index, maxItems = this.maxHistoryItems) {
     return new Promise((resolve, reject) => {
       const request = index.openCursor(null, 'prev');
       let count = 0;
@@ -320,7 +571,7 @@ class StorageManager {
         const cursor = event.target.result;
         if (cursor) {
           count++;
-          if (count > this.maxHistoryItems) {
+          if (count > maxItems) {
             cursor.delete();
             deletedCount++;
           }
@@ -1,8 +1,12 @@
 /**
  * Chrome Summarizer Service
- * Provides AI-powered summarization using Chrome's Built-in Summarizer API
+ * Provides AI-powered summarization using Chrome's Built-in Summarizer API.
+ * Text longer than one call can take is summarized map-reduce style: split on paragraph and
+ * heading boundaries, summarize the chunks a few at a time, then merge the chunk summaries.
  */
 
+const CITATION_STOPWORDS = new Set(['the', 'and', 'for', 'that', 'this', 'with', 'are', 'was', 'were', 'from', 'has', 'have', 'its', 'their', 'they', 'will', 'not', 'but', 'all', 'can', 'about', 'into', 'than', 'more', 'also', 'been', 'which', 'who']);
+
 class SummarizerService {
   constructor() {
     this.summarizer = null;
@@ -101,6 +105,7 @@ class SummarizerService {
    * @param {string} options.context - Additional context for the summary
    * @param {string} options.type - Override summary type for this request
    * @param {string} options.length - Override length for this request
+   * @param {AbortSignal} options.signal - Cancels the call
    * @returns {Promise<{summary: string, original: string, metadata: Object}>}
    */
   async summarize(text, options = {}) {
@@ -108,30 +113,16 @@ class SummarizerService {
       throw new Error('Invalid text input for summarization');
     }
 
-    // Initialize with custom config if type/length overrides provided
-    const configOverrides = {};
-    if (options.type && options.type !== this.currentConfig?.type) {
-      configOverrides.type = options.type;
-    }
-    if (options.length && options.length !== this.currentConfig?.length) {
-      configOverrides.length = options.length;
-    }
-
-    if (Object.keys(configOverrides).length > 0) {
-      await this.initialize({ ...this.currentConfig, ...configOverrides });
-    } else if (!this.isInitialized) {
-      await this.initialize();
-    }
-
-    if (!this.summarizer) {
-      throw new Error('Summarizer not initialized');
-    }
+    await this.prepareSummarizer(options);
 
     try {
       const summarizeOptions = {};
       if (options.context) {
         summarizeOptions.context = options.context;
       }
+      if (options.signal) {
+        summarizeOptions.signal = options.signal;
+      }
 
       const summary = await this.summarizer.summarize(text, summarizeOptions);
 
@@ -156,33 +147,56 @@ class SummarizerService {
   }
 
   /**
-   * Summarize text with streaming output
-   * @param {string} text - Text to summarize
-   * @param {Object} options - Summarization options
-   * @param {Function} onChunk - Callback for each chunk
-   * @returns {Promise<string>} Complete summary
+   * Make sure the summarizer session matches the request's type/length overrides
+   * @param {Object} options - Summarization options (see summarize)
    */
-  async summarizeStreaming(text, options = {}, onChunk = null) {
-    if (!text || typeof text !== 'string') {
-      throw new Error('Invalid text input for streaming summarization');
+  async prepareSummarizer(options = {}) {
+    // Initialize with custom config if type/length overrides provided
+    const configOverrides = {};
+    if (options.type && options.type !== this.currentConfig?.type) {
+      configOverrides.type = options.type;
+    }
+    if (options.length && options.length !== this.currentConfig?.length) {
+      configOverrides.length = options.length;
     }
 
-    if (!this.isInitialized) {
+    if (Object.keys(configOverrides).length > 0) {
+      await this.initialize({ ...this.currentConfig, ...configOverrides });
+    } else if (!this.isInitialized) {
       await this.initialize();
     }
 
     if (!this.summarizer) {
       throw new Error('Summarizer not initialized');
     }
+  }
+
+  /**
+   * Summarize text with streaming output
+   * @param {string} text - Text to summarize
+   * @param {Object} options - Summarization options (as for summarize)
+   * @param {AbortSignal} options.signal - Stops the summary; the text so far is returned
+   * @param {Function} onChunk - Callback for each chunk
+   * @returns {Promise<string>} Complete summary (or the part written before a stop)
+   */
+  async summarizeStreaming(text, options = {}, onChunk = null) {
+    if (!text || typeof text !== 'string') {
+      throw new Error('Invalid text input for streaming summarization');
+    }
+
+    await this.prepareSummarizer(options);
+    let fullSummary = '';
 
     try {
       const summarizeOptions = {};
       if (options.context) {
         summarizeOptions.context = options.context;
       }
+      if (options.signal) {
+        summarizeOptions.signal = options.signal;
+      }
 
       const stream = this.summarizer.summarizeStreaming(text, summarizeOptions);
-      let fullSummary = '';
 
       for await (const chunk of stream) {
         fullSummary += chunk;
@@ -193,11 +207,290 @@ class SummarizerService {
 
       return fullSummary;
     } catch (error) {
+      if (options.signal?.aborted) {
+        console.log('⏹️ Summarization stopped, keeping partial output');
+        return fullSummary;
+      }
       console.error('Streaming summarization failed:', error);
       throw new Error(`Streaming summarization failed: ${error.message}`);
     }
   }
 
+  /**
+   * Summarize text of any length; text that fits one call is summarized directly
+   * @param {string} text - Text to summarize
+   * @param {Object} options - Summarization options
+   * @param {number} options.chunkSize - Largest chunk, in characters (lowered to fit the input quota)
+   * @param {number} options.concurrency - Chunks summarized at the same time
+   * @param {string} options.context - Additional context for each summary
+   * @param {Function} options.summarizeChunk - async (text, {context, phase, signal}) => summary; defaults to the Summarizer API
+   * @param {Function} options.onProgress - Called with {phase: 'map'|'reduce', completed, total}
+   * @param {AbortSignal} options.signal - Cancels every chunk and merge call; nothing partial is returned
+   * @returns {Promise<Object>} { summary, bullets: [{text, chunks}], chunks: [{index, label, start, end, text}], metadata }
+   * @throws {DOMException} The signal's abort reason (an AbortError) once it is aborted
+   */
+  async summarizeLong(text, options = {}) {
+    if (!text || typeof text !== 'string') {
+      throw new Error('Invalid text input for summarization');
+    }
+
+    const signal = options.signal || null;
+    const summarize = options.summarizeChunk ||
+      (async (chunkText, chunkOptions) => (await this.summarize(chunkText, { context: chunkOptions.context, signal: chunkOptions.signal })).summary);
+    // A stop surfaces as the signal's AbortError, not whatever the chunk call wrapped it in
+    const summarizeChunk = async (chunkText, chunkOptions) => {
+      signal?.throwIfAborted();
+      try {
+        return await summarize(chunkText, { ...chunkOptions, ...(signal ? { signal } : {}) });
+      } catch (error) {
+        signal?.throwIfAborted();
+        throw error;
+      }
+    };
+    const concurrency = options.concurrency ?? 2;
+    const chunkSize = this.getChunkSize(options.chunkSize ?? 4000);
+    const chunks = SummarizerService.splitIntoChunks(text, chunkSize);
+    const onProgress = options.onProgress || (() => {});
+
+    console.log(`📚 Map-reduce summarization: ${text.length} chars in ${chunks.length} chunk(s) of up to ${chunkSize}`);
+
+    // Map: every chunk becomes a list of bullets tagged with the chunk it came from
+    let completed = 0;
+    onProgress({ phase: 'map', completed, total: chunks.length });
+    const chunkSummaries = await SummarizerService.mapWithConcurrency(chunks, concurrency, async (chunk) => {
+      const summary = await summarizeChunk(chunk.text, {
+        context: [options.context, `This is part ${chunk.index + 1} of ${chunks.length} of a longer document.`].filter(Boolean).join(' '),
+        phase: 'map'
+      });
+      completed++;
+      onProgress({ phase: 'map', completed, total: chunks.length });
+      return SummarizerService.parseBullets(summary).map(bullet => ({ text: bullet, chunks: [chunk.index] }));
+    });
+    const mapBullets = chunkSummaries.flat();
+
+    // Reduce: merge the chunk bullets (in rounds when they do not fit one call), then cite each merged bullet
+    let bullets = mapBullets;
+    if (chunks.length > 1) {
+      onProgress({ phase: 'reduce', completed: 0, total: 1 });
+      const merged = await this.reduceBullets(mapBullets.map(bullet => bullet.text), chunkSize, summarizeChunk, options.context, concurrency);
+      bullets = SummarizerService.attributeBullets(SummarizerService.parseBullets(merged), mapBullets);
+      onProgress({ phase: 'reduce', completed: 1, total: 1 });
+    }
+
+    return {
+      summary: bullets.map(bullet => `- ${bullet.text}`).join('\n'),
+      bullets,
+      chunks,
+      metadata: {
+        originalLength: text.length,
+        chunkCount: chunks.length,
+        chunkSize,
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Merge bullet lists until they fit one summary
+   * @param {Array<string>} bulletTexts - Bullets to merge
+   * @param {number} chunkSize - Largest input per call
+   * @param {Function} summarizeChunk - Summarizes one input
+   * @param {string} context - Additional context
+   * @param {number} concurrency - Groups merged at the same time
+   * @param {number} depth - Current reduce round
+   * @returns {Promise<string>} Merged summary
+   */
+  async reduceBullets(bulletTexts, chunkSize, summarizeChunk, context, concurrency = 2, depth = 0) {
+    const lines = bulletTexts.map(text => `- ${text}`);
+    const groups = SummarizerService.packLines(lines, chunkSize);
+    const reduceContext = [context, 'These are key points from consecutive parts of one document. Merge them into one set of key points without repeating anything.'].filter(Boolean).join(' ');
+
+    const merged = await SummarizerService.mapWithConcurrency(groups, concurrency,
+      group => summarizeChunk(group, { context: reduceContext, phase: 'reduce' }));
+    if (merged.length === 1 || depth >= 2) {
+      return merged.join('\n');
+    }
+    return await this.reduceBullets(merged.flatMap(summary => SummarizerService.parseBullets(summary)), chunkSize, summarizeChunk, context, concurrency, depth + 1);
+  }
+
+  /**
+   * Largest chunk that fits the Summarizer's input quota (about three characters per token, leaving headroom)
+   * @param {number} preferredSize - Preferred chunk size in characters
+   * @returns {number} Chunk size in characters
+   */
+  getChunkSize(preferredSize) {
+    const quota = this.summarizer?.inputQuota;
+    if (Number.isFinite(quota) && quota > 0) {
+      return Math.max(500, Math.min(preferredSize, Math.floor(quota * 3)));
+    }
+    return preferredSize;
+  }
+
+  /**
+   * Split text into chunks on semantic boundaries: headings and paragraphs first, then sentences,
+   * and only cut mid-sentence when a single sentence is longer than a chunk
+   * @param {string} text - Text to split
+   * @param {number} maxChars - Largest chunk
+   * @returns {Array<Object>} Chunks ({index, label, start, end, text})
+   */
+  static splitIntoChunks(text, maxChars) {
+    const blocks = [];
+    const blockPattern = /[^\n]+(?:\n(?!\s*\n)[^\n]*)*/g;
+    let match;
+    while ((match = blockPattern.exec(text)) !== null) {
+      if (match[0].trim()) {
+        blocks.push({ text: match[0], start: match.index, end: match.index + match[0].length });
+      }
+    }
+
+    // Blocks longer than a chunk are split into sentences, then cut
+    const pieces = blocks.flatMap(block => {
+      if (block.text.length <= maxChars) {
+        return [block];
+      }
+      const sentences = [];
+      const sentencePattern = /[^.!?\n]+(?:[.!?]+["')\]]*|\n|$)\s*/g;
+      let sentence;
+      while ((sentence = sentencePattern.exec(block.text)) !== null && sentence[0]) {
+        for (let offset = 0; offset < sentence[0].length; offset += maxChars) {
+          const part = sentence[0].slice(offset, offset + maxChars);
+          const start = block.start + sentence.index + offset;
+          sentences.push({ text: part, start, end: start + part.length });
+        }
+      }
+      return sentences;
+    });
+
+    // Pack pieces greedily; a heading starts a new chunk once the current one is half full, and a
+    // chunk holding only a heading always takes the next piece (a heading is at most 60 characters)
+    const chunks = [];
+    let current = null;
+    pieces.forEach(piece => {
+      const heading = SummarizerService.isHeading(piece.text);
+      const startsSection = heading && current && (current.end - current.start) >= maxChars / 2;
+      if (current && !startsSection && (current.headingOnly || piece.end - current.start <= maxChars)) {
+        current.end = piece.end;
+        current.headingOnly = false;
+        return;
+      }
+      current = { start: piece.start, end: piece.end, headingOnly: heading && piece.text.trim().length <= 60 };
+      chunks.push(current);
+    });
+
+    return chunks.map((chunk, index) => {
+      const chunkText = text.slice(chunk.start, chunk.end).trim();
+      const firstLine = chunkText.split('\n')[0].trim();
+      return {
+        index,
+        label: SummarizerService.isHeading(firstLine) ? firstLine.replace(/^#+\s*/, '').substring(0, 60) : `Part ${index + 1}`,
+        start: chunk.start,
+        end: chunk.end,
+        text: chunkText
+      };
+    });
+  }
+
+  /**
+   * Whether a block starts with a heading (markdown heading, or a short title line without end punctuation)
+   * @param {string} text - Block text
+   * @returns {boolean}
+   */
+  static isHeading(text) {
+    const firstLine = text.trim().split('\n')[0].trim();
+    return /^#{1,6}\s+\S/.test(firstLine) || (firstLine.length > 0 && firstLine.length <= 60 && !/[.!?,;:]$/.test(firstLine));
+  }
+
+  /**
+   * Group lines into blocks no longer than maxChars
+   * @param {Array<string>} lines - Lines to group
+   * @param {number} maxChars - Largest block
+   * @returns {Array<string>} Blocks
+   */
+  static packLines(lines, maxChars) {
+    const groups = [];
+    let current = '';
+    lines.forEach(line => {
+      if (current && current.length + line.length + 1 > maxChars) {
+        groups.push(current);
+        current = '';
+      }
+      current = current ? `${current}\n${line}` : line;
+    });
+    if (current) {
+      groups.push(current);
+    }
+    return groups;
+  }
+
+  /**
+   * Read bullets from a summary (markdown or numbered list; otherwise one bullet per sentence)
+   * @param {string} summary - Summary text
+   * @returns {Array<string>} Bullet texts
+   */
+  static parseBullets(summary) {
+    const lines = (summary || '').split('\n').map(line => line.trim()).filter(Boolean);
+    const bullets = lines
+      .filter(line => /^([-*•]|\d+[.)])\s+/.test(line))
+      .map(line => line.replace(/^([-*•]|\d+[.)])\s+/, '').trim());
+
+    if (bullets.length > 0) {
+      return bullets;
+    }
+    return (summary || '').split(/(?<=[.!?])\s+/).map(sentence => sentence.trim()).filter(Boolean);
+  }
+
+  /**
+   * Cite the source chunks of merged bullets by word overlap with the chunk bullets they came from
+   * @param {Array<string>} bulletTexts - Merged bullets
+   * @param {Array<Object>} sourceBullets - Chunk bullets ({text, chunks})
+   * @returns {Array<Object>} Bullets ({text, chunks}); chunks is empty when nothing matches
+   */
+  static attributeBullets(bulletTexts, sourceBullets) {
+    const words = (text) => new Set((text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+      .filter(word => word.length > 2 && !CITATION_STOPWORDS.has(word)));
+    const sources = sourceBullets.map(bullet => ({ ...bullet, words: words(bullet.text) }));
+
+    return bulletTexts.map(text => {
+      const bulletWords = words(text);
+      const scores = new Map();
+      sources.forEach(source => {
+        const shared = [...bulletWords].filter(word => source.words.has(word)).length;
+        const score = bulletWords.size > 0 ? shared / bulletWords.size : 0;
+        source.chunks.forEach(chunk => scores.set(chunk, Math.max(scores.get(chunk) || 0, score)));
+      });
+
+      const best = Math.max(0, ...scores.values());
+      const chunks = [...scores.entries()]
+        .filter(([, score]) => score >= 0.2 && score >= best * 0.8)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 2)
+        .map(([chunk]) => chunk)
+        .sort((a, b) => a - b);
+
+      return { text, chunks };
+    });
+  }
+
+  /**
+   * Run an async function over items with at most `limit` running at once, keeping order
+   * @param {Array} items - Items
+   * @param {number} limit - Maximum concurrent calls
+   * @param {Function} fn - async (item, index) => result
+   * @returns {Promise<Array>} Results in item order
+   */
+  static async mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await fn(items[index], index);
+      }
+    });
+    await Promise.all(workers);
+    return results;
+  }
+
   /**
    * Get available summary types
    * @returns {Array<string>} Available summary types
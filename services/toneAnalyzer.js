@@ -0,0 +1,353 @@
+/**
+ * Tone Analyzer
+ * Turns tone requests ("a bit warmer", "very formal", "casual but professional") into a
+ * vector of tone dimensions with intensities from -1 to 1. Conflicting cues on the same
+ * dimension are reconciled instead of picking whichever keyword matched first.
+ */
+
+class ToneAnalyzer {
+  constructor() {
+    // Dimension → [negative pole, positive pole] (used for prompt modifiers)
+    this.dimensions = {
+      formality: ['casual', 'formal'],
+      warmth: ['reserved', 'warm'],
+      urgency: ['relaxed about timing', 'urgent'],
+      confidence: ['tentative', 'confident'],
+      persuasiveness: ['neutral and objective', 'persuasive'],
+      diplomacy: ['blunt', 'diplomatic'],
+      length: ['concise', 'detailed']
+    };
+
+    // Tone cues: words the user types → effect on each dimension.
+    // `tone` is the flat tone name reported for the cue (same names as SemanticRouter.tonePatterns).
+    this.cues = [
+      { tone: 'formal', words: ['formal', 'professional', 'businesslike', 'business-like', 'corporate', 'official', 'polished'], effects: { formality: 0.6 } },
+      { tone: 'casual', words: ['casual', 'informal', 'conversational', 'laid-back', 'laid back', 'relaxed', 'chill'], effects: { formality: -0.6, warmth: 0.2 } },
+      { tone: 'casual', words: ['friendly', 'friendlier', 'warm', 'warmer', 'personable', 'approachable'], effects: { warmth: 0.6, formality: -0.2 } },
+      { tone: 'empathetic', words: ['empathetic', 'compassionate', 'supportive', 'caring'], effects: { warmth: 0.6, diplomacy: 0.2 } },
+      { tone: null, words: ['blunt', 'blunter', 'curt', 'terse'], effects: { diplomacy: -0.5, warmth: -0.3 } },
+      { tone: 'confident', words: ['confident', 'assertive', 'bold', 'bolder', 'decisive', 'authoritative', 'direct', 'stronger'], effects: { confidence: 0.6 } },
+      { tone: 'diplomatic', words: ['humble', 'modest', 'tentative', 'gentle', 'gentler', 'softer'], effects: { confidence: -0.4, diplomacy: 0.3 } },
+      { tone: 'diplomatic', words: ['diplomatic', 'tactful', 'polite', 'politer', 'respectful', 'courteous', 'considerate'], effects: { diplomacy: 0.6 } },
+      { tone: 'persuasive', words: ['persuasive', 'convincing', 'compelling', 'salesy', 'punchy', 'punchier'], effects: { persuasiveness: 0.6 } },
+      { tone: null, words: ['neutral', 'objective', 'factual', 'unbiased'], effects: { persuasiveness: -0.4 } },
+      { tone: 'urgent', words: ['urgent', 'asap', 'as soon as possible', 'time-sensitive', 'time sensitive', 'high priority', 'immediately', 'immediate', 'critical', 'pressing'], effects: { urgency: 0.7 } },
+      { tone: null, words: ['concise', 'shorter', 'short', 'brief', 'briefer', 'succinct', 'tighter', 'to the point'], effects: { length: -0.6 } },
+      { tone: null, words: ['longer', 'detailed', 'elaborate', 'expanded', 'in depth', 'in-depth', 'thorough'], effects: { length: 0.6 } }
+    ];
+
+    // Words in front of a cue that scale it ("slightly warmer") or flip it ("less formal", "too formal")
+    this.scales = [
+      { pattern: 'slightly|a\\s+(?:bit|little|touch|tad)|somewhat|mildly|a\\s+little\\s+bit', factor: 0.5 },
+      { pattern: 'very|really|much|extremely|super|way|far|highly|a\\s+lot|significantly', factor: 1.5 }
+    ];
+    this.shifts = [
+      { pattern: 'more', factor: 1.2 },
+      { pattern: 'less', factor: -1 },
+      { pattern: 'not\\s+(?:too|so|overly)', factor: -0.5 },
+      { pattern: 'not', factor: -0.7 },
+      { pattern: 'too|overly', factor: -0.8 }
+    ];
+
+    // "X but Y" / "Y while staying X" mark the second cue as a constraint on the first
+    this.contrastPattern = /\b(but|yet|while|though|although|still|without\s+being)\b/i;
+
+    // Intensity below this counts as "no preference" when mapping onto API options
+    this.threshold = 0.25;
+
+    this.cuePatterns = this.cues.map(cue => ({
+      cue,
+      pattern: this.buildCuePattern(cue.words)
+    }));
+  }
+
+  /**
+   * Build the regex for one cue, capturing the optional scale and shift words in front of it
+   * @param {Array<string>} words - Cue words or phrases
+   * @returns {RegExp} Global regex (groups: scale, shift, cue)
+   */
+  buildCuePattern(words) {
+    const escape = word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    const scales = this.scales.map(scale => scale.pattern).join('|');
+    const shifts = this.shifts.map(shift => shift.pattern).join('|');
+    const alternatives = [...words].sort((a, b) => b.length - a.length).map(escape).join('|');
+    return new RegExp(`(?:\\b(${scales})\\s+)?(?:\\b(${shifts})\\s+)?\\b(${alternatives})\\b`, 'gi');
+  }
+
+  /**
+   * Create a vector with every dimension at 0
+   * @returns {Object} dimension → 0
+   */
+  createEmptyVector() {
+    return Object.fromEntries(Object.keys(this.dimensions).map(dimension => [dimension, 0]));
+  }
+
+  /**
+   * Analyze free text into a tone vector
+   * @param {string} text - User request (or a comma-separated list of tone labels)
+   * @returns {Object} { vector, conflicts, cues, tones }
+   */
+  analyze(text) {
+    const input = (text || '').toString();
+    const cues = this.findCues(input);
+    const { vector, conflicts } = this.reconcile(cues, input);
+
+    return {
+      vector,
+      conflicts,
+      cues,
+      tones: [...new Set(cues.filter(cue => cue.tone && cue.factor > 0).map(cue => cue.tone))]
+    };
+  }
+
+  /**
+   * Analyze a request and fold in tone labels from the AI classifier
+   * Cues in the request win; labels only fill dimensions the request left open.
+   * @param {string} text - User request
+   * @param {Array<string>} tones - Flat tone labels (e.g. from routing.tones)
+   * @returns {Object} { vector, conflicts, cues, tones }
+   */
+  analyzeWithLabels(text, tones = []) {
+    const fromText = this.analyze(text);
+    const labels = (tones || []).filter(tone => typeof tone === 'string' && tone.trim());
+    if (labels.length === 0) {
+      return fromText;
+    }
+
+    const fromLabels = this.analyze(labels.join(', '));
+    const vector = { ...fromText.vector };
+    Object.entries(fromLabels.vector).forEach(([dimension, value]) => {
+      if (vector[dimension] === 0 && value !== 0) {
+        vector[dimension] = value;
+      }
+    });
+
+    return {
+      ...fromText,
+      vector,
+      tones: [...new Set([...labels, ...fromText.tones])]
+    };
+  }
+
+  /**
+   * Find every tone cue with its position and signed, scaled effect
+   * @param {string} text - Input text
+   * @returns {Array<Object>} Cues ({tone, matched, index, factor, effects}) in text order
+   */
+  findCues(text) {
+    const found = [];
+
+    this.cuePatterns.forEach(({ cue, pattern }) => {
+      pattern.lastIndex = 0;
+      let match;
+      while ((match = pattern.exec(text)) !== null) {
+        const scale = match[1] ? this.lookupFactor(this.scales, match[1]) : 1;
+        const shift = match[2] ? this.lookupFactor(this.shifts, match[2]) : 1;
+        const factor = scale * shift;
+        found.push({
+          tone: cue.tone,
+          matched: match[0].trim(),
+          index: match.index,
+          factor,
+          effects: Object.fromEntries(Object.entries(cue.effects).map(([dimension, value]) => [dimension, this.clamp(value * factor)]))
+        });
+      }
+    });
+
+    // Overlapping matches keep the longest ("a bit more formal" over "formal"), then text order
+    return found
+      .sort((a, b) => a.index - b.index || b.matched.length - a.matched.length)
+      .filter((cue, index, all) => !all.slice(0, index).some(other => cue.index < other.index + other.matched.length));
+  }
+
+  /**
+   * Look up the factor for a scale or shift word
+   * @param {Array<Object>} table - this.scales or this.shifts
+   * @param {string} word - Matched word(s)
+   * @returns {number} Factor
+   */
+  lookupFactor(table, word) {
+    const normalized = word.toLowerCase().replace(/\s+/g, ' ');
+    const entry = table.find(item => new RegExp(`^(?:${item.pattern})$`, 'i').test(normalized));
+    return entry ? entry.factor : 1;
+  }
+
+  /**
+   * Combine cue effects per dimension
+   * Agreeing cues reinforce each other a little. Opposing cues ("casual but professional")
+   * net out; if they cancel, the first-mentioned direction is kept at a low intensity and
+   * the conflict is reported so prompts can ask for the balance explicitly.
+   * @param {Array<Object>} cues - Cues from findCues()
+   * @param {string} text - Input text (for contrast words between cues)
+   * @returns {Object} { vector, conflicts }
+   */
+  reconcile(cues, text = '') {
+    const vector = this.createEmptyVector();
+    const conflicts = [];
+
+    Object.keys(this.dimensions).forEach(dimension => {
+      const contributions = cues
+        .filter(cue => cue.effects[dimension] !== undefined && cue.effects[dimension] !== 0)
+        .map(cue => ({ value: cue.effects[dimension], matched: cue.matched, index: cue.index }));
+
+      if (contributions.length === 0) {
+        return;
+      }
+
+      const positive = contributions.filter(item => item.value > 0);
+      const negative = contributions.filter(item => item.value < 0);
+
+      if (positive.length === 0 || negative.length === 0) {
+        const strongest = contributions.reduce((best, item) => Math.abs(item.value) > Math.abs(best.value) ? item : best);
+        const boost = 0.1 * (contributions.length - 1) * Math.sign(strongest.value);
+        vector[dimension] = this.round(this.clamp(strongest.value + boost));
+        return;
+      }
+
+      // Conflict: the cue mentioned first sets the direction, later ones temper it
+      const [first] = contributions;
+      const net = contributions.reduce((sum, item) => sum + item.value, 0);
+      const minimum = 0.15 * Math.sign(first.value);
+      const resolved = Math.sign(net) === Math.sign(first.value) && Math.abs(net) >= Math.abs(minimum) ? net : minimum;
+      vector[dimension] = this.round(this.clamp(resolved));
+
+      const last = contributions[contributions.length - 1];
+      const between = text.slice(first.index, last.index);
+      conflicts.push({
+        dimension,
+        cues: contributions.map(item => item.matched),
+        contrast: this.contrastPattern.test(between),
+        resolved: vector[dimension]
+      });
+    });
+
+    return { vector, conflicts };
+  }
+
+  /**
+   * Map a vector onto a three-way option (e.g. Writer tone formal/neutral/casual)
+   * @param {number} value - Dimension intensity (-1..1)
+   * @param {Array<string>} options - [negative, neutral, positive]
+   * @returns {string} Option
+   */
+  pickOption(value, [negative, neutral, positive]) {
+    if (value >= this.threshold) {
+      return positive;
+    }
+    if (value <= -this.threshold) {
+      return negative;
+    }
+    return neutral;
+  }
+
+  /**
+   * Describe an intensity in words
+   * @param {number} value - Dimension intensity (-1..1)
+   * @returns {string} 'slightly' | 'noticeably' | 'strongly'
+   */
+  describeIntensity(value) {
+    const magnitude = Math.abs(value);
+    if (magnitude >= 0.75) {
+      return 'strongly';
+    }
+    if (magnitude >= 0.4) {
+      return 'noticeably';
+    }
+    return 'slightly';
+  }
+
+  /**
+   * Prompt sentences for dimensions an API option cannot express
+   * @param {Object} vector - Tone vector
+   * @param {Object} options - Options
+   * @param {Array<Object>} options.conflicts - Conflicts from reconcile()
+   * @param {Array<string>} options.covered - Dimensions already mapped onto API options;
+   *   these only get a sentence when strong or conflicting
+   * @returns {Array<string>} Modifier sentences
+   */
+  toPromptModifiers(vector, { conflicts = [], covered = [] } = {}) {
+    if (!vector) {
+      return [];
+    }
+
+    const conflicted = new Set(conflicts.map(conflict => conflict.dimension));
+    const modifiers = [];
+
+    Object.entries(this.dimensions).forEach(([dimension, [negativePole, positivePole]]) => {
+      const value = vector[dimension] || 0;
+      if (conflicted.has(dimension)) {
+        const conflict = conflicts.find(item => item.dimension === dimension);
+        modifiers.push(`Balance the tone: ${conflict.cues.join(' but ')} — lean ${value >= 0 ? positivePole : negativePole} without losing the other.`);
+        return;
+      }
+      if (Math.abs(value) < this.threshold || (covered.includes(dimension) && Math.abs(value) < 0.75)) {
+        return;
+      }
+      modifiers.push(`Make it ${this.describeIntensity(value)} ${value > 0 ? positivePole : negativePole}.`);
+    });
+
+    return modifiers;
+  }
+
+  /**
+   * Dimensions sorted by strength, for logs and reasoning prompts
+   * @param {Object} vector - Tone vector
+   * @returns {string} e.g. "formal (0.6), warm (0.3)" or 'neutral'
+   */
+  describe(vector) {
+    if (!vector) {
+      return 'neutral';
+    }
+    const parts = Object.entries(vector)
+      .filter(([, value]) => Math.abs(value) >= 0.1)
+      .sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]))
+      .map(([dimension, value]) => `${this.dimensions[dimension][value > 0 ? 1 : 0]} (${Math.abs(value)})`);
+    return parts.length > 0 ? parts.join(', ') : 'neutral';
+  }
+
+  /**
+   * Phrase a vector for prompts ("noticeably formal and slightly warm")
+   * @param {Object} vector - Tone vector
+   * @returns {string} Phrase, empty when every dimension is below the threshold
+   */
+  toPhrase(vector) {
+    if (!vector) {
+      return '';
+    }
+    const parts = Object.entries(vector)
+      .filter(([, value]) => Math.abs(value) >= this.threshold)
+      .sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]))
+      .map(([dimension, value]) => `${this.describeIntensity(value)} ${this.dimensions[dimension][value > 0 ? 1 : 0]}`);
+    if (parts.length <= 1) {
+      return parts.join('');
+    }
+    return `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}`;
+  }
+
+  /**
+   * Clamp to -1..1
+   * @param {number} value
+   * @returns {number}
+   */
+  clamp(value) {
+    return Math.max(-1, Math.min(1, value));
+  }
+
+  /**
+   * Round to two decimals
+   * @param {number} value
+   * @returns {number}
+   */
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+// Export to window globals for Chrome extension compatibility
+if (typeof window !== 'undefined') {
+  window.ToneAnalyzer = ToneAnalyzer;
+  window.toneAnalyzer = new ToneAnalyzer();
+  console.log('✅ ToneAnalyzer exported to window');
+} else {
+  console.error('❌ Window object not available - ToneAnalyzer not exported');
+}
@@ -0,0 +1,419 @@
+/**
+ * Tool Registry
+ * Single place where each planner tool declares its name, argument schema, prompt
+ * description and executor. PlannerService builds its prompt and decision schema from
+ * the registry and validates arguments here before a tool runs, so new tools do not
+ * need changes to the planner loop.
+ */
+
+class ToolRegistry {
+  constructor() {
+    // Ordered list - tools are offered to the model in this order
+    this.tools = [];
+  }
+
+  /**
+   * Register a tool
+   * @param {Object} definition - Tool definition
+   * @param {string} definition.name - Unique action name (lowercase, e.g. 'read_page')
+   * @param {string} definition.description - One-line description for the planner prompt
+   * @param {Object} definition.args - JSON schema for the arguments (type: 'object')
+   * @param {string} definition.label - Plan mode step title ("Searching the web")
+   * @param {Function} definition.available - (env) => boolean, whether the tool can be offered
+   * @param {Function} definition.execute - async (args, env) => observation text
+   * @returns {ToolRegistry} This registry (chainable)
+   */
+  register(definition) {
+    if (!definition || typeof definition.name !== 'string' || !/^[a-z][a-z0-9_]*$/.test(definition.name)) {
+      throw new Error('Tool definition requires a lowercase name');
+    }
+    if (definition.name === 'finish') {
+      throw new Error('"finish" is reserved for ending the plan');
+    }
+    if (typeof definition.description !== 'string' || !definition.description.trim()) {
+      throw new Error(`Tool "${definition.name}" requires a description`);
+    }
+    if (definition.args && definition.args.type !== 'object') {
+      throw new Error(`Tool "${definition.name}" args must be an object schema`);
+    }
+    if (typeof definition.execute !== 'function') {
+      throw new Error(`Tool "${definition.name}" requires an execute function`);
+    }
+
+    const tool = {
+      args: { type: 'object', properties: {} },
+      label: definition.name,
+      available: () => true,
+      ...definition
+    };
+
+    // Re-registering replaces the existing definition in place
+    const existingIndex = this.tools.findIndex(item => item.name === tool.name);
+    if (existingIndex !== -1) {
+      this.tools[existingIndex] = tool;
+      return this;
+    }
+
+    this.tools.push(tool);
+    console.log(`🧰 Tool registered: ${tool.name}`);
+    return this;
+  }
+
+  /**
+   * Remove a tool
+   * @param {string} name - Tool name
+   * @returns {boolean} True if removed
+   */
+  unregister(name) {
+    const index = this.tools.findIndex(item => item.name === name);
+    if (index === -1) {
+      return false;
+    }
+    this.tools.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Get a tool definition
+   * @param {string} name - Tool name
+   * @returns {Object|null} Tool definition
+   */
+  get(name) {
+    return this.tools.find(item => item.name === name) || null;
+  }
+
+  /**
+   * Check if a tool is registered
+   * @param {string} name - Tool name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.tools.some(item => item.name === name);
+  }
+
+  /**
+   * Get tool names in registration order
+   * @returns {Array<string>}
+   */
+  getNames() {
+    return this.tools.map(item => item.name);
+  }
+
+  /**
+   * Get all tool definitions in registration order
+   * @returns {Array<Object>}
+   */
+  list() {
+    return [...this.tools];
+  }
+
+  /**
+   * Get the names of tools that can run in this environment
+   * @param {Object} env - Services and request context passed to tools
+   * @returns {Array<string>}
+   */
+  getAvailable(env) {
+    return this.tools
+      .filter(tool => {
+        try {
+          return Boolean(tool.available(env));
+        } catch (error) {
+          console.warn(`⚠️ Tool availability check failed for ${tool.name}:`, error);
+          return false;
+        }
+      })
+      .map(tool => tool.name);
+  }
+
+  /**
+   * Describe a tool's arguments as a call signature, e.g. "query: string, limit?: integer"
+   * @param {Object} schema - Argument schema
+   * @returns {string}
+   */
+  describeArgs(schema) {
+    const required = schema.required || [];
+    return Object.entries(schema.properties || {})
+      .map(([key, property]) => {
+        const type = Array.isArray(property.enum) ? property.enum.map(option => `"${option}"`).join(' | ') : property.type;
+        return `${key}${required.includes(key) ? '' : '?'}: ${type}`;
+      })
+      .join(', ');
+  }
+
+  /**
+   * Build the tool list for the planner prompt
+   * @param {Array<string>} names - Tools to offer
+   * @returns {string} One line per tool: "- name({args}): description"
+   */
+  buildPromptSection(names) {
+    return names
+      .map(name => this.get(name))
+      .filter(Boolean)
+      .map(tool => `- ${tool.name}({${this.describeArgs(tool.args)}}): ${tool.description}`)
+      .join('\n');
+  }
+
+  /**
+   * Build the JSON schema for one planner decision
+   * @param {Array<string>} names - Tools to offer
+   * @returns {Object} JSON schema ({thought, action, args}); args are checked per tool by validateArgs()
+   */
+  buildDecisionSchema(names) {
+    return {
+      type: 'object',
+      properties: {
+        thought: { type: 'string' },
+        action: { type: 'string', enum: [...names, 'finish'] },
+        args: { type: 'object', default: {} }
+      },
+      required: ['thought', 'action', 'args']
+    };
+  }
+
+  /**
+   * Validate (and coerce) a tool's arguments against its schema
+   * @param {string} name - Tool name
+   * @param {Object} args - Arguments from the model
+   * @returns {Object} { value, valid, errors }
+   */
+  validateArgs(name, args) {
+    const tool = this.get(name);
+    if (!tool) {
+      return { value: null, valid: false, errors: [`Unknown tool: ${name}`] };
+    }
+
+    const result = window.PromptService.validateAgainstSchema(args ?? {}, tool.args);
+    return { value: result.value, valid: result.valid, errors: result.errors };
+  }
+
+  /**
+   * Validate arguments, then run a tool
+   * @param {string} name - Tool name
+   * @param {Object} args - Arguments from the model
+   * @param {Object} env - Services and request context passed to tools
+   * @returns {Promise<Object>} { ok, args, output, error }
+   */
+  async execute(name, args, env) {
+    const tool = this.get(name);
+    if (!tool || !this.getAvailable(env).includes(name)) {
+      return { ok: false, args, output: null, error: `The ${name} tool is not available.` };
+    }
+
+    const checked = this.validateArgs(name, args);
+    if (!checked.valid) {
+      return { ok: false, args, output: null, error: `Invalid arguments for ${name}: ${checked.errors.join('; ')}` };
+    }
+
+    try {
+      const output = await tool.execute(checked.value, env);
+      return { ok: true, args: checked.value, output, error: null };
+    } catch (error) {
+      console.warn(`⚠️ Tool ${name} failed:`, error);
+      return { ok: false, args: checked.value, output: null, error: `The ${name} tool failed: ${error.message}` };
+    }
+  }
+}
+
+/**
+ * Get the hostname of a URL without "www."
+ * @param {string} url - URL
+ * @returns {string|null}
+ */
+function getToolDomain(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Create a registry with TonePilot's built-in planner tools
+ * Tools receive env = { searchService, memoryService, documentService, storageManager,
+ * translationService, proofreaderService, pageContextProvider, context, run, signal }.
+ * signal (an AbortSignal, or null) cancels the calls that support it.
+ * @returns {ToolRegistry}
+ */
+function createDefaultToolRegistry() {
+  const registry = new ToolRegistry();
+
+  registry.register({
+    name: 'search',
+    label: 'Searching the web',
+    description: 'Search the web for facts the request depends on.',
+    args: {
+      type: 'object',
+      properties: { query: { type: 'string' } },
+      required: ['query']
+    },
+    available: (env) => Boolean(env.searchService?.isReady()),
+    execute: async (args, env) => {
+      const results = await env.searchService.search(args.query, env.signal ? { numResults: 3, signal: env.signal } : { numResults: 3 });
+      (results.items || []).forEach(item => {
+        env.run.sources.push({ icon: '🔍', title: item.title, snippet: item.snippet, url: item.link, isLocal: false });
+      });
+      return env.searchService.createSearchSummary(results, 3);
+    }
+  });
+
+  registry.register({
+    name: 'memory',
+    label: 'Recalling conversations',
+    description: 'Recall earlier conversations with the user.',
+    args: {
+      type: 'object',
+      properties: { query: { type: 'string' } },
+      required: ['query']
+    },
+    available: (env) => Boolean(env.memoryService),
+    execute: async (args, env) => {
+      return env.memoryService.getRelevantContextString(args.query, 3) || 'No related conversations found.';
+    }
+  });
+
+  registry.register({
+    name: 'read_page',
+    label: 'Reading the page',
+    description: 'Read the page the user is on (title, URL, description, text excerpt).',
+    available: (env) => Boolean(env.pageContextProvider),
+    execute: async (args, env) => {
+      const page = await env.pageContextProvider();
+      if (!page) {
+        return 'The current page could not be read.';
+      }
+      return [
+        page.title && `Title: ${page.title}`,
+        page.url && `URL: ${page.url}`,
+        page.description && `Description: ${page.description}`,
+        page.text && `Text: ${page.text}`
+      ].filter(Boolean).join('\n');
+    }
+  });
+
+  registry.register({
+    name: 'read_selection',
+    label: 'Reading the selection',
+    description: 'Read the text the user selected on the page.',
+    available: (env) => Boolean(env.context?.selectedText),
+    execute: async (args, env) => env.context.selectedText
+  });
+
+  registry.register({
+    name: 'get_resume_section',
+    label: 'Reading the resume',
+    description: 'Read one section of the resume the user uploaded (e.g. "experience", "education", "skills"), or "full" for all of it.',
+    args: {
+      type: 'object',
+      properties: { section: { type: 'string' } },
+      required: ['section']
+    },
+    available: (env) => Boolean(env.documentService),
+    execute: async (args, env) => {
+      const resume = await env.documentService.getResumeSection(args.section);
+      if (!resume) {
+        return 'No resume found in storage.';
+      }
+
+      const resumeData = await env.documentService.getResumeData();
+      if (resumeData) {
+        env.run.sources.push({ icon: '📄', title: resumeData.filename, snippet: 'Resume', url: null, isLocal: true });
+      }
+
+      if (resume.section) {
+        return `${resume.section.title}:\n${resume.section.content}`;
+      }
+      if (args.section.trim().toLowerCase() === 'full' || resume.titles.length === 0) {
+        return resume.text;
+      }
+      return `No "${args.section}" section found. Sections: ${resume.titles.join(', ')}.`;
+    }
+  });
+
+  registry.register({
+    name: 'get_email_template',
+    label: 'Reading the email template',
+    description: 'Read the email subject and template style the user saved.',
+    available: (env) => Boolean(env.documentService),
+    execute: async (args, env) => {
+      return await env.documentService.buildEmailContext() || 'No email template found in storage.';
+    }
+  });
+
+  registry.register({
+    name: 'get_domain_rewrites',
+    label: 'Checking past rewrites',
+    description: 'Get the user\'s recent rewrites on a site (defaults to the current one) to match their style there.',
+    args: {
+      type: 'object',
+      properties: {
+        domain: { type: 'string' },
+        limit: { type: 'integer', minimum: 1, maximum: 5, default: 3 }
+      }
+    },
+    available: (env) => Boolean(env.storageManager),
+    execute: async (args, env) => {
+      let domain = args.domain || env.context?.domain;
+      if (!domain && env.pageContextProvider) {
+        domain = getToolDomain((await env.pageContextProvider())?.url);
+      }
+      if (!domain) {
+        return 'The current site is unknown.';
+      }
+
+      const rewrites = await env.storageManager.getRewritesByDomain(domain, args.limit ?? 3);
+      if (rewrites.length === 0) {
+        return `No past rewrites on ${domain}.`;
+      }
+      return rewrites
+        .map((rewrite, index) => `[${index + 1}] ${rewrite.preset}\nOriginal: ${rewrite.originalText}\nRewritten: ${rewrite.rewrittenText}`)
+        .join('\n\n');
+    }
+  });
+
+  registry.register({
+    name: 'detect_language',
+    label: 'Detecting the language',
+    description: 'Detect the language of some text (defaults to the selection).',
+    args: {
+      type: 'object',
+      properties: { text: { type: 'string' } }
+    },
+    available: (env) => Boolean(env.translationService),
+    execute: async (args, env) => {
+      const text = args.text || env.context?.selectedText;
+      if (!text) {
+        return 'There is no text to detect the language of.';
+      }
+      const detected = await env.translationService.detectPrimaryLanguage(text);
+      const name = window.languageResolver?.getName(detected.language) || detected.language;
+      return `Detected language: ${name} (${detected.language}, confidence ${Number(detected.confidence).toFixed(2)})`;
+    }
+  });
+
+  registry.register({
+    name: 'proofread',
+    label: 'Proofreading the draft',
+    description: 'Proofread a draft and return the corrected text.',
+    args: {
+      type: 'object',
+      properties: { text: { type: 'string' } },
+      required: ['text']
+    },
+    available: (env) => Boolean(env.proofreaderService?.isAvailable),
+    execute: async (args, env) => {
+      const result = await env.proofreaderService.proofread(args.text, { signal: env.signal });
+      return `${result.corrections.length} correction(s).\nCorrected: ${result.corrected}`;
+    }
+  });
+
+  return registry;
+}
+
+// Export to window globals for Chrome extension compatibility
+if (typeof window !== 'undefined') {
+  window.ToolRegistry = ToolRegistry;
+  window.createDefaultToolRegistry = createDefaultToolRegistry;
+  console.log('✅ ToolRegistry exported to window');
+} else {
+  console.error('❌ Window object not available - ToolRegistry not exported');
+}
@@ -221,6 +221,7 @@ class TranslationService {
    * @param {Object} options - Translation options
    * @param {string} options.sourceLanguage - Source language (optional, will auto-detect if not provided)
    * @param {string} options.targetLanguage - Target language (required)
+   * @param {AbortSignal} options.signal - Cancels the call
    * @returns {Promise<Object>} Translation result with original, translated text, languages, and confidence
    */
   async translate(text, options = {}) {
@@ -259,7 +260,7 @@ class TranslationService {
     }
 
     try {
-      const translatedText = await this.translator.translate(text);
+      const translatedText = await this.translator.translate(text, options.signal ? { signal: options.signal } : undefined);
 
       return {
         original: text,
@@ -285,7 +286,8 @@ class TranslationService {
    * @param {Object} options - Translation options
    * @param {string} options.sourceLanguage - Source language (optional)
    * @param {string} options.targetLanguage - Target language (required)
-   * @param {Function} options.onChunk - Callback for each chunk
+   * @param {Function} options.onChunk - Callback for each chunk, with (chunk, translatedSoFar)
+   * @param {AbortSignal} options.signal - Stops the translation; the text so far is returned with stopped: true
    * @returns {Promise<Object>} Translation result with original, translated text, and languages
    */
   async translateStreaming(text, options = {}) {
@@ -315,14 +317,14 @@ class TranslationService {
       throw new Error('Translator not initialized');
     }
 
+    let translatedText = '';
     try {
-      let translatedText = '';
-      const stream = this.translator.translateStreaming(text);
+      const stream = this.translator.translateStreaming(text, options.signal ? { signal: options.signal } : undefined);
 
       for await (const chunk of stream) {
-        translatedText = chunk;
+        translatedText += chunk;
         if (options.onChunk && typeof options.onChunk === 'function') {
-          options.onChunk(chunk);
+          options.onChunk(chunk, translatedText);
         }
       }
 
@@ -333,6 +335,16 @@ class TranslationService {
         targetLanguage: options.targetLanguage
       };
     } catch (error) {
+      if (options.signal?.aborted) {
+        console.log('⏹️ Translation stopped, keeping partial output');
+        return {
+          original: text,
+          translated: translatedText,
+          sourceLanguage: sourceLanguage,
+          targetLanguage: options.targetLanguage,
+          stopped: true
+        };
+      }
       console.error('Streaming translation failed:', error);
       throw new Error(`Streaming translation failed: ${error.message}`);
     }
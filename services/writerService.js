@@ -97,6 +97,9 @@ class WriterService {
    * @param {string} options.context - Additional context for the writer
    * @param {string} options.tone - Override tone for this request ('formal', 'neutral', 'casual')
    * @param {string} options.length - Override length for this request ('short', 'medium', 'long')
+   * @param {Object} options.toneVector - Tone dimensions from routing; fills tone/length when not given
+   * @param {Array<Object>} options.toneConflicts - Reconciled tone conflicts from routing
+   * @param {AbortSignal} options.signal - Cancels the call
    * @returns {Promise<{original: string, output: string, metadata: Object}>}
    */
     async write(query, context, options = {}) {
@@ -104,30 +107,16 @@ class WriterService {
             throw new Error('Invalid query input for writing');
         }
 
-        // Initialize with custom config if tone/length overrides provided
-        const configOverrides = {};
-        if (options.tone && options.tone !== this.currentConfig?.tone) {
-            configOverrides.tone = options.tone;
-        }
-        if (options.length && options.length !== this.currentConfig?.length) {
-            configOverrides.length = options.length;
-        }
-
-        if (Object.keys(configOverrides).length > 0) {
-            await this.initialize({ ...this.currentConfig, ...configOverrides });
-        } else if (!this.isInitialized) {
-            await this.initialize();
-        }
-
-        if (!this.writer) {
-            throw new Error('Writer not initialized');
-        }
+        options = await this.prepareWrite(context, options);
 
         try {
             const writeOptions = {};
             if (options.context || context) {
                 writeOptions.context = options.context || context;
             }
+            if (options.signal) {
+                writeOptions.signal = options.signal;
+            }
 
             console.log('🔧 Calling Chrome Writer API with:', {
                 query: query.substring(0, 100),
@@ -154,26 +143,143 @@ class WriterService {
                 // Don't throw here, let it return empty and be caught by upstream error handling
             }
 
-            return {
-                original: query,
-                output: output || '',
-                metadata: {
-                    tone: this.currentConfig.tone,
-                    format: this.currentConfig.format,
-                    length: this.currentConfig.length,
-                    contextProvided: !!(options.context || context),
-                    originalLength: query.length,
-                    outputLength: output?.length || 0,
-                    expansionRatio: query.length > 0 ? ((output?.length || 0) / query.length) : 0,
-                    timestamp: new Date().toISOString()
-                }
-            };
+            return this.buildWriteResult(query, output, !!(options.context || context));
         } catch (error) {
             console.error('❌ Writer failed with error:', error);
             throw new Error(`Writer failed: ${error.message}`);
         }
     }
 
+    /**
+     * Write text with streaming output
+     * @param {string} query - Query prompt to write
+     * @param {string} context - Context provided for writing
+     * @param {Object} options - Writer options (as for write)
+     * @param {AbortSignal} options.signal - Stops writing; the text so far is returned with stopped: true
+     * @param {Function} onChunk - Callback for each chunk, with (chunk, fullText)
+     * @returns {Promise<{original: string, output: string, metadata: Object, stopped: boolean}>}
+     */
+    async writeStreaming(query, context, options = {}, onChunk = null) {
+        if (!query || typeof query !== 'string') {
+            throw new Error('Invalid query input for writing');
+        }
+
+        options = await this.prepareWrite(context, options);
+        let output = '';
+
+        try {
+            const writeOptions = {};
+            if (options.context || context) {
+                writeOptions.context = options.context || context;
+            }
+            if (options.signal) {
+                writeOptions.signal = options.signal;
+            }
+
+            const stream = this.writer.writeStreaming(query, writeOptions);
+            for await (const chunk of stream) {
+                output += chunk;
+                if (onChunk && typeof onChunk === 'function') {
+                    onChunk(chunk, output);
+                }
+            }
+
+            return { ...this.buildWriteResult(query, output, !!writeOptions.context), stopped: false };
+        } catch (error) {
+            if (options.signal?.aborted) {
+                console.log('⏹️ Writing stopped, keeping partial output');
+                return { ...this.buildWriteResult(query, output, !!(options.context || context)), stopped: true };
+            }
+            console.error('❌ Streaming writer failed with error:', error);
+            throw new Error(`Streaming writer failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Resolve per-request options and make sure the writer session matches them
+     * @param {string} context - Context provided for writing
+     * @param {Object} options - Writer options (see write)
+     * @returns {Promise<Object>} Options with tone/length/context filled in from the tone vector
+     */
+    async prepareWrite(context, options = {}) {
+        if (options.toneVector) {
+            const mapped = this.mapToneVector(options.toneVector, options.toneConflicts);
+            const toneContext = [options.context || context, ...mapped.modifiers].filter(Boolean).join('\n\n');
+            options = {
+                ...options,
+                tone: options.tone || mapped.tone,
+                length: options.length || mapped.length,
+                context: toneContext || undefined
+            };
+        }
+
+        // Initialize with custom config if tone/length overrides provided
+        const configOverrides = {};
+        if (options.tone && options.tone !== this.currentConfig?.tone) {
+            configOverrides.tone = options.tone;
+        }
+        if (options.length && options.length !== this.currentConfig?.length) {
+            configOverrides.length = options.length;
+        }
+
+        if (Object.keys(configOverrides).length > 0) {
+            await this.initialize({ ...this.currentConfig, ...configOverrides });
+        } else if (!this.isInitialized) {
+            await this.initialize();
+        }
+
+        if (!this.writer) {
+            throw new Error('Writer not initialized');
+        }
+
+        return options;
+    }
+
+    /**
+     * @param {string} query - Query prompt that was written from
+     * @param {string} output - Writer output
+     * @param {boolean} contextProvided - Whether context was passed to the writer
+     * @returns {Object} Write result with metadata
+     */
+    buildWriteResult(query, output, contextProvided) {
+        return {
+            original: query,
+            output: output || '',
+            metadata: {
+                tone: this.currentConfig.tone,
+                format: this.currentConfig.format,
+                length: this.currentConfig.length,
+                contextProvided,
+                originalLength: query.length,
+                outputLength: output?.length || 0,
+                expansionRatio: query.length > 0 ? ((output?.length || 0) / query.length) : 0,
+                timestamp: new Date().toISOString()
+            }
+        };
+    }
+
+    /**
+     * Map a routing tone vector onto Writer options
+     * Formality picks the tone, length (or strong urgency) picks the length; everything
+     * else becomes prompt modifiers passed along with the writing context.
+     * @param {Object} toneVector - Tone dimensions (-1..1) from ToneAnalyzer
+     * @param {Array<Object>} toneConflicts - Reconciled conflicts
+     * @returns {{tone: string, length: string, modifiers: Array<string>}}
+     */
+    mapToneVector(toneVector, toneConflicts = []) {
+        const analyzer = window.toneAnalyzer;
+        if (!toneVector || !analyzer) {
+            return { tone: 'neutral', length: 'medium', modifiers: [] };
+        }
+
+        const lengthValue = toneVector.urgency >= 0.6 ? Math.min(toneVector.length, -analyzer.threshold) : toneVector.length;
+        return {
+            tone: analyzer.pickOption(toneVector.formality, ['casual', 'neutral', 'formal']),
+            length: analyzer.pickOption(lengthValue, ['short', 'medium', 'long']),
+            modifiers: analyzer.toPromptModifiers(toneVector, { conflicts: toneConflicts, covered: ['formality', 'length'] })
+        };
+    }
+
     /**
      * Generate platform-specific shared context for Writer API
      * @param {string} platform - Platform identifier ('linkedin', 'gmail', etc.)
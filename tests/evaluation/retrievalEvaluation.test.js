@@ -0,0 +1,64 @@
+/**
+ * Memory Retrieval Evaluation
+ * Runs the BM25 baseline, the embedding retriever and hybrid fusion over a labeled fixture of
+ * memories and queries (lexical lookups and paraphrases). The fixture keywords are hand-written
+ * stand-ins for language model expansions, so this is a plumbing check on the retrievers: it
+ * asserts nothing about paraphrase recall against BM25.
+ * Run `node tests/evaluation/retrievalEvaluator.js` for the full report.
+ */
+
+const {
+  loadFixture,
+  computeMetrics,
+  evaluateRetrievers,
+  formatReport
+} = require('./retrievalEvaluator');
+
+describe('Memory Retrieval Evaluation', () => {
+  let metrics;
+
+  beforeAll(async () => {
+    metrics = await evaluateRetrievers();
+  });
+
+  test('should load a fixture with both lexical and paraphrase queries', () => {
+    const fixture = loadFixture();
+    const kinds = new Set(fixture.queries.map(example => example.kind));
+
+    expect(kinds.has('lexical')).toBe(true);
+    expect(kinds.has('paraphrase')).toBe(true);
+  });
+
+  test('should keep every retriever exact on lexical queries', () => {
+    ['bm25', 'embedding', 'hybrid'].forEach(name => {
+      expect(metrics[name].byKind.lexical.hitAt1).toBe(1);
+    });
+  });
+
+  test('should not rank worse than BM25 overall with hybrid fusion', () => {
+    const { bm25, hybrid } = metrics;
+    if (hybrid.mrr < bm25.mrr || hybrid.hitAt3 < 0.9) {
+      process.stdout.write(`${formatReport(metrics)}\n`);
+    }
+
+    expect(hybrid.mrr).toBeGreaterThanOrEqual(bm25.mrr);
+    expect(hybrid.hitAt3).toBeGreaterThanOrEqual(0.9);
+  });
+
+  test('should compute hit rates and reciprocal rank per query kind', () => {
+    const queries = [
+      { query: 'a', relevant: ['m1'], kind: 'lexical' },
+      { query: 'b', relevant: ['m2'], kind: 'paraphrase' },
+      { query: 'c', relevant: ['m3'], kind: 'paraphrase' }
+    ];
+    const rankings = [['m1', 'm2'], ['m1', 'm3', 'm2'], ['m1']];
+
+    const result = computeMetrics(queries, rankings);
+
+    expect(result.hitAt1).toBeCloseTo(1 / 3);
+    expect(result.hitAt3).toBeCloseTo(2 / 3);
+    expect(result.mrr).toBeCloseTo((1 + 1 / 3 + 0) / 3);
+    expect(result.byKind.paraphrase.hitAt3).toBe(0.5);
+    expect(result.misses).toEqual([{ query: 'c', expected: ['m3'], top: ['m1'] }]);
+  });
+});
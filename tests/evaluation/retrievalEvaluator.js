@@ -0,0 +1,216 @@
+/**
+ * Memory Retrieval Evaluation Harness
+ * Runs the labeled fixture (tests/fixtures/memoryRetrievalCorpus.json) through each memory
+ * retriever and reports hit rate at 1 and 3 and mean reciprocal rank, overall and split into
+ * lexical queries (which share words with the memory) and paraphrases (which do not).
+ * Each memory and query carries hand-written keywords standing in for the language model's
+ * expansion (saved memory items store theirs the same way); the embedding retriever uses them and
+ * never calls a model here. They are not recorded model output, so this checks the retriever
+ * plumbing; the paraphrase numbers say nothing about how well real expansions retrieve.
+ *
+ * Usage:
+ *   node tests/evaluation/retrievalEvaluator.js   # print the comparison
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '../..');
+const FIXTURE_PATH = path.join(__dirname, '../fixtures/memoryRetrievalCorpus.json');
+
+/**
+ * Load the retriever sources into window globals
+ * @returns {Object} window with Bm25Retriever, KeywordExpansionEmbedder, EmbeddingRetriever and HybridRetriever
+ */
+function loadRetrievers() {
+  if (typeof window === 'undefined') {
+    global.window = global;
+  }
+
+  if (!window.HybridRetriever) {
+    const originalLog = console.log;
+    console.log = () => {}; // Export banners would drown the report
+    try {
+      (0, eval)(fs.readFileSync(path.join(ROOT, 'services/memoryRetrievers.js'), 'utf8'));
+    } finally {
+      console.log = originalLog;
+    }
+  }
+
+  return window;
+}
+
+/**
+ * Load the labeled fixture
+ * @param {string} fixturePath - JSON file with {memories: [{id, query, content, keywords}], queries: [{query, relevant, kind, keywords}]}
+ * @returns {Object} Fixture
+ */
+function loadFixture(fixturePath = FIXTURE_PATH) {
+  const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+  const ids = new Set(fixture.memories.map(memory => memory.id));
+
+  fixture.queries.forEach((example, index) => {
+    if (!example.query || !Array.isArray(example.relevant) || example.relevant.length === 0) {
+      throw new Error(`Query ${index + 1} needs "query" and a non-empty "relevant" list`);
+    }
+    example.relevant.forEach(id => {
+      if (!ids.has(id)) {
+        throw new Error(`Query ${index + 1} lists unknown memory "${id}"`);
+      }
+    });
+  });
+
+  return fixture;
+}
+
+/**
+ * Build the retrievers being compared
+ * Expansion looks up the fixture keywords of each query; texts without any stay unexpanded
+ * rather than reaching for a model.
+ * @param {Object} fixture - Fixture from loadFixture()
+ * @returns {Object} name → retriever
+ */
+function createRetrievers(fixture) {
+  const { Bm25Retriever, KeywordExpansionEmbedder, EmbeddingRetriever, HybridRetriever } = loadRetrievers();
+  const keywords = new Map(fixture.queries
+    .filter(example => Array.isArray(example.keywords))
+    .map(example => [example.query, example.keywords]));
+  const embedder = () => new KeywordExpansionEmbedder({ expander: async text => keywords.get(text) || null });
+  return {
+    bm25: new Bm25Retriever(),
+    embedding: new EmbeddingRetriever({ embedder: embedder() }),
+    hybrid: new HybridRetriever({ semantic: new EmbeddingRetriever({ embedder: embedder() }) })
+  };
+}
+
+/**
+ * Rank every fixture query with one retriever
+ * @param {Object} retriever - Object with rank(query, items) and optionally prepare(items) and prepareQuery(query)
+ * @param {Object} fixture - Fixture from loadFixture()
+ * @returns {Promise<Array<Array<string>>>} Ranked memory IDs per query (only items with a positive score)
+ */
+async function runRetriever(retriever, fixture) {
+  if (typeof retriever.prepare === 'function') {
+    await retriever.prepare(fixture.memories);
+  }
+
+  const rankings = [];
+  for (const example of fixture.queries) {
+    if (typeof retriever.prepareQuery === 'function') {
+      await retriever.prepareQuery(example.query);
+    }
+    rankings.push(retriever.rank(example.query, fixture.memories)
+      .filter(result => result.score > 0)
+      .map(result => result.item.id));
+  }
+  return rankings;
+}
+
+/**
+ * Compute hit rate at 1 and 3 and mean reciprocal rank
+ * @param {Array<Object>} queries - Fixture queries ({query, relevant, kind})
+ * @param {Array<Array<string>>} rankings - Ranked memory IDs aligned with the queries
+ * @returns {Object} {total, hitAt1, hitAt3, mrr, byKind, misses}
+ */
+function computeMetrics(queries, rankings) {
+  const summarize = (indexes) => {
+    const ranks = indexes.map(index => {
+      const position = rankings[index].findIndex(id => queries[index].relevant.includes(id));
+      return position === -1 ? null : position + 1;
+    });
+    const count = ranks.length || 1;
+    return {
+      total: ranks.length,
+      hitAt1: ranks.filter(rank => rank === 1).length / count,
+      hitAt3: ranks.filter(rank => rank !== null && rank <= 3).length / count,
+      mrr: ranks.reduce((sum, rank) => sum + (rank ? 1 / rank : 0), 0) / count
+    };
+  };
+
+  const all = queries.map((_, index) => index);
+  const kinds = [...new Set(queries.map(example => example.kind || 'other'))];
+
+  return {
+    ...summarize(all),
+    byKind: Object.fromEntries(kinds.map(kind => [
+      kind,
+      summarize(all.filter(index => (queries[index].kind || 'other') === kind))
+    ])),
+    misses: all
+      .filter(index => !rankings[index].slice(0, 3).some(id => queries[index].relevant.includes(id)))
+      .map(index => ({ query: queries[index].query, expected: queries[index].relevant, top: rankings[index].slice(0, 3) }))
+  };
+}
+
+/**
+ * Run every retriever over the fixture
+ * @param {string} fixturePath - Fixture path
+ * @returns {Promise<Object>} retriever name → metrics
+ */
+async function evaluateRetrievers(fixturePath = FIXTURE_PATH) {
+  const fixture = loadFixture(fixturePath);
+  const metrics = {};
+  for (const [name, retriever] of Object.entries(createRetrievers(fixture))) {
+    metrics[name] = computeMetrics(fixture.queries, await runRetriever(retriever, fixture));
+  }
+  return metrics;
+}
+
+/**
+ * Format the comparison as a plain-text report
+ * @param {Object} metricsByRetriever - retriever name → metrics
+ * @returns {string} Report
+ */
+function formatReport(metricsByRetriever) {
+  const pad = (value, width) => String(value).padEnd(width);
+  const padLeft = (value, width) => String(value).padStart(width);
+  const names = Object.keys(metricsByRetriever);
+  const kinds = Object.keys(metricsByRetriever[names[0]].byKind);
+  const row = (label, metrics) => `  ${pad(label, 24)}${padLeft(percent(metrics.hitAt1), 8)}${padLeft(percent(metrics.hitAt3), 8)}${padLeft(metrics.mrr.toFixed(3), 8)}${padLeft(metrics.total, 5)}`;
+
+  const lines = [
+    'Memory retrieval evaluation (plumbing check: fixture keywords are hand-written, not model output)',
+    `  ${pad('retriever', 24)}${padLeft('hit@1', 8)}${padLeft('hit@3', 8)}${padLeft('mrr', 8)}${padLeft('n', 5)}`
+  ];
+
+  names.forEach(name => {
+    const metrics = metricsByRetriever[name];
+    lines.push(row(name, metrics));
+    kinds.forEach(kind => lines.push(row(`  ${kind}`, metrics.byKind[kind])));
+  });
+
+  names.forEach(name => {
+    const { misses } = metricsByRetriever[name];
+    if (misses.length > 0) {
+      lines.push('', `  ${name} missed (no relevant memory in the top 3):`);
+      misses.forEach(miss => {
+        lines.push(`    "${miss.query}" → [${miss.top.join(', ')}] (expected ${miss.expected.join(' or ')})`);
+      });
+    }
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Format a ratio as a percentage
+ * @param {number} value - Ratio 0-1
+ * @returns {string}
+ */
+function percent(value) {
+  return `${(value * 100).toFixed(1)}%`;
+}
+
+if (require.main === module) {
+  evaluateRetrievers().then(metrics => process.stdout.write(`${formatReport(metrics)}\n`));
+}
+
+module.exports = {
+  loadRetrievers,
+  loadFixture,
+  createRetrievers,
+  runRetriever,
+  computeMetrics,
+  evaluateRetrievers,
+  formatReport
+};
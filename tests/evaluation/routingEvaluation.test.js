@@ -0,0 +1,94 @@
+/**
+ * Routing Evaluation
+ * Fails when routing accuracy on the labeled corpus drops below the stored baseline.
+ * Run `node tests/evaluation/routingEvaluator.js` for the full report, or add
+ * `--update-baseline` after an intentional improvement.
+ */
+
+const {
+  loadCorpus,
+  createMockClassifier,
+  computeMetrics,
+  compareToBaseline,
+  formatReport,
+  evaluateCorpus,
+  loadBaseline
+} = require('./routingEvaluator');
+
+describe('Routing Evaluation', () => {
+  let metricsByMode;
+
+  beforeAll(async () => {
+    metricsByMode = await evaluateCorpus();
+  });
+
+  test('should load a labeled corpus covering every built-in intent', () => {
+    const corpus = loadCorpus();
+    const intents = new Set(corpus.map(example => example.intent));
+
+    ['translate', 'summarize', 'write', 'proofread', 'rewrite'].forEach(intent => {
+      expect(intents.has(intent)).toBe(true);
+    });
+  });
+
+  test('should replay a recorded classifier output for every example, mistakes included', async () => {
+    const corpus = loadCorpus();
+    const misclassified = corpus.filter(example => typeof example.ai === 'object' && example.ai.intent !== example.intent);
+    const malformed = corpus.filter(example => typeof example.ai === 'string');
+
+    expect(corpus.every(example => example.ai !== undefined)).toBe(true);
+    expect(misclassified.length).toBeGreaterThan(0);
+    expect(malformed.length).toBeGreaterThan(0);
+    expect(await createMockClassifier(malformed[0]).send()).toBe(malformed[0].ai);
+    expect(() => createMockClassifier({ query: 'unrecorded', intent: 'write' })).toThrow('no recorded classifier output');
+  });
+
+  test('should fall back to patterns when the classifier answer is unusable', () => {
+    expect(metricsByMode.ai.fallbackRate).toBeGreaterThan(0);
+    expect(metricsByMode.patterns.fallbackRate).toBe(0);
+  });
+
+  test('should not regress pattern routing below the baseline', () => {
+    const regressions = compareToBaseline({ patterns: metricsByMode.patterns }, loadBaseline());
+    if (regressions.length > 0) {
+      process.stdout.write(`${formatReport('patterns', metricsByMode.patterns)}\n`);
+    }
+    expect(regressions).toEqual([]);
+  });
+
+  test('should not regress AI routing below the baseline', () => {
+    const regressions = compareToBaseline({ ai: metricsByMode.ai }, loadBaseline());
+    if (regressions.length > 0) {
+      process.stdout.write(`${formatReport('ai', metricsByMode.ai)}\n`);
+    }
+    expect(regressions).toEqual([]);
+  });
+
+  test('should compute precision, recall and the confusion matrix', () => {
+    const corpus = [
+      { query: 'a', intent: 'write' },
+      { query: 'b', intent: 'write' },
+      { query: 'c', intent: 'rewrite' }
+    ];
+    const predictions = [
+      { intent: 'write', outputType: null, tones: [] },
+      { intent: 'rewrite', outputType: null, tones: [] },
+      { intent: 'rewrite', outputType: null, tones: [] }
+    ];
+
+    const metrics = computeMetrics(corpus, predictions);
+
+    expect(metrics.intentAccuracy).toBeCloseTo(2 / 3);
+    expect(metrics.perIntent.write.precision).toBe(1);
+    expect(metrics.perIntent.write.recall).toBe(0.5);
+    expect(metrics.perIntent.rewrite.precision).toBe(0.5);
+    expect(metrics.confusion.write.rewrite).toBe(1);
+  });
+
+  test('should report metrics that fall below the baseline tolerance', () => {
+    const baseline = { tolerance: 0.01, patterns: { intentAccuracy: 0.9 } };
+
+    expect(compareToBaseline({ patterns: { intentAccuracy: 0.895 } }, baseline)).toEqual([]);
+    expect(compareToBaseline({ patterns: { intentAccuracy: 0.85 } }, baseline)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,347 @@
+/**
+ * Routing Evaluation Harness
+ * Runs the labeled corpus (tests/fixtures/routingCorpus.jsonl) through pattern routing and
+ * through full routing with the classifier output recorded for each example (wrong, unsure and
+ * malformed answers included), then reports per-intent precision/recall, a confusion matrix,
+ * and whether accuracy dropped below the stored baseline.
+ *
+ * Usage:
+ *   node tests/evaluation/routingEvaluator.js                    # print report, exit 1 on regression
+ *   node tests/evaluation/routingEvaluator.js --update-baseline  # store current scores as the baseline
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '../..');
+const CORPUS_PATH = path.join(__dirname, '../fixtures/routingCorpus.jsonl');
+const BASELINE_PATH = path.join(__dirname, '../fixtures/routingBaseline.json');
+
+// Metrics where higher is better; these are compared against the baseline
+const TRACKED_METRICS = ['intentAccuracy', 'outputTypeAccuracy', 'toneRecall'];
+
+/**
+ * Load the router sources into window globals (same order as panel.html)
+ * @returns {Object} window with LanguageResolver, ToneAnalyzer, IntentRegistry and SemanticRouter
+ */
+function loadRouter() {
+  if (typeof window === 'undefined') {
+    global.window = global;
+  }
+
+  if (!window.SemanticRouter) {
+    const sources = [
+      'services/promptService.js',
+      'services/languageResolver.js',
+      'services/toneAnalyzer.js',
+      'services/intentRegistry.js',
+      'services/semanticRouting.js'
+    ];
+    const originalLog = console.log;
+    console.log = () => {}; // Export banners would drown the report
+    try {
+      sources.forEach(file => (0, eval)(fs.readFileSync(path.join(ROOT, file), 'utf8')));
+    } finally {
+      console.log = originalLog;
+    }
+  }
+
+  return window;
+}
+
+/**
+ * Load labeled examples
+ * @param {string} corpusPath - JSONL file, one {query, hasSelection, intent, outputType, tones, ai} per line
+ * @returns {Array<Object>} Examples
+ */
+function loadCorpus(corpusPath = CORPUS_PATH) {
+  return fs.readFileSync(corpusPath, 'utf8')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('//'))
+    .map((line, index) => {
+      const example = JSON.parse(line);
+      if (!example.query || !example.intent) {
+        throw new Error(`Corpus line ${index + 1} needs "query" and "intent"`);
+      }
+      return example;
+    });
+}
+
+/**
+ * Classifier stand-in: replays the example's recorded "ai" output (an object is sent as JSON,
+ * a string as the raw text the model answered with)
+ * @param {Object} example - Corpus example
+ * @returns {Object} Object with a send() like PromptService
+ */
+function createMockClassifier(example) {
+  if (example.ai === undefined) {
+    throw new Error(`Corpus example "${example.query}" has no recorded classifier output`);
+  }
+  const raw = typeof example.ai === 'string' ? example.ai : JSON.stringify(example.ai);
+  return { send: async () => raw };
+}
+
+/**
+ * Route every example
+ * @param {Array<Object>} corpus - Examples
+ * @param {string} mode - 'patterns' (routeWithPatterns) or 'ai' (route() with a mocked classifier)
+ * @returns {Promise<Array<Object>>} Predictions aligned with the corpus
+ */
+async function runCorpus(corpus, mode = 'patterns') {
+  const { SemanticRouter } = loadRouter();
+  const silenced = ['log', 'warn', 'error'].map(level => [level, console[level]]);
+  silenced.forEach(([level]) => { console[level] = () => {}; });
+
+  try {
+    const predictions = [];
+    for (const example of corpus) {
+      const hasSelectedText = Boolean(example.hasSelection);
+      let result;
+      if (mode === 'ai') {
+        const router = new SemanticRouter(createMockClassifier(example));
+        router.configure({ cacheTTL: 0 });
+        result = await router.route(example.query, { hasSelectedText });
+      } else {
+        const router = new SemanticRouter(null, false);
+        result = await router.routeWithPatterns(example.query.trim().toLowerCase(), hasSelectedText);
+      }
+      predictions.push({
+        intent: result.intent,
+        outputType: result.outputType || null,
+        tones: result.tones || [],
+        ambiguous: Boolean(result.ambiguous),
+        fallback: mode === 'ai' && result.routePath !== 'ai-classifier'
+      });
+    }
+    return predictions;
+  } finally {
+    silenced.forEach(([level, fn]) => { console[level] = fn; });
+  }
+}
+
+/**
+ * Compute accuracy, per-intent precision/recall and the confusion matrix
+ * @param {Array<Object>} corpus - Examples
+ * @param {Array<Object>} predictions - Predictions aligned with the corpus
+ * @returns {Object} Metrics
+ */
+function computeMetrics(corpus, predictions) {
+  const labels = [...new Set([...corpus.map(e => e.intent), ...predictions.map(p => p.intent)])];
+  const confusion = Object.fromEntries(labels.map(expected => [expected, Object.fromEntries(labels.map(predicted => [predicted, 0]))]));
+
+  let intentCorrect = 0;
+  let outputTypeTotal = 0;
+  let outputTypeCorrect = 0;
+  let toneExpected = 0;
+  let toneFound = 0;
+  let ambiguous = 0;
+  let fallbacks = 0;
+  const failures = [];
+
+  corpus.forEach((example, index) => {
+    const prediction = predictions[index];
+    confusion[example.intent][prediction.intent]++;
+
+    if (prediction.intent === example.intent) {
+      intentCorrect++;
+    } else {
+      failures.push({ query: example.query, expected: example.intent, predicted: prediction.intent });
+    }
+
+    // outputType is only scored when the example labels it (null is a label: "no specific type")
+    if (example.outputType !== undefined) {
+      outputTypeTotal++;
+      if ((example.outputType || null) === prediction.outputType) {
+        outputTypeCorrect++;
+      }
+    }
+
+    (example.tones || []).forEach(tone => {
+      toneExpected++;
+      if (prediction.tones.includes(tone)) {
+        toneFound++;
+      }
+    });
+
+    if (prediction.ambiguous) {
+      ambiguous++;
+    }
+    if (prediction.fallback) {
+      fallbacks++;
+    }
+  });
+
+  const perIntent = {};
+  for (const label of labels) {
+    const truePositives = confusion[label][label];
+    const predictedCount = labels.reduce((sum, expected) => sum + confusion[expected][label], 0);
+    const supportCount = labels.reduce((sum, predicted) => sum + confusion[label][predicted], 0);
+    const precision = predictedCount ? truePositives / predictedCount : 0;
+    const recall = supportCount ? truePositives / supportCount : 0;
+    perIntent[label] = {
+      precision,
+      recall,
+      f1: precision + recall ? (2 * precision * recall) / (precision + recall) : 0,
+      support: supportCount
+    };
+  }
+
+  return {
+    total: corpus.length,
+    intentAccuracy: corpus.length ? intentCorrect / corpus.length : 0,
+    outputTypeAccuracy: outputTypeTotal ? outputTypeCorrect / outputTypeTotal : 1,
+    toneRecall: toneExpected ? toneFound / toneExpected : 1,
+    clarificationRate: corpus.length ? ambiguous / corpus.length : 0,
+    fallbackRate: corpus.length ? fallbacks / corpus.length : 0,
+    perIntent,
+    labels,
+    confusion,
+    failures
+  };
+}
+
+/**
+ * Compare metrics with the stored baseline
+ * @param {Object} metricsByMode - { patterns: metrics, ai: metrics }
+ * @param {Object} baseline - Stored baseline ({tolerance, patterns: {...}, ai: {...}})
+ * @returns {Array<string>} Regression messages (empty when nothing regressed)
+ */
+function compareToBaseline(metricsByMode, baseline) {
+  const tolerance = baseline.tolerance ?? 0;
+  const regressions = [];
+
+  for (const [mode, metrics] of Object.entries(metricsByMode)) {
+    const stored = baseline[mode] || {};
+    for (const metric of TRACKED_METRICS) {
+      if (stored[metric] === undefined) {
+        continue;
+      }
+      if (metrics[metric] + tolerance < stored[metric]) {
+        regressions.push(`${mode} ${metric} dropped to ${percent(metrics[metric])} (baseline ${percent(stored[metric])})`);
+      }
+    }
+  }
+
+  return regressions;
+}
+
+/**
+ * Format one mode's metrics as a plain-text report
+ * @param {string} mode - Mode name
+ * @param {Object} metrics - Metrics from computeMetrics()
+ * @returns {string} Report
+ */
+function formatReport(mode, metrics) {
+  const pad = (value, width) => String(value).padEnd(width);
+  const padLeft = (value, width) => String(value).padStart(width);
+  const width = Math.max(10, ...metrics.labels.map(label => label.length + 2));
+
+  const lines = [
+    `Routing evaluation: ${mode} (${metrics.total} queries)`,
+    `  intent accuracy ${percent(metrics.intentAccuracy)} · output type accuracy ${percent(metrics.outputTypeAccuracy)} · tone recall ${percent(metrics.toneRecall)} · clarification rate ${percent(metrics.clarificationRate)} · pattern fallback ${percent(metrics.fallbackRate)}`,
+    '',
+    `  ${pad('intent', width)}${padLeft('precision', 10)}${padLeft('recall', 8)}${padLeft('f1', 7)}${padLeft('n', 5)}`
+  ];
+
+  for (const label of metrics.labels) {
+    const stats = metrics.perIntent[label];
+    lines.push(`  ${pad(label, width)}${padLeft(percent(stats.precision), 10)}${padLeft(percent(stats.recall), 8)}${padLeft(stats.f1.toFixed(2), 7)}${padLeft(stats.support, 5)}`);
+  }
+
+  lines.push('', '  confusion matrix (rows = expected, columns = predicted)');
+  lines.push(`  ${pad('', width)}${metrics.labels.map(label => padLeft(label, width)).join('')}`);
+  for (const expected of metrics.labels) {
+    lines.push(`  ${pad(expected, width)}${metrics.labels.map(predicted => padLeft(metrics.confusion[expected][predicted], width)).join('')}`);
+  }
+
+  if (metrics.failures.length > 0) {
+    lines.push('', '  misrouted:');
+    metrics.failures.forEach(failure => {
+      lines.push(`    "${failure.query}" → ${failure.predicted} (expected ${failure.expected})`);
+    });
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Format a ratio as a percentage
+ * @param {number} value - Ratio 0-1
+ * @returns {string}
+ */
+function percent(value) {
+  return `${(value * 100).toFixed(1)}%`;
+}
+
+/**
+ * Run both modes over the corpus
+ * @param {string} corpusPath - JSONL corpus path
+ * @returns {Promise<Object>} { patterns, ai } metrics
+ */
+async function evaluateCorpus(corpusPath = CORPUS_PATH) {
+  const corpus = loadCorpus(corpusPath);
+  return {
+    patterns: computeMetrics(corpus, await runCorpus(corpus, 'patterns')),
+    ai: computeMetrics(corpus, await runCorpus(corpus, 'ai'))
+  };
+}
+
+/**
+ * Read the stored baseline
+ * @param {string} baselinePath - Baseline JSON path
+ * @returns {Object} Baseline
+ */
+function loadBaseline(baselinePath = BASELINE_PATH) {
+  return JSON.parse(fs.readFileSync(baselinePath, 'utf8'));
+}
+
+/**
+ * Store current scores as the new baseline
+ * @param {Object} metricsByMode - { patterns, ai } metrics
+ * @param {string} baselinePath - Baseline JSON path
+ */
+function saveBaseline(metricsByMode, baselinePath = BASELINE_PATH) {
+  const previous = fs.existsSync(baselinePath) ? loadBaseline(baselinePath) : {};
+  const baseline = { tolerance: previous.tolerance ?? 0.01 };
+  for (const [mode, metrics] of Object.entries(metricsByMode)) {
+    baseline[mode] = Object.fromEntries(TRACKED_METRICS.map(metric => [metric, Number(metrics[metric].toFixed(4))]));
+  }
+  fs.writeFileSync(baselinePath, `${JSON.stringify(baseline, null, 2)}\n`);
+}
+
+if (require.main === module) {
+  (async () => {
+    const metricsByMode = await evaluateCorpus();
+    Object.entries(metricsByMode).forEach(([mode, metrics]) => {
+      process.stdout.write(`${formatReport(mode, metrics)}\n\n`);
+    });
+
+    if (process.argv.includes('--update-baseline')) {
+      saveBaseline(metricsByMode);
+      process.stdout.write(`Baseline updated: ${path.relative(ROOT, BASELINE_PATH)}\n`);
+      return;
+    }
+
+    const regressions = compareToBaseline(metricsByMode, loadBaseline());
+    if (regressions.length > 0) {
+      process.stdout.write(`Routing regressed:\n${regressions.map(item => `  - ${item}`).join('\n')}\n`);
+      process.exitCode = 1;
+    } else {
+      process.stdout.write('Routing matches or beats the baseline\n');
+    }
+  })();
+}
+
+module.exports = {
+  loadRouter,
+  loadCorpus,
+  createMockClassifier,
+  runCorpus,
+  computeMetrics,
+  compareToBaseline,
+  formatReport,
+  evaluateCorpus,
+  loadBaseline,
+  saveBaseline
+};
@@ -12,10 +12,13 @@ const errorHandlerCode = fs.readFileSync(path.join(__dirname, '../../utils/error
 const validatorCode = fs.readFileSync(path.join(__dirname, '../../utils/validator.js'), 'utf8');
 const baseServiceCode = fs.readFileSync(path.join(__dirname, '../../services/baseService.js'), 'utf8');
 const promptServiceCode = fs.readFileSync(path.join(__dirname, '../../services/promptService.js'), 'utf8');
+const languageResolverCode = fs.readFileSync(path.join(__dirname, '../../services/languageResolver.js'), 'utf8');
+const intentRegistryCode = fs.readFileSync(path.join(__dirname, '../../services/intentRegistry.js'), 'utf8');
 const semanticRoutingCode = fs.readFileSync(path.join(__dirname, '../../services/semanticRouting.js'), 'utf8');
 const writerServiceCode = fs.readFileSync(path.join(__dirname, '../../services/writerService.js'), 'utf8');
 const rewriterServiceCode = fs.readFileSync(path.join(__dirname, '../../services/rewriterService.js'), 'utf8');
 const summarizerServiceCode = fs.readFileSync(path.join(__dirname, '../../services/summarizerService.js'), 'utf8');
+const memoryRetrieversCode = fs.readFileSync(path.join(__dirname, '../../services/memoryRetrievers.js'), 'utf8');
 const memoryServiceCode = fs.readFileSync(path.join(__dirname, '../../services/memoryService.js'), 'utf8');
 
 // Execute code
@@ -24,10 +27,13 @@ eval(errorHandlerCode);
 eval(validatorCode);
 eval(baseServiceCode);
 eval(promptServiceCode);
+eval(languageResolverCode);
+eval(intentRegistryCode);
 eval(semanticRoutingCode);
 eval(writerServiceCode);
 eval(rewriterServiceCode);
 eval(summarizerServiceCode);
+eval(memoryRetrieversCode);
 eval(memoryServiceCode);
 
 describe('Integration: Routing + Services + Memory', () => {
@@ -12,6 +12,8 @@ const errorHandlerCode = fs.readFileSync(path.join(__dirname, '../../utils/error
 const validatorCode = fs.readFileSync(path.join(__dirname, '../../utils/validator.js'), 'utf8');
 const baseServiceCode = fs.readFileSync(path.join(__dirname, '../../services/baseService.js'), 'utf8');
 const promptServiceCode = fs.readFileSync(path.join(__dirname, '../../services/promptService.js'), 'utf8');
+const languageResolverCode = fs.readFileSync(path.join(__dirname, '../../services/languageResolver.js'), 'utf8');
+const intentRegistryCode = fs.readFileSync(path.join(__dirname, '../../services/intentRegistry.js'), 'utf8');
 const semanticRoutingCode = fs.readFileSync(path.join(__dirname, '../../services/semanticRouting.js'), 'utf8');
 const writerServiceCode = fs.readFileSync(path.join(__dirname, '../../services/writerService.js'), 'utf8');
 const rewriterServiceCode = fs.readFileSync(path.join(__dirname, '../../services/rewriterService.js'), 'utf8');
@@ -22,6 +24,8 @@ eval(errorHandlerCode);
 eval(validatorCode);
 eval(baseServiceCode);
 eval(promptServiceCode);
+eval(languageResolverCode);
+eval(intentRegistryCode);
 eval(semanticRoutingCode);
 eval(writerServiceCode);
 eval(rewriterServiceCode);
@@ -1,6 +1,6 @@
 /**
  * MemoryService Unit Tests
- * Tests BM25 retrieval, chronological detection, and memory operations
+ * Tests BM25 retrieval, chronological detection, memory operations, scoping and the long-term tier
  */
 
 // Load dependencies
@@ -15,6 +15,7 @@ const baseServiceCode = fs.readFileSync(path.join(__dirname, '../../services/bas
 
 // Load services
 const summarizerServiceCode = fs.readFileSync(path.join(__dirname, '../../services/summarizerService.js'), 'utf8');
+const memoryRetrieversCode = fs.readFileSync(path.join(__dirname, '../../services/memoryRetrievers.js'), 'utf8');
 const memoryServiceCode = fs.readFileSync(path.join(__dirname, '../../services/memoryService.js'), 'utf8');
 
 // Execute code in global scope
@@ -23,6 +24,7 @@ eval(errorHandlerCode);
 eval(validatorCode);
 eval(baseServiceCode);
 eval(summarizerServiceCode);
+eval(memoryRetrieversCode);
 eval(memoryServiceCode);
 
 describe('MemoryService', () => {
@@ -228,6 +230,18 @@ describe('MemoryService', () => {
 
       expect(results).toEqual([]);
     });
+
+    test('should wait for query expansion only up to the budget', async () => {
+      const prepareQuery = jest.fn(() => new Promise(() => {}));
+      memoryService.retriever = { rank: memoryService.retriever.rank.bind(memoryService.retriever), prepareQuery };
+      memoryService.QUERY_EXPANSION_BUDGET_MS = 20;
+
+      await memoryService.prepareQuery('email template');
+      await memoryService.prepareQuery('what did we discuss earlier?');
+
+      expect(prepareQuery).toHaveBeenCalledTimes(1);
+      expect(prepareQuery).toHaveBeenCalledWith('email template');
+    });
   });
 
   describe('getRelevantContextString', () => {
@@ -338,6 +352,253 @@ describe('MemoryService', () => {
     });
   });
 
+  describe('Scoping', () => {
+    test('should record where a conversation happened', async () => {
+      const item = await memoryService.addConversation('reply to Jane', 'Thanks Jane!', {}, {
+        url: 'https://www.linkedin.com/feed/update/123',
+        counterpart: '  Jane   Doe '
+      });
+
+      expect(item.scope).toEqual({ domain: 'linkedin.com', platform: 'linkedin', counterpart: 'Jane Doe' });
+    });
+
+    test('should detect platforms by whole domain labels', () => {
+      expect(memoryService.platformForDomain('x.com')).toBe('twitter');
+      expect(memoryService.platformForDomain('mobile.x.com')).toBe('twitter');
+      expect(memoryService.platformForDomain('dropbox.com')).toBe('generic');
+      expect(memoryService.platformForDomain('netflix.com')).toBe('generic');
+    });
+
+    test('should rank memory from the same person and site first', async () => {
+      await memoryService.addConversation('reply about the project timeline', 'Timeline moves to May', {}, { domain: 'app.slack.com' });
+      await memoryService.addConversation('reply about the project timeline', 'Timeline moves to June', {}, { domain: 'linkedin.com', counterpart: 'Jane Doe' });
+      await memoryService.addConversation('reply about the project timeline', 'Timeline moves to July', {}, { domain: 'linkedin.com', counterpart: 'Sam Lee' });
+
+      const results = memoryService.retrieveRelevant('project timeline', 3, { domain: 'linkedin.com', platform: 'linkedin', counterpart: 'jane doe' });
+
+      expect(results.map(item => item.content)).toEqual(['Timeline moves to June', 'Timeline moves to July', 'Timeline moves to May']);
+    });
+
+    test('should prefer the same site for chronological queries', async () => {
+      await memoryService.addConversation('draft post', 'Post content', {}, { domain: 'linkedin.com' });
+      await memoryService.addConversation('write email', 'Email content', {}, { domain: 'mail.google.com' });
+
+      const results = memoryService.retrieveRelevant('what did we discuss earlier?', 2, { domain: 'linkedin.com' });
+
+      expect(results.map(item => item.query)).toEqual(['draft post', 'write email']);
+    });
+
+    test('should never share memory across isolated domains', async () => {
+      await memoryService.setScopeRules({ isolatedDomains: ['https://slack.com/', 'SLACK.com'] });
+      await memoryService.addConversation('status update', 'Deploy is blocked on review', {}, { domain: 'acme.slack.com' });
+      await memoryService.addConversation('status update', 'Launch post is live', {}, { domain: 'linkedin.com' });
+      await memoryService.addConversation('status update', 'Old unscoped note');
+
+      const onLinkedIn = memoryService.retrieveRelevant('status update', 5, { domain: 'linkedin.com' });
+      const onSlack = memoryService.retrieveRelevant('status update', 5, { domain: 'app.slack.com' });
+      const unknown = memoryService.retrieveRelevant('status update', 5);
+
+      expect(memoryService.scopeRules.isolatedDomains).toEqual(['slack.com']);
+      expect(onLinkedIn.map(item => item.content).sort()).toEqual(['Launch post is live', 'Old unscoped note']);
+      expect(onSlack.map(item => item.content)).toEqual(['Deploy is blocked on review']);
+      expect(unknown.map(item => item.content)).not.toContain('Deploy is blocked on review');
+    });
+
+    test('should keep scope rules across sessions', async () => {
+      await memoryService.setScopeRules({ isolatedDomains: ['slack.com'] });
+
+      const newService = new window.MemoryService();
+      await newService.initialize();
+
+      expect(newService.scopeRules.isolatedDomains).toEqual(['slack.com']);
+    });
+  });
+
+  describe('Threads', () => {
+    test('should start a new thread for a standalone conversation', async () => {
+      const item = await memoryService.addConversation('reply to the recruiter', 'Thanks for reaching out!');
+
+      expect(item.threadId).toBe(item.id);
+      expect(item.parentId).toBeNull();
+    });
+
+    test('should link follow-ups to the item they refine', async () => {
+      const first = await memoryService.addConversation('reply to the recruiter', 'Thanks for reaching out!');
+      const second = await memoryService.addConversation('make it warmer', 'Thanks so much for reaching out!', {}, null, first.id);
+      const third = await memoryService.addConversation('mention Tuesday', 'Thanks so much! Tuesday works.', {}, null, second.id);
+
+      expect(second).toMatchObject({ threadId: first.id, parentId: first.id });
+      expect(third).toMatchObject({ threadId: first.id, parentId: second.id });
+      expect(memoryService.getThread(first.id).map(item => item.id)).toEqual([first.id, second.id, third.id]);
+    });
+
+    test('should start a new thread when the parent is unknown', async () => {
+      const item = await memoryService.addConversation('make it shorter', 'Short reply', {}, null, 'forgotten-id');
+
+      expect(item.threadId).toBe(item.id);
+      expect(item.parentId).toBeNull();
+    });
+
+    test('should build context from the active thread first', async () => {
+      const first = await memoryService.addConversation('reply to the landlord', 'The heater is broken');
+      await memoryService.addConversation('summarize the budget', 'Marketing is over plan');
+      await memoryService.addConversation('add a deadline', 'The heater is broken, please fix it by Friday', {}, null, first.id);
+
+      const context = memoryService.getContextString(5, first.id);
+
+      expect(context.indexOf('ACTIVE THREAD CONTEXT')).toBe(0);
+      expect(context.indexOf('reply to the landlord')).toBeLessThan(context.indexOf('add a deadline'));
+      expect(context.indexOf('add a deadline')).toBeLessThan(context.indexOf('OTHER RECENT CONVERSATIONS'));
+      expect(context).toContain('summarize the budget');
+    });
+
+    test('should keep isolated sites out of thread context', async () => {
+      await memoryService.setScopeRules({ isolatedDomains: ['slack.com'] });
+      const first = await memoryService.addConversation('reply to Jane', 'Thanks Jane!', {}, { domain: 'linkedin.com' });
+      await memoryService.addConversation('update the team', 'The merger with Contoso closes Friday', {}, { domain: 'acme.slack.com' });
+      await memoryService.addConversation('make it warmer', 'Thanks so much, Jane!', {}, { domain: 'linkedin.com' }, first.id);
+
+      const context = memoryService.getContextString(5, first.id, { domain: 'linkedin.com' });
+
+      expect(context).toContain('make it warmer');
+      expect(context).not.toContain('merger with Contoso');
+    });
+
+    test('should keep the plain context unchanged without a thread', async () => {
+      const first = await memoryService.addConversation('Query 1', 'Response 1');
+      await memoryService.addConversation('Query 2', 'Response 2', {}, null, first.id);
+
+      const context = memoryService.getContextString(2);
+
+      expect(context).toContain('RECENT CONVERSATION CONTEXT');
+      expect(context).not.toContain('ACTIVE THREAD CONTEXT');
+    });
+  });
+
+  describe('Long-Term Memory', () => {
+    const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+    // In-memory stand-in for the StorageManager long-term store
+    const createLongTermStorage = (items = [], enabled = true) => {
+      const stored = new Map(items.map(item => [item.id, item]));
+      return {
+        stored,
+        getSetting: jest.fn(() => Promise.resolve(enabled)),
+        saveSetting: jest.fn(() => Promise.resolve()),
+        getLongTermMemories: jest.fn(() => Promise.resolve([...stored.values()])),
+        saveLongTermMemory: jest.fn((item) => {
+          stored.set(item.id, item);
+          return Promise.resolve(item.id);
+        }),
+        deleteLongTermMemory: jest.fn((id) => {
+          stored.delete(id);
+          return Promise.resolve();
+        }),
+        clearLongTermMemory: jest.fn(() => {
+          stored.clear();
+          return Promise.resolve();
+        })
+      };
+    };
+
+    const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    test('should not keep anything long-term until the user opts in', async () => {
+      const storage = createLongTermStorage([], false);
+      await memoryService.setLongTermStorage(storage);
+      const item = await memoryService.addConversation('write email', 'Email content');
+
+      const promoted = await memoryService.pinConversation(item.id);
+
+      expect(promoted).toBe(false);
+      expect(storage.saveLongTermMemory).not.toHaveBeenCalled();
+      expect(memoryService.memoryStore[0].usage.pinned).toBe(true);
+    });
+
+    test('should promote pinned and useful conversations', async () => {
+      const storage = createLongTermStorage();
+      await memoryService.setLongTermStorage(storage);
+      const pinned = await memoryService.addConversation('write email', 'Email content');
+      const useful = await memoryService.addConversation('draft post', 'Post content');
+
+      expect(await memoryService.pinConversation(pinned.id)).toBe(true);
+      expect(await memoryService.markUseful(useful.id)).toBe(true);
+
+      expect([...storage.stored.keys()]).toEqual([pinned.id, useful.id]);
+      expect(storage.stored.get(pinned.id).usage.pinned).toBe(true);
+      expect(storage.stored.get(useful.id).usage.useful).toBe(true);
+    });
+
+    test('should promote a conversation once it has been reused enough', async () => {
+      const storage = createLongTermStorage();
+      await memoryService.setLongTermStorage(storage);
+      const budget = await memoryService.addConversation('quarterly budget email', 'Budget numbers for the quarter');
+      await memoryService.addConversation('create letter', 'Letter content');
+      await memoryService.addConversation('draft post', 'Post content');
+
+      memoryService.retrieveRelevant('quarterly budget', 1);
+      await flushPromises();
+      expect(storage.stored.has(budget.id)).toBe(false);
+
+      memoryService.retrieveRelevant('quarterly budget', 1);
+      await flushPromises();
+      expect(storage.stored.get(budget.id).usage.reuses).toBe(2);
+    });
+
+    test('should retrieve from both tiers and tag where each item came from', async () => {
+      const kept = { id: 'mem_old', timestamp: daysAgo(10), query: 'kubernetes migration plan', content: 'Move services to the new cluster', usage: { reuses: 3, lastUsedAt: daysAgo(1) } };
+      await memoryService.setLongTermStorage(createLongTermStorage([kept]));
+      await memoryService.addConversation('write email', 'Email content');
+
+      const semantic = memoryService.retrieveRelevant('kubernetes migration', 2);
+      const recent = memoryService.retrieveRelevant('what did we discuss earlier?', 2);
+
+      expect(semantic[0].id).toBe('mem_old');
+      expect(semantic[0].tier).toBe('longTerm');
+      expect(recent.map(item => item.tier)).toEqual(['session', 'longTerm']);
+    });
+
+    test('should leave the long-term tier out of retrieval while it is off', async () => {
+      const kept = { id: 'mem_old', timestamp: daysAgo(10), query: 'kubernetes migration plan', content: 'Move services', usage: { reuses: 3 } };
+      await memoryService.setLongTermStorage(createLongTermStorage([kept], false));
+      await memoryService.addConversation('write email', 'Email content');
+
+      const results = memoryService.retrieveRelevant('kubernetes migration', 5);
+
+      expect(results.map(item => item.id)).not.toContain('mem_old');
+      expect(memoryService.getLongTermMemories()).toHaveLength(1);
+    });
+
+    test('should drop expired and least recently used items but keep pinned ones', async () => {
+      memoryService.LONG_TERM_MAX_ITEMS = 2;
+      const storage = createLongTermStorage([
+        { id: 'mem_expired', timestamp: daysAgo(200), query: 'q1', content: 'c1', usage: { lastUsedAt: daysAgo(120) } },
+        { id: 'mem_pinned', timestamp: daysAgo(200), query: 'q2', content: 'c2', usage: { pinned: true, lastUsedAt: daysAgo(150) } },
+        { id: 'mem_older', timestamp: daysAgo(20), query: 'q3', content: 'c3', usage: { lastUsedAt: daysAgo(10) } },
+        { id: 'mem_newer', timestamp: daysAgo(20), query: 'q4', content: 'c4', usage: { lastUsedAt: daysAgo(1) } }
+      ]);
+
+      await memoryService.setLongTermStorage(storage);
+
+      expect(memoryService.getLongTermMemories().map(item => item.id)).toEqual(['mem_newer', 'mem_pinned']);
+      expect([...storage.stored.keys()].sort()).toEqual(['mem_newer', 'mem_pinned']);
+    });
+
+    test('should forget a long-term conversation in both tiers', async () => {
+      const storage = createLongTermStorage();
+      await memoryService.setLongTermStorage(storage);
+      const item = await memoryService.addConversation('write email', 'Email content');
+      await memoryService.pinConversation(item.id);
+
+      const deleted = await memoryService.deleteLongTermMemory(item.id);
+
+      expect(deleted).toBe(true);
+      expect(storage.stored.size).toBe(0);
+      expect(memoryService.memoryStore).toHaveLength(0);
+      expect(memoryService.getStats().longTermConversations).toBe(0);
+    });
+  });
+
   describe('Export/Import', () => {
     test('should export memory as JSON', async () => {
       await memoryService.addConversation('test', 'content');
@@ -0,0 +1,66 @@
+/**
+ * TonePilotRevisionHistory Unit Tests
+ * Tests undo/redo, dropping the redo branch on a new revision and the revision limit
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Load dependencies
+const revisionHistoryCode = fs.readFileSync(path.join(__dirname, '../../../ui/modules/revisionHistory.js'), 'utf8');
+
+// Execute code
+eval(revisionHistoryCode);
+
+describe('TonePilotRevisionHistory', () => {
+  let history;
+
+  beforeEach(() => {
+    history = new window.TonePilotRevisionHistory('Draft one');
+  });
+
+  test('should start at the first result with nothing to undo or redo', () => {
+    expect(history.current()).toEqual({ text: 'Draft one', instruction: null });
+    expect(history.canUndo()).toBe(false);
+    expect(history.canRedo()).toBe(false);
+    expect(history.undo()).toBeNull();
+    expect(history.redo()).toBeNull();
+  });
+
+  test('should undo and redo through revisions', () => {
+    history.push('Draft two', 'shorter');
+    history.push('Draft three', 'warmer');
+
+    expect(history.undo()).toEqual({ text: 'Draft two', instruction: 'shorter' });
+    expect(history.undo()).toEqual({ text: 'Draft one', instruction: null });
+    expect(history.canUndo()).toBe(false);
+    expect(history.redo()).toEqual({ text: 'Draft two', instruction: 'shorter' });
+    expect(history.redo()).toEqual({ text: 'Draft three', instruction: 'warmer' });
+    expect(history.canRedo()).toBe(false);
+  });
+
+  test('should drop the revisions that could be redone when a new one is added', () => {
+    history.push('Draft two', 'shorter');
+    history.push('Draft three', 'warmer');
+    history.undo();
+    history.undo();
+
+    expect(history.push('Draft four', 'more formal')).toEqual({ text: 'Draft four', instruction: 'more formal' });
+    expect(history.canRedo()).toBe(false);
+    expect(history.entries.map(entry => entry.text)).toEqual(['Draft one', 'Draft four']);
+    expect(history.undo().text).toBe('Draft one');
+  });
+
+  test('should keep at most the limit, dropping the oldest', () => {
+    history = new window.TonePilotRevisionHistory('Draft 1', 3);
+    for (let i = 2; i <= 5; i++) {
+      history.push(`Draft ${i}`, `edit ${i}`);
+    }
+
+    expect(history.entries.map(entry => entry.text)).toEqual(['Draft 3', 'Draft 4', 'Draft 5']);
+    expect(history.current().text).toBe('Draft 5');
+    expect(history.undo().text).toBe('Draft 4');
+    expect(history.undo().text).toBe('Draft 3');
+    expect(history.undo()).toBeNull();
+  });
+});
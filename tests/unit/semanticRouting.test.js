@@ -12,6 +12,9 @@ const errorHandlerCode = fs.readFileSync(path.join(__dirname, '../../utils/error
 const validatorCode = fs.readFileSync(path.join(__dirname, '../../utils/validator.js'), 'utf8');
 const baseServiceCode = fs.readFileSync(path.join(__dirname, '../../services/baseService.js'), 'utf8');
 const promptServiceCode = fs.readFileSync(path.join(__dirname, '../../services/promptService.js'), 'utf8');
+const languageResolverCode = fs.readFileSync(path.join(__dirname, '../../services/languageResolver.js'), 'utf8');
+const toneAnalyzerCode = fs.readFileSync(path.join(__dirname, '../../services/toneAnalyzer.js'), 'utf8');
+const intentRegistryCode = fs.readFileSync(path.join(__dirname, '../../services/intentRegistry.js'), 'utf8');
 const semanticRoutingCode = fs.readFileSync(path.join(__dirname, '../../services/semanticRouting.js'), 'utf8');
 
 // Execute code
@@ -20,6 +23,9 @@ eval(errorHandlerCode);
 eval(validatorCode);
 eval(baseServiceCode);
 eval(promptServiceCode);
+eval(languageResolverCode);
+eval(toneAnalyzerCode);
+eval(intentRegistryCode);
 eval(semanticRoutingCode);
 
 describe('SemanticRouter', () => {
@@ -224,6 +230,38 @@ describe('SemanticRouter', () => {
     });
   });
 
+  describe('Tone Vectors', () => {
+    test('should attach weighted tone dimensions alongside the flat tone list', async () => {
+      const result = await router.route('make this very formal and a bit warmer', { hasSelectedText: true });
+
+      expect(result.tones).toContain('formal');
+      expect(result.toneVector.formality).toBeGreaterThan(0.75);
+      expect(result.toneVector.warmth).toBeGreaterThan(0);
+      expect(result.toneVector.warmth).toBeLessThan(0.5);
+    });
+
+    test('should reconcile conflicting tones', async () => {
+      const result = await router.route('rewrite this to be casual but professional', { hasSelectedText: true });
+
+      expect(result.toneConflicts).toHaveLength(1);
+      expect(result.toneConflicts[0].dimension).toBe('formality');
+      expect(Math.abs(result.toneVector.formality)).toBeLessThan(0.25);
+    });
+
+    test('should give each operation the tone of its own clause', async () => {
+      const result = await router.route('proofread this, then rewrite it to be more persuasive', { hasSelectedText: true });
+
+      expect(result.operations[0].toneVector.persuasiveness).toBe(0);
+      expect(result.operations[1].toneVector.persuasiveness).toBeGreaterThan(0.5);
+    });
+
+    test('should phrase rewrite goals with intensities', async () => {
+      const result = await router.route('rewrite this as a very formal email', { hasSelectedText: true });
+
+      expect(router.normalize('rewrite this as a very formal email', result).goal).toBe('Rewrite as a professional email in a strongly formal tone');
+    });
+  });
+
   describe('Target Language Extraction', () => {
     test('should extract target language from explicit request', async () => {
       const testCases = [
@@ -307,6 +345,286 @@ describe('SemanticRouter', () => {
     });
   });
 
+  describe('Disambiguation', () => {
+    test('should return ranked candidates with labels', async () => {
+      const result = await router.route('write an email');
+
+      expect(Array.isArray(result.candidates)).toBe(true);
+      expect(result.candidates[0].intent).toBe(result.intent);
+      expect(result.candidates[0].label).toBeDefined();
+      expect(result.ambiguous).toBe(false);
+    });
+
+    test('should ask for clarification on context-only fallback with selection', async () => {
+      router.setAIRouting(false);
+      const result = await router.route('help me with this', { hasSelectedText: true });
+
+      expect(result.ambiguous).toBe(true);
+      expect(result.candidates.map(c => c.intent)).toEqual(expect.arrayContaining(['write', 'rewrite']));
+      expect(result.candidates.find(c => c.intent === 'rewrite').label).toBe('Rewrite the selection');
+      expect(result.candidates.find(c => c.intent === 'write').label).toBe('Draft a reply to it');
+    });
+
+    test('should lower confidence when several intent patterns match', async () => {
+      const candidates = router.scorePatternCandidates('draft a reply based on this, make it more formal', true);
+
+      expect(candidates.length).toBeGreaterThan(1);
+      expect(candidates[0].score).toBeLessThan(0.9);
+      expect(router.isAmbiguous(candidates)).toBe(true);
+    });
+
+    test('should not invent a confidence when the classifier omits one', async () => {
+      const classifier = { send: jest.fn().mockResolvedValue('{"intent": "write", "tones": []}') };
+      const aiRouter = new window.SemanticRouter(classifier);
+
+      const result = await aiRouter.route('rewrite this', { hasSelectedText: true });
+
+      expect(result.score).not.toBe(0.85);
+      expect(result.ambiguous).toBe(true);
+      expect(result.candidates.map(c => c.intent)).toContain('rewrite');
+    });
+
+    test('should keep the classifier confidence when it agrees with patterns', async () => {
+      const classifier = { send: jest.fn().mockResolvedValue('{"intent": "summarize", "confidence": 0.92}') };
+      const aiRouter = new window.SemanticRouter(classifier);
+
+      const result = await aiRouter.route('summarize this article', { hasSelectedText: true });
+
+      expect(result.score).toBe(0.92);
+      expect(result.ambiguous).toBe(false);
+    });
+
+    test('should trust a confident classifier when no pattern matches', async () => {
+      const classifier = { send: jest.fn().mockResolvedValue('{"intent": "summarize", "confidence": 0.95}') };
+      const aiRouter = new window.SemanticRouter(classifier);
+
+      const result = await aiRouter.route('give me the gist of this', { hasSelectedText: true });
+
+      expect(aiRouter.scorePatternCandidates('give me the gist of this', true)[0].source).toBe('context-fallback');
+      expect(result.intent).toBe('summarize');
+      expect(result.score).toBe(0.95);
+      expect(result.ambiguous).toBe(false);
+    });
+  });
+
+  describe('Compound Requests', () => {
+    test('should split chained requests into ordered operations', async () => {
+      const result = await router.route('proofread this, then make it more formal and translate to Spanish', { hasSelectedText: true });
+
+      expect(result.operations.map(op => op.intent)).toEqual(['proofread', 'rewrite', 'translate']);
+      expect(result.operations[1].tones).toContain('formal');
+      expect(result.operations[2].instruction).toBe('translate to Spanish');
+      expect(result.intent).toBe('proofread');
+      expect(result.ambiguous).toBe(false);
+    });
+
+    test('should keep leading clauses without an intent with the first operation', async () => {
+      const operations = router.detectOperations('for the client update; make it formal, then translate to Spanish', true);
+
+      expect(operations.map(op => op.intent)).toEqual(['rewrite', 'translate']);
+      expect(operations[0].instruction).toBe('for the client update, make it formal');
+    });
+
+    test('should start an operation at a clause matched by a learned phrase', async () => {
+      router.setFeedbackStore({
+        isInitialized: true,
+        scoreQuery: jest.fn(query => (/\btighten\b/.test(query) ? [{ label: 'rewrite', weight: 1.5, terms: ['tighten'] }] : []))
+      });
+
+      const operations = router.detectOperations('tighten this, then translate to French', true);
+
+      expect(operations.map(op => op.intent)).toEqual(['rewrite', 'translate']);
+      expect(operations[0].instruction).toBe('tighten this');
+    });
+
+    test('should not split on "and" between adjectives', async () => {
+      const operations = router.detectOperations('write a formal and friendly email', false);
+      expect(operations).toEqual([]);
+    });
+
+    test('should return a single operation for simple requests', async () => {
+      const result = await router.route('summarize this article');
+
+      expect(result.operations).toHaveLength(1);
+      expect(result.operations[0].intent).toBe('summarize');
+    });
+  });
+
+  describe('Intent Registry', () => {
+    test('should route a newly registered intent without router changes', async () => {
+      const registry = window.createDefaultIntentRegistry();
+      registry.register({
+        name: 'explain',
+        pattern: /\b(explain|what\s+does\s+this\s+mean)\b/i,
+        description: 'Explain the SELECTED text in plain language',
+        label: 'Explaining text',
+        normalize: (baseResult) => ({ ...baseResult, type: 'explain' }),
+        handler: jest.fn()
+      }, { before: 'rewrite' });
+
+      const customRouter = new window.SemanticRouter(null, false, registry);
+      const result = await customRouter.route('explain this paragraph', { hasSelectedText: true });
+
+      expect(result.intent).toBe('explain');
+      expect(customRouter.normalize('explain this paragraph', result).type).toBe('explain');
+      expect(Object.keys(customRouter.patterns).indexOf('explain')).toBeLessThan(Object.keys(customRouter.patterns).indexOf('rewrite'));
+    });
+
+    test('should reject AI intents that are not registered', async () => {
+      const classifier = { send: jest.fn().mockResolvedValue('{"intent": "explain", "confidence": 0.9}') };
+      const aiRouter = new window.SemanticRouter(classifier);
+
+      const result = await aiRouter.routeWithAI('explain this');
+      expect(result).toBeNull();
+    });
+
+    test('should fall back to a plain prompt when normalizing an unknown intent', () => {
+      const normalized = router.normalize('hello', { intent: 'unknown-intent' });
+      expect(normalized.type).toBe('prompt');
+    });
+  });
+
+  describe('Routing Cache and Latency Budget', () => {
+    test('should reuse a cached decision for the same normalized request', async () => {
+      const classifier = { send: jest.fn().mockResolvedValue('{"intent": "summarize", "confidence": 0.92}') };
+      const aiRouter = new window.SemanticRouter(classifier);
+
+      const first = await aiRouter.route('Summarize this article', { hasSelectedText: true });
+      const second = await aiRouter.route('summarize  this article.', { hasSelectedText: true });
+
+      expect(classifier.send).toHaveBeenCalledTimes(1);
+      expect(first.routePath).toBe('ai-classifier');
+      expect(second.routePath).toBe('cached ai-classifier');
+      expect(second.intent).toBe('summarize');
+    });
+
+    test('should key the cache on selection and Plan mode', async () => {
+      const classifier = { send: jest.fn().mockResolvedValue('{"intent": "summarize", "confidence": 0.92, "reasoning": "User wants a summary"}') };
+      const aiRouter = new window.SemanticRouter(classifier);
+
+      await aiRouter.route('summarize this article', { hasSelectedText: true });
+      await aiRouter.route('summarize this article', { hasSelectedText: false });
+      await aiRouter.route('summarize this article', { hasSelectedText: true, planMode: true });
+
+      expect(classifier.send).toHaveBeenCalledTimes(3);
+    });
+
+    test('should expire cached decisions after the TTL', async () => {
+      const classifier = { send: jest.fn().mockResolvedValue('{"intent": "summarize", "confidence": 0.92}') };
+      const aiRouter = new window.SemanticRouter(classifier);
+      aiRouter.configure({ cacheTTL: 1000 });
+
+      await aiRouter.route('summarize this article', { hasSelectedText: true });
+      const key = aiRouter.getCacheKey('summarize this article', true, false);
+      aiRouter.routeCache.get(key).timestamp -= 2000;
+      await aiRouter.route('summarize this article', { hasSelectedText: true });
+
+      expect(classifier.send).toHaveBeenCalledTimes(2);
+    });
+
+    test('should use patterns when the classifier exceeds the latency budget', async () => {
+      const classifier = {
+        send: jest.fn(() => new Promise(resolve => setTimeout(() => resolve('{"intent": "rewrite", "confidence": 0.9}'), 200)))
+      };
+      const aiRouter = new window.SemanticRouter(classifier);
+      aiRouter.configure({ latencyBudget: 20 });
+
+      const result = await aiRouter.route('summarize this article', { hasSelectedText: true });
+
+      expect(result.intent).toBe('summarize');
+      expect(result.routePath).toBe('patterns (AI timed out)');
+      expect(result.via).toMatch(/^patterns \(AI timed out\) in \d+ms$/);
+    });
+
+    test('should not ask the classifier again for Plan mode reasoning after a timeout', async () => {
+      const classifier = {
+        send: jest.fn(() => new Promise(resolve => setTimeout(() => resolve('{"intent": "rewrite", "confidence": 0.9}'), 200)))
+      };
+      const aiRouter = new window.SemanticRouter(classifier);
+      aiRouter.configure({ latencyBudget: 20 });
+
+      const result = await aiRouter.route('summarize this article', { hasSelectedText: true, planMode: true });
+
+      expect(result.routePath).toBe('patterns (AI timed out)');
+      expect(classifier.send).toHaveBeenCalledTimes(1);
+    });
+
+    test('should report the path and routing time in via and keep the bare path', async () => {
+      const patternRouter = new window.SemanticRouter(null, false);
+
+      const result = await patternRouter.route('summarize this article', { hasSelectedText: true });
+
+      expect(result.routingMs).toBeGreaterThanOrEqual(0);
+      expect(result.via).toBe(`patterns in ${result.routingMs}ms`);
+      expect(result.routePath).toBe('patterns');
+    });
+  });
+
+  describe('Routing Explanations', () => {
+    test('should show which patterns matched and where', async () => {
+      const patternRouter = new window.SemanticRouter(null, false);
+      const input = 'Summarize this report as bullet points';
+
+      const explanation = patternRouter.explain(input, await patternRouter.route(input, { hasSelectedText: true }));
+
+      const [summarizeMatch] = explanation.patternMatches;
+      expect(summarizeMatch.intent).toBe('summarize');
+      expect(summarizeMatch.match).toBe('summarize');
+      expect([summarizeMatch.start, summarizeMatch.end]).toEqual([0, 9]);
+      expect(explanation.outputTypeMatch.outputType).toBe('document');
+      expect(explanation.query.slice(explanation.outputTypeMatch.start, explanation.outputTypeMatch.end).toLowerCase()).toBe(explanation.outputTypeMatch.match);
+      expect(explanation.fallbackReason).toBe('AI routing is turned off');
+      expect(explanation.classifier).toBeNull();
+      expect(explanation.normalized.type).toBe('summarize');
+    });
+
+    test('should keep the raw classifier response and validation failures', async () => {
+      const classifier = { send: jest.fn().mockResolvedValue('Sure! The intent is probably rewrite.') };
+      const aiRouter = new window.SemanticRouter(classifier);
+
+      const routing = await aiRouter.route('polish this paragraph', { hasSelectedText: true });
+      const explanation = aiRouter.explain('polish this paragraph', routing);
+
+      expect(routing.routePath).toBe('patterns');
+      expect(explanation.classifier.raw).toBe('Sure! The intent is probably rewrite.');
+      expect(explanation.classifier.valid).toBe(false);
+      expect(explanation.classifier.errors.length).toBeGreaterThan(0);
+      expect(explanation.fallbackReason).toBe('AI response did not match the routing schema');
+    });
+
+    test('should record coerced fields from a repaired classifier response', async () => {
+      const classifier = { send: jest.fn().mockResolvedValue('{"intent": "Summarize", "confidence": "85%"}') };
+      const aiRouter = new window.SemanticRouter(classifier);
+
+      const routing = await aiRouter.route('give me the gist of this', { hasSelectedText: true });
+      const explanation = aiRouter.explain('give me the gist of this', routing);
+
+      expect(explanation.classifier.valid).toBe(true);
+      expect(explanation.classifier.coercedFields).toEqual(expect.arrayContaining(['intent', 'confidence']));
+      expect(explanation.fallbackReason).toBeNull();
+    });
+
+    test('should explain a classifier timeout', async () => {
+      const classifier = {
+        send: jest.fn(() => new Promise(resolve => setTimeout(() => resolve('{"intent": "rewrite", "confidence": 0.9}'), 100)))
+      };
+      const aiRouter = new window.SemanticRouter(classifier);
+      aiRouter.configure({ latencyBudget: 10 });
+
+      const routing = await aiRouter.route('summarize this article', { hasSelectedText: true });
+
+      expect(aiRouter.explain('summarize this article', routing).fallbackReason).toBe('AI classifier exceeded the 10ms budget');
+    });
+
+    test('should explain a forced routing without a trace', () => {
+      const explanation = router.explain('summarize this', { intent: 'rewrite', tones: [], via: 'forced-rerun' });
+
+      expect(explanation.routePath).toBe('forced-rerun');
+      expect(explanation.patternMatches.map(match => match.intent)).toEqual(['summarize']);
+      expect(explanation.normalized.type).toBe('rewrite');
+    });
+  });
+
   describe('Routing Consistency', () => {
     test('should return consistent results for same input', async () => {
       const input = 'write a formal email about project updates';
@@ -314,7 +632,10 @@ describe('SemanticRouter', () => {
       const result1 = await router.route(input);
       const result2 = await router.route(input);
 
-      expect(result1).toEqual(result2);
+      // routingMs and via carry the elapsed routing time
+      const { routingMs: ms1, via: via1, ...decision1 } = result1;
+      const { routingMs: ms2, via: via2, ...decision2 } = result2;
+      expect(decision1).toEqual(decision2);
     });
 
     test('should include all expected fields', async () => {
@@ -0,0 +1,169 @@
+/**
+ * CritiqueService Unit Tests
+ * Tests requirement building, the critique/revise loop, the character limit, cancellation and failure handling
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Load dependencies
+const critiqueServiceCode = fs.readFileSync(path.join(__dirname, '../../../services/critiqueService.js'), 'utf8');
+
+// Execute code
+eval(critiqueServiceCode);
+
+/**
+ * Prompt service stand-in: critiques answer with the given scores in order, revisions with the given drafts
+ */
+function createMockPrompt(critiques, revisions = []) {
+  const prompts = [];
+  return {
+    prompts,
+    sendStructured: jest.fn(async (prompt) => {
+      prompts.push(prompt);
+      const index = prompts.filter(text => text.startsWith('Score this draft')).length - 1;
+      return { data: critiques[index], valid: true, raw: '{}', errors: [] };
+    }),
+    send: jest.fn(async (prompt) => {
+      prompts.push(prompt);
+      const index = prompts.filter(text => text.startsWith('Revise the draft')).length - 1;
+      return revisions[index];
+    })
+  };
+}
+
+describe('CritiqueService', () => {
+  function createService(prompt) {
+    return new window.CritiqueService({ promptServiceFactory: () => prompt });
+  }
+
+  describe('Requirements', () => {
+    test('should collect the request, output type, tone, constraints and limit', () => {
+      const service = createService(createMockPrompt([]));
+
+      const requirements = service.buildRequirements({
+        instruction: 'write a follow-up email',
+        typeInstructions: 'Format as an email with a greeting and sign-off.',
+        tone: 'formal',
+        constraints: ['Mention the May 3 date', ''],
+        maxCharacters: 300
+      });
+
+      expect(requirements.items).toEqual([
+        'Does what the user asked: "write a follow-up email"',
+        'Format as an email with a greeting and sign-off.',
+        'Reads as formal',
+        'Mention the May 3 date',
+        'At most 300 characters'
+      ]);
+      expect(requirements.maxCharacters).toBe(300);
+    });
+  });
+
+  describe('Review Loop', () => {
+    test('should accept a draft that already passes without revising it', async () => {
+      const prompt = createMockPrompt([{ score: 0.9, issues: [], summary: 'Good' }]);
+      const service = createService(prompt);
+
+      const review = await service.review('Hello team', service.buildRequirements({ instruction: 'greet the team' }), { maxRounds: 2 });
+
+      expect(review.text).toBe('Hello team');
+      expect(review.passed).toBe(true);
+      expect(review.revisions).toBe(0);
+      expect(prompt.send).not.toHaveBeenCalled();
+    });
+
+    test('should revise until the draft passes and report each critique', async () => {
+      const prompt = createMockPrompt(
+        [{ score: 0.4, issues: ['Too casual'] }, { score: 0.85, issues: [] }],
+        ['Dear team, hello.']
+      );
+      const service = createService(prompt);
+      const rounds = [];
+
+      const review = await service.review('hey team', service.buildRequirements({ tone: 'formal' }), {
+        maxRounds: 3,
+        onRound: entry => rounds.push([entry.round, entry.score, entry.issues])
+      });
+
+      expect(review.text).toBe('Dear team, hello.');
+      expect(review.score).toBe(0.85);
+      expect(review.revisions).toBe(1);
+      expect(rounds).toEqual([[0, 0.4, ['Too casual']], [1, 0.85, []]]);
+      expect(prompt.prompts[1]).toContain('- Too casual');
+    });
+
+    test('should stop at the round limit and keep the best-scoring version', async () => {
+      const prompt = createMockPrompt(
+        [{ score: 0.6, issues: ['Vague'] }, { score: 0.5, issues: ['Worse'] }],
+        ['A worse draft']
+      );
+      const service = createService(prompt);
+
+      const review = await service.review('First draft', service.buildRequirements({}), { maxRounds: 1 });
+
+      expect(review.stoppedBy).toBe('max-rounds');
+      expect(review.text).toBe('First draft');
+      expect(review.score).toBe(0.6);
+      expect(review.passed).toBe(false);
+    });
+
+    test('should not let a draft over the character limit pass', async () => {
+      const prompt = createMockPrompt(
+        [{ score: 0.95, issues: [] }, { score: 0.95, issues: [] }],
+        ['Short']
+      );
+      const service = createService(prompt);
+
+      const review = await service.review('x'.repeat(80), service.buildRequirements({ maxCharacters: 50 }), { maxRounds: 2 });
+
+      expect(review.rounds[0].issues[0]).toBe('80 characters, over the 50 character limit');
+      expect(review.rounds[0].score).toBeLessThan(0.8);
+      expect(prompt.prompts[1]).toContain('at most 50 characters');
+      expect(review.text).toBe('Short');
+      expect(review.passed).toBe(true);
+    });
+
+    test('should keep the original draft when the model is unavailable', async () => {
+      const service = createService({
+        sendStructured: async () => { throw new Error('LanguageModel not available'); },
+        send: jest.fn()
+      });
+
+      const review = await service.review('Original', service.buildRequirements({}), { maxRounds: 2 });
+
+      expect(review.stoppedBy).toBe('error');
+      expect(review.text).toBe('Original');
+      expect(review.score).toBeNull();
+    });
+
+    test('should count a revision whose critique then fails', async () => {
+      const prompt = createMockPrompt([{ score: 0.5, issues: ['Vague'] }], ['A revision']);
+      const service = createService(prompt);
+
+      const review = await service.review('First draft', service.buildRequirements({}), { maxRounds: 2 });
+
+      expect(review.stoppedBy).toBe('error');
+      expect(review.rounds).toHaveLength(1);
+      expect(review.revisions).toBe(1);
+      expect(review.text).toBe('First draft');
+    });
+
+    test('should stop revising once cancelled and keep the best draft so far', async () => {
+      const controller = new AbortController();
+      const prompt = createMockPrompt([{ score: 0.5, issues: ['Vague'] }], ['A revision']);
+      prompt.send.mockImplementation(async () => {
+        controller.abort();
+        throw new DOMException('The operation was aborted.', 'AbortError');
+      });
+      const service = createService(prompt);
+
+      const review = await service.review('First draft', service.buildRequirements({}), { maxRounds: 3, signal: controller.signal });
+
+      expect(prompt.sendStructured.mock.calls[0][1].signal).toBe(controller.signal);
+      expect(review.stoppedBy).toBe('cancelled');
+      expect(review.text).toBe('First draft');
+      expect(review.score).toBe(0.5);
+    });
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * DraftVariantService Unit Tests
+ * Tests preset selection for alternative drafts, word-level diffs and sentence merging
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Load dependencies
+const sentenceSplitterCode = fs.readFileSync(path.join(__dirname, '../../../utils/sentenceSplitter.js'), 'utf8');
+const draftVariantServiceCode = fs.readFileSync(path.join(__dirname, '../../../services/draftVariantService.js'), 'utf8');
+
+// Execute code
+eval(sentenceSplitterCode);
+eval(draftVariantServiceCode);
+
+describe('DraftVariantService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new window.DraftVariantService();
+  });
+
+  describe('Presets', () => {
+    test('should vary tone first for a rewrite left as-is', () => {
+      const presets = service.pickPresets('rewrite', { tone: 'as-is', length: 'as-is' }, 2);
+
+      expect(presets.map(preset => preset.id)).toEqual(['more-formal', 'more-casual']);
+    });
+
+    test('should skip the tone or length the primary draft already has', () => {
+      const presets = service.pickPresets('write', { tone: 'formal', length: 'short' }, 3);
+
+      expect(presets.map(preset => preset.id)).toEqual(['casual', 'long']);
+    });
+
+    test('should return nothing for other draft types', () => {
+      expect(service.pickPresets('summarize', {}, 2)).toEqual([]);
+    });
+  });
+
+  describe('Diff', () => {
+    test('should mark inserted and deleted words and keep the rest', () => {
+      const runs = service.diff('Hey team, the launch is Friday.', 'Hello team, the launch is on Friday.');
+
+      expect(runs).toEqual([
+        { type: 'delete', text: 'Hey' },
+        { type: 'insert', text: 'Hello' },
+        { type: 'equal', text: ' team, the launch is ' },
+        { type: 'insert', text: 'on ' },
+        { type: 'equal', text: 'Friday.' }
+      ]);
+    });
+
+    test('should rebuild both texts from the runs', () => {
+      const from = 'We shipped v2.\nThanks all!';
+      const to = 'We shipped version 2 today.\nThank you all!';
+
+      const runs = service.diff(from, to);
+
+      expect(runs.filter(run => run.type !== 'insert').map(run => run.text).join('')).toBe(from);
+      expect(runs.filter(run => run.type !== 'delete').map(run => run.text).join('')).toBe(to);
+    });
+
+    test('should join edits separated only by whitespace', () => {
+      expect(service.diff('the quick fox', 'a slow fox')).toEqual([
+        { type: 'delete', text: 'the quick' },
+        { type: 'insert', text: 'a slow' },
+        { type: 'equal', text: ' fox' }
+      ]);
+    });
+  });
+
+  describe('Merge', () => {
+    test('should join sentences picked across drafts in pick order', () => {
+      const drafts = ['Hi team. The launch moved to Friday.', 'Hello all! We launch on Friday. Thanks for the push.'];
+
+      expect(service.splitSentences(drafts[1])).toEqual(['Hello all!', 'We launch on Friday.', 'Thanks for the push.']);
+      expect(service.mergeSentences(drafts, [
+        { draft: 1, sentence: 0 },
+        { draft: 0, sentence: 1 },
+        { draft: 1, sentence: 2 }
+      ])).toBe('Hello all! The launch moved to Friday. Thanks for the push.');
+    });
+
+    test('should keep the line and paragraph breaks that followed each picked sentence', () => {
+      const drafts = ['Hi team,\n\nThe launch moved to Friday.\nThanks!', 'Hello all,\n\nWe launch on Friday. Thanks for the push.'];
+
+      expect(service.mergeSentences(drafts, [
+        { draft: 0, sentence: 0 },
+        { draft: 1, sentence: 1 },
+        { draft: 0, sentence: 1 },
+        { draft: 1, sentence: 2 }
+      ])).toBe('Hi team,\n\nWe launch on Friday. The launch moved to Friday.\nThanks for the push.');
+    });
+  });
+});
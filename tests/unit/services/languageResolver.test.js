@@ -0,0 +1,119 @@
+/**
+ * LanguageResolver Unit Tests
+ * Tests translation target parsing (names, native names, ISO codes, variants, page targets)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Load dependencies
+const languageResolverCode = fs.readFileSync(path.join(__dirname, '../../../services/languageResolver.js'), 'utf8');
+const intentRegistryCode = fs.readFileSync(path.join(__dirname, '../../../services/intentRegistry.js'), 'utf8');
+const semanticRoutingCode = fs.readFileSync(path.join(__dirname, '../../../services/semanticRouting.js'), 'utf8');
+
+// Execute code
+eval(languageResolverCode);
+eval(intentRegistryCode);
+eval(semanticRoutingCode);
+
+describe('LanguageResolver', () => {
+  let resolver;
+
+  beforeEach(() => {
+    resolver = new window.LanguageResolver();
+  });
+
+  describe('Target Parsing', () => {
+    test('should parse ISO codes with regions', () => {
+      expect(resolver.parseTarget('translate to pt-BR').code).toBe('pt-BR');
+      expect(resolver.parseTarget('translate into es_419').code).toBe('es-419');
+      expect(resolver.parseTarget('translate to zh-Hant').code).toBe('zh-TW');
+      expect(resolver.parseTarget('translate into ja').source).toBe('iso');
+    });
+
+    test('should not read everyday words as ISO codes', () => {
+      expect(resolver.parseTarget('send this to it')).toBeNull();
+      expect(resolver.parseTarget('say no to it')).toBeNull();
+    });
+
+    test('should parse native language names', () => {
+      expect(resolver.parseTarget('en español por favor').code).toBe('es');
+      expect(resolver.parseTarget('auf Deutsch bitte').code).toBe('de');
+      expect(resolver.parseTarget('日本語で').code).toBe('ja');
+      expect(resolver.parseTarget('reply to the Deutschland team')).toBeNull();
+    });
+
+    test('should prefer regional variants over the base language', () => {
+      const target = resolver.parseTarget('translate this to Brazilian Portuguese');
+
+      expect(target.code).toBe('pt-BR');
+      expect(target.source).toBe('variant');
+      expect(resolver.getName('pt-BR')).toBe('Portuguese (Brazil)');
+    });
+
+    test('should pick the language after "to" when several are mentioned', () => {
+      expect(resolver.parseTarget('translate this English note to Spanish').code).toBe('es');
+    });
+
+    test('should recognize page-relative targets without a code', () => {
+      const target = resolver.parseTarget('put this into the language of this page');
+
+      expect(target.source).toBe('page');
+      expect(target.code).toBeNull();
+    });
+  });
+
+  describe('Language Comparison', () => {
+    test('should treat regional variants as the same language', () => {
+      expect(resolver.isSameLanguage('es-MX', 'es')).toBe(true);
+      expect(resolver.isSameLanguage('en', 'fr')).toBe(false);
+    });
+
+    test('should keep Chinese scripts apart', () => {
+      expect(resolver.isSameLanguage('zh', 'zh-TW')).toBe(false);
+    });
+  });
+
+  describe('Router Integration', () => {
+    test('should route native and ISO targets to translate', async () => {
+      const router = new window.SemanticRouter(null, false);
+
+      const native = await router.route('en español por favor', { hasSelectedText: true });
+      const iso = await router.route('translate to pt-BR', { hasSelectedText: true });
+
+      expect(native.intent).toBe('translate');
+      expect(native.targetLanguage).toBe('es');
+      expect(iso.targetLanguage).toBe('pt-BR');
+    });
+
+    test('should not route hyphenated words or bare native mentions to translate', async () => {
+      const router = new window.SemanticRouter(null, false);
+
+      const hyphenated = await router.route('make this easier to re-do', { hasSelectedText: true });
+      const mention = await router.route('write an email to Maria about the español class', { hasSelectedText: false });
+      const unspaced = await router.route('write a note about my 日本語 homework', { hasSelectedText: false });
+
+      expect(hyphenated.intent).not.toBe('translate');
+      expect(mention.intent).not.toBe('translate');
+      expect(unspaced.intent).not.toBe('translate');
+    });
+
+    test('should route native names after a target cue in any script', async () => {
+      const router = new window.SemanticRouter(null, false);
+
+      expect((await router.route('auf Deutsch bitte', { hasSelectedText: true })).targetLanguage).toBe('de');
+      expect((await router.route('日本語で', { hasSelectedText: true })).targetLanguage).toBe('ja');
+      expect((await router.route('po polsku', { hasSelectedText: true })).intent).toBe('translate');
+    });
+
+    test('should expose page-relative targets for later detection', async () => {
+      const router = new window.SemanticRouter(null, false);
+
+      const result = await router.route('put this into the language of this page', { hasSelectedText: true });
+
+      expect(result.intent).toBe('translate');
+      expect(result.targetLanguage).toBeNull();
+      expect(result.languageTarget.source).toBe('page');
+    });
+  });
+});
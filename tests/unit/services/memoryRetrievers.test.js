@@ -0,0 +1,148 @@
+/**
+ * Memory Retrievers Unit Tests
+ * Tests the BM25 baseline, the keyword expansion embedder and reciprocal rank fusion
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Load dependencies
+const memoryRetrieversCode = fs.readFileSync(path.join(__dirname, '../../../services/memoryRetrievers.js'), 'utf8');
+
+// Execute code
+eval(memoryRetrieversCode);
+
+describe('Memory Retrievers', () => {
+  const memories = [
+    { id: 'm1', query: 'write a response to the hiring manager', content: 'Thanks for reaching out about the opening.' },
+    { id: 'm2', query: 'summarize the budget report', content: 'Marketing spend is over plan.' },
+    { id: 'm3', query: 'invite the team to the party', content: 'Join us on Friday at 6pm.' }
+  ];
+
+  // Keywords as the language model lists them for each memory
+  const keywords = {
+    'write a response to the hiring manager Thanks for reaching out about the opening.': ['recruiter', 'job application', 'reply', 'interview'],
+    'summarize the budget report Marketing spend is over plan.': ['finance', 'expenses', 'overview'],
+    'invite the team to the party Join us on Friday at 6pm.': ['celebration', 'event', 'invitation']
+  };
+  const createExpander = () => jest.fn(async text => keywords[text] || []);
+
+  describe('KeywordExpansionEmbedder', () => {
+    test('should give word forms the same stem', () => {
+      const embedder = new window.KeywordExpansionEmbedder();
+
+      expect(embedder.stem('answering')).toBe(embedder.stem('answers'));
+      expect(embedder.stem('hiring')).toBe(embedder.stem('hire'));
+      expect(embedder.stem('messages')).toBe(embedder.stem('message'));
+    });
+
+    test('should place a paraphrase closer once the memory is expanded', async () => {
+      const embedder = new window.KeywordExpansionEmbedder({ expander: createExpander() });
+      const retriever = new window.EmbeddingRetriever({ embedder });
+      const memoryText = retriever.getItemText(memories[0]);
+
+      const before = retriever.cosine(embedder.embed('reply to the recruiter'), embedder.embed(memoryText));
+      await embedder.prepare([memoryText, retriever.getItemText(memories[1])]);
+      const paraphrase = retriever.cosine(embedder.embed('reply to the recruiter'), embedder.embed(memoryText));
+      const unrelated = retriever.cosine(embedder.embed('reply to the recruiter'), embedder.embed(retriever.getItemText(memories[1])));
+
+      expect(before).toBe(0);
+      expect(paraphrase).toBeGreaterThan(0.3);
+      expect(unrelated).toBe(0);
+    });
+
+    test('should expand each text once and keep own words when expansion fails', async () => {
+      const failing = jest.fn(async () => { throw new Error('LanguageModel not available'); });
+      const embedder = new window.KeywordExpansionEmbedder({ expander: failing });
+
+      expect(await embedder.prepare(['reply to the recruiter'])).toBe(0);
+      expect(embedder.embed('reply to the recruiter').size).toBe(2);
+
+      const expander = createExpander();
+      const working = new window.KeywordExpansionEmbedder({ expander });
+      await working.prepare(['a note', 'a note']);
+      await working.prepare(['a note']);
+      expect(expander).toHaveBeenCalledTimes(1);
+    });
+
+    test('should not expand without a language model', async () => {
+      const embedder = new window.KeywordExpansionEmbedder();
+
+      expect(await embedder.prepare(['reply to the recruiter'])).toBe(0);
+      expect(embedder.getExpansion('reply to the recruiter')).toBeNull();
+    });
+
+    test('should return unit-length vectors', async () => {
+      const embedder = new window.KeywordExpansionEmbedder({ expander: async () => ['gratitude', 'mentorship'] });
+      await embedder.prepare(['Thank you note for my mentor']);
+      const vector = embedder.embed('Thank you note for my mentor');
+      const norm = Math.sqrt([...vector.values()].reduce((sum, weight) => sum + weight * weight, 0));
+
+      expect(norm).toBeCloseTo(1);
+    });
+  });
+
+  describe('EmbeddingRetriever', () => {
+    test('should write new keywords to the items and reuse saved ones', async () => {
+      const expander = createExpander();
+      const retriever = new window.EmbeddingRetriever({ embedder: new window.KeywordExpansionEmbedder({ expander }) });
+      const items = memories.map(memory => ({ ...memory }));
+      items[2].keywords = ['holiday party'];
+
+      const expanded = await retriever.prepare(items);
+
+      expect(expanded).toBe(2);
+      expect(items[0].keywords).toEqual(['recruiter', 'job application', 'reply', 'interview']);
+      expect(items[2].keywords).toEqual(['holiday party']);
+      expect(expander).not.toHaveBeenCalledWith(retriever.getItemText(items[2]));
+    });
+
+    test('should match a query to a memory through both expansions', async () => {
+      const expander = jest.fn(async text => (text === 'celebrate with everyone' ? ['celebration', 'team event'] : keywords[text]));
+      const retriever = new window.EmbeddingRetriever({ embedder: new window.KeywordExpansionEmbedder({ expander }) });
+      await retriever.prepare(memories.map(memory => ({ ...memory })));
+
+      const before = retriever.rank('celebrate with everyone', memories);
+      await retriever.prepareQuery('celebrate with everyone');
+      const after = retriever.rank('celebrate with everyone', memories);
+
+      expect(before.every(result => result.score === 0)).toBe(true);
+      expect(after[0].item.id).toBe('m3');
+      expect(after[0].relevant).toBe(true);
+    });
+  });
+
+  describe('Bm25Retriever', () => {
+    test('should miss memories that share no words with the query', () => {
+      const ranked = new window.Bm25Retriever().rank('reply to the recruiter', memories);
+
+      expect(ranked.every(result => !result.relevant)).toBe(true);
+    });
+  });
+
+  describe('HybridRetriever', () => {
+    test('should fuse ranks so a semantic-only hit still ranks first', async () => {
+      const retriever = new window.HybridRetriever({
+        semantic: new window.EmbeddingRetriever({ embedder: new window.KeywordExpansionEmbedder({ expander: createExpander() }) })
+      });
+      await retriever.prepare(memories.map(memory => ({ ...memory })));
+
+      const ranked = retriever.rank('reply to the recruiter', memories);
+
+      expect(ranked[0].item.id).toBe('m1');
+      expect(ranked[0].relevant).toBe(true);
+      expect(ranked[0].components.lexical).toBeUndefined();
+      expect(ranked[0].components.semantic).toBeGreaterThan(0);
+    });
+
+    test('should score items found by both retrievers above items found by one', () => {
+      const lexical = { rank: () => [{ item: memories[0], score: 5, relevant: true }, { item: memories[1], score: 2, relevant: true }] };
+      const semantic = { rank: () => [{ item: memories[1], score: 0.9, relevant: true }, { item: memories[2], score: 0.5, relevant: true }] };
+
+      const ranked = new window.HybridRetriever({ lexical, semantic, k: 60 }).rank('query', memories);
+
+      expect(ranked[0].item.id).toBe('m2');
+      expect(ranked[0].score).toBeCloseTo(1 / 62 + 1 / 61);
+    });
+  });
+});
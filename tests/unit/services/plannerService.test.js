@@ -0,0 +1,392 @@
+/**
+ * PlannerService Unit Tests
+ * Tests the Thought/Action/Observation loop, its step cap and token budget, cancellation, step streaming,
+ * plan proposals and running an approved plan through the loop
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Load dependencies
+const promptServiceCode = fs.readFileSync(path.join(__dirname, '../../../services/promptService.js'), 'utf8');
+const toolRegistryCode = fs.readFileSync(path.join(__dirname, '../../../services/toolRegistry.js'), 'utf8');
+const plannerServiceCode = fs.readFileSync(path.join(__dirname, '../../../services/plannerService.js'), 'utf8');
+
+// Execute code
+eval(promptServiceCode);
+eval(toolRegistryCode);
+eval(plannerServiceCode);
+
+/**
+ * Prompt service stand-in that answers with the given decisions in order (then "finish")
+ */
+function createMockPrompt(decisions) {
+  const prompts = [];
+  return {
+    prompts,
+    sendStructured: jest.fn(async (prompt) => {
+      prompts.push(prompt);
+      const data = decisions[prompts.length - 1] || { thought: 'Done', action: 'finish', args: {} };
+      return { data, valid: true, raw: JSON.stringify(data) };
+    })
+  };
+}
+
+describe('PlannerService', () => {
+  let searchService;
+  let memoryService;
+  let documentService;
+
+  beforeEach(() => {
+    searchService = {
+      isReady: jest.fn(() => true),
+      search: jest.fn(async (query) => ({
+        query,
+        totalResults: 1,
+        items: [{ title: 'Acme launch', link: 'https://example.com/acme', snippet: 'Acme ships v2 on May 3' }]
+      })),
+      createSearchSummary: jest.fn(() => 'Acme ships v2 on May 3')
+    };
+    memoryService = {
+      getRelevantContextString: jest.fn(() => 'RELEVANT CONVERSATION CONTEXT:\n\n[1] Q: launch email A: Drafted')
+    };
+    documentService = {
+      getResumeData: jest.fn(async () => ({ filename: 'resume.pdf', content: 'Experience\nAcme, engineer\n' })),
+      getResumeSection: jest.fn(async () => ({
+        section: { title: 'Experience', content: 'Acme, engineer' },
+        titles: ['Experience'],
+        text: 'Experience\nAcme, engineer\n'
+      })),
+      buildEmailContext: jest.fn(async () => null)
+    };
+  });
+
+  function createPlanner(decisions, options = {}) {
+    const prompt = createMockPrompt(decisions);
+    const planner = new window.PlannerService({
+      promptServiceFactory: () => prompt,
+      searchService,
+      memoryService,
+      documentService,
+      pageContextProvider: async () => ({ title: 'Acme blog', url: 'https://acme.test', description: '', text: 'Welcome' }),
+      ...options
+    });
+    return { planner, prompt };
+  }
+
+  describe('Loop', () => {
+    test('should feed each observation back and stop on finish', async () => {
+      const { planner, prompt } = createPlanner([
+        { thought: 'Need launch facts', action: 'search', args: { query: 'acme v2 launch date' } },
+        { thought: 'Check earlier drafts', action: 'memory', args: { query: 'launch email' } },
+        { thought: 'Enough', action: 'finish', args: { notes: 'Launch is May 3' } }
+      ]);
+
+      const run = await planner.plan('write a launch email for acme v2');
+
+      expect(run.stoppedBy).toBe('finish');
+      expect(run.steps.map(step => step.action)).toEqual(['search', 'memory', 'finish']);
+      expect(searchService.search).toHaveBeenCalledWith('acme v2 launch date', { numResults: 3 });
+      expect(prompt.prompts[1]).toContain('Acme ships v2 on May 3');
+      expect(run.notes).toBe('Launch is May 3');
+      expect(run.context).toContain('Launch is May 3');
+      expect(run.context).toContain('Acme ships v2 on May 3');
+      expect(run.sources).toHaveLength(1);
+      expect(run.sources[0].url).toBe('https://example.com/acme');
+    });
+
+    test('should stop at the step cap', async () => {
+      const decisions = Array.from({ length: 10 }, (_, i) => ({ thought: 'Look again', action: 'search', args: { query: `query ${i}` } }));
+      const { planner } = createPlanner(decisions, { maxSteps: 3 });
+
+      const run = await planner.plan('research acme');
+
+      expect(run.stoppedBy).toBe('max-steps');
+      expect(run.steps).toHaveLength(3);
+      expect(searchService.search).toHaveBeenCalledTimes(3);
+    });
+
+    test('should stop before a prompt would exceed the token budget', async () => {
+      searchService.createSearchSummary.mockReturnValue('x'.repeat(2000));
+      const decisions = Array.from({ length: 5 }, () => ({ thought: 'More', action: 'search', args: { query: 'acme' } }));
+      const { planner } = createPlanner(decisions, { tokenBudget: 700, maxObservationChars: 2000 });
+
+      const run = await planner.plan('research acme');
+
+      expect(run.stoppedBy).toBe('token-budget');
+      expect(run.steps).toHaveLength(1);
+      expect(run.tokensUsed).toBeLessThanOrEqual(700);
+    });
+
+    test('should report an error and keep what was gathered when a decision fails', async () => {
+      const { planner, prompt } = createPlanner([{ thought: 'Read the page', action: 'read_page', args: {} }]);
+      const answer = prompt.sendStructured;
+      prompt.sendStructured = jest.fn(async (input) => {
+        if (prompt.prompts.length > 0) {
+          throw new Error('LanguageModel not available');
+        }
+        return answer(input);
+      });
+
+      const run = await planner.plan('reply to this post');
+
+      expect(run.stoppedBy).toBe('error');
+      expect(run.error).toBe('LanguageModel not available');
+      expect(run.context).toContain('Title: Acme blog');
+    });
+  });
+
+  describe('Tools', () => {
+    test('should only offer tools that are available', () => {
+      searchService.isReady.mockReturnValue(false);
+      const { planner } = createPlanner([], { memoryService: null });
+
+      const env = planner.createEnv({}, {});
+
+      expect(planner.registry.getAvailable(env)).toEqual(['read_page', 'get_resume_section', 'get_email_template']);
+      expect(planner.registry.buildDecisionSchema(planner.registry.getAvailable(env)).properties.action.enum)
+        .toEqual(['read_page', 'get_resume_section', 'get_email_template', 'finish']);
+    });
+
+    test('should validate arguments before running a tool and report the problem back', async () => {
+      const { planner, prompt } = createPlanner([
+        { thought: 'Search', action: 'search', args: {} },
+        { thought: 'Search properly', action: 'search', args: { query: 'acme' } }
+      ]);
+
+      const run = await planner.plan('research acme');
+
+      expect(run.steps[0].observation).toBe('Invalid arguments for search: query is required');
+      expect(prompt.prompts[1]).toContain('query is required');
+      expect(searchService.search).toHaveBeenCalledTimes(1);
+      expect(run.context).not.toContain('Invalid arguments');
+    });
+
+    test('should turn tool failures into observations', async () => {
+      searchService.search.mockRejectedValue(new Error('quota exceeded'));
+      const { planner } = createPlanner([{ thought: 'Search', action: 'search', args: { query: 'acme' } }]);
+
+      const run = await planner.plan('research acme');
+
+      expect(run.steps[0].observation).toBe('The search tool failed: quota exceeded');
+      expect(run.stoppedBy).toBe('finish');
+    });
+
+    test('should read stored documents and cite them', async () => {
+      const { planner } = createPlanner([{ thought: 'Need experience', action: 'get_resume_section', args: { section: 'experience' } }]);
+
+      const run = await planner.plan('write a cover letter using my resume');
+
+      expect(documentService.getResumeSection).toHaveBeenCalledWith('experience');
+      expect(run.steps[0].observation).toBe('Experience:\nAcme, engineer');
+      expect(run.sources[0].title).toBe('resume.pdf');
+    });
+  });
+
+  describe('Cancellation', () => {
+    test('should pass the signal to tools and stop once it is aborted', async () => {
+      const controller = new AbortController();
+      const { planner, prompt } = createPlanner([
+        { thought: 'Search', action: 'search', args: { query: 'acme' } },
+        { thought: 'Search again', action: 'search', args: { query: 'acme v2' } }
+      ]);
+      searchService.search.mockImplementation(async (query) => {
+        controller.abort();
+        return { query, totalResults: 0, items: [] };
+      });
+
+      const run = await planner.plan('research acme', {}, { signal: controller.signal });
+
+      expect(searchService.search).toHaveBeenCalledWith('acme', { numResults: 3, signal: controller.signal });
+      expect(prompt.sendStructured.mock.calls[0][1].signal).toBe(controller.signal);
+      expect(run.stoppedBy).toBe('cancelled');
+      expect(run.steps).toHaveLength(1);
+    });
+  });
+
+  describe('Step Streaming', () => {
+    test('should report each step as active, then completed with its observation', async () => {
+      const { planner } = createPlanner([
+        { thought: 'Check memory', action: 'memory', args: { query: 'launch' } },
+        { thought: 'Done', action: 'finish', args: {} }
+      ]);
+      const updates = [];
+
+      await planner.plan('follow up on the launch', {}, {
+        onStep: step => updates.push([step.index, step.action, step.status, step.observation])
+      });
+
+      expect(updates).toEqual([
+        [1, 'memory', 'active', null],
+        [1, 'memory', 'completed', 'RELEVANT CONVERSATION CONTEXT:\n\n[1] Q: launch email A: Drafted'],
+        [2, 'finish', 'completed', null]
+      ]);
+    });
+  });
+
+  describe('Plan Proposal', () => {
+    const generateSteps = [{ intent: 'write', label: 'Writing content', instruction: 'write a launch email', tones: [] }];
+
+    function createProposer(response) {
+      const planner = new window.PlannerService({
+        promptServiceFactory: () => ({ sendStructured: jest.fn(async () => response) }),
+        searchService,
+        memoryService,
+        documentService
+      });
+      return planner;
+    }
+
+    test('should propose tool steps followed by the generation steps', async () => {
+      const planner = createProposer({
+        data: { steps: [
+          { action: 'search', args: { query: 'acme v2 launch' }, reason: 'Need the date' },
+          { action: 'memory', args: { query: 'launch' }, reason: '' }
+        ] },
+        valid: true,
+        raw: '{}'
+      });
+
+      const plan = await planner.proposePlan('write a launch email', {}, generateSteps);
+
+      expect(plan.steps.map(step => step.kind)).toEqual(['tool', 'tool', 'generate']);
+      expect(plan.steps.map(step => step.id)).toEqual(['plan-1', 'plan-2', 'plan-3']);
+      expect(plan.steps[0].label).toBe('Searching the web');
+      expect(plan.steps[2].originalInstruction).toBe('write a launch email');
+      expect(planner.describeStep(plan.steps[0])).toBe('Searching the web: acme v2 launch');
+      expect(planner.describeStep(plan.steps[2])).toBe('write: write a launch email');
+    });
+
+    test('should drop proposed steps with invalid arguments', async () => {
+      const planner = createProposer({
+        data: { steps: [{ action: 'search', args: {}, reason: 'No query' }] },
+        valid: true,
+        raw: '{}'
+      });
+
+      const plan = await planner.proposePlan('write a launch email', {}, generateSteps);
+
+      expect(plan.steps.map(step => step.kind)).toEqual(['generate']);
+    });
+
+    test('should still propose the generation steps when the model is unavailable', async () => {
+      const planner = new window.PlannerService({
+        promptServiceFactory: () => ({ sendStructured: async () => { throw new Error('LanguageModel not available'); } }),
+        memoryService
+      });
+
+      const plan = await planner.proposePlan('write a launch email', {}, generateSteps);
+
+      expect(plan.proposedBy).toBe('fallback');
+      expect(plan.steps).toHaveLength(1);
+      expect(plan.steps[0].kind).toBe('generate');
+    });
+
+    test('should replay a recorded tool step without running the tool', () => {
+      const planner = createProposer({ data: { steps: [] }, valid: true, raw: '{}' });
+      const run = { steps: [], sources: [] };
+      const step = {
+        ...planner.createToolStep('search', { query: 'acme v2 launch' }, 'Need the date'),
+        recorded: { observation: 'Acme ships v2 on May 3', error: null, sources: [{ title: 'Acme launch', url: 'https://example.com/acme' }] }
+      };
+
+      const record = planner.replayPlanStep(step, run);
+
+      expect(searchService.search).not.toHaveBeenCalled();
+      expect(record.replayed).toBe(true);
+      expect(run.sources).toEqual([{ title: 'Acme launch', url: 'https://example.com/acme' }]);
+      expect(planner.buildContext(run)).toBe('RESEARCH NOTES FROM PLANNING:\n\n[search: acme v2 launch]\nAcme ships v2 on May 3');
+    });
+  });
+
+  describe('Approved Plan', () => {
+    function approve(planner, steps) {
+      return steps.map(([action, args, reason], index) => ({
+        ...planner.createToolStep(action, args, reason),
+        id: `plan-${index + 1}`
+      }));
+    }
+
+    test('should run the first approved lookup as edited without asking the model', async () => {
+      const { planner, prompt } = createPlanner([]);
+      const approvedSteps = approve(planner, [['search', { query: 'edited query' }, 'Need the date']]);
+
+      const run = await planner.plan('write a launch email', {}, { approvedSteps });
+
+      expect(prompt.sendStructured).not.toHaveBeenCalled();
+      expect(searchService.search).toHaveBeenCalledWith('edited query', { numResults: 3 });
+      expect(run.steps).toHaveLength(1);
+      expect(run.steps[0]).toMatchObject({ approvedId: 'plan-1', thought: 'Need the date', observation: 'Acme ships v2 on May 3' });
+      expect(run.stoppedBy).toBe('plan-complete');
+      expect(run.context).toContain('[search: edited query]');
+    });
+
+    test('should let the model adjust the next approved lookup to what the last one found', async () => {
+      const { planner, prompt } = createPlanner([
+        { thought: 'The search named the launch, look up that email', action: 'memory', args: { query: 'acme v2 launch email' } }
+      ]);
+      const approvedSteps = approve(planner, [
+        ['search', { query: 'acme launch' }, 'Need the date'],
+        ['memory', { query: 'launch email' }, 'Find earlier drafts']
+      ]);
+      const seen = [];
+
+      const run = await planner.plan('write a launch email', { intent: 'write' }, {
+        approvedSteps,
+        onStep: step => seen.push(`${step.approvedId}:${step.status}`)
+      });
+
+      expect(prompt.prompts).toHaveLength(1);
+      expect(prompt.prompts[0]).toContain('Request: "write a launch email"');
+      expect(prompt.prompts[0]).toContain('Observation from search:\nAcme ships v2 on May 3');
+      expect(prompt.prompts[0]).toContain('- memory({"query":"launch email"}): Find earlier drafts');
+      expect(prompt.sendStructured.mock.calls[0][1].schema.properties.action.enum).toEqual(['memory', 'finish']);
+      expect(memoryService.getRelevantContextString.mock.calls[0][0]).toBe('acme v2 launch email');
+      expect(run.steps[1]).toMatchObject({ approvedId: 'plan-2', thought: 'The search named the launch, look up that email' });
+      expect(seen).toEqual(['plan-1:active', 'plan-1:completed', 'plan-2:active', 'plan-2:completed']);
+      expect(run.stoppedBy).toBe('plan-complete');
+    });
+
+    test('should skip the approved lookups the model no longer needs', async () => {
+      const { planner } = createPlanner([
+        { thought: 'The date is enough', action: 'finish', args: { notes: 'Launch is May 3' } }
+      ]);
+      const approvedSteps = approve(planner, [
+        ['search', { query: 'acme launch' }],
+        ['memory', { query: 'launch email' }]
+      ]);
+
+      const run = await planner.plan('write a launch email', {}, { approvedSteps });
+
+      expect(memoryService.getRelevantContextString).not.toHaveBeenCalled();
+      expect(run.stoppedBy).toBe('finish');
+      expect(run.notes).toBe('Launch is May 3');
+    });
+
+    test('should keep the step cap and token budget for approved lookups', async () => {
+      const lookups = [1, 2, 3, 4].map(n => ['search', { query: `acme ${n}` }]);
+      const keepGoing = [2, 3, 4].map(n => ({ thought: 'Next', action: 'search', args: { query: `acme ${n}` } }));
+
+      const capped = createPlanner(keepGoing, { maxSteps: 2 }).planner;
+      const cappedRun = await capped.plan('write a launch email', {}, { approvedSteps: approve(capped, lookups) });
+      expect(cappedRun.steps).toHaveLength(2);
+      expect(cappedRun.stoppedBy).toBe('max-steps');
+
+      const budgeted = createPlanner(keepGoing, { tokenBudget: 50 }).planner;
+      const budgetedRun = await budgeted.plan('write a launch email', {}, { approvedSteps: approve(budgeted, lookups) });
+      expect(budgetedRun.steps).toHaveLength(1);
+      expect(budgetedRun.stoppedBy).toBe('token-budget');
+    });
+
+    test('should add up tokens and sources across runs that continue the same run', async () => {
+      const { planner } = createPlanner([]);
+      const run = { steps: [], notes: '', sources: [], tokensUsed: 120, error: null };
+
+      await planner.plan('write a launch email', {}, { run, approvedSteps: approve(planner, [['search', { query: 'acme launch' }]]) });
+
+      expect(run.tokensUsed).toBe(120);
+      expect(run.steps).toHaveLength(1);
+      expect(run.sources.map(source => source.url)).toEqual(['https://example.com/acme']);
+    });
+  });
+});
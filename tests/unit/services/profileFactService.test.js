@@ -0,0 +1,134 @@
+/**
+ * ProfileFactService Unit Tests
+ * Tests fact extraction, confirmation and relevance-based context
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Load dependencies
+const loggerCode = fs.readFileSync(path.join(__dirname, '../../../utils/logger.js'), 'utf8');
+const errorHandlerCode = fs.readFileSync(path.join(__dirname, '../../../utils/errorHandler.js'), 'utf8');
+const validatorCode = fs.readFileSync(path.join(__dirname, '../../../utils/validator.js'), 'utf8');
+const baseServiceCode = fs.readFileSync(path.join(__dirname, '../../../services/baseService.js'), 'utf8');
+const profileFactServiceCode = fs.readFileSync(path.join(__dirname, '../../../services/profileFactService.js'), 'utf8');
+
+// Execute code
+eval(loggerCode);
+eval(errorHandlerCode);
+eval(validatorCode);
+eval(baseServiceCode);
+eval(profileFactServiceCode);
+
+describe('ProfileFactService', () => {
+  let profileFacts;
+
+  beforeEach(async () => {
+    resetAllMocks();
+    profileFacts = new window.ProfileFactService();
+    await profileFacts.initialize();
+  });
+
+  describe('Extraction', () => {
+    test('should find role and company in what the user says about themselves', () => {
+      expect(profileFacts.extractFacts('I work at Acme as a PM. Reply to Sam about the launch')).toEqual([
+        { key: 'company', value: 'Acme' },
+        { key: 'role', value: 'PM' }
+      ]);
+      expect(profileFacts.extractFacts("I'm a product manager at Northwind Traders, write an intro")).toEqual([
+        { key: 'role', value: 'product manager' },
+        { key: 'company', value: 'Northwind Traders' }
+      ]);
+    });
+
+    test('should find names, products and requested sign-offs', () => {
+      expect(profileFacts.extractFacts('my name is Jiwon Hae, write a cover letter')).toEqual([{ key: 'name', value: 'Jiwon Hae' }]);
+      expect(profileFacts.extractFacts('announce our product, Atlas to customers')).toEqual([{ key: 'product', value: 'Atlas' }]);
+      expect(profileFacts.extractFacts("sign it as 'Best, Jiwon'")).toEqual([{ key: 'signOff', value: 'Best, Jiwon' }]);
+    });
+
+    test('should read the sign-off at the end of a written result but not a placeholder', () => {
+      expect(profileFacts.extractFacts('reply to Sam', 'Hi Sam,\n\nThanks for the update!\n\nBest,\nJiwon', 'write')).toEqual([
+        { key: 'signOff', value: 'Best, Jiwon' }
+      ]);
+      expect(profileFacts.extractFacts('reply to Sam', 'Hi Sam,\n\nThanks!\n\nBest,\n[Your Name]', 'write')).toEqual([]);
+    });
+
+    test('should not take a sign-off from someone else\'s text', () => {
+      const colleagueEmail = 'Hi team,\n\nThe report is attached.\n\nThanks,\nMaria Lopez';
+
+      expect(profileFacts.extractFacts('make this clearer', colleagueEmail, 'rewrite')).toEqual([]);
+      expect(profileFacts.extractFacts('summarize this', colleagueEmail, 'summarize')).toEqual([]);
+    });
+
+    test('should ignore phrasings that are not facts', () => {
+      expect(profileFacts.extractFacts("I'm a bit late for Monday, apologize to the team")).toEqual([]);
+      expect(profileFacts.extractFacts('make this email shorter')).toEqual([]);
+      expect(profileFacts.extractFacts('write an email asking Dan to call me Monday')).toEqual([]);
+      expect(profileFacts.extractFacts('ask her to call me Tomorrow Morning')).toEqual([]);
+    });
+  });
+
+  describe('Confirmation', () => {
+    test('should propose new facts once and use only confirmed ones', async () => {
+      const proposals = await profileFacts.proposeFacts('I work at Acme as a PM, write an intro email');
+      const again = await profileFacts.proposeFacts('I work at Acme as a PM, write a follow-up');
+
+      expect(proposals.map(fact => fact.status)).toEqual(['proposed', 'proposed']);
+      expect(again).toEqual([]);
+      expect(profileFacts.buildProfileContext('write an intro email')).toBe('');
+
+      await profileFacts.confirmFact(proposals[0].id);
+      await profileFacts.dismissFact(proposals[1].id);
+
+      expect(profileFacts.getConfirmedFacts().map(fact => fact.value)).toEqual(['Acme']);
+      expect(await profileFacts.proposeFacts('I work at Acme as a PM')).toEqual([]);
+    });
+
+    test('should replace a confirmed single-valued fact', async () => {
+      const [first] = await profileFacts.proposeFacts("sign it as 'Best, Jiwon'");
+      const [second] = await profileFacts.proposeFacts("sign it as 'Cheers, Jiwon'");
+      await profileFacts.confirmFact(first.id);
+      await profileFacts.confirmFact(second.id);
+
+      expect(profileFacts.getConfirmedFacts().map(fact => fact.value)).toEqual(['Cheers, Jiwon']);
+    });
+
+    test('should keep facts across sessions', async () => {
+      const [fact] = await profileFacts.proposeFacts('my name is Jiwon');
+      await profileFacts.confirmFact(fact.id);
+
+      const newService = new window.ProfileFactService();
+      await newService.initialize();
+
+      expect(newService.getConfirmedFacts().map(item => item.value)).toEqual(['Jiwon']);
+    });
+  });
+
+  describe('Context', () => {
+    beforeEach(async () => {
+      const proposals = await profileFacts.proposeFacts('I work at Acme as a PM. Our product Atlas launched', 'Thanks!\n\nBest,\nJiwon', 'write');
+      for (const fact of proposals) {
+        await profileFacts.confirmFact(fact.id);
+      }
+    });
+
+    test('should include only the facts a request calls for', () => {
+      const email = profileFacts.buildProfileContext('reply to the recruiter email');
+      const launch = profileFacts.buildProfileContext('draft a launch tweet');
+
+      expect(email).toContain('Signs emails as: "Best, Jiwon"');
+      expect(email).not.toContain('Product: Atlas');
+      expect(launch).toContain('Product: Atlas');
+      expect(launch).not.toContain('Signs emails as');
+    });
+
+    test('should use the output type and mentions of a fact', () => {
+      expect(profileFacts.getRelevantFacts('thank you for the interview', 'email').map(fact => fact.key)).toEqual(
+        expect.arrayContaining(['company', 'role', 'signOff'])
+      );
+      expect(profileFacts.getRelevantFacts('summarize what Atlas does').map(fact => fact.key)).toEqual(['product']);
+      expect(profileFacts.buildProfileContext('fix the typos')).toBe('');
+    });
+  });
+});
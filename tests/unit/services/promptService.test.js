@@ -0,0 +1,224 @@
+/**
+ * PromptService Unit Tests
+ * Tests JSON extraction, schema validation/coercion, the repair → fallback flow and streaming with stop
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Load dependencies
+const promptServiceCode = fs.readFileSync(path.join(__dirname, '../../../services/promptService.js'), 'utf8');
+const languageResolverCode = fs.readFileSync(path.join(__dirname, '../../../services/languageResolver.js'), 'utf8');
+const intentRegistryCode = fs.readFileSync(path.join(__dirname, '../../../services/intentRegistry.js'), 'utf8');
+const semanticRoutingCode = fs.readFileSync(path.join(__dirname, '../../../services/semanticRouting.js'), 'utf8');
+
+// Execute code
+eval(promptServiceCode);
+eval(languageResolverCode);
+eval(intentRegistryCode);
+eval(semanticRoutingCode);
+
+const schema = {
+  type: 'object',
+  properties: {
+    intent: { type: 'string', enum: ['write', 'rewrite'] },
+    outputType: { type: ['string', 'null'] },
+    tones: { type: 'array', items: { type: 'string' } },
+    confidence: { type: 'number', minimum: 0, maximum: 1 }
+  },
+  required: ['intent']
+};
+
+describe('PromptService', () => {
+  describe('JSON Extraction', () => {
+    test('should take the first balanced object, not everything between the outer braces', () => {
+      const extracted = window.PromptService.extractJson('Sure: {"intent": "write", "note": "a } b"} and also {"x": 1}');
+
+      expect(extracted.error).toBeNull();
+      expect(extracted.value).toEqual({ intent: 'write', note: 'a } b' });
+    });
+
+    test('should strip code fences and trailing commas', () => {
+      const extracted = window.PromptService.extractJson('```json\n{"intent": "write",}\n```');
+
+      expect(extracted.value).toEqual({ intent: 'write' });
+      expect(extracted.repaired).toBe(true);
+    });
+
+    test('should report missing JSON', () => {
+      expect(window.PromptService.extractJson('I think you want to write').error).toBeTruthy();
+    });
+  });
+
+  describe('Schema Validation', () => {
+    test('should coerce values whose meaning is clear and report them', () => {
+      const result = window.PromptService.validateAgainstSchema(
+        { intent: 'Write', confidence: '85%', tones: 'formal, warm', outputType: 'null' },
+        schema
+      );
+
+      expect(result.valid).toBe(true);
+      expect(result.value).toEqual({ intent: 'write', confidence: 0.85, tones: ['formal', 'warm'], outputType: null });
+      expect(result.coercedFields).toEqual(expect.arrayContaining(['intent', 'confidence', 'tones', 'outputType']));
+    });
+
+    test('should clamp numbers to the schema range', () => {
+      const result = window.PromptService.validateAgainstSchema({ intent: 'write', confidence: 3 }, schema);
+
+      expect(result.value.confidence).toBe(1);
+      expect(result.coercedFields).toContain('confidence');
+    });
+
+    test('should reject invalid required fields', () => {
+      const result = window.PromptService.validateAgainstSchema({ intent: 'explain' }, schema);
+
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toContain('intent');
+    });
+
+    test('should drop invalid optional fields', () => {
+      const result = window.PromptService.validateAgainstSchema({ intent: 'write', confidence: 'high' }, schema);
+
+      expect(result.valid).toBe(true);
+      expect(result.value.confidence).toBeUndefined();
+      expect(result.coercedFields).toContain('confidence');
+    });
+  });
+
+  describe('Structured Send', () => {
+    test('should retry with a repair prompt when output is invalid', async () => {
+      const service = new window.PromptService('system', schema);
+      service.send = jest.fn()
+        .mockResolvedValueOnce('not json at all')
+        .mockResolvedValueOnce('{"intent": "rewrite"}');
+
+      const result = await service.sendStructured('classify');
+
+      expect(service.send).toHaveBeenCalledTimes(2);
+      expect(service.send.mock.calls[1][0]).toContain('did not match the required JSON schema');
+      expect(result.valid).toBe(true);
+      expect(result.repairAttempts).toBe(1);
+      expect(result.data.intent).toBe('rewrite');
+    });
+
+    test('should pass the schema as a response constraint', async () => {
+      const service = new window.PromptService('system');
+      service.send = jest.fn().mockResolvedValue('{"intent": "write"}');
+
+      await service.sendStructured('classify', { schema });
+
+      expect(service.send.mock.calls[0][2]).toEqual({ responseConstraint: schema });
+    });
+
+    test('should fall back after a failed repair and report the replaced fields', async () => {
+      const service = new window.PromptService('system');
+      service.send = jest.fn().mockResolvedValue('{"intent": "explain", "tones": ["warm"]}');
+
+      const result = await service.sendStructured('classify', { schema, fallback: { intent: 'write' } });
+
+      expect(result.valid).toBe(false);
+      expect(result.usedFallback).toBe(true);
+      expect(result.data).toEqual({ intent: 'write', tones: ['warm'] });
+      expect(result.coercedFields).toContain('intent');
+    });
+
+    test('should return null data when there is no fallback', async () => {
+      const service = new window.PromptService('system');
+      service.send = jest.fn().mockResolvedValue('nope');
+
+      const result = await service.sendStructured('classify', { schema });
+
+      expect(result.data).toBeNull();
+      expect(result.errors.length).toBeGreaterThan(0);
+    });
+  });
+
+  describe('Streaming', () => {
+    function createStreamingSession(chunks, controller = null) {
+      return {
+        promptStreaming: jest.fn(async function* () {
+          for (const chunk of chunks) {
+            yield chunk;
+          }
+          if (controller) {
+            controller.abort();
+            throw new Error('The operation was aborted');
+          }
+        })
+      };
+    }
+
+    test('should report each chunk with the text so far', async () => {
+      const service = new window.PromptService('system');
+      const session = createStreamingSession(['Hello', ' there', '.']);
+      service.ensure = jest.fn(async () => session);
+      const updates = [];
+
+      const output = await service.sendStreaming('greet', {}, (chunk, fullText) => updates.push(fullText));
+
+      expect(output).toBe('Hello there.');
+      expect(updates).toEqual(['Hello', 'Hello there', 'Hello there.']);
+    });
+
+    test('should keep the partial output when stopped', async () => {
+      const controller = new AbortController();
+      const service = new window.PromptService('system');
+      const session = createStreamingSession(['Dear team,', ' the launch'], controller);
+      service.ensure = jest.fn(async () => session);
+
+      const output = await service.sendStreaming('write', { signal: controller.signal });
+
+      expect(output).toBe('Dear team, the launch');
+      expect(session.promptStreaming.mock.calls[0][1]).toEqual({ signal: controller.signal });
+    });
+
+    test('should still throw failures that are not a stop', async () => {
+      const service = new window.PromptService('system');
+      service.ensure = jest.fn(async () => ({
+        promptStreaming: async function* () {
+          throw new Error('Session destroyed');
+        }
+      }));
+
+      await expect(service.sendStreaming('write', { signal: new AbortController().signal })).rejects.toThrow('Session destroyed');
+    });
+  });
+
+  describe('Router Integration', () => {
+    test('should route from messy classifier output and report coerced fields', async () => {
+      const classifier = new window.PromptService('You are an intent classifier.');
+      classifier.send = jest.fn().mockResolvedValue('Here you go: {"intent": "Summarize", "confidence": "0.9"} {extra}');
+      const router = new window.SemanticRouter(classifier);
+
+      const result = await router.route('summarize this article', { hasSelectedText: true });
+
+      expect(result.intent).toBe('summarize');
+      expect(result.routePath).toBe('ai-classifier');
+      expect(result.coercedFields).toEqual(expect.arrayContaining(['intent', 'confidence']));
+    });
+
+    test('should not spend a repair call on missing Plan mode reasoning', async () => {
+      const classifier = new window.PromptService('You are an intent classifier.');
+      classifier.send = jest.fn().mockResolvedValue('{"intent": "summarize", "confidence": 0.9}');
+      const router = new window.SemanticRouter(classifier);
+
+      const result = await router.route('summarize this article', { hasSelectedText: true, planMode: true });
+
+      expect(classifier.send).toHaveBeenCalledTimes(1);
+      expect(result.routePath).toBe('ai-classifier');
+      expect(result.reasoning).toBeNull();
+    });
+
+    test('should fall back to patterns when the classifier never returns a valid intent', async () => {
+      const classifier = new window.PromptService('You are an intent classifier.');
+      classifier.send = jest.fn().mockResolvedValue('{"intent": "dance"}');
+      const router = new window.SemanticRouter(classifier);
+
+      const result = await router.route('summarize this article', { hasSelectedText: true });
+
+      expect(classifier.send).toHaveBeenCalledTimes(2);
+      expect(result.routePath).not.toBe('ai-classifier');
+      expect(result.intent).toBe('summarize');
+    });
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * RefinementService Unit Tests
+ * Tests command classification, structural removals and the constrained rewrite prompt
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Load dependencies
+const sentenceSplitterCode = fs.readFileSync(path.join(__dirname, '../../../utils/sentenceSplitter.js'), 'utf8');
+const toneAnalyzerCode = fs.readFileSync(path.join(__dirname, '../../../services/toneAnalyzer.js'), 'utf8');
+const refinementServiceCode = fs.readFileSync(path.join(__dirname, '../../../services/refinementService.js'), 'utf8');
+
+// Execute code
+eval(sentenceSplitterCode);
+eval(toneAnalyzerCode);
+eval(refinementServiceCode);
+
+describe('RefinementService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new window.RefinementService({ toneAnalyzer: new window.ToneAnalyzer() });
+  });
+
+  describe('Commands', () => {
+    test('should read tone and length commands as a tone vector', () => {
+      const shorter = service.parse('shorter');
+      const warmer = service.parse('make it a bit warmer please');
+
+      expect(shorter.kind).toBe('tone');
+      expect(shorter.toneVector.length).toBeLessThan(0);
+      expect(warmer.kind).toBe('tone');
+      expect(warmer.toneVector.warmth).toBeGreaterThan(0);
+    });
+
+    test('should treat anything beyond tone as a free-form edit', () => {
+      expect(service.parse('add a CTA').kind).toBe('edit');
+      expect(service.parse('shorter and mention the Friday deadline').kind).toBe('edit');
+    });
+
+    test('should read removals with ordinal, numeric and last positions', () => {
+      expect(service.parse('remove the second paragraph')).toEqual({ kind: 'remove', unit: 'paragraph', position: 2 });
+      expect(service.parse('delete the 3rd bullet point')).toEqual({ kind: 'remove', unit: 'bullet', position: 3 });
+      expect(service.parse('drop the last sentence')).toEqual({ kind: 'remove', unit: 'sentence', position: -1 });
+    });
+  });
+
+  describe('Removals', () => {
+    const email = 'Hi team,\n\nThe launch moved to Friday. Please update your plans.\n\nThanks,\nAlex';
+
+    test('should remove a paragraph and keep the spacing of the rest', () => {
+      expect(service.applyRemoval(email, { unit: 'paragraph', position: 2 })).toBe('Hi team,\n\nThanks,\nAlex');
+    });
+
+    test('should remove a sentence inside a paragraph', () => {
+      expect(service.applyRemoval(email, { unit: 'sentence', position: -1 })).toBe('Hi team,\n\nThe launch moved to Friday. Please update your plans.\n\nThanks,');
+      expect(service.applyRemoval('One. Two. Three.', { unit: 'sentence', position: 2 })).toBe('One. Three.');
+    });
+
+    test('should not end a sentence at an abbreviation, initial or decimal', () => {
+      expect(service.applyRemoval('Dr. Smith said hi. Then left.', { unit: 'sentence', position: -1 })).toBe('Dr. Smith said hi.');
+      expect(service.applyRemoval('Dr. Smith said hi. Then left.', { unit: 'sentence', position: 1 })).toBe('Then left.');
+      expect(service.applyRemoval('J. Lee paid 3.5 times more, e.g. for rent. Call at 3 p.m. today.', { unit: 'sentence', position: 2 }))
+        .toBe('J. Lee paid 3.5 times more, e.g. for rent.');
+    });
+
+    test('should remove a bullet', () => {
+      expect(service.applyRemoval('Agenda:\n- Launch\n- Budget\n- Hiring', { unit: 'bullet', position: 2 })).toBe('Agenda:\n- Launch\n- Hiring');
+    });
+
+    test('should refuse a position the text does not have', () => {
+      expect(() => service.applyRemoval(email, { unit: 'paragraph', position: 5 })).toThrow('There is no #5 paragraph to remove');
+    });
+  });
+
+  describe('Prompt', () => {
+    test('should ask for one change and carry the character limit', () => {
+      const prompt = service.buildPrompt('Hello team', 'add a CTA', { maxCharacters: 200 });
+
+      expect(prompt).toContain('CHANGE: add a CTA');
+      expect(prompt).toContain('at most 200 characters');
+      expect(prompt).toContain('Hello team');
+    });
+  });
+});
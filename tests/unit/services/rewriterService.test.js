@@ -0,0 +1,80 @@
+/**
+ * RewriterService Unit Tests
+ * Tests streaming rewrites
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Load dependencies
+const rewriterServiceCode = fs.readFileSync(path.join(__dirname, '../../../services/rewriterService.js'), 'utf8');
+
+// Execute code
+eval(rewriterServiceCode);
+
+// Stream that yields chunks, then optionally aborts the controller or fails
+function createStream(chunks, { controller = null, error = null } = {}) {
+  return async function* () {
+    for (const chunk of chunks) {
+      yield chunk;
+    }
+    if (controller) {
+      controller.abort();
+      throw Object.assign(new Error('The operation was aborted'), { name: 'AbortError' });
+    }
+    if (error) {
+      throw error;
+    }
+  };
+}
+
+describe('RewriterService', () => {
+  const useSession = async (stream) => {
+    const mockSession = {
+      rewrite: jest.fn(),
+      rewriteStreaming: jest.fn(stream),
+      destroy: jest.fn()
+    };
+    global.self.Rewriter.create = jest.fn(() => Promise.resolve(mockSession));
+
+    const service = new window.RewriterService();
+    await service.initialize();
+    return { service, mockSession };
+  };
+
+  beforeEach(() => {
+    resetAllMocks();
+  });
+
+  describe('rewriteStreaming', () => {
+    test('should accumulate chunks and report the text so far', async () => {
+      const { service } = await useSession(createStream(['Could you', ' send the', ' report?']));
+      const onChunk = jest.fn();
+
+      const result = await service.rewriteStreaming('send the report', {}, onChunk);
+
+      expect(result).toBe('Could you send the report?');
+      expect(onChunk.mock.calls).toEqual([
+        ['Could you', 'Could you'],
+        [' send the', 'Could you send the'],
+        [' report?', 'Could you send the report?']
+      ]);
+    });
+
+    test('should keep partial output when stopped', async () => {
+      const controller = new AbortController();
+      const { service, mockSession } = await useSession(createStream(['Could you', ' send'], { controller }));
+
+      const result = await service.rewriteStreaming('send the report', { signal: controller.signal });
+
+      expect(result).toBe('Could you send');
+      expect(mockSession.rewriteStreaming).toHaveBeenCalledWith('send the report', { signal: controller.signal });
+    });
+
+    test('should rethrow stream failures that are not a stop', async () => {
+      const { service } = await useSession(createStream(['Could'], { error: new Error('Model crashed') }));
+
+      await expect(service.rewriteStreaming('send the report')).rejects.toThrow('Streaming rewriting failed: Model crashed');
+    });
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * RoutingFeedbackService Unit Tests
+ * Tests correction storage, learned keyword weights, and router integration
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Load dependencies
+const loggerCode = fs.readFileSync(path.join(__dirname, '../../../utils/logger.js'), 'utf8');
+const errorHandlerCode = fs.readFileSync(path.join(__dirname, '../../../utils/errorHandler.js'), 'utf8');
+const validatorCode = fs.readFileSync(path.join(__dirname, '../../../utils/validator.js'), 'utf8');
+const baseServiceCode = fs.readFileSync(path.join(__dirname, '../../../services/baseService.js'), 'utf8');
+const routingFeedbackServiceCode = fs.readFileSync(path.join(__dirname, '../../../services/routingFeedbackService.js'), 'utf8');
+const languageResolverCode = fs.readFileSync(path.join(__dirname, '../../../services/languageResolver.js'), 'utf8');
+const intentRegistryCode = fs.readFileSync(path.join(__dirname, '../../../services/intentRegistry.js'), 'utf8');
+const semanticRoutingCode = fs.readFileSync(path.join(__dirname, '../../../services/semanticRouting.js'), 'utf8');
+
+// Execute code
+eval(loggerCode);
+eval(errorHandlerCode);
+eval(validatorCode);
+eval(baseServiceCode);
+eval(routingFeedbackServiceCode);
+eval(languageResolverCode);
+eval(intentRegistryCode);
+eval(semanticRoutingCode);
+
+describe('RoutingFeedbackService', () => {
+  let feedback;
+
+  beforeEach(async () => {
+    resetAllMocks();
+    feedback = new window.RoutingFeedbackService();
+    await feedback.initialize();
+  });
+
+  describe('Corrections', () => {
+    test('should store a correction as a labeled example', async () => {
+      const example = await feedback.addCorrection({
+        query: 'tighten this paragraph',
+        hasSelectedText: true,
+        predicted: { intent: 'write', outputType: null },
+        corrected: { intent: 'rewrite' }
+      });
+
+      expect(example.intent).toBe('rewrite');
+      expect(example.predicted.intent).toBe('write');
+      expect(feedback.getExamples()).toHaveLength(1);
+    });
+
+    test('should ignore overrides that match the prediction', async () => {
+      const example = await feedback.addCorrection({
+        query: 'rewrite this',
+        predicted: { intent: 'rewrite', outputType: null },
+        corrected: { intent: 'rewrite', outputType: null }
+      });
+
+      expect(example).toBeNull();
+      expect(feedback.getExamples()).toHaveLength(0);
+    });
+
+    test('should cap the number of stored examples', async () => {
+      feedback.MAX_EXAMPLES = 3;
+      for (let i = 0; i < 5; i++) {
+        await feedback.addCorrection({
+          query: `tighten paragraph ${i}`,
+          predicted: { intent: 'write' },
+          corrected: { intent: 'rewrite' }
+        });
+      }
+
+      const examples = feedback.getExamples();
+      expect(examples).toHaveLength(3);
+      expect(examples[0].query).toBe('tighten paragraph 2');
+    });
+
+    test('should persist examples to local storage', async () => {
+      await feedback.addCorrection({
+        query: 'write a blurb',
+        predicted: { intent: 'write', outputType: null },
+        corrected: { outputType: 'post' }
+      });
+
+      const reloaded = new window.RoutingFeedbackService();
+      await reloaded.initialize();
+
+      expect(reloaded.getExamples()[0].outputType).toBe('post');
+    });
+  });
+
+  describe('Export and Reset', () => {
+    test('should export and re-import examples', async () => {
+      await feedback.addCorrection({ query: 'tighten this', predicted: { intent: 'write' }, corrected: { intent: 'rewrite' } });
+      const exported = feedback.exportExamples();
+
+      await feedback.clearExamples();
+      expect(feedback.getExamples()).toHaveLength(0);
+
+      await feedback.importExamples(exported);
+      expect(feedback.getExamples()).toHaveLength(1);
+    });
+  });
+
+  describe('Router Integration', () => {
+    test('should route team vocabulary using learned keywords', async () => {
+      const router = new window.SemanticRouter(null, false);
+      router.setFeedbackStore(feedback);
+
+      const before = await router.route('tighten the intro', { hasSelectedText: true });
+      expect(before.intent).not.toBe('rewrite');
+
+      await feedback.addCorrection({ query: 'tighten this', hasSelectedText: true, predicted: { intent: 'write' }, corrected: { intent: 'rewrite' } });
+      await feedback.addCorrection({ query: 'tighten my intro', hasSelectedText: true, predicted: { intent: 'write' }, corrected: { intent: 'rewrite' } });
+
+      const after = await router.route('tighten the intro', { hasSelectedText: true });
+      expect(after.intent).toBe('rewrite');
+      expect(after.routePath).toBe('learned-patterns');
+    });
+
+    test('should use learned output types when no pattern matches', async () => {
+      const router = new window.SemanticRouter(null, false);
+      router.setFeedbackStore(feedback);
+
+      await feedback.addCorrection({ query: 'draft a one-pager', predicted: { intent: 'write', outputType: null }, corrected: { outputType: 'document' } });
+
+      const result = await router.route('draft a one-pager on pricing');
+      expect(result.outputType).toBe('document');
+    });
+
+    test('should include relevant corrections as few-shot examples', async () => {
+      const router = new window.SemanticRouter(null, false);
+      router.setFeedbackStore(feedback);
+
+      await feedback.addCorrection({ query: 'write a blurb', predicted: { intent: 'write', outputType: null }, corrected: { outputType: 'post' } });
+
+      expect(router.buildFewShotExamples('a blurb for the launch')).toContain('"write a blurb"');
+      expect(router.buildFewShotExamples('translate to French')).toBe('');
+    });
+  });
+});
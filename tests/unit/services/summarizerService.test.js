@@ -0,0 +1,185 @@
+/**
+ * SummarizerService Unit Tests
+ * Tests semantic chunking, map-reduce summarization, citations, the concurrency limit and stopping a run
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Load dependencies
+const summarizerServiceCode = fs.readFileSync(path.join(__dirname, '../../../services/summarizerService.js'), 'utf8');
+
+// Execute code
+eval(summarizerServiceCode);
+
+/**
+ * Paragraph of numbered sentences about a topic
+ */
+function paragraph(topic, sentences) {
+  return Array.from({ length: sentences }, (_, i) => `The ${topic} note number ${i} adds detail.`).join(' ');
+}
+
+describe('SummarizerService', () => {
+  describe('Chunking', () => {
+    test('should split on paragraphs and keep headings with their section', () => {
+      const text = `# Pricing\n\n${paragraph('pricing', 12)}\n\n# Hiring\n\n${paragraph('hiring', 12)}`;
+
+      const chunks = window.SummarizerService.splitIntoChunks(text, 600);
+
+      expect(chunks.map(chunk => chunk.label)).toEqual(['Pricing', 'Hiring']);
+      expect(chunks[0].text.startsWith('# Pricing')).toBe(true);
+      expect(chunks[1].text).not.toContain('pricing note');
+      chunks.forEach(chunk => expect(text.slice(chunk.start, chunk.end).trim()).toBe(chunk.text));
+    });
+
+    test('should split an oversized paragraph on sentence boundaries', () => {
+      const text = paragraph('launch', 40);
+
+      const chunks = window.SummarizerService.splitIntoChunks(text, 500);
+
+      expect(chunks.length).toBeGreaterThan(1);
+      chunks.forEach(chunk => {
+        expect(chunk.text.length).toBeLessThanOrEqual(500);
+        expect(chunk.text.endsWith('detail.')).toBe(true);
+      });
+    });
+
+    test('should fit chunks to the summarizer input quota', () => {
+      const service = new window.SummarizerService();
+      service.summarizer = { inputQuota: 400 };
+
+      expect(service.getChunkSize(4000)).toBe(1200);
+    });
+  });
+
+  describe('Map-Reduce', () => {
+    test('should summarize each chunk, merge, and cite the chunk each bullet came from', async () => {
+      const text = `# Pricing\n\n${paragraph('pricing', 12)}\n\n# Hiring\n\n${paragraph('hiring', 12)}`;
+      const service = new window.SummarizerService();
+      const calls = [];
+      const summarizeChunk = jest.fn(async (chunkText, options) => {
+        calls.push(options.phase);
+        if (options.phase === 'reduce') {
+          return '- Hiring slowed across engineering teams\n- Pricing moves to annual plans';
+        }
+        return chunkText.includes('Pricing')
+          ? '- Pricing moves to annual plans next quarter'
+          : '- Hiring slowed across engineering teams';
+      });
+      const progress = [];
+
+      const result = await service.summarizeLong(text, {
+        chunkSize: 600,
+        summarizeChunk,
+        onProgress: update => progress.push(`${update.phase} ${update.completed}/${update.total}`)
+      });
+
+      expect(calls).toEqual(['map', 'map', 'reduce']);
+      expect(result.bullets).toEqual([
+        { text: 'Hiring slowed across engineering teams', chunks: [1] },
+        { text: 'Pricing moves to annual plans', chunks: [0] }
+      ]);
+      expect(progress).toEqual(['map 0/2', 'map 1/2', 'map 2/2', 'reduce 0/1', 'reduce 1/1']);
+    });
+
+    test('should skip the reduce step when the text fits one chunk', async () => {
+      const service = new window.SummarizerService();
+      const summarizeChunk = jest.fn(async () => '- Short point');
+
+      const result = await service.summarizeLong('A short note.', { chunkSize: 600, summarizeChunk });
+
+      expect(summarizeChunk).toHaveBeenCalledTimes(1);
+      expect(result.bullets).toEqual([{ text: 'Short point', chunks: [0] }]);
+    });
+
+    test('should pass the stop signal to every call and throw its AbortError once stopped', async () => {
+      const text = [1, 2, 3, 4].map(n => `# Part ${n}\n\n${paragraph(`topic ${n}`, 12)}`).join('\n\n');
+      const controller = new AbortController();
+      const service = new window.SummarizerService();
+      const signals = [];
+      const summarizeChunk = jest.fn(async (chunkText, options) => {
+        signals.push(options.signal);
+        controller.abort();
+        throw new Error('Summarization failed: The operation was aborted');
+      });
+
+      await expect(service.summarizeLong(text, { chunkSize: 600, concurrency: 1, summarizeChunk, signal: controller.signal }))
+        .rejects.toMatchObject({ name: 'AbortError' });
+      expect(summarizeChunk).toHaveBeenCalledTimes(1);
+      expect(signals).toEqual([controller.signal]);
+    });
+
+    test('should pass the signal to the Summarizer API by default', async () => {
+      const controller = new AbortController();
+      const service = new window.SummarizerService();
+      service.isInitialized = true;
+      service.currentConfig = { type: 'key-points', format: 'markdown', length: 'medium' };
+      service.summarizer = { summarize: jest.fn(async () => '- Short point') };
+
+      await service.summarizeLong('A short note.', { chunkSize: 600, signal: controller.signal });
+
+      expect(service.summarizer.summarize.mock.calls[0][1].signal).toBe(controller.signal);
+    });
+
+    test('should merge bullet groups with the same concurrency limit', async () => {
+      const service = new window.SummarizerService();
+      let running = 0;
+      let peak = 0;
+      const summarizeChunk = jest.fn(async () => {
+        running++;
+        peak = Math.max(peak, running);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        running--;
+        return '- Merged point';
+      });
+      const bullets = Array.from({ length: 40 }, (_, i) => `Point number ${i} about the quarterly plan`);
+
+      await service.reduceBullets(bullets, 200, summarizeChunk, '', 2);
+
+      expect(summarizeChunk.mock.calls.length).toBeGreaterThan(2);
+      expect(peak).toBe(2);
+    });
+
+    test('should run at most the given number of chunks at once', async () => {
+      let running = 0;
+      let peak = 0;
+      const items = [1, 2, 3, 4, 5];
+
+      const results = await window.SummarizerService.mapWithConcurrency(items, 2, async (item) => {
+        running++;
+        peak = Math.max(peak, running);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        running--;
+        return item * 10;
+      });
+
+      expect(results).toEqual([10, 20, 30, 40, 50]);
+      expect(peak).toBe(2);
+    });
+  });
+
+  describe('Streaming', () => {
+    test('should pass the stop signal to the summarizer and keep the partial summary', async () => {
+      const controller = new AbortController();
+      const service = new window.SummarizerService();
+      service.isInitialized = true;
+      service.currentConfig = { type: 'key-points', format: 'markdown', length: 'medium' };
+      service.summarizer = {
+        summarizeStreaming: jest.fn(async function* () {
+          yield '- Launch is May 3';
+          yield '\n- Pricing';
+          controller.abort();
+          throw new Error('The operation was aborted');
+        })
+      };
+      const updates = [];
+
+      const summary = await service.summarizeStreaming('Long article', { signal: controller.signal },
+        (chunk, fullText) => updates.push(fullText));
+
+      expect(summary).toBe('- Launch is May 3\n- Pricing');
+      expect(updates).toEqual(['- Launch is May 3', '- Launch is May 3\n- Pricing']);
+      expect(service.summarizer.summarizeStreaming.mock.calls[0][1]).toEqual({ signal: controller.signal });
+    });
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * ToneAnalyzer Unit Tests
+ * Tests tone vectors, intensity words, conflict reconciliation and option mapping
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Load dependencies
+const toneAnalyzerCode = fs.readFileSync(path.join(__dirname, '../../../services/toneAnalyzer.js'), 'utf8');
+const rewriterServiceCode = fs.readFileSync(path.join(__dirname, '../../../services/rewriterService.js'), 'utf8');
+const writerServiceCode = fs.readFileSync(path.join(__dirname, '../../../services/writerService.js'), 'utf8');
+
+// Execute code
+eval(toneAnalyzerCode);
+eval(rewriterServiceCode);
+eval(writerServiceCode);
+
+describe('ToneAnalyzer', () => {
+  let analyzer;
+
+  beforeEach(() => {
+    analyzer = new window.ToneAnalyzer();
+  });
+
+  describe('Tone Vectors', () => {
+    test('should report every dimension, zero when not requested', () => {
+      const { vector } = analyzer.analyze('write an email about the launch');
+
+      expect(Object.keys(vector)).toEqual(['formality', 'warmth', 'urgency', 'confidence', 'persuasiveness', 'diplomacy', 'length']);
+      expect(Object.values(vector).every(value => value === 0)).toBe(true);
+    });
+
+    test('should map tone words onto dimensions', () => {
+      const { vector, tones } = analyzer.analyze('make this more formal and persuasive');
+
+      expect(vector.formality).toBeGreaterThan(0.5);
+      expect(vector.persuasiveness).toBeGreaterThan(0.5);
+      expect(vector.warmth).toBe(0);
+      expect(tones).toEqual(['formal', 'persuasive']);
+    });
+
+    test('should scale intensity with modifier words', () => {
+      const slight = analyzer.analyze('make it slightly warmer').vector.warmth;
+      const plain = analyzer.analyze('make it warmer').vector.warmth;
+      const strong = analyzer.analyze('make it very warm').vector.warmth;
+
+      expect(slight).toBeGreaterThan(0);
+      expect(slight).toBeLessThan(plain);
+      expect(plain).toBeLessThan(strong);
+    });
+
+    test('should flip direction for "less" and "too"', () => {
+      expect(analyzer.analyze('make it less formal').vector.formality).toBeLessThan(0);
+      expect(analyzer.analyze('this is too casual').vector.formality).toBeGreaterThan(0);
+      expect(analyzer.analyze('make it less formal').tones).not.toContain('formal');
+    });
+
+    test('should fill open dimensions from classifier tone labels', () => {
+      const { vector, tones } = analyzer.analyzeWithLabels('make it shorter', ['urgent']);
+
+      expect(vector.length).toBeLessThan(0);
+      expect(vector.urgency).toBeGreaterThan(0);
+      expect(tones).toContain('urgent');
+    });
+
+    test('should not let labels override what the request says', () => {
+      const { vector } = analyzer.analyzeWithLabels('make it less formal', ['formal']);
+
+      expect(vector.formality).toBeLessThan(0);
+    });
+  });
+
+  describe('Conflict Reconciliation', () => {
+    test('should reconcile "casual but professional" instead of picking one', () => {
+      const { vector, conflicts } = analyzer.analyze('make it casual but professional');
+
+      expect(conflicts).toHaveLength(1);
+      expect(conflicts[0].dimension).toBe('formality');
+      expect(conflicts[0].cues).toEqual(['casual', 'professional']);
+      expect(conflicts[0].contrast).toBe(true);
+      // Leans casual, but too weakly to switch the API tone away from neutral
+      expect(vector.formality).toBeLessThan(0);
+      expect(Math.abs(vector.formality)).toBeLessThan(analyzer.threshold);
+    });
+
+    test('should let a strong cue outweigh a weak opposing one', () => {
+      const { vector, conflicts } = analyzer.analyze('professional but friendly');
+
+      expect(conflicts.map(conflict => conflict.dimension)).toContain('formality');
+      expect(vector.formality).toBeGreaterThanOrEqual(analyzer.threshold);
+      expect(vector.warmth).toBeGreaterThan(0);
+    });
+
+    test('should ask for the balance in prompt modifiers', () => {
+      const { vector, conflicts } = analyzer.analyze('casual but professional');
+      const modifiers = analyzer.toPromptModifiers(vector, { conflicts });
+
+      expect(modifiers[0]).toContain('casual but professional');
+    });
+  });
+
+  describe('Phrasing', () => {
+    test('should phrase vectors by strength', () => {
+      const { vector } = analyzer.analyze('very formal and a bit warmer');
+
+      expect(analyzer.toPhrase(vector)).toBe('strongly formal and slightly warm');
+      expect(analyzer.toPhrase(analyzer.createEmptyVector())).toBe('');
+    });
+  });
+
+  describe('Service Option Mapping', () => {
+    test('should map onto Rewriter tone and length', () => {
+      const rewriter = new window.RewriterService();
+      const { vector, conflicts } = analyzer.analyze('make it more formal, shorter and more confident');
+      const options = rewriter.mapToneVector(vector, conflicts);
+
+      expect(options.tone).toBe('more-formal');
+      expect(options.length).toBe('shorter');
+      expect(options.modifiers).toEqual(['Make it noticeably confident.']);
+    });
+
+    test('should map onto Writer tone and length', () => {
+      const writer = new window.WriterService();
+      const options = writer.mapToneVector(analyzer.analyze('a casual, detailed post').vector);
+
+      expect(options.tone).toBe('casual');
+      expect(options.length).toBe('long');
+      expect(writer.mapToneVector(analyzer.analyze('casual but professional').vector).tone).toBe('neutral');
+    });
+
+    test('should shorten urgent requests', () => {
+      const writer = new window.WriterService();
+
+      expect(writer.mapToneVector(analyzer.analyze('write an urgent email').vector).length).toBe('short');
+    });
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * ToolRegistry Unit Tests
+ * Tests tool contracts, prompt generation, argument validation and the built-in planner tools
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Load dependencies
+const promptServiceCode = fs.readFileSync(path.join(__dirname, '../../../services/promptService.js'), 'utf8');
+const toolRegistryCode = fs.readFileSync(path.join(__dirname, '../../../services/toolRegistry.js'), 'utf8');
+const plannerServiceCode = fs.readFileSync(path.join(__dirname, '../../../services/plannerService.js'), 'utf8');
+
+// Execute code
+eval(promptServiceCode);
+eval(toolRegistryCode);
+eval(plannerServiceCode);
+
+describe('ToolRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new window.ToolRegistry();
+    registry.register({
+      name: 'lookup_term',
+      label: 'Looking up a term',
+      description: 'Look up a glossary term.',
+      args: {
+        type: 'object',
+        properties: {
+          term: { type: 'string' },
+          limit: { type: 'integer', minimum: 1, maximum: 3, default: 1 }
+        },
+        required: ['term']
+      },
+      execute: async (args) => `${args.term} x${args.limit ?? 1}`
+    });
+  });
+
+  describe('Registration', () => {
+    test('should reject incomplete or reserved tools', () => {
+      expect(() => registry.register({ name: 'Bad Name', description: 'x', execute: () => '' })).toThrow('lowercase name');
+      expect(() => registry.register({ name: 'finish', description: 'x', execute: () => '' })).toThrow('reserved');
+      expect(() => registry.register({ name: 'no_desc', execute: () => '' })).toThrow('requires a description');
+      expect(() => registry.register({ name: 'no_exec', description: 'x' })).toThrow('requires an execute function');
+      expect(() => registry.register({ name: 'bad_args', description: 'x', args: { type: 'string' }, execute: () => '' })).toThrow('object schema');
+    });
+
+    test('should replace a tool registered twice', () => {
+      registry.register({ name: 'lookup_term', description: 'Replaced.', execute: async () => 'new' });
+
+      expect(registry.getNames()).toEqual(['lookup_term']);
+      expect(registry.get('lookup_term').description).toBe('Replaced.');
+    });
+  });
+
+  describe('Prompt Generation', () => {
+    test('should describe each tool with its argument signature', () => {
+      expect(registry.buildPromptSection(['lookup_term'])).toBe('- lookup_term({term: string, limit?: integer}): Look up a glossary term.');
+    });
+
+    test('should offer only the given tools plus finish in the decision schema', () => {
+      const schema = registry.buildDecisionSchema(['lookup_term']);
+
+      expect(schema.properties.action.enum).toEqual(['lookup_term', 'finish']);
+      expect(schema.required).toEqual(['thought', 'action', 'args']);
+    });
+  });
+
+  describe('Argument Validation', () => {
+    test('should coerce and clamp arguments to the schema', () => {
+      const checked = registry.validateArgs('lookup_term', { term: 'SLA', limit: '7' });
+
+      expect(checked.valid).toBe(true);
+      expect(checked.value).toEqual({ term: 'SLA', limit: 3 });
+    });
+
+    test('should not run a tool with invalid arguments', async () => {
+      const execute = jest.fn();
+      registry.register({ name: 'strict', description: 'x', args: { type: 'object', properties: { id: { type: 'string' } }, required: ['id'] }, execute });
+
+      const outcome = await registry.execute('strict', { other: 1 }, {});
+
+      expect(outcome.ok).toBe(false);
+      expect(outcome.error).toBe('Invalid arguments for strict: id is required');
+      expect(execute).not.toHaveBeenCalled();
+    });
+
+    test('should refuse unknown and unavailable tools', async () => {
+      registry.register({ name: 'offline', description: 'x', available: () => false, execute: async () => 'ran' });
+
+      expect((await registry.execute('missing', {}, {})).error).toBe('The missing tool is not available.');
+      expect((await registry.execute('offline', {}, {})).error).toBe('The offline tool is not available.');
+    });
+  });
+
+  describe('Planner Integration', () => {
+    test('should let the planner call a newly registered tool', async () => {
+      const decisions = [
+        { thought: 'Look it up', action: 'lookup_term', args: { term: 'SLA', limit: 2 } },
+        { thought: 'Done', action: 'finish', args: { notes: 'SLA found' } }
+      ];
+      const prompts = [];
+      const planner = new window.PlannerService({
+        registry,
+        promptServiceFactory: () => ({
+          sendStructured: async (prompt) => {
+            prompts.push(prompt);
+            return { data: decisions[prompts.length - 1], valid: true, raw: '{}' };
+          }
+        })
+      });
+
+      const run = await planner.plan('explain the SLA clause');
+
+      expect(prompts[0]).toContain('- lookup_term({term: string, limit?: integer}): Look up a glossary term.');
+      expect(run.steps[0].observation).toBe('SLA x2');
+      expect(run.context).toContain('[lookup_term: SLA, 2]');
+    });
+  });
+
+  describe('Built-in Tools', () => {
+    let tools;
+
+    beforeEach(() => {
+      tools = window.createDefaultToolRegistry();
+    });
+
+    test('should read the selection only when there is one', async () => {
+      expect(tools.getAvailable({ context: {} })).not.toContain('read_selection');
+
+      const outcome = await tools.execute('read_selection', {}, { context: { selectedText: 'Hello there' } });
+      expect(outcome.output).toBe('Hello there');
+    });
+
+    test('should look up recent rewrites for the current site', async () => {
+      const storageManager = {
+        getRewritesByDomain: jest.fn(async () => [{ preset: 'rewriter', originalText: 'hey', rewrittenText: 'Hello' }])
+      };
+
+      const outcome = await tools.execute('get_domain_rewrites', {}, { storageManager, context: { domain: 'mail.example.com' } });
+
+      expect(storageManager.getRewritesByDomain).toHaveBeenCalledWith('mail.example.com', 3);
+      expect(outcome.output).toBe('[1] rewriter\nOriginal: hey\nRewritten: Hello');
+    });
+
+    test('should fall back to the page URL for the site', async () => {
+      const storageManager = { getRewritesByDomain: jest.fn(async () => []) };
+      const pageContextProvider = async () => ({ url: 'https://www.linkedin.com/feed/' });
+
+      const outcome = await tools.execute('get_domain_rewrites', { limit: 2 }, { storageManager, pageContextProvider, context: {} });
+
+      expect(storageManager.getRewritesByDomain).toHaveBeenCalledWith('linkedin.com', 2);
+      expect(outcome.output).toBe('No past rewrites on linkedin.com.');
+    });
+
+    test('should detect the language of the selection', async () => {
+      const translationService = { detectPrimaryLanguage: jest.fn(async () => ({ language: 'fr', confidence: 0.93 })) };
+
+      const outcome = await tools.execute('detect_language', {}, { translationService, context: { selectedText: 'Bonjour à tous' } });
+
+      expect(translationService.detectPrimaryLanguage).toHaveBeenCalledWith('Bonjour à tous');
+      expect(outcome.output).toContain('(fr, confidence 0.93)');
+    });
+
+    test('should proofread a draft', async () => {
+      const proofreaderService = {
+        isAvailable: true,
+        proofread: jest.fn(async () => ({ corrected: 'Their going home.', corrections: [{}] }))
+      };
+
+      const outcome = await tools.execute('proofread', { text: 'Thier going home.' }, { proofreaderService, context: {} });
+
+      expect(outcome.output).toBe('1 correction(s).\nCorrected: Their going home.');
+    });
+  });
+});
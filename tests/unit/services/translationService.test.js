@@ -0,0 +1,79 @@
+/**
+ * TranslationService Unit Tests
+ * Tests streaming translation
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Load dependencies
+const translationServiceCode = fs.readFileSync(path.join(__dirname, '../../../services/translationService.js'), 'utf8');
+
+// Execute code
+eval(translationServiceCode);
+
+// Stream that yields chunks, then optionally aborts the controller or fails
+function createStream(chunks, { controller = null, error = null } = {}) {
+  return async function* () {
+    for (const chunk of chunks) {
+      yield chunk;
+    }
+    if (controller) {
+      controller.abort();
+      throw Object.assign(new Error('The operation was aborted'), { name: 'AbortError' });
+    }
+    if (error) {
+      throw error;
+    }
+  };
+}
+
+describe('TranslationService', () => {
+  const useTranslator = (stream) => {
+    const mockTranslator = {
+      translate: jest.fn(),
+      translateStreaming: jest.fn(stream),
+      destroy: jest.fn()
+    };
+    global.self.Translator.create = jest.fn(() => Promise.resolve(mockTranslator));
+    return { service: new window.TranslationService(), mockTranslator };
+  };
+
+  beforeEach(() => {
+    resetAllMocks();
+  });
+
+  describe('translateStreaming', () => {
+    test('should append each chunk, as the Translator API streams deltas', async () => {
+      const { service } = useTranslator(createStream(['Hola', ', ¿cómo', ' estás?']));
+      const onChunk = jest.fn();
+
+      const result = await service.translateStreaming('Hi, how are you?', { sourceLanguage: 'en', targetLanguage: 'es', onChunk });
+
+      expect(result).toEqual({ original: 'Hi, how are you?', translated: 'Hola, ¿cómo estás?', sourceLanguage: 'en', targetLanguage: 'es' });
+      expect(onChunk.mock.calls).toEqual([
+        ['Hola', 'Hola'],
+        [', ¿cómo', 'Hola, ¿cómo'],
+        [' estás?', 'Hola, ¿cómo estás?']
+      ]);
+    });
+
+    test('should keep partial output when stopped', async () => {
+      const controller = new AbortController();
+      const { service, mockTranslator } = useTranslator(createStream(['Hola', ', ¿cómo'], { controller }));
+
+      const result = await service.translateStreaming('Hi, how are you?', { sourceLanguage: 'en', targetLanguage: 'es', signal: controller.signal });
+
+      expect(result.translated).toBe('Hola, ¿cómo');
+      expect(result.stopped).toBe(true);
+      expect(mockTranslator.translateStreaming).toHaveBeenCalledWith('Hi, how are you?', { signal: controller.signal });
+    });
+
+    test('should rethrow stream failures that are not a stop', async () => {
+      const { service } = useTranslator(createStream(['Hola'], { error: new Error('Model crashed') }));
+
+      await expect(service.translateStreaming('Hi', { sourceLanguage: 'en', targetLanguage: 'es' }))
+        .rejects.toThrow('Streaming translation failed: Model crashed');
+    });
+  });
+});
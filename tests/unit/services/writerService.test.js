@@ -22,6 +22,22 @@ eval(baseServiceCode);
 eval(promptServiceCode);
 eval(writerServiceCode);
 
+// Stream that yields chunks, then optionally aborts the controller or fails
+function createStream(chunks, { controller = null, error = null } = {}) {
+  return async function* () {
+    for (const chunk of chunks) {
+      yield chunk;
+    }
+    if (controller) {
+      controller.abort();
+      throw Object.assign(new Error('The operation was aborted'), { name: 'AbortError' });
+    }
+    if (error) {
+      throw error;
+    }
+  };
+}
+
 describe('WriterService', () => {
   let writerService;
 
@@ -89,6 +105,53 @@ describe('WriterService', () => {
     });
   });
 
+  describe('writeStreaming', () => {
+    const useSession = async (stream) => {
+      const mockSession = {
+        write: jest.fn(),
+        writeStreaming: jest.fn(stream),
+        destroy: jest.fn()
+      };
+      global.self.Writer.create = jest.fn(() => Promise.resolve(mockSession));
+
+      const service = new window.WriterService();
+      await service.initialize();
+      return { service, mockSession };
+    };
+
+    test('should accumulate chunks and report the text so far', async () => {
+      const { service } = await useSession(createStream(['Hi Sam,', ' thanks', ' for the update.']));
+      const onChunk = jest.fn();
+
+      const result = await service.writeStreaming('reply to Sam', null, {}, onChunk);
+
+      expect(result.output).toBe('Hi Sam, thanks for the update.');
+      expect(result.stopped).toBe(false);
+      expect(onChunk.mock.calls).toEqual([
+        ['Hi Sam,', 'Hi Sam,'],
+        [' thanks', 'Hi Sam, thanks'],
+        [' for the update.', 'Hi Sam, thanks for the update.']
+      ]);
+    });
+
+    test('should keep partial output when stopped', async () => {
+      const controller = new AbortController();
+      const { service, mockSession } = await useSession(createStream(['Hi Sam,', ' thanks'], { controller }));
+
+      const result = await service.writeStreaming('reply to Sam', null, { signal: controller.signal });
+
+      expect(result.output).toBe('Hi Sam, thanks');
+      expect(result.stopped).toBe(true);
+      expect(mockSession.writeStreaming).toHaveBeenCalledWith('reply to Sam', { signal: controller.signal });
+    });
+
+    test('should rethrow stream failures that are not a stop', async () => {
+      const { service } = await useSession(createStream(['Hi'], { error: new Error('Model crashed') }));
+
+      await expect(service.writeStreaming('reply to Sam', null)).rejects.toThrow('Streaming writer failed: Model crashed');
+    });
+  });
+
   describe('Error Handling', () => {
     test('should handle write failures gracefully', async () => {
       const mockSession = {
@@ -15,6 +15,15 @@ class TonePilotAIServicesManager {
     this.summarizerService = null;
     this.promptService = null;
     this.translationService = null;
+    this.routingFeedbackService = null;
+    this.pageLanguageProvider = null;
+    this.searchService = null;
+    this.plannerService = null;
+    this.critiqueService = null;
+    this.critiqueStepCount = 0;
+    this.draftVariantService = null;
+    this.refinementService = null;
+    this.profileFactService = null;
   }
 
   /**
@@ -122,6 +131,24 @@ class TonePilotAIServicesManager {
         }
       }
 
+      // Load the user's routing corrections so the router can learn from them
+      await this.initializeRoutingFeedback();
+
+      // Load the facts the user confirmed about themselves (name, role, sign-off...)
+      await this.initializeProfileFacts();
+
+      // Plan mode research loop (search is configured later from settings)
+      this.initializePlanner();
+
+      // Optional self-review of drafts (rounds are set in settings)
+      this.critiqueService = window.CritiqueService ? new window.CritiqueService() : null;
+
+      // Optional alternative drafts for write/rewrite (count is set in settings)
+      this.draftVariantService = window.DraftVariantService ? new window.DraftVariantService() : null;
+
+      // Follow-up commands on an existing result ("shorter", "add a CTA")
+      this.refinementService = window.RefinementService ? new window.RefinementService() : null;
+
       // Generate and display status report
       const statusReport = await this.aiSetupService.generateStatusReport();
       this.updateAIStatusDisplay(statusReport);
@@ -135,14 +162,629 @@ class TonePilotAIServicesManager {
     }
   }
 
+  /**
+   * Initialize the routing feedback store and attach it to the router
+   */
+  async initializeRoutingFeedback() {
+    if (!window.RoutingFeedbackService) {
+      console.warn('⚠️ RoutingFeedbackService not available, routing will not learn from corrections');
+      return;
+    }
+
+    try {
+      this.routingFeedbackService = new window.RoutingFeedbackService();
+      await this.routingFeedbackService.initialize();
+      this.semanticRouter.setFeedbackStore(this.routingFeedbackService);
+    } catch (error) {
+      console.warn('⚠️ Routing feedback initialization failed:', error);
+      this.routingFeedbackService = null;
+    }
+  }
+
+  /**
+   * Initialize the store of facts about the user that write and rewrite context draws on
+   */
+  async initializeProfileFacts() {
+    if (!window.ProfileFactService) {
+      console.warn('⚠️ ProfileFactService not available, profile facts will not be learned');
+      return;
+    }
+
+    try {
+      this.profileFactService = new window.ProfileFactService();
+      await this.profileFactService.initialize();
+    } catch (error) {
+      console.warn('⚠️ Profile fact initialization failed:', error);
+      this.profileFactService = null;
+    }
+  }
+
+  /**
+   * Create the Plan mode planner and the web search it can call
+   */
+  initializePlanner() {
+    if (!window.PlannerService) {
+      console.warn('⚠️ PlannerService not available, Plan mode will not gather context');
+      return;
+    }
+
+    this.searchService = window.SearchService ? new window.SearchService() : null;
+    this.plannerService = new window.PlannerService({
+      searchService: this.searchService,
+      documentService: window.DocumentService || null,
+      translationService: this.translationService,
+      proofreaderService: this.proofreaderService
+    });
+  }
+
+  /**
+   * Set the conversation memory the planner can recall from
+   * @param {MemoryService|null} memoryService - Memory service
+   */
+  setMemoryService(memoryService) {
+    this.plannerService?.setServices({ memoryService });
+  }
+
+  /**
+   * Set the store for rewrite history (which the planner looks up per site) and Plan mode traces
+   * @param {StorageManager|null} storageManager - IndexedDB store
+   */
+  setStorageManager(storageManager) {
+    this.storageManager = storageManager;
+    this.plannerService?.setServices({ storageManager });
+  }
+
+  /**
+   * Set how the planner reads the current page (title, URL, description, text excerpt)
+   * @param {Function|null} provider - Async provider
+   */
+  setPageContextProvider(provider) {
+    this.plannerService?.setServices({ pageContextProvider: provider });
+  }
+
+  /**
+   * Propose a plan for a Plan mode request; nothing runs until the user approves it
+   * @param {string} inputText - User request
+   * @param {Object} selectionData - Selected text data
+   * @param {Object} routing - Routing result
+   * @param {Array<Object>|null} operations - Compound operations, if any
+   * @param {Object} stream - Request controls ({signal, onToken}); the signal cancels the proposal call
+   * @returns {Promise<Object>} Plan ({steps, constraints, context})
+   */
+  async proposePlan(inputText, selectionData, routing, operations, stream = null) {
+    const context = {
+      selectedText: selectionData?.text || '',
+      domain: selectionData?.domain || null,
+      intent: routing.intent
+    };
+    const generateSteps = (operations || [{ intent: routing.intent, instruction: inputText, tones: routing.tones, toneVector: routing.toneVector, toneConflicts: routing.toneConflicts }])
+      .map(operation => ({
+        intent: operation.intent,
+        label: this.getIntentLabel(operation.intent),
+        instruction: operation.instruction,
+        tones: operation.tones || [],
+        toneVector: operation.toneVector || null,
+        toneConflicts: operation.toneConflicts || []
+      }));
+
+    this.uiManager.definePlanModeStep('plan-proposal', 'Planning', 'Drafting a plan for you to review', '🧭');
+    this.uiManager.updatePlanModeStepIndicator('plan-proposal', 'active', 'plan-proposal-run', null);
+
+    const plan = await this.plannerService.proposePlan(inputText, context, generateSteps, this.signalOptions(stream));
+    plan.context = context;
+
+    // A request that mentions the resume always reads it, whether or not the model thought of it
+    if (this.checkIfResumeNeeded(inputText) && this.plannerService.registry.has('get_resume_section') &&
+        !plan.steps.some(step => step.action === 'get_resume_section')) {
+      plan.steps.unshift(this.plannerService.createToolStep('get_resume_section', { section: 'full' }, 'The request mentions your resume'));
+      plan.steps.forEach((step, index) => {
+        step.id = `plan-${index + 1}`;
+      });
+    }
+
+    this.uiManager.updatePlanModeStepIndicator('plan-proposal', 'completed', 'plan-proposal-run',
+      `${plan.steps.length} step(s) proposed. Review and approve the plan to run it.`);
+    return plan;
+  }
+
+  /**
+   * Run an approved plan: steps in the given order, nothing added
+   * Tool steps gather context through the planner loop, which may adjust or skip an approved lookup
+   * after seeing what the earlier ones found; generation steps run their intent and feed the next one.
+   * @param {Object} plan - Approved plan ({steps, constraints, context})
+   * @param {string} inputText - User request
+   * @param {Object} selectionData - Selected text data
+   * @param {Object} routing - Routing result
+   * @param {string} conversationContext - Relevant conversation history context
+   * @param {Object} stream - Request controls ({signal, onToken}); a stop ends the run after the current step
+   * @returns {Promise<Object>} { result, run, record, trace } where record lists every step and whether it
+   *   ran, and trace holds what each step saw and produced (saved once the final output is known)
+   */
+  async runApprovedPlan(plan, inputText, selectionData, routing, conversationContext, stream = null) {
+    const context = plan.context || { selectedText: selectionData?.text || '', domain: selectionData?.domain || null, intent: routing.intent };
+    const constraints = (plan.constraints || []).map(constraint => constraint.trim()).filter(Boolean);
+    const run = { steps: [], notes: '', sources: [], stoppedBy: 'plan-complete', tokensUsed: 0, error: null };
+    const record = {
+      approved: true,
+      constraints,
+      steps: plan.steps.map(step => ({
+        id: step.id,
+        kind: step.kind,
+        action: step.action || null,
+        intent: step.intent || null,
+        description: this.plannerService.describeStep(step),
+        status: 'pending'
+      }))
+    };
+    const trace = this.createPlanTrace(plan, inputText, context, routing, constraints, conversationContext);
+
+    console.log(plan.replayOf ? `🔁 Replaying plan trace ${plan.replayOf}:` : '🧭 Running approved plan:',
+      record.steps.map(step => step.description).join(' → '));
+
+    let currentText = selectionData?.text || inputText;
+    let result = null;
+    let generatedLive = false;
+    const stages = [];
+
+    try {
+      for (let i = 0; i < plan.steps.length; i++) {
+        const step = plan.steps[i];
+        const stepRecord = record.steps[i];
+        const traceStep = trace.steps[i];
+        const title = step.kind === 'tool' ? step.label : this.getIntentLabel(step.intent);
+
+        // Cancelled between steps: keep the last generated output, if there is one
+        if (this.isStopped(stream)) {
+          record.steps.slice(i).forEach(skipped => {
+            skipped.status = 'skipped';
+          });
+          if (!result) {
+            this.throwIfStopped(stream);
+          }
+          break;
+        }
+
+        if (step.kind === 'tool' && !step.recorded) {
+          // Consecutive lookups run together through the planner loop, so each can react to the last
+          let last = i;
+          while (last + 1 < plan.steps.length && plan.steps[last + 1].kind === 'tool' && !plan.steps[last + 1].recorded) {
+            last++;
+          }
+          await this.runApprovedLookups(plan, i, last, inputText, context, run, record, trace, stream);
+          i = last;
+          continue;
+        }
+
+        const stepId = this.beginPlanStep(i, title, stepRecord, traceStep);
+
+        if (step.kind === 'tool') {
+          // Replays reuse the recorded observation instead of calling the tool again
+          const sourceCount = run.sources.length;
+          const observed = this.plannerService.replayPlanStep(step, run);
+          this.completePlanToolStep(i, observed, run.sources.slice(sourceCount), stepRecord, traceStep);
+          continue;
+        }
+
+        const research = this.buildPlanContext(run, constraints);
+        const tones = this.getPlanStepTones(step, routing);
+        const stageRouting = {
+          ...routing,
+          intent: step.intent,
+          ...tones,
+          constraints,
+          plannerContext: research || undefined
+        };
+        Object.assign(traceStep, { input: currentText, context: research, ...tones });
+
+        // Replays reuse the recorded output until a step generates again, since later steps build on it
+        const replayed = Boolean(step.recorded) && !generatedLive;
+        if (replayed) {
+          result = { primary: step.recorded.output, alternatives: [], service: step.recorded.service || null };
+        } else {
+          // Only the first generation step can draft from the selection; later ones draft from the previous output
+          generatedLive = true;
+          result = await this.runIntent(step.intent, {
+            text: currentText,
+            instruction: step.instruction,
+            reference: stages.length === 0 ? selectionData?.text : currentText
+          }, selectionData, stageRouting, [conversationContext, research].filter(Boolean).join('\n\n'), stream);
+        }
+        traceStep.replayed = replayed;
+
+        const output = result?.primary || '';
+        traceStep.durationMs = Date.now() - traceStep.startedAt;
+        if (this.isStopped(stream)) {
+          stepRecord.status = 'stopped';
+          record.steps.slice(i + 1).forEach(skipped => {
+            skipped.status = 'skipped';
+          });
+          Object.assign(traceStep, { output, service: result?.service || null, status: 'stopped' });
+          this.stateManager.updateLastStepStatus('cancelled');
+          this.uiManager.updatePlanModeStepIndicator(stepId, 'cancelled', `${stepId}-run`, 'Stopped');
+          currentText = output.trim() ? output : currentText;
+          break;
+        }
+        if (!output.trim()) {
+          stepRecord.status = 'failed';
+          record.steps.slice(i + 1).forEach(skipped => {
+            skipped.status = 'skipped';
+          });
+          this.stateManager.updateLastStepStatus('error');
+          throw new Error(`${title} returned no output`);
+        }
+
+        const stage = {
+          intent: step.intent,
+          instruction: step.instruction,
+          input: currentText,
+          output,
+          service: result.service || null
+        };
+        stages.push(stage);
+        stepRecord.status = 'completed';
+        Object.assign(traceStep, { output, service: stage.service, status: 'completed' });
+
+        this.stateManager.setLastStepDetails(stage);
+        this.stateManager.updateLastStepStatus('complete');
+        const outputPreview = output.length > 160 ? output.substring(0, 160) + '...' : output;
+        this.uiManager.updatePlanModeStepIndicator(stepId, 'completed', `${stepId}-run`,
+          result.reasoning || this.uiManager.escapeHtml(outputPreview));
+
+        currentText = output;
+      }
+
+      if (!result) {
+        throw new Error('The approved plan has no step that produces text');
+      }
+    } catch (error) {
+      // Failed runs are the ones worth debugging, so their trace is saved too
+      record.steps.forEach((stepRecord, index) => {
+        trace.steps[index].status = stepRecord.status === 'pending' ? 'skipped' : stepRecord.status;
+      });
+      trace.sources = run.sources;
+      await this.savePlanTrace(trace, { status: this.isStopped(stream) ? 'cancelled' : 'failed', error: error.message });
+      throw error;
+    }
+
+    trace.sources = run.sources;
+    return {
+      result: {
+        ...result,
+        primary: currentText,
+        stages: stages.length > 1 ? stages : result.stages
+      },
+      run,
+      record,
+      trace
+    };
+  }
+
+  /**
+   * Start the trace of a Plan mode run; it is filled in as steps run
+   * @param {Object} plan - Approved plan
+   * @param {string} inputText - User request
+   * @param {Object} context - Request context ({selectedText, domain, intent})
+   * @param {Object} routing - Routing result
+   * @param {Array<string>} constraints - Constraints the user added
+   * @param {string} conversationContext - Conversation history the generation steps saw
+   * @returns {Object} Trace
+   */
+  createPlanTrace(plan, inputText, context, routing, constraints, conversationContext) {
+    // The research context is recorded per generation step instead
+    const savedRouting = { ...routing };
+    delete savedRouting.plannerContext;
+
+    return {
+      query: inputText,
+      selectedText: context.selectedText || '',
+      domain: context.domain || null,
+      routing: savedRouting,
+      constraints,
+      conversationContext: conversationContext || '',
+      replayOf: plan.replayOf || null,
+      steps: plan.steps.map(step => ({
+        id: step.id,
+        kind: step.kind,
+        action: step.action || null,
+        args: step.args || null,
+        thought: step.reason || '',
+        intent: step.intent || null,
+        instruction: step.instruction || null,
+        label: step.label || null,
+        status: 'pending',
+        startedAt: null,
+        durationMs: null
+      })),
+      sources: [],
+      finalOutput: null,
+      status: 'running',
+      error: null,
+      startedAt: Date.now(),
+      durationMs: null
+    };
+  }
+
+  /**
+   * Run a stretch of approved lookups through the planner loop
+   * The loop keeps its step cap and token budget; lookups it skips or never reaches are marked skipped.
+   * @param {Object} plan - Approved plan
+   * @param {number} first - Index of the first lookup
+   * @param {number} last - Index of the last lookup
+   * @param {string} inputText - User request
+   * @param {Object} context - Request context
+   * @param {Object} run - Run shared by the whole plan
+   * @param {Object} record - Plan record from runApprovedPlan
+   * @param {Object} trace - Plan trace from runApprovedPlan
+   * @param {Object} stream - Request controls ({signal, onToken})
+   */
+  async runApprovedLookups(plan, first, last, inputText, context, run, record, trace, stream) {
+    const indexById = new Map();
+    for (let i = first; i <= last; i++) {
+      indexById.set(plan.steps[i].id, i);
+    }
+    let sourceCount = run.sources.length;
+
+    await this.plannerService.plan(inputText, context, {
+      run,
+      approvedSteps: plan.steps.slice(first, last + 1),
+      ...this.signalOptions(stream),
+      onStep: step => {
+        const index = indexById.get(step.approvedId);
+        if (index === undefined) {
+          return;
+        }
+        const stepRecord = record.steps[index];
+        const traceStep = trace.steps[index];
+
+        if (step.status === 'active') {
+          sourceCount = run.sources.length;
+          this.beginPlanStep(index, plan.steps[index].label, stepRecord, traceStep);
+        } else {
+          traceStep.thought = step.thought;
+          this.completePlanToolStep(index, step, run.sources.slice(sourceCount), stepRecord, traceStep);
+        }
+      }
+    });
+
+    for (let i = first; i <= last; i++) {
+      if (record.steps[i].status === 'pending') {
+        record.steps[i].status = 'skipped';
+        trace.steps[i].status = 'skipped';
+      }
+    }
+  }
+
+  /**
+   * Show a plan step as running and start its trace clock
+   * @param {number} index - Step index in the plan
+   * @param {string} title - Step title
+   * @param {Object} stepRecord - The step's record entry
+   * @param {Object} traceStep - The step's trace entry
+   * @returns {string} Step indicator ID
+   */
+  beginPlanStep(index, title, stepRecord, traceStep) {
+    const stepId = `plan-step-${index + 1}`;
+    this.stateManager.addProcessingStep(title);
+    this.uiManager.definePlanModeStep(stepId, title, stepRecord.description, stepRecord.kind === 'tool' ? '🧭' : '🔗');
+    this.uiManager.updatePlanModeStepIndicator(stepId, 'active', `${stepId}-run`, null);
+    traceStep.startedAt = Date.now();
+    return stepId;
+  }
+
+  /**
+   * Record what a plan lookup observed and show it on its step
+   * @param {number} index - Step index in the plan
+   * @param {Object} observed - Planner step ({args, observation, error, replayed})
+   * @param {Array<Object>} sources - Sources the lookup added
+   * @param {Object} stepRecord - The step's record entry
+   * @param {Object} traceStep - The step's trace entry
+   */
+  completePlanToolStep(index, observed, sources, stepRecord, traceStep) {
+    const stepId = `plan-step-${index + 1}`;
+    stepRecord.status = observed.error ? 'failed' : 'completed';
+    stepRecord.observation = observed.observation;
+    Object.assign(traceStep, {
+      args: observed.args,
+      observation: observed.observation,
+      error: observed.error || null,
+      sources,
+      replayed: Boolean(observed.replayed),
+      status: stepRecord.status,
+      durationMs: Date.now() - traceStep.startedAt
+    });
+
+    this.stateManager.updateLastStepStatus(observed.error ? 'error' : 'complete');
+    const preview = observed.observation.length > 160 ? observed.observation.substring(0, 160) + '...' : observed.observation;
+    this.uiManager.updatePlanModeStepIndicator(stepId, 'completed', `${stepId}-run`, this.uiManager.escapeHtml(preview));
+  }
+
+  /**
+   * Finish a plan trace and save it to IndexedDB
+   * @param {Object} trace - Trace from runApprovedPlan
+   * @param {Object} outcome - { status, error, finalOutput }
+   * @returns {Promise<number|null>} Saved trace ID, or null when storage is unavailable
+   */
+  async savePlanTrace(trace, outcome) {
+    Object.assign(trace, {
+      status: outcome.status,
+      error: outcome.error || null,
+      finalOutput: outcome.finalOutput ?? null,
+      durationMs: Date.now() - trace.startedAt
+    });
+
+    if (!this.storageManager) {
+      return null;
+    }
+
+    try {
+      const id = await this.storageManager.savePlanTrace(trace);
+      console.log('🧾 Plan trace saved:', id);
+      return id;
+    } catch (error) {
+      console.warn('⚠️ Failed to save plan trace:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Load a saved plan trace
+   * @param {number} traceId - Trace ID
+   * @returns {Promise<Object|null>} Trace, or null when it is gone or storage is unavailable
+   */
+  async getPlanTrace(traceId) {
+    if (!this.storageManager || !Number.isInteger(traceId)) {
+      return null;
+    }
+
+    try {
+      return await this.storageManager.getPlanTrace(traceId);
+    } catch (error) {
+      console.warn('⚠️ Failed to load plan trace:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Turn a saved trace back into an approved plan that replays it: tool steps reuse their recorded
+   * observations (no web or storage lookups) and generation steps their recorded output, so nothing
+   * calls the model. With regenerate, generation steps run again on exactly the same context.
+   * @param {Object} trace - Saved trace
+   * @param {Object} options - Replay options
+   * @param {boolean} options.regenerate - Run generation steps again instead of reusing their output
+   * @returns {Object} { plan, routing, selectionData, conversationContext }
+   */
+  buildReplayPlan(trace, options = {}) {
+    const steps = trace.steps
+      .filter(step => step.kind === 'generate' || step.status === 'completed' || step.status === 'failed')
+      .map(step => {
+        if (step.kind === 'tool') {
+          return {
+            ...this.plannerService.createToolStep(step.action, step.args || {}, step.thought),
+            id: step.id,
+            recorded: { observation: step.observation, error: step.error, sources: step.sources || [] }
+          };
+        }
+        return {
+          kind: 'generate',
+          id: step.id,
+          intent: step.intent,
+          label: this.getIntentLabel(step.intent),
+          instruction: step.instruction,
+          originalInstruction: step.instruction,
+          tones: step.tones || [],
+          toneVector: step.toneVector || null,
+          toneConflicts: step.toneConflicts || [],
+          // Stopped or failed steps have no usable output and generate again
+          recorded: !options.regenerate && step.status === 'completed' && step.output
+            ? { output: step.output, service: step.service || null }
+            : null
+        };
+      });
+
+    return {
+      plan: {
+        query: trace.query,
+        steps,
+        constraints: trace.constraints || [],
+        context: { selectedText: trace.selectedText, domain: trace.domain, intent: trace.routing?.intent },
+        replayOf: trace.id
+      },
+      routing: { ...trace.routing, via: 'plan-replay' },
+      selectionData: trace.selectedText ? { text: trace.selectedText, domain: trace.domain } : null,
+      conversationContext: trace.conversationContext || ''
+    };
+  }
+
+  /**
+   * Combine what the plan's tool steps found with the user's constraints
+   * @param {Object} run - Plan run so far
+   * @param {Array<string>} constraints - Constraints the user added while reviewing
+   * @returns {string} Context for generation steps, or ''
+   */
+  buildPlanContext(run, constraints) {
+    const sections = [this.plannerService.buildContext(run)];
+    if (constraints.length > 0) {
+      sections.push(`CONSTRAINTS FROM THE USER:\n${constraints.map(constraint => `- ${constraint}`).join('\n')}`);
+    }
+    return sections.filter(Boolean).join('\n\n');
+  }
+
+  /**
+   * Tones for a generation step; an instruction the user edited is analyzed again
+   * @param {Object} step - Generation step
+   * @param {Object} routing - Routing result for the whole request
+   * @returns {Object} { tones, toneVector, toneConflicts }
+   */
+  getPlanStepTones(step, routing) {
+    if (step.instruction !== step.originalInstruction && window.toneAnalyzer) {
+      const analysis = window.toneAnalyzer.analyze(step.instruction);
+      return { tones: analysis.tones, toneVector: analysis.vector, toneConflicts: analysis.conflicts };
+    }
+
+    return {
+      tones: step.tones?.length > 0 ? step.tones : routing.tones,
+      toneVector: step.toneVector || routing.toneVector,
+      toneConflicts: step.toneConflicts || routing.toneConflicts
+    };
+  }
+
+  /**
+   * Record a user override of the routed intent/output type as a labeled example
+   * @param {string} query - User's original query
+   * @param {boolean} hasSelectedText - Whether text was selected
+   * @param {Object} predicted - Routed labels ({intent, outputType})
+   * @param {Object} corrected - Labels chosen by the user ({intent, outputType})
+   */
+  async recordRoutingCorrection(query, hasSelectedText, predicted, corrected) {
+    if (!this.routingFeedbackService?.isInitialized || !query?.trim()) {
+      return;
+    }
+
+    try {
+      await this.routingFeedbackService.addCorrection({ query, hasSelectedText, predicted, corrected });
+    } catch (error) {
+      console.warn('⚠️ Failed to record routing correction:', error);
+    }
+  }
+
+  /**
+   * Get the intents and output types the user can override routing with
+   * @returns {{intents: Array<string>, outputTypes: Array<string>}}
+   */
+  getRoutingOptions() {
+    return {
+      intents: Object.keys(this.semanticRouter?.patterns || {}),
+      outputTypes: Object.keys(this.semanticRouter?.outputTypePatterns || {})
+    };
+  }
+
+  /**
+   * Explain how a request was routed, for the "Why this?" inspector
+   * @param {string} inputText - User input
+   * @param {Object} routing - Routing used for the request
+   * @returns {Object|null} Inspector data, or null without a router or routing
+   */
+  explainRouting(inputText, routing) {
+    if (!this.semanticRouter || !routing) {
+      return null;
+    }
+    return this.semanticRouter.explain(inputText, routing);
+  }
+
   /**
    * Process text input through semantic routing and AI services
    * @param {string} inputText - Text to process
    * @param {Object} selectionData - Selected text data
    * @param {string} conversationContext - Relevant conversation history context
-   * @returns {Object} Processing results
+   * @param {Object} options - Processing options
+   * @param {Object} options.routing - Routing to use instead of calling the router (e.g. a clarified intent)
+   * @param {Object} options.stream - Request controls: {signal, onToken(textSoFar)}; onToken is optional.
+   *   Aborting the signal cancels every call in flight. Output generated so far is returned with
+   *   `stopped: true`; with nothing generated yet the AbortError is thrown.
+   * @returns {Object} Processing results, or a clarification request when the intent is ambiguous
    */
-  async processText(inputText, selectionData, conversationContext = '') {
+  async processText(inputText, selectionData, conversationContext = '', options = {}) {
+    const stream = options.stream || null;
     try {
       this.uiManager.hideError();
 
@@ -172,12 +814,52 @@ class TonePilotAIServicesManager {
       const planMode = this.stateManager.getPlanMode();
 
       // Route the input to determine intent (with selection context and Plan mode)
-      const routing = await this.semanticRouter.route(inputText, {
+      let routing = options.routing || await this.semanticRouter.route(inputText, {
         hasSelectedText: Boolean(selectionData?.text),
         selectedText: selectionData?.text || '',
-        planMode: planMode
+        planMode: planMode,
+        ...this.signalOptions(stream)
       });
+      this.throwIfStopped(stream);
       console.log('🎯 Routing result:', routing);
+      if (routing.via) {
+        this.stateManager.setLastStepDetails({
+          intent: routing.intent,
+          instruction: inputText,
+          input: selectionData?.text || '',
+          output: routing.intent,
+          service: routing.via
+        });
+      }
+
+      // Ask the user to pick an intent before running anything
+      if (routing.ambiguous && routing.candidates?.length > 1) {
+        console.log('❓ Ambiguous routing, requesting clarification:', routing.candidates);
+        this.stateManager.updateLastStepStatus('complete');
+        return {
+          needsClarification: true,
+          candidates: routing.candidates,
+          routing
+        };
+      }
+      // Single translation: settle the target up front and confirm when the text is already in it
+      if (routing.intent === 'translate' && !(routing.operations?.length > 1) && !routing.targetResolved) {
+        const target = await this.resolveTranslationTarget(inputText, textToProcess, selectionData, routing);
+        this.throwIfStopped(stream);
+        if (target.sourceLanguage && window.languageResolver?.isSameLanguage(target.sourceLanguage, target.targetLanguage)) {
+          console.log('❓ Source and target language match, requesting confirmation:', target);
+          this.stateManager.updateLastStepStatus('complete');
+          return {
+            needsClarification: true,
+            clarificationType: 'translation-target',
+            clarificationPrompt: `This text already looks like ${this.getLanguageName(target.sourceLanguage)}. Translate it anyway?`,
+            candidates: this.getTranslationTargetChoices(target.targetLanguage, target.sourceLanguage),
+            routing: { ...routing, targetLanguage: target.targetLanguage, sourceLanguage: target.sourceLanguage }
+          };
+        }
+        routing = { ...routing, targetLanguage: target.targetLanguage, sourceLanguage: target.sourceLanguage, targetResolved: true };
+      }
+
       console.log('🎯 Routing reasoning:', routing.reasoning);
       console.log('🎯 Plan mode active:', planMode);
 
@@ -212,27 +894,34 @@ class TonePilotAIServicesManager {
 
       // Process based on intent
       let result;
+      let plannerRun = null;
+      let planRecord = null;
+      let planTrace = null;
+      const operations = routing.operations?.length > 1 ? routing.operations : null;
+      // Replays of a saved trace run whether or not Plan mode is still on
+      const approvedPlan = (planMode || options.approvedPlan?.replayOf) ? options.approvedPlan || null : null;
+
+      // Plan mode: propose a plan and let the user edit and approve it before anything runs
+      if (planMode && this.plannerService && !approvedPlan) {
+        const plan = await this.proposePlan(inputText, selectionData, routing, operations, stream);
+        this.throwIfStopped(stream);
+        return {
+          needsPlanApproval: true,
+          plan,
+          routing
+        };
+      }
 
-      // Step 2: Processing with appropriate service
-      const intentLabels = {
-        'proofread': 'Proofreading text',
-        'summarize': 'Summarizing content',
-        'rewrite': 'Rewriting text',
-        'write': 'Generating content',
-        'translate': 'Translating text'
-      };
-      const stepLabel = intentLabels[routing.intent] || 'Processing text';
-      this.stateManager.addProcessingStep(stepLabel);
-
-      // Step 2.5: Check if resume retrieval is needed
+      // Step 2.5: Check if resume retrieval is needed (approved plans read the resume as one of their steps)
       const needsResume = this.checkIfResumeNeeded(inputText);
       let retrievedResume = null;
-      if (planMode && needsResume) {
+      if (planMode && needsResume && !approvedPlan) {
         console.log('📄 Resume mentioned in query, adding retrieval step');
         this.uiManager.updatePlanModeStepIndicator('resume', 'active', 'resume-retrieval', null);
 
         // Retrieve resume using DocumentService
         const resumeData = await window.DocumentService.getResumeData();
+        this.throwIfStopped(stream);
         if (resumeData && resumeData.content) {
           console.log('✅ Resume retrieved:', resumeData.filename);
           retrievedResume = resumeData;
@@ -245,149 +934,553 @@ class TonePilotAIServicesManager {
         }
       }
 
-      // Add generation step as active in Plan mode (before processing starts)
+      if (approvedPlan) {
+        // Approved plan: run exactly the steps the user approved, in their order
+        const execution = await this.runApprovedPlan(approvedPlan, inputText, selectionData, routing, conversationContext, stream);
+        result = execution.result;
+        plannerRun = execution.run;
+        planRecord = execution.record;
+        planTrace = execution.trace;
+      } else if (operations) {
+        // Compound request: each operation gets its own step and feeds the next one
+        result = await this.runOperationPipeline(operations, inputText, selectionData, routing, conversationContext, planMode, stream);
+      } else {
+        // Step 2: Processing with appropriate service
+        this.stateManager.addProcessingStep(this.getIntentLabel(routing.intent));
+
+        // Add generation step as active in Plan mode (before processing starts)
+        if (planMode) {
+          console.log('📝 Starting AI generation step (no reasoning yet)');
+          this.uiManager.updatePlanModeStepIndicator('generation', 'active', 'ai-generation', null);
+        }
+
+        // Alternative drafts are offered for single requests only, and not translated
+        result = await this.runIntent(routing.intent, {
+          text: textToProcess,
+          instruction: inputText,
+          reference: selectionData?.text
+        }, selectionData, {
+          ...routing,
+          alternativeDrafts: translateMode ? 0 : this.stateManager.state.alternativeDrafts || 0
+        }, conversationContext, stream);
+
+        // Mark processing step as complete
+        this.stateManager.updateLastStepStatus(this.isStopped(stream) ? 'cancelled' : 'complete');
+
+        // Update generation step to completed with reasoning in Plan mode
+        if (planMode) {
+          console.log('🔍 Generation result details:', {
+            hasReasoning: !!result?.reasoning,
+            reasoning: result?.reasoning,
+            reasoningType: typeof result?.reasoning,
+            reasoningLength: result?.reasoning?.length,
+            intent: routing.intent,
+            service: result?.service
+          });
+
+          if (result?.reasoning && result.reasoning.trim()) {
+            console.log('✅ Completing generation step WITH reasoning:', result.reasoning);
+            this.uiManager.updatePlanModeStepIndicator('generation', 'completed', 'ai-generation', result.reasoning);
+          } else {
+            console.warn('⚠️ No reasoning from AI service - completing step without reason');
+            this.uiManager.updatePlanModeStepIndicator('generation', 'completed', 'ai-generation', null);
+          }
+        }
+      }
+
+      const alreadyTranslated = approvedPlan
+        ? approvedPlan.steps.some(step => step.intent === 'translate')
+        : operations
+          ? operations.some(op => op.intent === 'translate')
+          : routing.intent === 'translate';
+
+      // Apply translation if translate mode is active (but skip if intent was already translate)
+      console.log('🔍 Checking translation condition:', {
+        translateMode: translateMode,
+        resultPrimary: result?.primary,
+        resultExists: !!result,
+        routingIntent: routing.intent,
+        conditionMet: translateMode && result?.primary && !alreadyTranslated,
+        targetLanguage: targetLanguage
+      });
+
+      const stopped = this.isStopped(stream);
+      if (translateMode && result?.primary && !alreadyTranslated && !stopped) {
+        // Step 3: Applying translation
+        this.stateManager.addProcessingStep(`Translating to ${targetLanguage}`);
+        console.log('🌐 Translate mode active, translating result to:', targetLanguage);
+        result = await this.applyTranslationToResult(result, targetLanguage, stream);
+        this.stateManager.updateLastStepStatus('complete');
+        console.log('✅ Translation completed, result:', result);
+      } else {
+        console.log('⏭️ Skipping translation:', {
+          reason: !translateMode ? 'translateMode is false' :
+                  stopped ? 'output was stopped' :
+                  !result?.primary ? 'result.primary is missing' :
+                  alreadyTranslated ? 'intent was already translate' : 'unknown'
+        });
+      }
+
+      // Prepare sources array
+      const sources = [];
+
+      // Add selected text to sources (like Sourav's profile)
+      if (selectionData && selectionData.text) {
+        const truncatedText = selectionData.text.length > 100
+          ? selectionData.text.substring(0, 100) + '...'
+          : selectionData.text;
+
+        sources.push({
+          icon: '📋',
+          title: selectionData.context?.pageTitle || 'Selected Text',
+          snippet: truncatedText,
+          url: selectionData.url || null,
+          isLocal: false
+        });
+        console.log('📋 Added selected text to sources');
+      }
+
+      // Add resume to sources if it was retrieved
+      if (retrievedResume) {
+        const sizeFormatted = this.uiManager.formatFileSize(retrievedResume.size);
+        const uploadDate = new Date(retrievedResume.uploadedAt).toLocaleDateString();
+        sources.push({
+          icon: '📄',
+          title: retrievedResume.filename,
+          snippet: `Resume • ${sizeFormatted} • Uploaded ${uploadDate}`,
+          url: null,
+          isLocal: true
+        });
+        console.log('📄 Added resume to sources:', retrievedResume.filename);
+      }
+
+      // Add the chunks a long summary cites, numbered like its [n] markers
+      if (result?.citations?.chunks.length > 1) {
+        result.citations.chunks.forEach(chunk => {
+          sources.push({
+            icon: '📑',
+            title: `[${chunk.number}] ${chunk.label}`,
+            snippet: chunk.preview,
+            url: selectionData?.url || null,
+            isLocal: !selectionData?.url
+          });
+        });
+      }
+
+      // Add what the planner looked up (web results, stored documents)
+      if (plannerRun?.sources.length > 0) {
+        plannerRun.sources
+          .filter(source => !sources.some(existing => existing.title === source.title && existing.url === source.url))
+          .forEach(source => sources.push(source));
+        console.log('🧭 Added planner sources:', plannerRun.sources.length);
+      }
+
+      // Prepare final result
+      const finalResult = {
+        ...result,
+        intent: routing.intent,
+        outputType: routing.outputType,
+        tones: routing.tones,
+        toneVector: routing.toneVector || null,
+        via: routing.via,
+        score: routing.score,
+        operations: operations ? operations.map(op => op.intent) : null,
+        plan: planRecord,
+        sources: sources.length > 0 ? sources : null,
+        stopped: this.isStopped(stream),
+        routing
+      };
+
+      if (planTrace) {
+        finalResult.planTraceId = await this.savePlanTrace(planTrace, {
+          status: finalResult.stopped ? 'stopped' : 'completed',
+          finalOutput: finalResult.primary
+        });
+      }
+
+      console.log('🎯 Final result object:', {
+        hasAlt1: !!finalResult.alt1,
+        hasAlt2: !!finalResult.alt2,
+        hasSources: !!finalResult.sources,
+        sourcesCount: sources.length,
+        keys: Object.keys(finalResult)
+      });
+
+      // Loading will be replaced by showResults, no need to explicitly hide
+      return finalResult;
+
+    } catch (error) {
+      // Error will be handled by the conversation item that called this method
+      console.error('❌ Text processing failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the processing step label for an intent
+   * @param {string} intent - Routed intent
+   * @returns {string} Step label
+   */
+  getIntentLabel(intent) {
+    return this.semanticRouter.registry.get(intent)?.label || 'Processing text';
+  }
+
+  /**
+   * Dispatch a single intent to the handler declared in the intent registry
+   * @param {string} intent - Intent to run
+   * @param {Object} input - Handler input
+   * @param {string} input.text - Text to operate on
+   * @param {string} input.instruction - User instruction for this operation
+   * @param {string} input.reference - Reference text for write (e.g. the selection)
+   * @param {Object} selectionData - Selected text data
+   * @param {Object} routing - Routing result for this operation
+   * @param {string} conversationContext - Relevant conversation history context
+   * @param {Object} stream - Request controls: {signal} to cancel, plus onToken(textSoFar) to stream
+   * @returns {Promise<Object>} Handler result
+   */
+  async runIntent(intent, input, selectionData, routing, conversationContext = '', stream = null) {
+    const registry = this.semanticRouter.registry;
+    const definition = registry.get(intent) || registry.get('rewrite');
+    if (!definition) {
+      throw new Error(`No handler registered for intent: ${intent}`);
+    }
+
+    const result = await definition.handler(this, {
+      ...input,
+      selectionData,
+      routing,
+      conversationContext,
+      stream
+    });
+
+    // A stopped draft is kept as it is
+    if (this.isStopped(stream)) {
+      return result;
+    }
+
+    return await this.reviewDraft(result, input.instruction, routing, stream);
+  }
+
+  /**
+   * Critique a write/rewrite draft against its requirements and revise it, when self-review is on
+   * @param {Object} result - Handler result
+   * @param {string} instruction - The user's request
+   * @param {Object} routing - Routing result (outputType, constraints)
+   * @param {Object} stream - Request controls ({signal, onToken}); cancelling keeps the best draft so far
+   * @returns {Promise<Object>} The result with the reviewed draft and its `critique`
+   */
+  async reviewDraft(result, instruction, routing, stream = null) {
+    const maxRounds = this.stateManager.state.critiqueRounds || 0;
+    if (!this.critiqueService || maxRounds < 1 || !['write', 'rewrite'].includes(result?.type) || !result.primary?.trim()) {
+      return result;
+    }
+
+    const tone = result.tone || null;
+    const requirements = this.critiqueService.buildRequirements({
+      instruction,
+      typeInstructions: routing?.outputType ? this.generateOutputTypeInstructions(routing.outputType, tone) : '',
+      tone,
+      constraints: routing?.constraints || [],
+      maxCharacters: this.stateManager.state.currentMaxCharacters
+    });
+
+    const planMode = this.stateManager.getPlanMode();
+    const stepId = `critique-${++this.critiqueStepCount}`;
+    this.stateManager.addProcessingStep('Reviewing draft');
+    if (planMode) {
+      this.uiManager.definePlanModeStep(stepId, 'Reviewing draft', 'Scoring the draft against your requirements', '🔍');
+      this.uiManager.updatePlanModeStepIndicator(stepId, 'active', `${stepId}-run`, null);
+    }
+
+    const notes = [];
+    const review = await this.critiqueService.review(result.primary, requirements, {
+      maxRounds,
+      ...this.signalOptions(stream),
+      onRound: (entry) => {
+        const label = entry.round === 0 ? 'Draft' : `Revision ${entry.round}`;
+        notes.push(`${label}: ${Math.round(entry.score * 100)}%${entry.issues.length > 0 ? ` (${entry.issues.join('; ')})` : ''}`);
+      }
+    });
+
+    console.log('🔍 Draft review:', { score: review.score, revisions: review.revisions, stoppedBy: review.stoppedBy });
+    if (review.stoppedBy === 'cancelled') {
+      this.stateManager.updateLastStepStatus('cancelled');
       if (planMode) {
-        console.log('📝 Starting AI generation step (no reasoning yet)');
-        this.uiManager.updatePlanModeStepIndicator('generation', 'active', 'ai-generation', null);
+        this.uiManager.updatePlanModeStepIndicator(stepId, 'cancelled', `${stepId}-run`, 'Stopped');
+      }
+      return review.score === null ? result : { ...result, primary: review.text };
+    }
+
+    this.stateManager.updateLastStepStatus(review.stoppedBy === 'error' && review.rounds.length === 0 ? 'error' : 'complete');
+    if (planMode) {
+      const outcome = review.score === null
+        ? 'Review unavailable, kept the original draft'
+        : `Final score ${Math.round(review.score * 100)}% after ${review.revisions} revision(s)`;
+      this.uiManager.updatePlanModeStepIndicator(stepId, 'completed', `${stepId}-run`,
+        this.uiManager.escapeHtml([...notes, outcome].join('\n')).replace(/\n/g, '<br>'));
+    }
+
+    if (review.score === null) {
+      return result;
+    }
+
+    return {
+      ...result,
+      primary: review.text,
+      critique: {
+        score: review.score,
+        passed: review.passed,
+        revisions: review.revisions,
+        stoppedBy: review.stoppedBy,
+        rounds: review.rounds.map(({ round, score, issues, summary, length }) => ({ round, score, issues, summary, length }))
       }
+    };
+  }
+
+  /**
+   * Generate alternative drafts next to the primary one, each with a different tone or length preset
+   * A failed alternative is skipped; a stop keeps the alternatives finished so far.
+   * @param {string} type - Draft type ('write' or 'rewrite')
+   * @param {Object} base - Tone and length of the primary draft ({tone, length})
+   * @param {number} count - Number of alternatives (routing.alternativeDrafts; 0 for pipelines and plans)
+   * @param {Function} generate - async (preset, stream) => draft text
+   * @param {Object} stream - Request controls ({signal, onToken}); alternatives never stream into the view
+   * @returns {Promise<Array<Object>>} Alternatives ({id, label, tone, length, text})
+   */
+  async generateAlternatives(type, base, count, generate, stream = null) {
+    if (!this.draftVariantService || !(count > 0) || this.isStopped(stream)) {
+      return [];
+    }
+
+    const presets = this.draftVariantService.pickPresets(type, base, count);
+    if (presets.length === 0) {
+      return [];
+    }
+
+    const requestControls = stream?.signal ? { signal: stream.signal } : null;
+    const alternatives = [];
+    this.stateManager.addProcessingStep(`Drafting alternatives (0/${presets.length})`);
+
+    for (const preset of presets) {
+      if (this.isStopped(stream)) {
+        break;
+      }
+      try {
+        const text = await generate(preset, requestControls);
+        if (text && text.trim()) {
+          alternatives.push({ id: preset.id, label: preset.label, tone: preset.tone, length: preset.length, text: text.trim() });
+        }
+      } catch (error) {
+        if (!this.isStopped(stream)) {
+          console.warn(`⚠️ Alternative draft "${preset.label}" failed:`, error);
+        }
+      }
+      this.stateManager.updateLastStepText(`Drafting alternatives (${alternatives.length}/${presets.length})`);
+    }
+
+    this.stateManager.updateLastStepStatus(this.isStopped(stream) ? 'cancelled' : 'complete');
+    console.log('🔀 Alternative drafts:', alternatives.map(alternative => alternative.label));
+    return alternatives;
+  }
+
+  /**
+   * Attach alternative drafts to a handler result (alt1/alt2 mirror the first two)
+   * @param {Object} result - Handler result
+   * @param {Array<Object>} alternatives - From generateAlternatives()
+   * @returns {Object} The result, with `alternatives` when there are any
+   */
+  withAlternatives(result, alternatives) {
+    if (alternatives.length === 0) {
+      return result;
+    }
+    return {
+      ...result,
+      alternatives,
+      alt1: alternatives[0]?.text,
+      alt2: alternatives[1]?.text
+    };
+  }
+
+  /**
+   * Apply a follow-up command to an existing result instead of starting a new conversation
+   * Removals are done in code, tone/length commands rewrite with the command's tone vector and
+   * anything else is a language model rewrite told to change nothing but what was asked.
+   * @param {string} text - The result as currently shown
+   * @param {string} instruction - Refinement command
+   * @param {Object} options - Result details
+   * @param {string} options.platform - Platform of the original request
+   * @param {Object} options.context - Platform context of the original request
+   * @param {Object} options.stream - Request controls ({signal}); refinements do not stream
+   * @returns {Promise<Object>} { primary, instruction, service, kind }
+   */
+  async refineResult(text, instruction, options = {}) {
+    if (!this.refinementService) {
+      throw new Error('Refinement is not available');
+    }
+
+    const stream = options.stream || null;
+    const command = this.refinementService.parse(instruction);
+    console.log('🪄 Refining result:', { instruction, kind: command.kind });
+
+    if (command.kind === 'remove') {
+      return {
+        primary: this.refinementService.applyRemoval(text, command),
+        instruction,
+        service: 'refinement',
+        kind: command.kind
+      };
+    }
+
+    if (command.kind === 'tone' && this.rewriterService?.isAvailable) {
+      const result = await this.handleRewrite(text, instruction, options.platform, options.context, {
+        intent: 'rewrite',
+        toneVector: command.toneVector,
+        toneConflicts: command.toneConflicts,
+        tones: command.tones
+      }, '', stream);
+      this.throwIfStopped(stream);
+      return { primary: result.primary, instruction, service: result.service, kind: command.kind };
+    }
+
+    const prompt = this.refinementService.buildPrompt(text, instruction, {
+      maxCharacters: this.stateManager.state.currentMaxCharacters
+    });
+    const output = await this.sendPrompt(new window.PromptService(), prompt, stream);
+    this.throwIfStopped(stream);
+    if (!output || !output.trim()) {
+      throw new Error('The language model returned an empty revision');
+    }
+
+    return { primary: output.trim(), instruction, service: 'languageModel', kind: command.kind };
+  }
+
+  /**
+   * Run a compound request as a chain of operations, feeding each output into the next
+   * @param {Array<Object>} operations - Ordered operations from the router ({intent, instruction, tones})
+   * @param {string} inputText - Original user input
+   * @param {Object} selectionData - Selected text data
+   * @param {Object} routing - Routing result for the whole request
+   * @param {string} conversationContext - Relevant conversation history context
+   * @param {boolean} planMode - Whether Plan mode is active
+   * @param {Object} stream - Request controls ({signal, onToken}); each stage streams over the previous one
+   * @returns {Promise<Object>} Result of the last operation with per-stage details in `stages`
+   */
+  async runOperationPipeline(operations, inputText, selectionData, routing, conversationContext, planMode, stream = null) {
+    console.log('🔗 Running operation pipeline:', operations.map(op => op.intent).join(' → '));
 
-      switch (routing.intent) {
-        case 'proofread':
-          result = await this.handleProofread(textToProcess, routing, conversationContext);
-          break;
-        case 'summarize':
-          result = await this.handleSummarize(textToProcess, selectionData?.platform, selectionData?.context, routing, conversationContext);
-          break;
-        case 'rewrite':
-          result = await this.handleRewrite(textToProcess, inputText, selectionData?.platform, selectionData?.context, routing, conversationContext);
-          break;
-        case 'write':
-          result = await this.handleWrite(inputText, selectionData?.text, selectionData?.platform, routing, conversationContext);
-          break;
-        case 'translate':
-          // Extract target language from input, fallback to settings
-          const extractedLanguage = this.extractTargetLanguage(inputText);
-          const translationTarget = extractedLanguage || targetLanguage;
-          console.log('🌐 Translation request:', {
-            extractedFromInput: extractedLanguage,
-            fromSettings: targetLanguage,
-            using: translationTarget
-          });
-          result = await this.handleTranslation(textToProcess, translationTarget, selectionData?.platform, selectionData?.context, conversationContext);
-          break;
-        default:
-          result = await this.handleRewrite(textToProcess, inputText, selectionData?.platform, selectionData?.context, routing, conversationContext);
-          break;
-      }
+    let currentText = selectionData?.text || inputText;
+    let result = null;
+    const stages = [];
 
-      // Mark processing step as complete
-      this.stateManager.updateLastStepStatus('complete');
+    for (let i = 0; i < operations.length; i++) {
+      const operation = operations[i];
+      const stageId = `stage-${i + 1}`;
+      const stageLabel = `${this.getIntentLabel(operation.intent)} (${i + 1}/${operations.length})`;
 
-      // Update generation step to completed with reasoning in Plan mode
+      this.stateManager.addProcessingStep(stageLabel);
       if (planMode) {
-        console.log('🔍 Generation result details:', {
-          hasReasoning: !!result?.reasoning,
-          reasoning: result?.reasoning,
-          reasoningType: typeof result?.reasoning,
-          reasoningLength: result?.reasoning?.length,
-          intent: routing.intent,
-          service: result?.service
-        });
-
-        if (result?.reasoning && result.reasoning.trim()) {
-          console.log('✅ Completing generation step WITH reasoning:', result.reasoning);
-          this.uiManager.updatePlanModeStepIndicator('generation', 'completed', 'ai-generation', result.reasoning);
-        } else {
-          console.warn('⚠️ No reasoning from AI service - completing step without reason');
-          this.uiManager.updatePlanModeStepIndicator('generation', 'completed', 'ai-generation', null);
-        }
+        this.uiManager.definePlanModeStep(stageId, stageLabel, operation.instruction);
+        this.uiManager.updatePlanModeStepIndicator(stageId, 'active', `${stageId}-run`, null);
       }
 
-      // Apply translation if translate mode is active (but skip if intent was already translate)
-      console.log('🔍 Checking translation condition:', {
-        translateMode: translateMode,
-        resultPrimary: result?.primary,
-        resultExists: !!result,
-        routingIntent: routing.intent,
-        conditionMet: translateMode && result?.primary && routing.intent !== 'translate',
-        targetLanguage: targetLanguage
-      });
+      const stageRouting = {
+        ...routing,
+        intent: operation.intent,
+        tones: operation.tones.length > 0 ? operation.tones : routing.tones,
+        toneVector: operation.toneVector || routing.toneVector,
+        toneConflicts: operation.toneConflicts || routing.toneConflicts
+      };
 
-      if (translateMode && result?.primary && routing.intent !== 'translate') {
-        // Step 3: Applying translation
-        this.stateManager.addProcessingStep(`Translating to ${targetLanguage}`);
-        console.log('🌐 Translate mode active, translating result to:', targetLanguage);
-        result = await this.applyTranslationToResult(result, targetLanguage);
-        this.stateManager.updateLastStepStatus('complete');
-        console.log('✅ Translation completed, result:', result);
-      } else {
-        console.log('⏭️ Skipping translation:', {
-          reason: !translateMode ? 'translateMode is false' :
-                  !result?.primary ? 'result.primary is missing' :
-                  routing.intent === 'translate' ? 'intent was already translate' : 'unknown'
-        });
+      // Only the first stage can draft from the selection; later stages draft from the previous output
+      result = await this.runIntent(operation.intent, {
+        text: currentText,
+        instruction: operation.instruction,
+        reference: i === 0 ? selectionData?.text : currentText
+      }, selectionData, stageRouting, conversationContext, stream);
+
+      const output = result?.primary || '';
+      if (this.isStopped(stream)) {
+        // Keep whatever the stopped stage produced, or the last finished stage's output
+        this.stateManager.updateLastStepStatus('cancelled');
+        if (planMode) {
+          this.uiManager.updatePlanModeStepIndicator(stageId, 'cancelled', `${stageId}-run`, 'Stopped');
+        }
+        currentText = output.trim() ? output : currentText;
+        break;
+      }
+      if (!output.trim()) {
+        this.stateManager.updateLastStepStatus('error');
+        throw new Error(`${stageLabel} returned no output`);
       }
 
-      // Prepare sources array
-      const sources = [];
-
-      // Add selected text to sources (like Sourav's profile)
-      if (selectionData && selectionData.text) {
-        const truncatedText = selectionData.text.length > 100
-          ? selectionData.text.substring(0, 100) + '...'
-          : selectionData.text;
+      const stage = {
+        intent: operation.intent,
+        instruction: operation.instruction,
+        input: currentText,
+        output,
+        service: result.service || null
+      };
+      stages.push(stage);
 
-        sources.push({
-          icon: '📋',
-          title: selectionData.context?.pageTitle || 'Selected Text',
-          snippet: truncatedText,
-          url: selectionData.url || null,
-          isLocal: false
-        });
-        console.log('📋 Added selected text to sources');
+      this.stateManager.setLastStepDetails(stage);
+      this.stateManager.updateLastStepStatus('complete');
+      if (planMode) {
+        const outputPreview = output.length > 160 ? output.substring(0, 160) + '...' : output;
+        this.uiManager.updatePlanModeStepIndicator(stageId, 'completed', `${stageId}-run`,
+          result.reasoning || this.uiManager.escapeHtml(outputPreview));
       }
 
-      // Add resume to sources if it was retrieved
-      if (retrievedResume) {
-        const sizeFormatted = this.uiManager.formatFileSize(retrievedResume.size);
-        const uploadDate = new Date(retrievedResume.uploadedAt).toLocaleDateString();
-        sources.push({
-          icon: '📄',
-          title: retrievedResume.filename,
-          snippet: `Resume • ${sizeFormatted} • Uploaded ${uploadDate}`,
-          url: null,
-          isLocal: true
-        });
-        console.log('📄 Added resume to sources:', retrievedResume.filename);
-      }
+      currentText = output;
+    }
 
-      // Prepare final result
-      const finalResult = {
-        ...result,
-        intent: routing.intent,
-        outputType: routing.outputType,
-        tones: routing.tones,
-        via: routing.via,
-        score: routing.score,
-        sources: sources.length > 0 ? sources : null
-      };
+    return {
+      ...result,
+      primary: currentText,
+      stages
+    };
+  }
 
-      console.log('🎯 Final result object:', {
-        hasAlt1: !!finalResult.alt1,
-        hasAlt2: !!finalResult.alt2,
-        hasSources: !!finalResult.sources,
-        sourcesCount: sources.length,
-        keys: Object.keys(finalResult)
-      });
+  /**
+   * Whether the user stopped or cancelled the request
+   * @param {Object} stream - Request controls ({signal, onToken}) or null
+   * @returns {boolean}
+   */
+  isStopped(stream) {
+    return Boolean(stream?.signal?.aborted);
+  }
 
-      // Loading will be replaced by showResults, no need to explicitly hide
-      return finalResult;
+  /**
+   * Abort the request here when it was cancelled before producing anything worth keeping
+   * @param {Object} stream - Request controls ({signal, onToken}) or null
+   * @throws {DOMException} The signal's abort reason (an AbortError)
+   */
+  throwIfStopped(stream) {
+    stream?.signal?.throwIfAborted();
+  }
 
-    } catch (error) {
-      // Error will be handled by the conversation item that called this method
-      console.error('❌ Text processing failed:', error);
-      throw error;
+  /**
+   * Service call options carrying the request's abort signal
+   * @param {Object} stream - Request controls ({signal, onToken}) or null
+   * @returns {Object} { signal } or {}
+   */
+  signalOptions(stream) {
+    return stream?.signal ? { signal: stream.signal } : {};
+  }
+
+  /**
+   * Send a prompt to the language model, streaming it into the view when the request streams
+   * The Plan mode REASONING line is hidden while streaming; callers still parse it from the full output.
+   * @param {PromptService} promptService - Session to use
+   * @param {string} prompt - Prompt
+   * @param {Object} stream - Request controls ({signal, onToken}); without onToken the call blocks
+   * @returns {Promise<string>} Output, or what was generated before a stop
+   */
+  async sendPrompt(promptService, prompt, stream = null) {
+    if (!stream?.onToken) {
+      return await promptService.send(prompt, [], this.signalOptions(stream));
     }
+    return await promptService.sendStreaming(prompt, { signal: stream.signal },
+      (chunk, fullText) => stream.onToken(fullText.replace(/\n*REASONING:[\s\S]*$/i, '')));
   }
 
   /**
@@ -395,7 +1488,7 @@ class TonePilotAIServicesManager {
    * @param {string} text - Text to proofread
    * @returns {Object} Proofread results
    */
-  async handleProofread(text, routing = null, conversationContext = '') {
+  async handleProofread(text, routing = null, conversationContext = '', stream = null) {
     console.log('📝 Proofreading text...');
     if (conversationContext) {
       console.log('📚 Using conversation context for proofreading');
@@ -404,11 +1497,11 @@ class TonePilotAIServicesManager {
     if (!this.proofreaderService.isAvailable) {
       console.warn('⚠️ Proofreader service not available, using fallback');
       // Fallback to language model if proofreader not available
-      return await this.handleRewrite(text, 'Please proofread and correct any errors in this text');
+      return await this.handleRewrite(text, 'Please proofread and correct any errors in this text', null, null, null, '', stream);
     }
 
     try {
-      const result = await this.proofreaderService.proofread(text);
+      const result = await this.proofreaderService.proofread(text, this.signalOptions(stream));
       return {
         primary: result.corrected,
         original: result.original,
@@ -416,8 +1509,11 @@ class TonePilotAIServicesManager {
         service: 'proofreader'
       };
     } catch (error) {
+      if (this.isStopped(stream)) {
+        throw error;
+      }
       console.error('❌ Proofreader service failed, using fallback:', error);
-      return await this.handleRewrite(text, 'Please proofread and correct any errors in this text');
+      return await this.handleRewrite(text, 'Please proofread and correct any errors in this text', null, null, null, '', stream);
     }
   }
 
@@ -428,7 +1524,7 @@ class TonePilotAIServicesManager {
    * @param {Object} context - Additional context from platform (author, engagement, etc.)
    * @returns {Object} Summary results
    */
-  async handleSummarize(text, platform, context, routing = null, conversationContext = '') {
+  async handleSummarize(text, platform, context, routing = null, conversationContext = '', stream = null) {
     console.log('📋 Summarizing text...');
     if (conversationContext) {
       console.log('📚 Using conversation context for summarization');
@@ -436,11 +1532,17 @@ class TonePilotAIServicesManager {
     console.log('Platform:', platform);
     console.log('Context:', context);
 
+    // Longer than one call can take: summarize in chunks, then merge
+    const maxTextLength = window.TONEPILOT_CONSTANTS.LIMITS.MAX_TEXT_LENGTH;
+    if (text.length > maxTextLength) {
+      return await this.handleLongSummarize(text, platform, context, maxTextLength, stream);
+    }
+
     if (!this.summarizerService.isAvailable) {
       console.warn('⚠️ Summarizer service not available, using fallback');
       // Fallback to language model with platform context
       const platformAwarePrompt = this.generateSummarizationPrompt(platform, context);
-      return await this.handleRewrite(text, platformAwarePrompt);
+      return await this.handleRewrite(text, platformAwarePrompt, null, null, null, '', stream);
     }
 
     try {
@@ -452,10 +1554,16 @@ class TonePilotAIServicesManager {
         context: context
       });
 
-      const result = await this.summarizerService.summarize(text, {
+      const summaryOptions = {
         type: 'key-points',
         length: 'medium'
-      });
+      };
+      const result = stream?.onToken
+        ? {
+          summary: await this.summarizerService.summarizeStreaming(text, { ...summaryOptions, signal: stream.signal },
+            (chunk, fullText) => stream.onToken(fullText))
+        }
+        : await this.summarizerService.summarize(text, { ...summaryOptions, ...this.signalOptions(stream) });
 
       return {
         primary: result.summary,
@@ -466,10 +1574,114 @@ class TonePilotAIServicesManager {
         context: context
       };
     } catch (error) {
+      if (this.isStopped(stream)) {
+        throw error;
+      }
       console.error('❌ Summarizer service failed, using fallback:', error);
       const platformAwarePrompt = this.generateSummarizationPrompt(platform, context);
-      return await this.handleRewrite(text, platformAwarePrompt);
+      return await this.handleRewrite(text, platformAwarePrompt, null, null, null, '', stream);
+    }
+  }
+
+  /**
+   * Map-reduce summarization for long articles, PDFs and threads, with each bullet citing its source chunk
+   * Progress shows in the step indicator; the language model stands in when the Summarizer API fails.
+   * @param {string} text - Text to summarize
+   * @param {string} platform - Platform identifier
+   * @param {Object} context - Additional context from platform
+   * @param {number} chunkSize - Largest chunk in characters
+   * @param {Object} stream - Request controls ({signal, onToken}); a stop cancels the section and merge calls in flight
+   * @returns {Promise<Object>} Summary result with `citations`
+   */
+  async handleLongSummarize(text, platform, context, chunkSize, stream = null) {
+    const planMode = this.stateManager.getPlanMode();
+    const stepId = 'long-summary';
+    let started = false;
+
+    const onProgress = ({ phase, completed, total }) => {
+      const label = phase === 'map' ? `Summarizing sections (${completed}/${total})` : 'Merging section summaries';
+      if (!started) {
+        started = true;
+        this.stateManager.addProcessingStep(label);
+        if (planMode) {
+          this.uiManager.definePlanModeStep(stepId, 'Summarizing long text', `Splitting into ${total} sections`, '📚');
+        }
+      } else {
+        this.stateManager.updateLastStepText(label);
+      }
+      if (planMode) {
+        this.uiManager.updatePlanModeStepIndicator(stepId, 'active', `${stepId}-run`, this.uiManager.escapeHtml(label));
+      }
+    };
+
+    // Bullets are only cited once every section is merged, so a stop keeps nothing
+    const useSummarizer = async () => {
+      await this.summarizerService.initialize({ type: 'key-points', length: 'medium', platform, context });
+      return await this.summarizerService.summarizeLong(text, { chunkSize, onProgress, ...this.signalOptions(stream) });
+    };
+    const useLanguageModel = async () => {
+      const instructions = this.generateSummarizationPrompt(platform, context);
+      return await this.summarizerService.summarizeLong(text, {
+        chunkSize,
+        onProgress,
+        ...this.signalOptions(stream),
+        summarizeChunk: async (chunkText, chunkOptions) => {
+          const promptService = new window.PromptService();
+          return await promptService.send(`${instructions} ${chunkOptions.context}\n\nText:\n"${chunkText}"\n\nRespond with a markdown bullet list of key points only.`,
+            [], this.signalOptions(stream));
+        }
+      });
+    };
+
+    let result;
+    let service = 'summarizer';
+    if (this.summarizerService.isAvailable) {
+      try {
+        result = await useSummarizer();
+      } catch (error) {
+        if (this.isStopped(stream)) {
+          throw error;
+        }
+        console.error('❌ Chunked summarization failed, using language model fallback:', error);
+      }
+    }
+    if (!result) {
+      service = 'languageModel';
+      if (started) {
+        this.stateManager.updateLastStepStatus('error');
+        started = false;
+      }
+      result = await useLanguageModel();
+    }
+
+    this.stateManager.updateLastStepStatus('complete');
+    if (planMode) {
+      this.uiManager.updatePlanModeStepIndicator(stepId, 'completed', `${stepId}-run`,
+        this.uiManager.escapeHtml(`Summarized ${result.chunks.length} sections into ${result.bullets.length} key points`));
     }
+
+    const primary = result.bullets
+      .map(bullet => `- ${bullet.text}${bullet.chunks.map(chunk => ` [${chunk + 1}]`).join('')}`)
+      .join('\n');
+
+    return {
+      primary,
+      original: text,
+      type: 'summarize',
+      service,
+      platform,
+      context,
+      citations: {
+        chunks: result.chunks.map(chunk => ({
+          number: chunk.index + 1,
+          label: chunk.label,
+          start: chunk.start,
+          end: chunk.end,
+          preview: chunk.text.length > 140 ? `${chunk.text.substring(0, 140)}...` : chunk.text
+        })),
+        bullets: result.bullets
+      }
+    };
   }
 
   /**
@@ -480,9 +1692,19 @@ class TonePilotAIServicesManager {
   async generateProcessingReasoning(params) {
     const { intent, userQuery, platform, routing } = params;
 
+    // Fallback to generic reasoning
+    const fallbacks = {
+      'write': 'I will create new content based on your request',
+      'rewrite': 'I will revise the text to improve quality',
+      'translate': 'I will translate while preserving the meaning',
+      'summarize': 'I will extract the key points',
+      'proofread': 'I will check and fix any errors'
+    };
+    const fallbackReasoning = fallbacks[intent] || 'I will process your request';
+
     try {
       const promptService = new window.PromptService();
-      const tones = routing?.tones?.join(', ') || 'neutral';
+      const tones = (routing?.toneVector && window.toneAnalyzer ? window.toneAnalyzer.toPhrase(routing.toneVector) : routing?.tones?.join(', ')) || 'neutral';
       const outputType = routing?.outputType || 'text';
 
       const reasoningPrompt = `Generate a single brief sentence (8-12 words) explaining how you'll help the user.
@@ -492,30 +1714,35 @@ Task: ${intent}
 Tone needed: ${tones}
 Output format: ${outputType}
 
-CRITICAL: Respond with ONLY ONE sentence. No quotes, no extra text. Start with "I will" or "I'll".
+CRITICAL: The sentence must start with "I will" or "I'll".
 
 Good examples:
 - I will draft a professional email with formal tone
 - I'll revise the content for clarity and impact
 - I will rewrite this to sound more polite
 
-Your response (one sentence only):`;
+Respond in this exact JSON format:
+{ "reasoning": "I will ..." }`;
+
+      const structured = await promptService.sendStructured(reasoningPrompt, {
+        schema: {
+          type: 'object',
+          properties: { reasoning: { type: 'string' } },
+          required: ['reasoning']
+        },
+        fallback: { reasoning: fallbackReasoning }
+      });
+
+      if (structured.coercedFields.length > 0) {
+        console.warn('🔧 Processing reasoning coerced fields:', structured.coercedFields);
+      }
 
-      const reasoning = await promptService.send(reasoningPrompt);
-      const cleaned = reasoning.trim().replace(/^["']|["']$/g, '').split('\n')[0]; // Remove quotes and take first line only
+      const cleaned = (structured.data?.reasoning || fallbackReasoning).trim().replace(/^["']|["']$/g, '').split('\n')[0]; // Remove quotes and take first line only
       console.log('🤖 Generated processing reasoning:', cleaned);
-      return cleaned;
+      return cleaned || fallbackReasoning;
     } catch (error) {
       console.error('❌ Failed to generate reasoning:', error);
-      // Fallback to generic reasoning
-      const fallbacks = {
-        'write': 'I will create new content based on your request',
-        'rewrite': 'I will revise the text to improve quality',
-        'translate': 'I will translate while preserving the meaning',
-        'summarize': 'I will extract the key points',
-        'proofread': 'I will check and fix any errors'
-      };
-      return fallbacks[intent] || 'I will process your request';
+      return fallbackReasoning;
     }
   }
 
@@ -539,7 +1766,7 @@ Your response (one sentence only):`;
    * @param {Object} context - Additional context from platform
    * @returns {Object} Rewrite results
    */
-  async handleRewrite(text, instructions, platform, context, routing = null, conversationContext = '') {
+  async handleRewrite(text, instructions, platform, context, routing = null, conversationContext = '', stream = null) {
     console.log('✏️ Rewriting text...');
     if (conversationContext) {
       console.log('📚 Using conversation context for rewriting');
@@ -548,8 +1775,11 @@ Your response (one sentence only):`;
     console.log('Context:', context);
     console.log('📝 Routing info:', routing);
 
-    // Determine tone from instructions (enhanced with routing info)
-    const tone = routing?.tones?.length > 0 ? routing.tones[0] : this.extractToneFromInstructions(instructions);
+    // Determine tone/length from the routing tone vector, falling back to keywords in the instructions
+    const toneOptions = routing?.toneVector ? this.rewriterService.mapToneVector(routing.toneVector, routing.toneConflicts) : null;
+    const tone = toneOptions ? toneOptions.tone : this.extractToneFromInstructions(instructions);
+    const length = toneOptions ? toneOptions.length : 'as-is';
+    const toneGuidance = this.buildToneGuidance(routing);
     const outputType = routing?.outputType;
 
     console.log('🎨 Detected tone:', tone, 'Output type:', outputType);
@@ -568,25 +1798,27 @@ Your response (one sentence only):`;
           prompt = platformContext;
         }
 
-        prompt += `\n\nText to process: "${text}"`;
+        prompt += `${toneGuidance}\n\nText to process: "${text}"`;
 
         // Add conversation context if available
         if (conversationContext) {
           prompt = `${conversationContext}\n\n${prompt}\n\nConsider the conversation history above when rewriting.`;
         }
 
-        // Add document context if relevant (resume, email templates, etc.)
-        const documentContext = await this.getDocumentContext(instructions);
+        // Add document context if relevant (profile facts, resume, email templates, etc.)
+        const documentContext = await this.getDocumentContext(instructions, outputType);
         if (documentContext) {
           prompt = `${prompt}${documentContext}`;
         }
 
+        const draftPrompt = prompt;
+
         // Add reasoning request in Plan mode
         if (planMode) {
           prompt = `${prompt}\n\nIMPORTANT: After the rewritten text, add a brief line starting with "REASONING:" explaining your rewriting approach (1 sentence).`;
         }
 
-        const result = await promptService.send(prompt);
+        const result = await this.sendPrompt(promptService, prompt, stream);
 
         // Extract reasoning if present
         let finalResult = result;
@@ -599,7 +1831,10 @@ Your response (one sentence only):`;
           }
         }
 
-        return {
+        const alternatives = await this.generateAlternatives('rewrite', { tone, length }, routing?.alternativeDrafts, stream,
+          (preset, controls) => this.sendPrompt(new window.PromptService(), `${draftPrompt}\n\n${preset.guidance}`, controls));
+
+        return this.withAlternatives({
           primary: finalResult,
           original: text,
           type: 'rewrite',
@@ -607,7 +1842,7 @@ Your response (one sentence only):`;
           tone: tone,
           platform: platform,
           reasoning: reasoning
-        };
+        }, alternatives);
       } catch (error) {
         throw new Error(`Language model fallback failed: ${error.message}`);
       }
@@ -618,21 +1853,35 @@ Your response (one sentence only):`;
       await this.rewriterService.initialize({
         tone: tone,
         format: 'as-is',
-        length: 'as-is',
+        length: length,
         platform: platform,
         context: context
       });
 
-      const result = await this.rewriterService.rewrite(text, {
+      // Shared context: confirmed profile facts the instructions call for, plus what the planner gathered
+      const sharedContext = [this.getProfileContext(instructions, outputType), routing?.plannerContext]
+        .filter(Boolean)
+        .join('\n\n');
+      const rewriteOptions = {
         tone: tone,
         format: 'as-is',
-        length: 'as-is'
-      });
+        length: length,
+        context: sharedContext || undefined,
+        toneVector: routing?.toneVector,
+        toneConflicts: routing?.toneConflicts
+      };
+      const result = stream?.onToken
+        ? {
+          original: text,
+          rewritten: await this.rewriterService.rewriteStreaming(text, { ...rewriteOptions, signal: stream.signal },
+            (chunk, fullText) => stream.onToken(fullText))
+        }
+        : await this.rewriterService.rewrite(text, { ...rewriteOptions, ...this.signalOptions(stream) });
 
       // Generate reasoning in Plan mode
       const planMode = this.stateManager.getPlanMode();
       let reasoning = null;
-      if (planMode) {
+      if (planMode && !this.isStopped(stream)) {
         reasoning = await this.generateProcessingReasoning({
           intent: 'rewrite',
           userQuery: instructions,
@@ -642,7 +1891,18 @@ Your response (one sentence only):`;
         console.log('💡 Generated reasoning for rewrite:', reasoning);
       }
 
-      return {
+      // Alternatives use a preset's tone/length instead of the routed tone vector
+      const alternatives = await this.generateAlternatives('rewrite', { tone, length }, routing?.alternativeDrafts, stream,
+        async (preset, controls) => (await this.rewriterService.rewrite(text, {
+          ...rewriteOptions,
+          tone: preset.tone,
+          length: preset.length,
+          toneVector: undefined,
+          toneConflicts: undefined,
+          ...(controls || {})
+        })).rewritten);
+
+      return this.withAlternatives({
         primary: result.rewritten,
         original: result.original,
         type: 'rewrite',
@@ -651,8 +1911,11 @@ Your response (one sentence only):`;
         platform: platform,
         context: context,
         reasoning: reasoning
-      };
+      }, alternatives);
     } catch (error) {
+      if (this.isStopped(stream)) {
+        throw error;
+      }
       console.error('❌ Rewriter service failed, using language model fallback:', error);
       try {
         const promptService = new window.PromptService();
@@ -664,8 +1927,8 @@ Your response (one sentence only):`;
           prompt = platformContext;
         }
 
-        prompt += `\n\nText to process: "${text}"`;
-        const result = await promptService.send(prompt);
+        prompt += `${toneGuidance}\n\nText to process: "${text}"`;
+        const result = await this.sendPrompt(promptService, prompt, stream);
         return {
           primary: result,
           original: text,
@@ -687,7 +1950,7 @@ Your response (one sentence only):`;
    * @param {string} platform - Platform identifier for context-aware writing
    * @returns {Object} Write results
    */
-  async handleWrite(query, context, platform, routing = null, conversationContext = '') {
+  async handleWrite(query, context, platform, routing = null, conversationContext = '', stream = null) {
     console.log('✏️ Writing text...');
     if (conversationContext) {
       console.log('📚 Using conversation context for writing');
@@ -697,8 +1960,11 @@ Your response (one sentence only):`;
     console.log('Platform:', platform);
     console.log('📝 Routing info:', routing);
 
-    // Determine tone from query (enhanced with routing info)
-    const tone = routing?.tones?.length > 0 ? routing.tones[0] : this.extractToneFromQuery(query);
+    // Determine tone/length from the routing tone vector, falling back to keywords in the query
+    const toneOptions = routing?.toneVector && this.writerService ? this.writerService.mapToneVector(routing.toneVector, routing.toneConflicts) : null;
+    const tone = toneOptions ? toneOptions.tone : this.extractToneFromQuery(query);
+    const length = toneOptions ? toneOptions.length : 'medium';
+    const toneGuidance = this.buildToneGuidance(routing);
     const outputType = routing?.outputType;
 
     console.log('🎨 Detected tone:', tone, 'Output type:', outputType);
@@ -723,6 +1989,8 @@ Your response (one sentence only):`;
           prompt = `${typeInstructions}\n\n${query}`;
         }
 
+        prompt += toneGuidance;
+
         // Add platform-specific context
         if (platform) {
           const platformContext = this.generatePlatformContext(platform);
@@ -734,18 +2002,20 @@ Your response (one sentence only):`;
           prompt = `${prompt}\n\nContext to consider: "${context}"`;
         }
 
-        // Add document context if relevant (resume, email templates, etc.)
-        const documentContext = await this.getDocumentContext(query);
+        // Add document context if relevant (profile facts, resume, email templates, etc.)
+        const documentContext = await this.getDocumentContext(query, outputType);
         if (documentContext) {
           prompt = `${prompt}${documentContext}`;
         }
 
+        const draftPrompt = prompt;
+
         // Add reasoning request in Plan mode
         if (planMode) {
           prompt = `${prompt}\n\nIMPORTANT: After generating the content, add a brief line at the end starting with "REASONING:" explaining your approach (1 sentence).`;
         }
 
-        const result = await promptService.send(prompt);
+        const result = await this.sendPrompt(promptService, prompt, stream);
 
         console.log('✅ PromptService result (initial fallback):', {
           hasResult: !!result,
@@ -753,7 +2023,7 @@ Your response (one sentence only):`;
           resultPreview: result?.substring(0, 100)
         });
 
-        if (!result || !result.trim()) {
+        if ((!result || !result.trim()) && !this.isStopped(stream)) {
           console.error('❌ PromptService returned empty result!');
           throw new Error('PromptService returned empty result');
         }
@@ -769,7 +2039,10 @@ Your response (one sentence only):`;
           }
         }
 
-        return {
+        const alternatives = await this.generateAlternatives('write', { tone, length }, routing?.alternativeDrafts, stream,
+          (preset, controls) => this.sendPrompt(new window.PromptService(), `${draftPrompt}\n\n${preset.guidance}`, controls));
+
+        return this.withAlternatives({
           primary: finalResult,
           original: query,
           context: context || '',
@@ -777,7 +2050,7 @@ Your response (one sentence only):`;
           service: 'languageModel',
           tone: tone,
           reasoning: reasoning
-        };
+        }, alternatives);
       } catch (error) {
         throw new Error(`Language model fallback failed: ${error.message}`);
       }
@@ -789,19 +2062,24 @@ Your response (one sentence only):`;
       await this.writerService.initialize({
         tone: tone,
         format: format,
-        length: 'medium',
+        length: length,
         platform: platform
       });
 
       // Build enhanced context with document data
       let enhancedContext = context;
 
-      // Add document data if relevant (resume, email templates, etc.)
-      const documentContext = await this.getDocumentContext(query);
+      // Add document data if relevant (profile facts, resume, email templates, etc.)
+      const documentContext = await this.getDocumentContext(query, outputType);
       if (documentContext) {
         enhancedContext = enhancedContext ? `${enhancedContext}${documentContext}` : documentContext.trim();
       }
 
+      // Add what the Plan mode planner gathered
+      if (routing?.plannerContext) {
+        enhancedContext = enhancedContext ? `${enhancedContext}\n\n${routing.plannerContext}` : routing.plannerContext;
+      }
+
       // Enhance query with output type guidance since Writer API only supports plain-text/markdown
       let enhancedQuery = query;
       if (outputType && outputType !== 'plain-text') {
@@ -824,9 +2102,15 @@ Your response (one sentence only):`;
       }
 
       // Use Writer API
-      const result = await this.writerService.write(enhancedQuery, enhancedContext, {
-        context: enhancedContext || undefined
-      });
+      const writeOptions = {
+        context: enhancedContext || undefined,
+        toneVector: routing?.toneVector,
+        toneConflicts: routing?.toneConflicts
+      };
+      const result = stream?.onToken
+        ? await this.writerService.writeStreaming(enhancedQuery, enhancedContext, { ...writeOptions, signal: stream.signal },
+          (chunk, fullText) => stream.onToken(fullText))
+        : await this.writerService.write(enhancedQuery, enhancedContext, { ...writeOptions, ...this.signalOptions(stream) });
 
       console.log('✅ Writer service result:', {
         hasOutput: !!result.output,
@@ -834,7 +2118,7 @@ Your response (one sentence only):`;
         outputPreview: result.output?.substring(0, 100)
       });
 
-      if (!result.output || !result.output.trim()) {
+      if ((!result.output || !result.output.trim()) && !result.stopped) {
         console.error('❌ Writer service returned empty output!', result);
         throw new Error('Writer service returned empty output');
       }
@@ -842,7 +2126,7 @@ Your response (one sentence only):`;
       // Generate reasoning in Plan mode
       const planMode = this.stateManager.getPlanMode();
       let reasoning = null;
-      if (planMode) {
+      if (planMode && !result.stopped) {
         reasoning = await this.generateProcessingReasoning({
           intent: 'write',
           userQuery: query,
@@ -852,7 +2136,18 @@ Your response (one sentence only):`;
         console.log('💡 Generated reasoning for write:', reasoning);
       }
 
-      return {
+      // Alternatives use a preset's tone/length instead of the routed tone vector
+      const alternatives = result.stopped ? [] : await this.generateAlternatives('write', { tone, length }, routing?.alternativeDrafts, stream,
+        async (preset, controls) => (await this.writerService.write(enhancedQuery, enhancedContext, {
+          ...writeOptions,
+          tone: preset.tone,
+          length: preset.length,
+          toneVector: undefined,
+          toneConflicts: undefined,
+          ...(controls || {})
+        })).output);
+
+      return this.withAlternatives({
         primary: result.output,
         original: query,
         context: enhancedContext || '',
@@ -861,8 +2156,11 @@ Your response (one sentence only):`;
         tone: tone,
         metadata: result.metadata,
         reasoning: reasoning
-      };
+      }, alternatives);
     } catch (error) {
+      if (this.isStopped(stream)) {
+        throw error;
+      }
       console.error('❌ Writer service failed, using language model fallback:', error);
       try {
         const promptService = new window.PromptService();
@@ -874,18 +2172,20 @@ Your response (one sentence only):`;
           prompt = `${platformContext}\n\n${query}`;
         }
 
+        prompt += toneGuidance;
+
         // Add context if provided
         if (context && context.trim()) {
           prompt = `${prompt}\n\nContext to consider: "${context}"`;
         }
 
-        // Add document context if relevant (resume, email templates, etc.)
-        const documentContext = await this.getDocumentContext(query);
+        // Add document context if relevant (profile facts, resume, email templates, etc.)
+        const documentContext = await this.getDocumentContext(query, outputType);
         if (documentContext) {
           prompt = `${prompt}${documentContext}`;
         }
 
-        const result = await promptService.send(prompt);
+        const result = await this.sendPrompt(promptService, prompt, stream);
 
         console.log('✅ PromptService result (error fallback):', {
           hasResult: !!result,
@@ -893,7 +2193,7 @@ Your response (one sentence only):`;
           resultPreview: result?.substring(0, 100)
         });
 
-        if (!result || !result.trim()) {
+        if ((!result || !result.trim()) && !this.isStopped(stream)) {
           console.error('❌ PromptService error fallback returned empty result!');
           throw new Error('PromptService error fallback returned empty result');
         }
@@ -920,7 +2220,7 @@ Your response (one sentence only):`;
    * @param {Object} context - Additional context from platform
    * @returns {Object} Translation results
    */
-  async handleTranslation(text, targetLanguage, platform = null, context = null, conversationContext = '') {
+  async handleTranslation(text, targetLanguage, platform = null, context = null, conversationContext = '', stream = null) {
     console.log('🌐 Translating text...');
     if (conversationContext) {
       console.log('📚 Using conversation context for translation');
@@ -954,10 +2254,10 @@ Your response (one sentence only):`;
 
         prompt += `Translate the following text to ${this.getLanguageName(targetLanguage)}:\n\n"${text}"`;
 
-        const result = await promptService.send(prompt);
+        const result = await this.sendPrompt(promptService, prompt, stream);
 
         // Validate result
-        if (!result || result.trim().length === 0) {
+        if ((!result || result.trim().length === 0) && !this.isStopped(stream)) {
           throw new Error('Language model returned empty translation');
         }
 
@@ -977,9 +2277,16 @@ Your response (one sentence only):`;
     }
 
     try {
-      const result = await this.translationService.translate(text, {
-        targetLanguage: targetLanguage
-      });
+      const result = stream?.onToken
+        ? await this.translationService.translateStreaming(text, {
+          targetLanguage: targetLanguage,
+          signal: stream.signal,
+          onChunk: (chunk, translatedText) => stream.onToken(translatedText)
+        })
+        : await this.translationService.translate(text, {
+          targetLanguage: targetLanguage,
+          ...this.signalOptions(stream)
+        });
 
       const translationResult = {
         primary: result.translated,
@@ -994,12 +2301,15 @@ Your response (one sentence only):`;
       console.log('🔄 Translation result (translator):', translationResult);
 
       // Validate result has content
-      if (!translationResult.primary || translationResult.primary.trim().length === 0) {
+      if ((!translationResult.primary || translationResult.primary.trim().length === 0) && !result.stopped) {
         throw new Error('Translation returned empty result');
       }
 
       return translationResult;
     } catch (error) {
+      if (this.isStopped(stream)) {
+        throw error;
+      }
       console.error('❌ Translation service failed, using language model fallback:', error);
       try {
         const promptService = new window.PromptService();
@@ -1013,10 +2323,10 @@ Your response (one sentence only):`;
 
         prompt += `Translate the following text to ${this.getLanguageName(targetLanguage)}:\n\n"${text}"`;
 
-        const result = await promptService.send(prompt);
+        const result = await this.sendPrompt(promptService, prompt, stream);
 
         // Validate result
-        if (!result || result.trim().length === 0) {
+        if ((!result || result.trim().length === 0) && !this.isStopped(stream)) {
           throw new Error('Language model returned empty translation');
         }
 
@@ -1038,9 +2348,10 @@ Your response (one sentence only):`;
    * Apply translation to a result object
    * @param {Object} result - Result object from any service
    * @param {string} targetLanguage - Target language code
+   * @param {Object} stream - Request controls: {signal} to cancel, plus onToken(textSoFar) to stream
    * @returns {Object} Result with translated primary content
    */
-  async applyTranslationToResult(result, targetLanguage) {
+  async applyTranslationToResult(result, targetLanguage, stream = null) {
     console.log('🎯 applyTranslationToResult called with:', {
       result: result,
       targetLanguage: targetLanguage,
@@ -1062,7 +2373,7 @@ Your response (one sentence only):`;
       console.log('🔄 Translating result:', textToTranslate);
 
       // Use translation service to translate the result (inherit platform from original result if available)
-      const translationResult = await this.handleTranslation(textToTranslate, targetLanguage, result.platform, result.context);
+      const translationResult = await this.handleTranslation(textToTranslate, targetLanguage, result.platform, result.context, '', stream);
 
       // Return modified result with translated primary content
       return {
@@ -1086,55 +2397,141 @@ Your response (one sentence only):`;
 
   /**
    * Extract target language from user input
+   * Understands English and native names, ISO codes and regional variants (see LanguageResolver).
    * @param {string} input - User input text
    * @returns {string|null} Language code or null if not found
    */
   extractTargetLanguage(input) {
-    const text = input.toLowerCase();
-
-    const languagePatterns = {
-      'en': /\b(to\s+)?english\b/i,
-      'es': /\b(to\s+)?spanish\b/i,
-      'fr': /\b(to\s+)?french\b/i,
-      'de': /\b(to\s+)?german\b/i,
-      'it': /\b(to\s+)?italian\b/i,
-      'pt': /\b(to\s+)?portuguese\b/i,
-      'ru': /\b(to\s+)?russian\b/i,
-      'ja': /\b(to\s+)?japanese\b/i,
-      'ko': /\b(to\s+)?korean\b/i,
-      'zh': /\b(to\s+)?(chinese|mandarin|simplified\s+chinese)\b/i,
-      'zh-TW': /\b(to\s+)?(traditional\s+chinese|taiwanese)\b/i,
-      'ar': /\b(to\s+)?arabic\b/i,
-      'hi': /\b(to\s+)?hindi\b/i,
-      'nl': /\b(to\s+)?dutch\b/i,
-      'pl': /\b(to\s+)?polish\b/i,
-      'tr': /\b(to\s+)?turkish\b/i,
-      'vi': /\b(to\s+)?vietnamese\b/i,
-      'th': /\b(to\s+)?thai\b/i,
-      'id': /\b(to\s+)?indonesian\b/i,
-      'sv': /\b(to\s+)?swedish\b/i,
-      'da': /\b(to\s+)?danish\b/i,
-      'fi': /\b(to\s+)?finnish\b/i,
-      'no': /\b(to\s+)?norwegian\b/i,
-      'cs': /\b(to\s+)?czech\b/i,
-      'hu': /\b(to\s+)?hungarian\b/i,
-      'ro': /\b(to\s+)?romanian\b/i,
-      'uk': /\b(to\s+)?ukrainian\b/i,
-      'el': /\b(to\s+)?greek\b/i,
-      'he': /\b(to\s+)?hebrew\b/i
-    };
+    const target = window.languageResolver?.parseTarget(input || '');
 
-    for (const [code, pattern] of Object.entries(languagePatterns)) {
-      if (pattern.test(text)) {
-        console.log(`🎯 Detected target language: ${code} from input:`, input);
-        return code;
-      }
+    if (target?.code) {
+      console.log(`🎯 Detected target language: ${target.code} (${target.source}) from input:`, input);
+      return target.code;
     }
 
     console.log('⚠️ No target language detected in input, using settings default');
     return null;
   }
 
+  /**
+   * Set the callback that reads the active page's language ({lang, sample}) from the content script
+   * @param {Function|null} provider - Async provider
+   */
+  setPageLanguageProvider(provider) {
+    this.pageLanguageProvider = provider;
+  }
+
+  /**
+   * Resolve where a translation should go and what language the text is in now
+   * Order: target already resolved (or picked by the user) → explicit target in the request → page language
+   * ("into the language of this page") → settings default.
+   * @param {string} instruction - User request
+   * @param {string} text - Text that will be translated
+   * @param {Object} selectionData - Selected text data
+   * @param {Object} routing - Routing result (may carry a resolved target)
+   * @returns {Promise<Object>} { targetLanguage, sourceLanguage, source }
+   */
+  async resolveTranslationTarget(instruction, text, selectionData = null, routing = null) {
+    if (routing?.targetResolved && routing.targetLanguage) {
+      return { targetLanguage: routing.targetLanguage, sourceLanguage: routing.sourceLanguage || null, source: 'resolved' };
+    }
+
+    const parsed = window.languageResolver?.parseTarget(instruction || '') || null;
+    let targetLanguage = parsed?.code || null;
+    let source = parsed?.source || 'settings';
+
+    if (parsed?.source === 'page') {
+      targetLanguage = await this.detectPageLanguage();
+      if (!targetLanguage) {
+        console.warn('⚠️ Could not detect the page language, using settings default');
+        source = 'settings';
+      }
+    }
+
+    if (!targetLanguage) {
+      targetLanguage = this.stateManager.getTargetLanguage();
+    }
+
+    const sourceLanguage = await this.detectSourceLanguage(text || selectionData?.text);
+    console.log('🌐 Translation target resolved:', { targetLanguage, sourceLanguage, source });
+    return { targetLanguage, sourceLanguage, source };
+  }
+
+  /**
+   * Detect the language of the active page (html lang attribute, else detection on page text)
+   * @returns {Promise<string|null>} Language code or null
+   */
+  async detectPageLanguage() {
+    if (!this.pageLanguageProvider) {
+      return null;
+    }
+
+    try {
+      const page = await this.pageLanguageProvider();
+      const declared = window.languageResolver?.normalizeCode(page?.lang);
+      if (declared) {
+        console.log('🌐 Page declares language:', declared);
+        return declared;
+      }
+      if (page?.sample) {
+        return await this.detectSourceLanguage(page.sample);
+      }
+    } catch (error) {
+      console.warn('⚠️ Page language lookup failed:', error);
+    }
+    return null;
+  }
+
+  /**
+   * Detect the language of a text with the Language Detector API
+   * @param {string} text - Text to analyze
+   * @returns {Promise<string|null>} Language code, or null if unavailable/unsure
+   */
+  async detectSourceLanguage(text) {
+    if (!text?.trim() || !this.translationService?.isDetectorAvailable) {
+      return null;
+    }
+
+    try {
+      const detected = await this.translationService.detectPrimaryLanguage(text.substring(0, 1000));
+      if (!detected || detected.language === 'unknown' || detected.language === 'und' || detected.confidence < 0.5) {
+        return null;
+      }
+      return window.languageResolver?.normalizeCode(detected.language) || detected.language;
+    } catch (error) {
+      console.warn('⚠️ Language detection failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Build the choices shown when the text is already in the target language
+   * @param {string} targetLanguage - Resolved target
+   * @param {string} sourceLanguage - Detected source
+   * @returns {Array<Object>} Clarification candidates ({intent, targetLanguage, label})
+   */
+  getTranslationTargetChoices(targetLanguage, sourceLanguage) {
+    const browserLanguage = typeof navigator !== 'undefined' ? window.languageResolver.normalizeCode(navigator.language) : null;
+    const alternatives = [this.stateManager.getTargetLanguage(), browserLanguage, 'en']
+      .filter(code => code && !window.languageResolver.isSameLanguage(code, sourceLanguage));
+
+    const choices = [{
+      intent: 'translate',
+      targetLanguage,
+      label: `Translate to ${this.getLanguageName(targetLanguage)} anyway`,
+      title: targetLanguage
+    }];
+    [...new Set(alternatives)].slice(0, 2).forEach(code => {
+      choices.push({
+        intent: 'translate',
+        targetLanguage: code,
+        label: `Translate to ${this.getLanguageName(code)}`,
+        title: code
+      });
+    });
+    return choices;
+  }
+
   /**
    * Generate platform-specific context for translation
    * @param {string} platform - Platform identifier ('linkedin', 'gmail', etc.)
@@ -1166,38 +2563,20 @@ Your response (one sentence only):`;
    * @returns {string} Language name
    */
   getLanguageName(code) {
-    const languageMap = {
-      'en': 'English',
-      'es': 'Spanish',
-      'fr': 'French',
-      'de': 'German',
-      'it': 'Italian',
-      'pt': 'Portuguese',
-      'ru': 'Russian',
-      'ja': 'Japanese',
-      'ko': 'Korean',
-      'zh': 'Chinese (Simplified)',
-      'zh-TW': 'Chinese (Traditional)',
-      'ar': 'Arabic',
-      'hi': 'Hindi',
-      'nl': 'Dutch',
-      'pl': 'Polish',
-      'tr': 'Turkish',
-      'vi': 'Vietnamese',
-      'th': 'Thai',
-      'id': 'Indonesian',
-      'sv': 'Swedish',
-      'da': 'Danish',
-      'fi': 'Finnish',
-      'no': 'Norwegian',
-      'cs': 'Czech',
-      'hu': 'Hungarian',
-      'ro': 'Romanian',
-      'uk': 'Ukrainian',
-      'el': 'Greek',
-      'he': 'Hebrew'
-    };
-    return languageMap[code] || code;
+    return window.languageResolver ? window.languageResolver.getName(code) : code;
+  }
+
+  /**
+   * Tone instructions for language-model prompts, which have no tone/length options to carry them
+   * @param {Object} routing - Routing result with toneVector and toneConflicts
+   * @returns {string} Prompt suffix, empty when no tone was requested
+   */
+  buildToneGuidance(routing) {
+    if (!routing?.toneVector || !window.toneAnalyzer) {
+      return '';
+    }
+    const modifiers = window.toneAnalyzer.toPromptModifiers(routing.toneVector, { conflicts: routing.toneConflicts || [] });
+    return modifiers.length > 0 ? `\n\nTone: ${modifiers.join(' ')}` : '';
   }
 
   /**
@@ -1450,35 +2829,56 @@ Your response (one sentence only):`;
   }
 
   /**
-   * Get document context for AI processing (resume, email templates, etc.)
+   * Get document context for AI processing (profile facts, resume, email templates, etc.)
    * @param {string} query - User query to determine what context to include
+   * @param {string|null} outputType - Routed output type (an email calls for the sign-off, for example)
    * @returns {Promise<string|null>} Document context or null if not available
    */
-  async getDocumentContext(query) {
+  async getDocumentContext(query, outputType = null) {
+    const profileContext = this.getProfileContext(query, outputType);
+
     try {
       const includeResume = this.isResumeContextRelevant(query);
       const includeEmail = this.isEmailContextRelevant(query);
 
       if (!includeResume && !includeEmail) {
-        return null;
+        return profileContext ? `\n\n${profileContext}` : null;
       }
 
-      let context = '';
+      let context = profileContext ? `\n\n${profileContext}` : '';
 
       if (includeResume || includeEmail) {
         // Use the full context which includes resume, email subject, and template
         const documentContext = await window.DocumentService.buildColdEmailContext();
         if (documentContext) {
           console.log('📄 Including document context in AI processing');
-          context = `\n\n--- Personal Context ---\n${documentContext}`;
+          context = `${context}\n\n--- Personal Context ---\n${documentContext}`;
         }
       }
 
       return context || null;
     } catch (error) {
       console.error('Failed to get document context:', error);
-      return null;
+      return profileContext ? `\n\n${profileContext}` : null;
+    }
+  }
+
+  /**
+   * Confirmed profile facts the request calls for
+   * @param {string} query - User query or rewrite instructions
+   * @param {string|null} outputType - Routed output type
+   * @returns {string} Profile context block, or '' when there is none
+   */
+  getProfileContext(query, outputType = null) {
+    if (!this.profileFactService?.isInitialized) {
+      return '';
+    }
+
+    const profileContext = this.profileFactService.buildProfileContext(query, outputType);
+    if (profileContext) {
+      console.log('🪪 Including confirmed profile facts in AI processing');
     }
+    return profileContext;
   }
 
   /**
@@ -14,7 +14,9 @@ const TONEPILOT_CONSTANTS = {
   LIMITS: {
     MAX_TEXT_LENGTH: 4000,
     MIN_CHARACTERS: 50,
-    MAX_CHARACTERS: 1000
+    MAX_CHARACTERS: 1000,
+    MAX_CRITIQUE_ROUNDS: 3,
+    MAX_ALTERNATIVE_DRAFTS: 2
   },
   STATUS_TYPES: {
     LOADING: 'loading',
@@ -39,7 +41,7 @@ const TONEPILOT_CONSTANTS = {
       'mediaBtn', 'mediaPopup', 'closeMediaBtn',
       'documentBtn', 'documentPopup', 'closeDocumentBtn', 'saveDocumentBtn',
       'resumeUpload', 'resumePreview', 'coldEmailTemplate', 'removeResumeBtn',
-      'uploadArea', 'emailSubject'
+      'uploadArea', 'emailSubject', 'threadBanner'
     ],
     SELECTORS: {
       inputContainer: '.input-container'
@@ -291,6 +291,24 @@ class TonePilotMessageHandler {
     return chrome.tabs.sendMessage(tab.id, { action: 'replaceSelection', newText });
   }
 
+  /**
+   * Get the active page's declared language and a text sample for detection
+   * @returns {Promise<Object|null>} { lang, sample } or null if the page can't be reached
+   */
+  async getPageLanguage() {
+    const response = await this.sendToContentScript('getPageLanguage');
+    return response?.success ? response.data : null;
+  }
+
+  /**
+   * Get the active page's title, URL, description and a text excerpt
+   * @returns {Promise<Object|null>} { title, url, description, text } or null if the page can't be reached
+   */
+  async getPageContext() {
+    const response = await this.sendToContentScript('getPageContext');
+    return response?.success ? response.data : null;
+  }
+
   /**
    * Request screen capture
    * @returns {Promise} Capture response
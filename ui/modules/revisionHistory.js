@@ -0,0 +1,75 @@
+/**
+ * TonePilot Revision History
+ * Undo/redo stack of one conversation item's result, one entry per refinement
+ */
+
+class TonePilotRevisionHistory {
+  /**
+   * @param {string} text - The result as first generated
+   * @param {number} limit - Most revisions kept (the oldest are dropped)
+   */
+  constructor(text, limit = 50) {
+    this.entries = [{ text, instruction: null }];
+    this.index = 0;
+    this.limit = limit;
+  }
+
+  /**
+   * @returns {Object} Revision being shown ({text, instruction})
+   */
+  current() {
+    return this.entries[this.index];
+  }
+
+  /**
+   * Add a revision after the current one, dropping anything that could have been redone
+   * @param {string} text - Revised result
+   * @param {string} instruction - What produced it ("shorter", "Picked: More formal")
+   * @returns {Object} The new current revision
+   */
+  push(text, instruction) {
+    this.entries = this.entries.slice(0, this.index + 1);
+    this.entries.push({ text, instruction });
+    if (this.entries.length > this.limit) {
+      this.entries.shift();
+    }
+    this.index = this.entries.length - 1;
+    return this.current();
+  }
+
+  /**
+   * @returns {Object|null} Revision now shown, or null when there is nothing to undo
+   */
+  undo() {
+    if (!this.canUndo()) {
+      return null;
+    }
+    this.index--;
+    return this.current();
+  }
+
+  /**
+   * @returns {Object|null} Revision now shown, or null when there is nothing to redo
+   */
+  redo() {
+    if (!this.canRedo()) {
+      return null;
+    }
+    this.index++;
+    return this.current();
+  }
+
+  canUndo() {
+    return this.index > 0;
+  }
+
+  canRedo() {
+    return this.index < this.entries.length - 1;
+  }
+}
+
+// Export to window for Chrome extension compatibility
+if (typeof window !== 'undefined') {
+  window.TonePilotRevisionHistory = TonePilotRevisionHistory;
+  console.log('✅ TonePilotRevisionHistory exported to window');
+}
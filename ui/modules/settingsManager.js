@@ -8,6 +8,10 @@ class TonePilotSettingsManager {
     this.stateManager = stateManager;
     this.uiManager = uiManager;
     this.storageService = null;
+    this.routingFeedbackService = null;
+    this.searchService = null;
+    this.memoryService = null;
+    this.profileFactService = null;
     this.settings = {};
   }
 
@@ -85,7 +89,11 @@ class TonePilotSettingsManager {
       autoCloseResults: false,
       preserveFormatting: true,
       googleSearchApiKey: '',
-      googleSearchEngineId: ''
+      googleSearchEngineId: '',
+      critiqueRounds: 0,
+      alternativeDrafts: 0,
+      longTermMemory: false,
+      isolatedDomains: []
     };
   }
 
@@ -97,6 +105,8 @@ class TonePilotSettingsManager {
     this.stateManager.setState('currentMaxCharacters', this.settings.maxCharacters);
     this.stateManager.setState('currentFormalityToggle', this.settings.formalityToggle);
     this.stateManager.setState('targetLanguage', this.settings.targetLanguage);
+    this.stateManager.setState('critiqueRounds', this.settings.critiqueRounds || 0);
+    this.stateManager.setState('alternativeDrafts', this.settings.alternativeDrafts || 0);
 
     // Update UI elements
     this.updateSettingsUI();
@@ -133,9 +143,383 @@ class TonePilotSettingsManager {
       googleSearchEngineIdInput.value = this.settings.googleSearchEngineId || '';
     }
 
+    // Update self-review rounds
+    const critiqueRoundsSelect = document.getElementById('critiqueRoundsSelect');
+    if (critiqueRoundsSelect) {
+      critiqueRoundsSelect.value = String(this.settings.critiqueRounds || 0);
+    }
+
+    // Update alternative drafts
+    const alternativeDraftsSelect = document.getElementById('alternativeDraftsSelect');
+    if (alternativeDraftsSelect) {
+      alternativeDraftsSelect.value = String(this.settings.alternativeDrafts || 0);
+    }
+
+    // Update long-term memory select
+    const longTermMemorySelect = document.getElementById('longTermMemorySelect');
+    if (longTermMemorySelect) {
+      longTermMemorySelect.value = this.settings.longTermMemory ? 'on' : 'off';
+    }
+
+    // Update isolated sites
+    const isolatedDomainsInput = document.getElementById('isolatedDomainsInput');
+    if (isolatedDomainsInput) {
+      isolatedDomainsInput.value = (this.settings.isolatedDomains || []).join('\n');
+    }
+
+    this.updateRoutingFeedbackUI();
+    this.updateMemoryUI();
+
     console.log('🎛️ Settings UI updated');
   }
 
+  /**
+   * Connect the web search used by Plan mode to the search credentials in settings
+   * @param {SearchService|null} searchService - Search service
+   */
+  setSearchService(searchService) {
+    this.searchService = searchService;
+    this.applySearchSettings();
+  }
+
+  /**
+   * Configure web search from the saved API key and search engine ID
+   */
+  applySearchSettings() {
+    if (!this.searchService) {
+      return;
+    }
+
+    const { googleSearchApiKey, googleSearchEngineId } = this.settings;
+    if (googleSearchApiKey && googleSearchEngineId) {
+      this.searchService.configure({ apiKey: googleSearchApiKey, searchEngineId: googleSearchEngineId });
+    } else {
+      this.searchService.clearConfig();
+    }
+  }
+
+  /**
+   * Connect the learned-routing controls to the routing feedback store
+   * @param {RoutingFeedbackService} routingFeedbackService - Store of routing corrections
+   */
+  setRoutingFeedbackService(routingFeedbackService) {
+    this.routingFeedbackService = routingFeedbackService;
+
+    const exportBtn = document.getElementById('exportRoutingExamplesBtn');
+    if (exportBtn) {
+      exportBtn.addEventListener('click', () => this.handleExportRoutingExamples());
+    }
+
+    const resetBtn = document.getElementById('resetRoutingExamplesBtn');
+    if (resetBtn) {
+      resetBtn.addEventListener('click', () => this.handleResetRoutingExamples());
+    }
+
+    this.updateRoutingFeedbackUI();
+  }
+
+  /**
+   * Update the learned-routing example count
+   */
+  updateRoutingFeedbackUI() {
+    const countElement = document.getElementById('routingExamplesCount');
+    if (countElement) {
+      countElement.textContent = this.routingFeedbackService?.isInitialized
+        ? this.routingFeedbackService.getStats().totalExamples
+        : 0;
+    }
+  }
+
+  /**
+   * Download learned routing examples as a JSON file
+   */
+  handleExportRoutingExamples() {
+    if (!this.routingFeedbackService?.isInitialized) {
+      this.uiManager.showError('Learned routing is not available');
+      return;
+    }
+
+    const blob = new Blob([this.routingFeedbackService.exportExamples()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `tonepilot-routing-examples-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+
+    console.log('📤 Routing examples exported');
+  }
+
+  /**
+   * Delete all learned routing examples after confirmation
+   */
+  async handleResetRoutingExamples() {
+    if (!this.routingFeedbackService?.isInitialized) {
+      return;
+    }
+
+    if (!window.confirm('Forget all routing corrections you have made?')) {
+      return;
+    }
+
+    try {
+      await this.routingFeedbackService.clearExamples();
+      this.updateRoutingFeedbackUI();
+      this.uiManager.updateStatus('ready', 'Learned Routing Reset');
+    } catch (error) {
+      console.error('❌ Failed to reset routing examples:', error);
+      this.uiManager.showError('Learned routing reset failed');
+    }
+  }
+
+  /**
+   * Connect the long-term memory and scoping controls to the memory service
+   * The memory service stores these settings itself, so they are read back from it.
+   * @param {MemoryService|null} memoryService - Conversation memory
+   */
+  setMemoryService(memoryService) {
+    this.memoryService = memoryService;
+    this.settings.longTermMemory = Boolean(memoryService?.longTermEnabled);
+    this.settings.isolatedDomains = [...(memoryService?.scopeRules.isolatedDomains || [])];
+
+    const clearBtn = document.getElementById('clearLongTermMemoryBtn');
+    if (clearBtn) {
+      clearBtn.addEventListener('click', () => this.handleClearLongTermMemory());
+    }
+
+    const list = document.getElementById('longTermMemoryList');
+    if (list) {
+      list.addEventListener('click', (e) => {
+        const button = e.target.closest('.memory-forget-btn');
+        if (button) {
+          e.preventDefault();
+          this.handleForgetMemory(button.dataset.id);
+        }
+      });
+    }
+
+    this.updateSettingsUI();
+  }
+
+  /**
+   * Apply the long-term memory opt-in and the isolated sites to the memory service
+   */
+  async applyMemorySettings() {
+    if (!this.memoryService) {
+      return;
+    }
+
+    try {
+      if (this.memoryService.longTermEnabled !== Boolean(this.settings.longTermMemory)) {
+        this.settings.longTermMemory = await this.memoryService.setLongTermEnabled(this.settings.longTermMemory);
+      }
+
+      const isolatedDomains = this.settings.isolatedDomains || [];
+      if (isolatedDomains.join('\n') !== this.memoryService.scopeRules.isolatedDomains.join('\n')) {
+        const rules = await this.memoryService.setScopeRules({ isolatedDomains });
+        this.settings.isolatedDomains = [...rules.isolatedDomains];
+      }
+    } catch (error) {
+      console.error('❌ Failed to apply memory settings:', error);
+      this.settings.longTermMemory = this.memoryService.longTermEnabled;
+      this.settings.isolatedDomains = [...this.memoryService.scopeRules.isolatedDomains];
+      this.uiManager.showError('Memory settings could not be changed');
+    }
+    this.updateSettingsUI();
+  }
+
+  /**
+   * List what is remembered long-term, each with a Delete button
+   */
+  updateMemoryUI() {
+    const memories = this.memoryService?.getLongTermMemories() || [];
+
+    const countElement = document.getElementById('longTermMemoryCount');
+    if (countElement) {
+      countElement.textContent = memories.length;
+    }
+
+    const clearBtn = document.getElementById('clearLongTermMemoryBtn');
+    if (clearBtn) {
+      clearBtn.disabled = memories.length === 0;
+    }
+
+    const list = document.getElementById('longTermMemoryList');
+    if (!list) {
+      return;
+    }
+
+    list.innerHTML = '';
+    memories.forEach(memory => {
+      const usage = memory.usage || {};
+      const reason = usage.pinned ? 'Pinned'
+        : usage.useful ? 'Marked useful'
+          : `Reused ${usage.reuses || 0} times`;
+      const site = memory.scope?.domain ? ` · ${memory.scope.domain}` : '';
+
+      const entry = document.createElement('div');
+      entry.className = 'memory-entry';
+      entry.innerHTML = `
+        <div class="memory-entry-text">
+          <div class="memory-entry-query"></div>
+          <div class="memory-entry-meta"></div>
+        </div>
+        <button class="btn btn-secondary memory-forget-btn">Delete</button>
+      `;
+      entry.querySelector('.memory-entry-query').textContent = memory.query;
+      entry.querySelector('.memory-entry-query').title = memory.content;
+      entry.querySelector('.memory-entry-meta').textContent = `${reason}${site} · ${new Date(memory.timestamp).toLocaleDateString()}`;
+      entry.querySelector('.memory-forget-btn').dataset.id = memory.id;
+      list.appendChild(entry);
+    });
+  }
+
+  /**
+   * Connect the profile fact list to the store of facts about the user
+   * @param {ProfileFactService|null} profileFactService - Store of profile facts
+   */
+  setProfileFactService(profileFactService) {
+    this.profileFactService = profileFactService;
+
+    const clearBtn = document.getElementById('clearProfileFactsBtn');
+    if (clearBtn) {
+      clearBtn.addEventListener('click', () => this.handleClearProfileFacts());
+    }
+
+    const list = document.getElementById('profileFactList');
+    if (list) {
+      list.addEventListener('click', (e) => {
+        const button = e.target.closest('.memory-forget-btn');
+        if (button) {
+          e.preventDefault();
+          this.handleForgetProfileFact(button.dataset.id);
+        }
+      });
+    }
+
+    this.updateProfileFactsUI();
+  }
+
+  /**
+   * Update the confirmed profile fact count and list
+   */
+  updateProfileFactsUI() {
+    const facts = this.profileFactService?.isInitialized ? this.profileFactService.getConfirmedFacts() : [];
+
+    const countElement = document.getElementById('profileFactCount');
+    if (countElement) {
+      countElement.textContent = facts.length;
+    }
+
+    const clearBtn = document.getElementById('clearProfileFactsBtn');
+    if (clearBtn) {
+      clearBtn.disabled = facts.length === 0;
+    }
+
+    const list = document.getElementById('profileFactList');
+    if (!list) {
+      return;
+    }
+
+    list.innerHTML = '';
+    facts.forEach(fact => {
+      const entry = document.createElement('div');
+      entry.className = 'memory-entry';
+      entry.innerHTML = `
+        <div class="memory-entry-text">
+          <div class="memory-entry-query"></div>
+          <div class="memory-entry-meta"></div>
+        </div>
+        <button class="btn btn-secondary memory-forget-btn">Delete</button>
+      `;
+      entry.querySelector('.memory-entry-query').textContent = this.profileFactService.describeFact(fact);
+      entry.querySelector('.memory-entry-query').title = fact.source;
+      entry.querySelector('.memory-entry-meta').textContent = `Confirmed ${new Date(fact.confirmedAt || fact.timestamp).toLocaleDateString()}`;
+      entry.querySelector('.memory-forget-btn').dataset.id = fact.id;
+      list.appendChild(entry);
+    });
+  }
+
+  /**
+   * Forget one profile fact
+   * @param {string} id - Fact ID
+   */
+  async handleForgetProfileFact(id) {
+    if (!this.profileFactService?.isInitialized || !id) {
+      return;
+    }
+
+    try {
+      await this.profileFactService.removeFact(id);
+      this.updateProfileFactsUI();
+    } catch (error) {
+      console.error('❌ Failed to delete profile fact:', error);
+      this.uiManager.showError('Profile fact delete failed');
+    }
+  }
+
+  /**
+   * Forget every profile fact after confirmation
+   */
+  async handleClearProfileFacts() {
+    if (!this.profileFactService?.isInitialized) {
+      return;
+    }
+
+    if (!window.confirm('Forget everything TonePilot has learned about you?')) {
+      return;
+    }
+
+    try {
+      await this.profileFactService.clearFacts();
+      this.updateProfileFactsUI();
+      this.uiManager.updateStatus('ready', 'Profile Facts Cleared');
+    } catch (error) {
+      console.error('❌ Failed to clear profile facts:', error);
+      this.uiManager.showError('Profile fact clear failed');
+    }
+  }
+
+  /**
+   * Delete one conversation from long-term memory
+   * @param {string} id - Memory item ID
+   */
+  async handleForgetMemory(id) {
+    if (!this.memoryService || !id) {
+      return;
+    }
+
+    try {
+      await this.memoryService.deleteLongTermMemory(id);
+      this.updateMemoryUI();
+    } catch (error) {
+      console.error('❌ Failed to delete long-term memory:', error);
+      this.uiManager.showError('Long-term memory delete failed');
+    }
+  }
+
+  /**
+   * Delete everything remembered long-term after confirmation
+   */
+  async handleClearLongTermMemory() {
+    if (!this.memoryService) {
+      return;
+    }
+
+    if (!window.confirm('Forget all conversations remembered long-term?')) {
+      return;
+    }
+
+    try {
+      await this.memoryService.clearLongTermMemory();
+      this.updateMemoryUI();
+      this.uiManager.updateStatus('ready', 'Long-Term Memory Cleared');
+    } catch (error) {
+      console.error('❌ Failed to clear long-term memory:', error);
+      this.uiManager.showError('Long-term memory clear failed');
+    }
+  }
+
   /**
    * Handle settings popup open
    */
@@ -179,6 +563,8 @@ class TonePilotSettingsManager {
 
       // Apply to state
       this.applySettingsToState();
+      this.applySearchSettings();
+      await this.applyMemorySettings();
 
       // Close popup
       this.closeSettings();
@@ -235,6 +621,30 @@ class TonePilotSettingsManager {
       settings.googleSearchEngineId = googleSearchEngineIdInput.value.trim();
     }
 
+    // Self-review rounds
+    const critiqueRoundsSelect = document.getElementById('critiqueRoundsSelect');
+    if (critiqueRoundsSelect) {
+      settings.critiqueRounds = parseInt(critiqueRoundsSelect.value) || 0;
+    }
+
+    // Alternative drafts
+    const alternativeDraftsSelect = document.getElementById('alternativeDraftsSelect');
+    if (alternativeDraftsSelect) {
+      settings.alternativeDrafts = parseInt(alternativeDraftsSelect.value) || 0;
+    }
+
+    // Long-term memory
+    const longTermMemorySelect = document.getElementById('longTermMemorySelect');
+    if (longTermMemorySelect) {
+      settings.longTermMemory = longTermMemorySelect.value === 'on';
+    }
+
+    // Isolated sites, one per line (commas also separate)
+    const isolatedDomainsInput = document.getElementById('isolatedDomainsInput');
+    if (isolatedDomainsInput) {
+      settings.isolatedDomains = isolatedDomainsInput.value.split(/[\n,]+/);
+    }
+
     return settings;
   }
 
@@ -257,6 +667,34 @@ class TonePilotSettingsManager {
       );
     }
 
+    // Validate self-review rounds
+    if (validated.critiqueRounds !== undefined) {
+      validated.critiqueRounds = Math.max(0, Math.min(
+        window.TONEPILOT_CONSTANTS.LIMITS.MAX_CRITIQUE_ROUNDS,
+        parseInt(validated.critiqueRounds) || 0
+      ));
+    }
+
+    // Validate alternative drafts
+    if (validated.alternativeDrafts !== undefined) {
+      validated.alternativeDrafts = Math.max(0, Math.min(
+        window.TONEPILOT_CONSTANTS.LIMITS.MAX_ALTERNATIVE_DRAFTS,
+        parseInt(validated.alternativeDrafts) || 0
+      ));
+    }
+
+    // Validate long-term memory opt-in
+    if (validated.longTermMemory !== undefined) {
+      validated.longTermMemory = validated.longTermMemory === true;
+    }
+
+    // Validate isolated sites (the memory service normalizes them to bare domains)
+    if (validated.isolatedDomains !== undefined) {
+      validated.isolatedDomains = (Array.isArray(validated.isolatedDomains) ? validated.isolatedDomains : [])
+        .map(domain => String(domain).trim())
+        .filter(Boolean);
+    }
+
     return validated;
   }
 
@@ -289,6 +727,12 @@ class TonePilotSettingsManager {
         this.stateManager.setState('currentMaxCharacters', validatedValue);
       } else if (key === 'formalityToggle') {
         this.stateManager.setState('currentFormalityToggle', validatedValue);
+      } else if (key === 'critiqueRounds') {
+        this.stateManager.setState('critiqueRounds', validatedValue);
+      } else if (key === 'alternativeDrafts') {
+        this.stateManager.setState('alternativeDrafts', validatedValue);
+      } else if (key === 'longTermMemory' || key === 'isolatedDomains') {
+        await this.applyMemorySettings();
       }
 
       console.log(`⚙️ Setting updated: ${key} = ${validatedValue}`);
@@ -307,6 +751,7 @@ class TonePilotSettingsManager {
       this.settings = this.getDefaultSettings();
       await this.saveSettings();
       this.applySettingsToState();
+      await this.applyMemorySettings();
 
       this.uiManager.updateStatus('ready', 'Settings Reset');
 
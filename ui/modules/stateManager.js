@@ -16,9 +16,11 @@ class TonePilotStateManager {
       currentMaxCharacters: window.TONEPILOT_CONSTANTS.DEFAULTS.MAX_CHARACTERS,
       currentFormalityToggle: window.TONEPILOT_CONSTANTS.DEFAULTS.FORMALITY_TOGGLE,
       targetLanguage: window.TONEPILOT_CONSTANTS.DEFAULTS.TARGET_LANGUAGE,
+      critiqueRounds: 0,
+      alternativeDrafts: 0,
       translateMode: false,
       planMode: false,
-      processingSteps: [] // Array of {step: string, timestamp: Date, status: 'in_progress'|'complete'|'error'}
+      processingSteps: [] // Array of {step: string, timestamp: Date, status: 'in_progress'|'complete'|'error'|'cancelled', details?: Object}
     };
 
     this.listeners = new Map();
@@ -112,6 +114,8 @@ class TonePilotStateManager {
       selectedMediaArray: [],
       currentMaxCharacters: window.TONEPILOT_CONSTANTS.DEFAULTS.MAX_CHARACTERS,
       currentFormalityToggle: window.TONEPILOT_CONSTANTS.DEFAULTS.FORMALITY_TOGGLE,
+      critiqueRounds: 0,
+      alternativeDrafts: 0,
       translateMode: false,
       planMode: false,
       processingSteps: []
@@ -223,7 +227,7 @@ class TonePilotStateManager {
 
   /**
    * Update the last processing step status
-   * @param {string} status - New status ('complete', 'error')
+   * @param {string} status - New status ('complete', 'error', 'cancelled')
    */
   updateLastStepStatus(status) {
     if (this.state.processingSteps.length > 0) {
@@ -234,6 +238,43 @@ class TonePilotStateManager {
     }
   }
 
+  /**
+   * Mark every unfinished processing step as cancelled
+   */
+  cancelProcessingSteps() {
+    const pending = this.state.processingSteps.filter(stepData => stepData.status === 'in_progress');
+    if (pending.length === 0) {
+      return;
+    }
+    pending.forEach(stepData => {
+      stepData.status = 'cancelled';
+    });
+    console.log(`🚫 Cancelled ${pending.length} step(s)`);
+    this.notifyListeners('processingSteps', [...this.state.processingSteps], null);
+  }
+
+  /**
+   * Change the text of the last processing step (e.g. to show progress)
+   * @param {string} step - New step description
+   */
+  updateLastStepText(step) {
+    if (this.state.processingSteps.length > 0) {
+      this.state.processingSteps[this.state.processingSteps.length - 1].step = step;
+      this.notifyListeners('processingSteps', [...this.state.processingSteps], null);
+    }
+  }
+
+  /**
+   * Attach inspectable details (e.g. a pipeline stage's input/output) to the last processing step
+   * @param {Object} details - Step details
+   */
+  setLastStepDetails(details) {
+    if (this.state.processingSteps.length > 0) {
+      this.state.processingSteps[this.state.processingSteps.length - 1].details = details;
+      this.notifyListeners('processingSteps', [...this.state.processingSteps], null);
+    }
+  }
+
   /**
    * Get all processing steps
    * @returns {Array} Array of step objects
@@ -85,6 +85,8 @@ class TonePilotUIManager {
           statusIcon = '<span class="step-status"> </span>';
         } else if (stepData.status === 'error') {
           statusIcon = '<span class="step-status error">✗</span>';
+        } else if (stepData.status === 'cancelled') {
+          statusIcon = '<span class="step-status cancelled">–</span>';
         } else {
           // in_progress
           statusIcon = '<span class="step-status loading">⋯</span>';
@@ -95,6 +97,11 @@ class TonePilotUIManager {
           <div class="step-text">${this.escapeHtml(stepData.step)} ${statusIcon}</div>
         `;
         stepsContent.appendChild(stepDiv);
+
+        // Pipeline stages can be expanded to inspect their own input and output
+        if (stepData.details) {
+          stepsContent.appendChild(this.createStepDetails(stepDiv, stepData.details));
+        }
       });
 
       // Add "Complete" step at the end if all steps are complete
@@ -115,6 +122,33 @@ class TonePilotUIManager {
     }
   }
 
+  /**
+   * Create a collapsible details block for an inspectable step
+   * @param {HTMLElement} stepDiv - Step item element that toggles the details
+   * @param {Object} details - Step details ({instruction, input, output, service})
+   * @returns {HTMLElement} Details element (hidden until the step is clicked)
+   */
+  createStepDetails(stepDiv, details) {
+    const detailsDiv = document.createElement('div');
+    detailsDiv.className = 'step-details';
+    detailsDiv.style.display = 'none';
+    detailsDiv.innerHTML = `
+      <div class="step-details-label">Instruction</div>
+      <div class="step-details-text">${this.escapeHtml(details.instruction || '')}</div>
+      <div class="step-details-label">Input</div>
+      <div class="step-details-text">${this.escapeHtml(details.input || '')}</div>
+      <div class="step-details-label">Output${details.service ? ` · ${this.escapeHtml(details.service)}` : ''}</div>
+      <div class="step-details-text">${this.escapeHtml(details.output || '')}</div>
+    `;
+
+    stepDiv.classList.add('step-item-inspectable');
+    stepDiv.addEventListener('click', () => {
+      detailsDiv.style.display = detailsDiv.style.display === 'none' ? 'block' : 'none';
+    });
+
+    return detailsDiv;
+  }
+
   /**
    * Initialize all DOM elements
    * @returns {boolean} True if initialization successful
@@ -770,6 +804,94 @@ class TonePilotUIManager {
     }
   }
 
+  /**
+   * Show a Stop button in a container while its request is processing
+   * @param {Object} conversationContainer - Container that is loading
+   * @param {Function} onStop - Called once when the user stops the request
+   */
+  showStopButton(conversationContainer, onStop) {
+    const contentSection = conversationContainer?.contentSection;
+    if (!contentSection) {
+      return;
+    }
+
+    this.hideStopButton(conversationContainer);
+
+    const button = document.createElement('button');
+    button.className = 'stop-generation-btn';
+    button.title = 'Stop generating and keep the output so far';
+    button.textContent = '■ Stop';
+    button.addEventListener('click', (event) => {
+      event.preventDefault();
+      console.log('⏹️ Stop requested');
+      button.disabled = true;
+      button.textContent = 'Stopping…';
+      onStop();
+    });
+
+    contentSection.insertBefore(button, contentSection.querySelector('.result-actions'));
+  }
+
+  /**
+   * Remove a container's Stop button
+   * @param {Object} conversationContainer - Container that finished processing
+   */
+  hideStopButton(conversationContainer) {
+    conversationContainer?.contentSection?.querySelector('.stop-generation-btn')?.remove();
+  }
+
+  /**
+   * Leave a cancelled request in a clear final state: unfinished steps are marked cancelled,
+   * the loading filler is removed and any output generated so far is kept
+   * @param {Object} conversationContainer - Container whose request was cancelled
+   * @param {string} partialText - Output streamed before the cancel, if any
+   * @param {boolean} byUser - Whether the Stop button cancelled it (rather than a newer request)
+   */
+  async showCancelled(conversationContainer, partialText = '', byUser = true) {
+    if (!conversationContainer) {
+      return;
+    }
+
+    console.log('🚫 Request cancelled:', { byUser, hasPartialOutput: !!partialText.trim() });
+    this.hideStopButton(conversationContainer);
+
+    // Steps belong to the current container only; a newer request has already reset them
+    if (this.currentConversationContainer === conversationContainer) {
+      this.stateManager.cancelProcessingSteps();
+      (this.progressiveSteps || []).forEach(step => {
+        if (step.status === 'active') {
+          step.status = 'cancelled';
+        }
+      });
+      this.updateStepsDisplay(this.stateManager.getProcessingSteps());
+    }
+
+    await this.showResults({ primary: partialText, stopped: true, cancelled: !byUser }, conversationContainer);
+  }
+
+  /**
+   * Show output as it streams in, replacing the loading message
+   * @param {Object} conversationContainer - Container that is loading
+   * @param {string} text - Output so far
+   */
+  showStreamingText(conversationContainer, text) {
+    const contentSection = conversationContainer?.contentSection;
+    const resultDiv = contentSection?.querySelector('.result-content');
+    if (!resultDiv) {
+      return;
+    }
+
+    const loadingMessage = contentSection.querySelector('.loading-message');
+    if (loadingMessage) {
+      this.stopLoadingAnimation();
+      loadingMessage.remove();
+    }
+
+    resultDiv.classList.add('streaming');
+    resultDiv.style.display = 'block';
+    resultDiv.textContent = text.trimStart();
+  }
+
   /**
    * Show results in the specific conversation container
    * @param {Object} results - Results object
@@ -817,7 +939,8 @@ class TonePilotUIManager {
       conversationContainer.results = {
         content: results.primary || results.content,
         steps: results.steps || null,
-        sources: results.sources || null
+        sources: results.sources || null,
+        stages: results.stages || null
       };
 
       console.log('📋 Stored results in conversation container:', {
@@ -848,7 +971,7 @@ class TonePilotUIManager {
           resultService: results.service
         });
 
-        if (!contentText.trim()) {
+        if (!contentText.trim() && !results.stopped) {
           console.error('❌ ERROR: Content is empty or whitespace only!', {
             results,
             primary: results.primary,
@@ -856,6 +979,7 @@ class TonePilotUIManager {
           });
         }
 
+        resultDiv.classList.remove('streaming');
         resultDiv.textContent = contentText.trim();
         resultDiv.style.display = 'block';
         resultDiv.style.height = 'auto';
@@ -868,6 +992,16 @@ class TonePilotUIManager {
         conversationContainer.contentSection.style.flex = 'none';
 
         console.log('📑 Results ready: content section updated with AI results');
+
+        // Stopped requests keep what was generated, marked as partial
+        conversationContainer.contentSection.querySelector('.stopped-note')?.remove();
+        if (results.stopped) {
+          const note = document.createElement('div');
+          note.className = 'stopped-note';
+          const verb = results.cancelled ? 'Cancelled' : 'Stopped';
+          note.textContent = contentText.trim() ? `${verb}. Partial output kept.` : `${verb} before any output was generated.`;
+          resultDiv.insertAdjacentElement('afterend', note);
+        }
       }
 
       // Show sources only if they are being referenced
@@ -896,7 +1030,9 @@ class TonePilotUIManager {
     if (conversationContainer && conversationContainer.resultSection) {
       const resultActions = conversationContainer.resultSection.querySelector('.result-actions');
       if (resultActions) {
-        resultActions.style.display = 'flex';
+        // Nothing to copy or refine when a request was stopped before producing output
+        const hasContent = !!(results.primary || results.content || '').trim();
+        resultActions.style.display = results.stopped && !hasContent ? 'none' : 'flex';
       } else {
         console.warn('⚠️ resultActions not found');
       }
@@ -922,6 +1058,817 @@ class TonePilotUIManager {
     }, 50); // Small delay to ensure all DOM changes are complete
   }
 
+  /**
+   * Show a one-click clarification chip row when the intent is ambiguous
+   * @param {Object} conversationContainer - The container waiting for results
+   * @param {Array} candidates - Ranked intent candidates ({intent, label, score})
+   * @param {Function} onSelect - Called with the chosen candidate
+   * @param {string} prompt - Question shown above the chips
+   */
+  showClarificationChips(conversationContainer, candidates, onSelect, prompt = 'What would you like to do?') {
+    if (!conversationContainer || !conversationContainer.contentSection) {
+      console.warn('showClarificationChips called with invalid conversationContainer');
+      return;
+    }
+
+    const contentSection = conversationContainer.contentSection;
+
+    // Replace the loading message with the question
+    this.stopLoadingAnimation();
+    const loadingMessage = contentSection.querySelector('.loading-message');
+    if (loadingMessage) {
+      loadingMessage.remove();
+    }
+
+    const clarification = document.createElement('div');
+    clarification.className = 'clarification-section';
+    clarification.innerHTML = `
+      <div class="clarification-prompt">${this.escapeHtml(prompt)}</div>
+      <div class="clarification-chips"></div>
+    `;
+
+    const chipRow = clarification.querySelector('.clarification-chips');
+    candidates.forEach(candidate => {
+      const chip = document.createElement('button');
+      chip.className = 'clarification-chip';
+      chip.textContent = candidate.label || candidate.intent;
+      chip.title = candidate.title || `${candidate.intent} (${Math.round((candidate.score || 0) * 100)}%)`;
+      chip.addEventListener('click', (e) => {
+        e.preventDefault();
+        console.log('❓ Clarification chosen:', candidate.intent);
+        clarification.remove();
+        this.startLoadingInContainer(contentSection);
+        onSelect(candidate);
+      });
+      chipRow.appendChild(chip);
+    });
+
+    contentSection.insertBefore(clarification, contentSection.firstChild);
+    this.adjustFillerAfterContentGeneration(conversationContainer.container);
+
+    console.log('❓ Clarification chips shown:', candidates.map(c => c.intent));
+  }
+
+  /**
+   * Show intent/output type selectors so the user can correct the routing and re-run
+   * @param {Object} conversationContainer - The container showing results
+   * @param {Object} results - Results with the routed intent and outputType
+   * @param {Object} options - Selectable values ({intents, outputTypes})
+   * @param {Function} onChange - Called with the corrected {intent, outputType}
+   */
+  showRouteOverride(conversationContainer, results, options, onChange) {
+    const resultActions = conversationContainer?.resultSection?.querySelector('.result-actions');
+    if (!resultActions || !results.intent) {
+      return;
+    }
+
+    // Replace the control from a previous run of this item
+    resultActions.querySelector('.route-override')?.remove();
+
+    const override = document.createElement('div');
+    override.className = 'route-override';
+
+    const intentOptions = options.intents
+      .map(intent => `<option value="${intent}" ${intent === results.intent ? 'selected' : ''}>${intent}</option>`)
+      .join('');
+    const outputOptions = ['', ...options.outputTypes]
+      .map(type => `<option value="${type}" ${type === (results.outputType || '') ? 'selected' : ''}>${type || 'auto'}</option>`)
+      .join('');
+
+    override.innerHTML = `
+      <select class="route-override-select route-intent-select" title="Intent">${intentOptions}</select>
+      <select class="route-override-select route-output-select" title="Output type">${outputOptions}</select>
+    `;
+
+    const intentSelect = override.querySelector('.route-intent-select');
+    const outputSelect = override.querySelector('.route-output-select');
+    const handleChange = () => {
+      onChange({
+        intent: intentSelect.value,
+        outputType: outputSelect.value || null
+      });
+    };
+    intentSelect.addEventListener('change', handleChange);
+    outputSelect.addEventListener('change', handleChange);
+
+    resultActions.appendChild(override);
+  }
+
+  /**
+   * Add a "Why this?" button that opens the routing inspector for this conversation item
+   * @param {Object} conversationContainer - The container showing results
+   * @param {Function} getExplanation - Returns inspector data from the router (called on open)
+   * @param {Array<string>} intents - Intents offered by "re-run as…"
+   * @param {Function} onRerun - Called with the intent to force
+   */
+  showRoutingInspector(conversationContainer, getExplanation, intents, onRerun) {
+    const resultActions = conversationContainer?.resultSection?.querySelector('.result-actions');
+    if (!resultActions) {
+      return;
+    }
+
+    // Replace the button and panel from a previous run of this item
+    resultActions.querySelector('.routing-inspector-btn')?.remove();
+    conversationContainer.contentSection?.querySelector('.routing-inspector')?.remove();
+
+    const button = document.createElement('button');
+    button.className = 'btn btn-secondary routing-inspector-btn';
+    button.textContent = 'Why this?';
+    button.title = 'Show how this request was routed';
+
+    button.addEventListener('click', (e) => {
+      e.preventDefault();
+      const existing = conversationContainer.contentSection.querySelector('.routing-inspector');
+      if (existing) {
+        existing.remove();
+        button.classList.remove('active');
+        return;
+      }
+
+      const explanation = getExplanation();
+      if (!explanation) {
+        this.showError('No routing details for this item');
+        return;
+      }
+
+      const panel = document.createElement('div');
+      panel.className = 'routing-inspector';
+      panel.innerHTML = this.renderRoutingExplanation(explanation, intents);
+
+      panel.querySelector('.inspector-rerun-btn')?.addEventListener('click', (event) => {
+        event.preventDefault();
+        const intent = panel.querySelector('.inspector-rerun-select').value;
+        console.log('🔁 Re-running as:', intent);
+        panel.remove();
+        button.classList.remove('active');
+        onRerun(intent);
+      });
+
+      resultActions.insertAdjacentElement('afterend', panel);
+      button.classList.add('active');
+    });
+
+    const override = resultActions.querySelector('.route-override');
+    resultActions.insertBefore(button, override);
+  }
+
+  /**
+   * Add Pin / Useful buttons that keep this conversation in long-term memory
+   * @param {Object} conversationContainer - The container showing results
+   * @param {Function} onKeep - Called with 'pinned' or 'useful'; resolves true once the conversation is kept long-term
+   */
+  showMemoryActions(conversationContainer, onKeep) {
+    const resultActions = conversationContainer?.resultSection?.querySelector('.result-actions');
+    if (!resultActions) {
+      return;
+    }
+
+    // Replace the buttons from a previous run of this item
+    resultActions.querySelector('.memory-actions')?.remove();
+
+    const actions = document.createElement('span');
+    actions.className = 'memory-actions';
+    actions.innerHTML = `
+      <button class="btn btn-secondary memory-action-btn" data-flag="pinned" title="Remember this conversation across browser restarts">Pin</button>
+      <button class="btn btn-secondary memory-action-btn" data-flag="useful" title="Mark as useful so it is remembered long-term">Useful</button>
+    `;
+
+    actions.querySelectorAll('.memory-action-btn').forEach(button => {
+      button.addEventListener('click', async (e) => {
+        e.preventDefault();
+        button.disabled = true;
+
+        try {
+          if (await onKeep(button.dataset.flag)) {
+            button.classList.add('active');
+            button.textContent = button.dataset.flag === 'pinned' ? 'Pinned' : 'Useful ✓';
+            button.title = 'Remembered long-term (manage in Settings)';
+            return;
+          }
+          this.showError('Could not save to long-term memory');
+        } catch (error) {
+          console.error('❌ Failed to keep conversation:', error);
+          this.showError('Could not save to long-term memory');
+        }
+        button.disabled = false;
+      });
+    });
+
+    resultActions.insertBefore(actions, resultActions.querySelector('.route-override'));
+  }
+
+  /**
+   * Ask the user to confirm facts about themselves found in this conversation
+   * @param {Object} conversationContainer - The container showing results
+   * @param {Array<Object>} facts - Proposed facts ({id, text})
+   * @param {Function} onDecide - Called with (id, confirmed); resolves true once the decision is saved
+   */
+  showProfileFactProposals(conversationContainer, facts, onDecide) {
+    const resultActions = conversationContainer?.resultSection?.querySelector('.result-actions');
+    if (!resultActions || facts.length === 0) {
+      return;
+    }
+
+    conversationContainer.contentSection.querySelector('.profile-facts')?.remove();
+
+    const panel = document.createElement('div');
+    panel.className = 'profile-facts';
+    panel.innerHTML = `
+      <div class="profile-facts-title">Remember about you?</div>
+      ${facts.map(() => `
+        <div class="profile-fact">
+          <span class="profile-fact-text"></span>
+          <button class="btn btn-secondary profile-fact-btn" data-confirm="true">Remember</button>
+          <button class="btn btn-secondary profile-fact-btn" data-confirm="false">Dismiss</button>
+        </div>
+      `).join('')}
+    `;
+
+    panel.querySelectorAll('.profile-fact').forEach((row, index) => {
+      row.querySelector('.profile-fact-text').textContent = facts[index].text;
+      row.querySelectorAll('.profile-fact-btn').forEach(button => {
+        button.addEventListener('click', async (e) => {
+          e.preventDefault();
+          row.querySelectorAll('.profile-fact-btn').forEach(item => { item.disabled = true; });
+
+          try {
+            if (await onDecide(facts[index].id, button.dataset.confirm === 'true')) {
+              row.remove();
+              if (!panel.querySelector('.profile-fact')) {
+                panel.remove();
+              }
+              return;
+            }
+            this.showError('Could not save this fact');
+          } catch (error) {
+            console.error('❌ Failed to save profile fact:', error);
+            this.showError('Could not save this fact');
+          }
+          row.querySelectorAll('.profile-fact-btn').forEach(item => { item.disabled = false; });
+        });
+      });
+    });
+
+    resultActions.insertAdjacentElement('afterend', panel);
+  }
+
+  /**
+   * Add a "Follow up" button that continues this conversation as a thread
+   * @param {Object} conversationContainer - The container showing results
+   * @param {Function} onFollowUp - Called when the user picks the button
+   */
+  showThreadActions(conversationContainer, onFollowUp) {
+    const resultActions = conversationContainer?.resultSection?.querySelector('.result-actions');
+    if (!resultActions) {
+      return;
+    }
+
+    resultActions.querySelector('.thread-follow-btn')?.remove();
+
+    const button = document.createElement('button');
+    button.className = 'btn btn-secondary thread-follow-btn';
+    button.textContent = 'Follow up';
+    button.title = 'Continue this conversation; the next request uses this thread as context';
+    button.addEventListener('click', (e) => {
+      e.preventDefault();
+      onFollowUp();
+      this.elements.inputText?.focus();
+    });
+
+    resultActions.insertBefore(button, resultActions.querySelector('.route-override'));
+  }
+
+  /**
+   * Show the active thread above the input, with a view of its back-and-forth
+   * @param {Object} thread - {title, items} with items oldest first
+   * @param {Function} onExit - Called when the user leaves the thread
+   */
+  showThreadBanner(thread, onExit) {
+    const banner = this.elements.threadBanner;
+    if (!banner) {
+      return;
+    }
+
+    const esc = (value) => this.escapeHtml(String(value ?? ''));
+    const wasOpen = banner.querySelector('.thread-view')?.style.display === 'block';
+    const count = thread.items.length;
+
+    banner.innerHTML = `
+      <div class="thread-banner-header">
+        <span class="thread-banner-title" title="${esc(thread.title).replace(/"/g, '&quot;')}">🧵 ${esc(thread.title)}</span>
+        <span class="thread-banner-count">${count} ${count === 1 ? 'message' : 'messages'}</span>
+        <button class="btn btn-secondary thread-view-btn">${wasOpen ? 'Hide' : 'View'}</button>
+        <button class="btn btn-secondary thread-exit-btn" title="Leave this thread">✕</button>
+      </div>
+      <div class="thread-view" style="display: ${wasOpen ? 'block' : 'none'};">
+        ${thread.items.map(item => `
+          <div class="thread-entry${item.parentId ? ' thread-entry-reply' : ''}">
+            <div class="thread-entry-query">${esc(item.query)}</div>
+            <div class="thread-entry-content">${esc(item.content)}</div>
+          </div>
+        `).join('')}
+      </div>
+    `;
+
+    const view = banner.querySelector('.thread-view');
+    banner.querySelector('.thread-view-btn').addEventListener('click', (e) => {
+      e.preventDefault();
+      const open = view.style.display !== 'block';
+      view.style.display = open ? 'block' : 'none';
+      e.currentTarget.textContent = open ? 'Hide' : 'View';
+    });
+    banner.querySelector('.thread-exit-btn').addEventListener('click', (e) => {
+      e.preventDefault();
+      onExit();
+    });
+
+    banner.style.display = 'block';
+  }
+
+  /**
+   * Hide the active thread banner
+   */
+  hideThreadBanner() {
+    if (this.elements.threadBanner) {
+      this.elements.threadBanner.style.display = 'none';
+      this.elements.threadBanner.innerHTML = '';
+    }
+  }
+
+  /**
+   * Render inspector data as HTML (every value escaped)
+   * @param {Object} explanation - Data from SemanticRouter.explain()
+   * @param {Array<string>} intents - Intents offered by "re-run as…"
+   * @returns {string} HTML
+   */
+  renderRoutingExplanation(explanation, intents) {
+    // escapeHtml leaves quotes alone; values also land in attributes here
+    const esc = (value) => this.escapeHtml(String(value ?? '')).replace(/"/g, '&quot;');
+    const highlight = (span) => `${esc(explanation.query.slice(0, span.start))}<mark>${esc(explanation.query.slice(span.start, span.end))}</mark>${esc(explanation.query.slice(span.end))}`;
+    const row = (label, body) => `<div class="inspector-row"><div class="inspector-label">${label}</div><div class="inspector-value">${body}</div></div>`;
+
+    const score = explanation.score === null ? 'no score' : `${Math.round(explanation.score * 100)}%`;
+    const timing = explanation.routingMs === null ? '' : ` in ${explanation.routingMs}ms`;
+    const rows = [
+      row('Route', `${esc(explanation.intent)}${explanation.outputType ? ` → ${esc(explanation.outputType)}` : ''} · ${score} · ${esc(explanation.routePath || 'unknown')}${timing}`)
+    ];
+
+    if (explanation.fallbackReason) {
+      rows.push(row('Fallback', esc(explanation.fallbackReason)));
+    }
+
+    rows.push(row('Patterns', explanation.patternMatches.length > 0
+      ? explanation.patternMatches.map(match => `<div><strong>${esc(match.intent)}</strong>: ${highlight(match)} <code title="${esc(match.pattern)}">/${esc(match.pattern.slice(0, 40))}${match.pattern.length > 40 ? '…' : ''}/</code></div>`).join('')
+      : 'No intent pattern matched'));
+
+    if (explanation.outputTypeMatch) {
+      rows.push(row('Output type', `<strong>${esc(explanation.outputTypeMatch.outputType)}</strong>: ${highlight(explanation.outputTypeMatch)}`));
+    }
+    if (explanation.learned.length > 0) {
+      rows.push(row('Learned', explanation.learned.map(item => `${esc(item.intent)} (${esc(item.terms.join(', '))})`).join('; ')));
+    }
+    if (explanation.toneCues.length > 0) {
+      rows.push(row('Tone cues', esc(explanation.toneCues.join(', '))));
+    }
+    if (explanation.candidates.length > 0) {
+      rows.push(row('Candidates', explanation.candidates.map(c => `${esc(c.intent)} ${Math.round((c.score || 0) * 100)}% <span class="inspector-muted">${esc(c.source)}</span>`).join(' · ')));
+    }
+
+    const classifier = explanation.classifier;
+    if (classifier) {
+      const status = classifier.error
+        ? `Error: ${esc(classifier.error)}`
+        : [
+          classifier.valid ? 'Valid JSON' : 'Failed validation',
+          classifier.repairAttempts > 0 ? `${classifier.repairAttempts} repair attempt(s)` : null,
+          classifier.usedFallback ? 'fallback values used' : null
+        ].filter(Boolean).join(' · ');
+      const details = [
+        classifier.errors?.length > 0 ? `<div>Errors: ${esc(classifier.errors.join('; '))}</div>` : '',
+        classifier.coercedFields?.length > 0 ? `<div>Coerced: ${esc(classifier.coercedFields.join(', '))}</div>` : '',
+        classifier.raw !== undefined && classifier.raw !== null ? `<pre class="inspector-pre">${esc(classifier.raw)}</pre>` : ''
+      ].join('');
+      rows.push(row('Classifier', `${status}${details}`));
+    } else {
+      rows.push(row('Classifier', 'Not consulted for this item'));
+    }
+
+    if (explanation.reasoning) {
+      rows.push(row('Reasoning', esc(explanation.reasoning)));
+    }
+
+    rows.push(row('Normalized', `<pre class="inspector-pre">${esc(JSON.stringify(explanation.normalized, null, 2))}</pre>`));
+
+    const rerunOptions = intents
+      .filter(intent => intent !== explanation.intent)
+      .map(intent => `<option value="${esc(intent)}">${esc(intent)}</option>`)
+      .join('');
+    rows.push(row('Re-run as…', `<select class="route-override-select inspector-rerun-select">${rerunOptions}</select> <button class="clarification-chip inspector-rerun-btn">Re-run</button>`));
+
+    return rows.join('');
+  }
+
+  /**
+   * Add a "Trace" button that shows the saved trace of a Plan mode run and can replay it
+   * @param {Object} conversationContainer - The container showing results
+   * @param {Function} loadTrace - Async, returns the saved trace (called on open)
+   * @param {Function} onReplay - Called with the trace and {regenerate} to replay it from its recorded
+   *   results, or to run its generation steps again
+   */
+  showPlanTrace(conversationContainer, loadTrace, onReplay) {
+    const resultActions = conversationContainer?.resultSection?.querySelector('.result-actions');
+    if (!resultActions) {
+      return;
+    }
+
+    resultActions.querySelector('.plan-trace-btn')?.remove();
+    conversationContainer.contentSection?.querySelector('.plan-trace')?.remove();
+
+    const button = document.createElement('button');
+    button.className = 'btn btn-secondary routing-inspector-btn plan-trace-btn';
+    button.textContent = 'Trace';
+    button.title = 'Show what each plan step looked up and produced';
+
+    button.addEventListener('click', async (e) => {
+      e.preventDefault();
+      const existing = conversationContainer.contentSection.querySelector('.plan-trace');
+      if (existing) {
+        existing.remove();
+        button.classList.remove('active');
+        return;
+      }
+
+      const trace = await loadTrace();
+      if (!trace) {
+        this.showError('This plan trace is no longer stored');
+        return;
+      }
+
+      const panel = document.createElement('div');
+      panel.className = 'routing-inspector plan-trace';
+      panel.innerHTML = this.renderPlanTrace(trace);
+
+      [['.plan-trace-replay-btn', false], ['.plan-trace-regenerate-btn', true]].forEach(([selector, regenerate]) => {
+        panel.querySelector(selector)?.addEventListener('click', (event) => {
+          event.preventDefault();
+          console.log(regenerate ? '🔁 Re-generating plan trace:' : '🔁 Replaying plan trace:', trace.id);
+          panel.remove();
+          button.classList.remove('active');
+          onReplay(trace, { regenerate });
+        });
+      });
+
+      resultActions.insertAdjacentElement('afterend', panel);
+      button.classList.add('active');
+    });
+
+    const override = resultActions.querySelector('.route-override');
+    resultActions.insertBefore(button, override);
+  }
+
+  /**
+   * Render a plan trace as HTML (every value escaped)
+   * @param {Object} trace - Saved trace
+   * @returns {string} HTML
+   */
+  renderPlanTrace(trace) {
+    const esc = (value) => this.escapeHtml(String(value ?? '')).replace(/"/g, '&quot;');
+    const row = (label, body) => `<div class="inspector-row"><div class="inspector-label">${label}</div><div class="inspector-value">${body}</div></div>`;
+    const ms = (value) => (Number.isFinite(value) ? `${value}ms` : '—');
+    const pre = (text) => `<pre class="inspector-pre">${esc(text)}</pre>`;
+
+    const rows = [
+      row('Run', `${esc(trace.status)} · ${ms(trace.durationMs)} · ${esc(new Date(trace.timestamp || trace.startedAt).toLocaleString())}${trace.replayOf ? ` · replay of #${esc(trace.replayOf)}` : ''}`),
+      row('Request', esc(trace.query))
+    ];
+
+    if (trace.error) {
+      rows.push(row('Error', esc(trace.error)));
+    }
+    if (trace.constraints?.length > 0) {
+      rows.push(row('Constraints', trace.constraints.map(constraint => `<div>${esc(constraint)}</div>`).join('')));
+    }
+
+    trace.steps.forEach((step, index) => {
+      const heading = step.kind === 'tool'
+        ? `<strong>${esc(step.action)}</strong> ${esc(JSON.stringify(step.args || {}))}`
+        : `<strong>${esc(step.intent)}</strong>: ${esc(step.instruction)}`;
+      const details = [
+        `<span class="inspector-muted">${esc(step.status)} · ${ms(step.durationMs)}${step.replayed ? ' · replayed' : ''}</span>`,
+        step.thought ? `<div>Thought: ${esc(step.thought)}</div>` : '',
+        step.kind === 'tool' && step.observation ? pre(step.observation) : '',
+        step.kind === 'generate' && step.context ? `<details><summary>Context it saw</summary>${pre(step.context)}</details>` : '',
+        step.kind === 'generate' && step.output ? `<details><summary>Output</summary>${pre(step.output)}</details>` : ''
+      ].join('');
+      rows.push(row(`Step ${index + 1}`, `<div>${heading}</div>${details}`));
+    });
+
+    if (trace.finalOutput) {
+      rows.push(row('Final output', pre(trace.finalOutput)));
+    }
+
+    rows.push(row('Replay', '<button class="clarification-chip plan-trace-replay-btn">Replay with recorded results</button> ' +
+      '<button class="clarification-chip plan-trace-regenerate-btn">Re-generate</button> ' +
+      '<span class="inspector-muted">No web or document lookups are repeated; Re-generate writes the drafts again</span>'));
+
+    return rows.join('');
+  }
+
+  /**
+   * Show the primary draft and its alternatives as tabs, each diffed against what it was drafted from.
+   * A draft can be used in place of the result or copied; the Merge tab builds one draft from
+   * sentences picked across all of them.
+   * @param {Object} conversationContainer - The container showing results
+   * @param {Object} results - Results with `primary`, `alternatives` and (for rewrites) `original`
+   * @param {DraftVariantService} variants - Diffs and splits drafts
+   * @param {Function} onUse - Called with the text that now stands as the result
+   */
+  showAlternatives(conversationContainer, results, variants, onUse) {
+    const contentSection = conversationContainer?.contentSection;
+    const resultDiv = contentSection?.querySelector('.result-content');
+    contentSection?.querySelector('.draft-alternatives')?.remove();
+    if (!resultDiv || !variants || !results.alternatives?.length) {
+      return;
+    }
+
+    const drafts = [{ id: 'primary', label: 'Current', text: results.primary }, ...results.alternatives];
+    // Rewrites are compared with the text they rewrote; written drafts with the primary draft
+    const compareTo = results.type === 'rewrite' && results.original ? results.original : results.primary;
+    const esc = (value) => this.escapeHtml(String(value ?? ''));
+
+    const panel = document.createElement('div');
+    panel.className = 'draft-alternatives';
+    panel.innerHTML = `
+      <div class="draft-tabs">
+        ${drafts.map((draft, index) => `<button class="draft-tab${index === 0 ? ' active' : ''}" data-draft="${index}">${esc(draft.label)}</button>`).join('')}
+        <button class="draft-tab" data-draft="merge">Merge</button>
+      </div>
+      <div class="draft-view"></div>
+    `;
+    const view = panel.querySelector('.draft-view');
+
+    const use = (text) => {
+      resultDiv.textContent = text;
+      if (conversationContainer.results) {
+        conversationContainer.results.content = text;
+      }
+      console.log('🔀 Draft used as the result');
+      onUse(text);
+    };
+    const copy = (text) => {
+      if (!navigator.clipboard?.writeText) {
+        this.fallbackCopyToClipboard(text);
+        return;
+      }
+      navigator.clipboard.writeText(text)
+        .then(() => this.showCopyFeedback(conversationContainer.container))
+        .catch(() => this.fallbackCopyToClipboard(text));
+    };
+
+    const renderDraft = (draft) => {
+      const diffHTML = variants.diff(compareTo, draft.text).map(run => {
+        if (run.type === 'insert') return `<ins>${esc(run.text)}</ins>`;
+        if (run.type === 'delete') return `<del>${esc(run.text)}</del>`;
+        return esc(run.text);
+      }).join('');
+      const compared = compareTo === results.primary ? 'the current draft' : 'the original';
+      view.innerHTML = `
+        <div class="draft-diff">${diffHTML}</div>
+        <div class="draft-meta">${draft.text.length} characters · changes shown against ${compared}</div>
+        <div class="draft-actions">
+          <button class="clarification-chip draft-use-btn">Use this</button>
+          <button class="clarification-chip draft-copy-btn">Copy</button>
+        </div>
+      `;
+      view.querySelector('.draft-use-btn').addEventListener('click', (e) => {
+        e.preventDefault();
+        use(draft.text);
+      });
+      view.querySelector('.draft-copy-btn').addEventListener('click', (e) => {
+        e.preventDefault();
+        copy(draft.text);
+      });
+    };
+
+    const renderMerge = () => {
+      const picks = [];
+      const sentences = drafts.map(draft => variants.splitSentences(draft.text));
+      view.innerHTML = `
+        <div class="draft-meta">Pick sentences in the order you want them</div>
+        ${drafts.map((draft, draftIndex) => `
+          <div class="draft-merge-group">
+            <div class="draft-merge-label">${esc(draft.label)}</div>
+            ${sentences[draftIndex].map((sentence, sentenceIndex) => `<button class="draft-sentence" data-draft="${draftIndex}" data-sentence="${sentenceIndex}">${esc(sentence)}</button>`).join('')}
+          </div>`).join('')}
+        <div class="draft-merge-preview"></div>
+        <div class="draft-actions">
+          <button class="clarification-chip draft-use-btn" disabled>Use merged</button>
+          <button class="clarification-chip draft-copy-btn" disabled>Copy</button>
+        </div>
+      `;
+      const preview = view.querySelector('.draft-merge-preview');
+      const buttons = view.querySelectorAll('.draft-actions button');
+      const update = () => {
+        const merged = variants.mergeSentences(drafts.map(draft => draft.text), picks);
+        preview.textContent = merged;
+        buttons.forEach(button => { button.disabled = !merged; });
+        view.querySelectorAll('.draft-sentence').forEach(button => {
+          const order = picks.findIndex(pick => pick.draft === Number(button.dataset.draft) && pick.sentence === Number(button.dataset.sentence));
+          button.classList.toggle('picked', order !== -1);
+          button.dataset.order = order === -1 ? '' : String(order + 1);
+        });
+        return merged;
+      };
+
+      view.querySelectorAll('.draft-sentence').forEach(button => {
+        button.addEventListener('click', (e) => {
+          e.preventDefault();
+          const pick = { draft: Number(button.dataset.draft), sentence: Number(button.dataset.sentence) };
+          const existing = picks.findIndex(item => item.draft === pick.draft && item.sentence === pick.sentence);
+          if (existing === -1) {
+            picks.push(pick);
+          } else {
+            picks.splice(existing, 1);
+          }
+          update();
+        });
+      });
+      view.querySelector('.draft-use-btn').addEventListener('click', (e) => {
+        e.preventDefault();
+        use(update());
+      });
+      view.querySelector('.draft-copy-btn').addEventListener('click', (e) => {
+        e.preventDefault();
+        copy(update());
+      });
+    };
+
+    panel.querySelectorAll('.draft-tab').forEach(tab => {
+      tab.addEventListener('click', (e) => {
+        e.preventDefault();
+        panel.querySelectorAll('.draft-tab').forEach(other => other.classList.toggle('active', other === tab));
+        if (tab.dataset.draft === 'merge') {
+          renderMerge();
+        } else {
+          renderDraft(drafts[Number(tab.dataset.draft)]);
+        }
+        this.adjustFillerAfterContentGeneration(conversationContainer.container);
+      });
+    });
+
+    renderDraft(drafts[0]);
+    resultDiv.insertAdjacentElement('afterend', panel);
+    this.adjustFillerAfterContentGeneration(conversationContainer.container);
+  }
+
+  /**
+   * Add a follow-up input under a result ("shorter", "add a CTA") with undo/redo over its revisions
+   * @param {Object} conversationContainer - The container showing results
+   * @param {TonePilotRevisionHistory} history - The item's revisions
+   * @param {Function} onRefine - async (instruction) => revised text
+   * @param {Function} onChange - Called with the text whenever the shown revision changes
+   */
+  showRefineControls(conversationContainer, history, onRefine, onChange) {
+    const contentSection = conversationContainer?.contentSection;
+    const resultDiv = contentSection?.querySelector('.result-content');
+    contentSection?.querySelector('.refine-section')?.remove();
+    if (!resultDiv || !history) {
+      return;
+    }
+
+    const section = document.createElement('div');
+    section.className = 'refine-section';
+    section.innerHTML = `
+      <div class="refine-row">
+        <input class="refine-input" type="text" placeholder="Refine this result: shorter, warmer, add a CTA…" />
+        <button class="clarification-chip refine-apply-btn">Apply</button>
+        <button class="btn btn-secondary refine-undo-btn" title="Undo">↶</button>
+        <button class="btn btn-secondary refine-redo-btn" title="Redo">↷</button>
+      </div>
+      <div class="refine-status"></div>
+    `;
+
+    const input = section.querySelector('.refine-input');
+    const applyBtn = section.querySelector('.refine-apply-btn');
+    const status = section.querySelector('.refine-status');
+
+    const show = (revision) => {
+      resultDiv.textContent = revision.text;
+      if (conversationContainer.results) {
+        conversationContainer.results.content = revision.text;
+      }
+      onChange(revision.text);
+      this.updateRefineControls(conversationContainer);
+    };
+
+    const apply = async () => {
+      const instruction = input.value.trim();
+      if (!instruction || applyBtn.disabled) {
+        return;
+      }
+
+      applyBtn.disabled = true;
+      input.disabled = true;
+      status.classList.remove('error');
+      status.textContent = `Applying "${instruction}"…`;
+      try {
+        const text = await onRefine(instruction);
+        input.value = '';
+        show(history.push(text, instruction));
+      } catch (error) {
+        console.warn('⚠️ Refinement failed:', error);
+        status.classList.add('error');
+        status.textContent = error.name === 'AbortError' ? 'Refinement cancelled.' : `Could not apply: ${error.message}`;
+      } finally {
+        applyBtn.disabled = false;
+        input.disabled = false;
+      }
+    };
+
+    applyBtn.addEventListener('click', (e) => {
+      e.preventDefault();
+      apply();
+    });
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        apply();
+      }
+    });
+    section.querySelector('.refine-undo-btn').addEventListener('click', (e) => {
+      e.preventDefault();
+      const revision = history.undo();
+      if (revision) show(revision);
+    });
+    section.querySelector('.refine-redo-btn').addEventListener('click', (e) => {
+      e.preventDefault();
+      const revision = history.redo();
+      if (revision) show(revision);
+    });
+
+    contentSection.appendChild(section);
+    this.updateRefineControls(conversationContainer);
+  }
+
+  /**
+   * Sync a container's undo/redo buttons and revision label with its history
+   * @param {Object} conversationContainer - Container with `revisions`
+   */
+  updateRefineControls(conversationContainer) {
+    const section = conversationContainer?.contentSection?.querySelector('.refine-section');
+    const history = conversationContainer?.revisions;
+    if (!section || !history) {
+      return;
+    }
+
+    section.querySelector('.refine-undo-btn').disabled = !history.canUndo();
+    section.querySelector('.refine-redo-btn').disabled = !history.canRedo();
+
+    const status = section.querySelector('.refine-status');
+    status.classList.remove('error');
+    const revision = history.current();
+    status.textContent = history.entries.length > 1
+      ? `Revision ${history.index + 1} of ${history.entries.length}${revision.instruction ? `: ${revision.instruction}` : ' (original)'}`
+      : '';
+  }
+
+  /**
+   * Put a finished conversation container back into loading state for a re-run
+   * @param {Object} conversationContainer - Container to reset
+   */
+  resetContainerForRerun(conversationContainer) {
+    if (!conversationContainer || !conversationContainer.contentSection) {
+      return;
+    }
+
+    const resultDiv = conversationContainer.contentSection.querySelector('.result-content');
+    if (resultDiv) {
+      resultDiv.textContent = '';
+    }
+
+    const resultActions = conversationContainer.resultSection?.querySelector('.result-actions');
+    if (resultActions) {
+      resultActions.style.display = 'none';
+      resultActions.querySelector('.memory-actions')?.remove();
+      resultActions.querySelector('.thread-follow-btn')?.remove();
+    }
+    conversationContainer.contentSection.querySelector('.routing-inspector')?.remove();
+    conversationContainer.contentSection.querySelector('.plan-review')?.remove();
+    conversationContainer.contentSection.querySelector('.plan-trace')?.remove();
+    conversationContainer.contentSection.querySelector('.stopped-note')?.remove();
+    conversationContainer.contentSection.querySelector('.draft-alternatives')?.remove();
+    conversationContainer.contentSection.querySelector('.refine-section')?.remove();
+    conversationContainer.contentSection.querySelector('.profile-facts')?.remove();
+
+    // Route step updates to this container while it re-runs
+    this.currentConversationContainer = conversationContainer;
+    if (conversationContainer.planMode) {
+      this.progressiveSteps = [];
+    }
+
+    this.startLoadingInContainer(conversationContainer.contentSection);
+  }
+
   /**
    * Populate sources section with source cards
    * @param {HTMLElement} sourceCards - Container for source cards
@@ -2485,108 +3432,174 @@ class TonePilotUIManager {
   }
 
   /**
-   * Show detail mode tab immediately upon submit
+   * Show a proposed plan in the Plan mode tab so the user can reorder, delete or edit steps and
+   * add constraints before approving it. Nothing runs until "Approve & run" is clicked.
    * @param {Object} conversationContainer - The conversation container
-   * @param {boolean} planMode - Whether plan mode is active
+   * @param {Object} plan - Proposed plan ({steps, constraints})
+   * @param {Function} onApprove - Called with the edited plan
+   * @param {Function} onCancel - Called when the user discards the plan
    */
-  showPlanModeTab(conversationContainer, planMode) {
-    if (!conversationContainer || !conversationContainer.resultSection) {
-      console.warn('⚠️ Cannot show detail mode tab - no result section');
+  showPlanModeTab(conversationContainer, plan, onApprove, onCancel = null) {
+    if (!conversationContainer || !conversationContainer.contentSection) {
+      console.warn('⚠️ Cannot show plan - no content section');
       return;
     }
 
-    console.log('📋 showPlanModeTab called with planMode:', planMode);
-
-    // Show Alternative 1 tab immediately
-    const alt1Tab = conversationContainer.resultSection.querySelector('[data-tab="alt1"]');
-    if (alt1Tab) {
-      alt1Tab.style.display = 'block';
-      console.log('✅ Alternative 1 tab made visible immediately');
-    } else {
-      console.warn('⚠️ alt1Tab not found in conversation container');
-    }
+    const contentSection = conversationContainer.contentSection;
 
-    // Reset progressive steps for new conversation
-    this.progressiveSteps = [];
+    // Replace the loading message with the plan
+    this.stopLoadingAnimation();
+    contentSection.querySelector('.loading-message')?.remove();
+    contentSection.querySelector('.plan-review')?.remove();
+
+    // Edit a copy; the proposal stays as it was
+    const draft = {
+      ...plan,
+      steps: plan.steps.map(step => ({ ...step, args: step.args ? { ...step.args } : step.args })),
+      constraints: [...(plan.constraints || [])]
+    };
 
-    // Initialize with first step (routing)
-    // Note: reasoning will be updated when routing completes
-    this.progressiveSteps.push({
-      id: 'routing',
-      title: 'Thinking',
-      substeps: [
-        { id: 'semantic-routing', icon: '🎯', text: 'Determining intent and routing', reason: planMode ? 'Understanding what you want to accomplish' : null }
-      ],
-      status: 'active',
-      activeSubstep: 'semantic-routing'
-    });
+    const review = document.createElement('div');
+    review.className = 'plan-review';
 
-    // Initialize step indicator HTML in the Alternative 1 tab content area
-    const initialStepHTML = this.generateProgressiveStepHTML(planMode);
+    const render = () => {
+      review.innerHTML = this.renderPlanReview(draft);
+    };
 
-    // Store planMode on the container for later reference
-    conversationContainer.planMode = planMode;
+    review.addEventListener('input', (event) => {
+      const index = Number(event.target.dataset.index);
+      const step = draft.steps[index];
+      if (!step) {
+        return;
+      }
+      if (event.target.dataset.field === 'instruction') {
+        step.instruction = event.target.value;
+      } else if (event.target.dataset.arg) {
+        step.args[event.target.dataset.arg] = event.target.value;
+      }
+    });
 
-    // Store this in the conversation container for immediate access
-    if (!conversationContainer.results) {
-      conversationContainer.results = {};
-    }
-    conversationContainer.results.alt1 = initialStepHTML;
+    review.addEventListener('click', (event) => {
+      const button = event.target.closest('button[data-plan-action]');
+      if (!button) {
+        return;
+      }
+      event.preventDefault();
+
+      const index = Number(button.dataset.index);
+      switch (button.dataset.planAction) {
+        case 'up':
+        case 'down': {
+          const target = button.dataset.planAction === 'up' ? index - 1 : index + 1;
+          if (target >= 0 && target < draft.steps.length) {
+            [draft.steps[index], draft.steps[target]] = [draft.steps[target], draft.steps[index]];
+          }
+          break;
+        }
+        case 'delete':
+          draft.steps.splice(index, 1);
+          break;
+        case 'add-constraint': {
+          const input = review.querySelector('.plan-constraint-input');
+          if (input?.value.trim()) {
+            draft.constraints.push(input.value.trim());
+          }
+          break;
+        }
+        case 'remove-constraint':
+          draft.constraints.splice(index, 1);
+          break;
+        case 'approve':
+          console.log('✅ Plan approved:', draft.steps.map(step => step.action || step.intent));
+          review.remove();
+          // Route step updates to this container even if another request started meanwhile
+          this.currentConversationContainer = conversationContainer;
+          this.startLoadingInContainer(contentSection);
+          onApprove(draft);
+          return;
+        case 'cancel':
+          console.log('🚫 Plan discarded');
+          review.innerHTML = '<div class="plan-review-note">Plan discarded. Nothing was run.</div>';
+          onCancel?.();
+          return;
+      }
+      render();
+    });
 
-    // We'll need to store this for real-time updates
-    this.currentDetailContainer = conversationContainer;
-    this.currentStepIndicatorHTML = initialStepHTML;
+    review.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter' && event.target.classList.contains('plan-constraint-input')) {
+        event.preventDefault();
+        review.querySelector('[data-plan-action="add-constraint"]')?.click();
+      }
+    });
 
-    // Immediately switch to Alternative 1 tab and show the step indicators
-    if (alt1Tab) {
-      console.log('🔍 DEBUG: About to hide all tab contents');
+    render();
+    contentSection.insertBefore(review, contentSection.firstChild);
+    this.adjustFillerAfterContentGeneration(conversationContainer.container);
 
-      // Hide all tab contents first
-      conversationContainer.resultSection.querySelectorAll('.tab-content').forEach((content, index) => {
-        console.log(`🔍 DEBUG: Hiding tab content ${index}:`, content.id, 'innerHTML:', content.innerHTML);
-        content.style.display = 'none';
-      });
+    console.log('📋 Plan shown for review:', plan.steps.length, 'steps');
+  }
 
-      // Make Alternative 1 tab active
-      conversationContainer.resultSection.querySelectorAll('.result-tab').forEach(t => t.classList.remove('active'));
-      alt1Tab.classList.add('active');
-
-      // Show step indicators immediately in alt1 content
-      if (conversationContainer.alt1Content) {
-        console.log('🔍 DEBUG: alt1Content before setting innerHTML:', conversationContainer.alt1Content.innerHTML);
-
-        // Replace loading content with step indicators in alt1 content
-        conversationContainer.alt1Content.innerHTML = initialStepHTML;
-        conversationContainer.alt1Content.style.display = 'block';
-        conversationContainer.alt1Content.style.visibility = 'visible';
-
-        console.log('🔍 DEBUG: alt1Content after setting innerHTML:', conversationContainer.alt1Content.innerHTML);
-
-        // Double-check that primary-content is actually hidden
-        const primaryContentAfter = conversationContainer.resultSection.querySelector('#primary-content');
-        if (primaryContentAfter) {
-          console.log('🔍 DEBUG: primaryContent display style after hiding:', primaryContentAfter.style.display);
-          console.log('🔍 DEBUG: primaryContent computed display:', window.getComputedStyle(primaryContentAfter).display);
-          console.log('🔍 DEBUG: primaryContent classList:', primaryContentAfter.classList.toString());
-          console.log('🔍 DEBUG: primaryContent id:', primaryContentAfter.id);
-          console.log('🔍 DEBUG: primaryContent innerHTML after alt1 setup:', primaryContentAfter.innerHTML);
-
-          // Check if primary-content is actually being found by the hide logic
-          const allTabContents = conversationContainer.resultSection.querySelectorAll('.tab-content');
-          console.log('🔍 DEBUG: All tab contents found:', allTabContents.length);
-          allTabContents.forEach((content, index) => {
-            console.log(`🔍 DEBUG: Tab content ${index}: id="${content.id}", display="${content.style.display}", computed="${window.getComputedStyle(content).display}"`);
-          });
-        }
+  /**
+   * Render the plan review (every value escaped)
+   * @param {Object} draft - Plan being edited
+   * @returns {string} HTML
+   */
+  renderPlanReview(draft) {
+    // escapeHtml leaves quotes alone; values also land in attributes here
+    const esc = (value) => this.escapeHtml(String(value ?? '')).replace(/"/g, '&quot;');
+    const hasGeneration = draft.steps.some(step => step.kind === 'generate');
 
-        // Mark this container as having detail mode active so tab switching knows to handle it differently
-        conversationContainer._planModeActive = true;
+    const steps = draft.steps.map((step, index) => {
+      const controls = `
+        <div class="plan-step-controls">
+          <button class="plan-step-btn" data-plan-action="up" data-index="${index}" title="Move up" ${index === 0 ? 'disabled' : ''}>↑</button>
+          <button class="plan-step-btn" data-plan-action="down" data-index="${index}" title="Move down" ${index === draft.steps.length - 1 ? 'disabled' : ''}>↓</button>
+          <button class="plan-step-btn" data-plan-action="delete" data-index="${index}" title="Remove step">✕</button>
+        </div>`;
 
-        console.log('📋 Alternative 1 tab activated with step indicators in result content, replaced loading');
+      let body;
+      if (step.kind === 'tool') {
+        const fields = Object.keys(step.argSchema?.properties || step.args || {}).map(key => `
+          <label class="plan-step-field">
+            <span>${esc(key)}</span>
+            <input class="plan-step-input" data-index="${index}" data-arg="${esc(key)}" value="${esc(step.args?.[key] ?? '')}" />
+          </label>`).join('');
+        body = `
+          <div class="plan-step-title">🧭 ${esc(step.label || step.action)}</div>
+          ${step.reason ? `<div class="plan-step-reason">${esc(step.reason)}</div>` : ''}
+          ${fields}`;
+      } else {
+        body = `
+          <div class="plan-step-title">🔗 ${esc(step.label || step.intent)}</div>
+          <textarea class="plan-step-input" data-index="${index}" data-field="instruction" rows="2">${esc(step.instruction)}</textarea>`;
       }
-    }
 
-    console.log('📋 Detail mode tab initialized with step indicator content stored and displayed');
+      return `<li class="plan-step" data-kind="${esc(step.kind)}"><div class="plan-step-number">${index + 1}</div><div class="plan-step-body">${body}</div>${controls}</li>`;
+    }).join('');
+
+    const constraints = draft.constraints.map((constraint, index) => `
+      <li class="plan-constraint">
+        <span>${esc(constraint)}</span>
+        <button class="plan-step-btn" data-plan-action="remove-constraint" data-index="${index}" title="Remove constraint">✕</button>
+      </li>`).join('');
+
+    return `
+      <div class="plan-review-header">Review the plan</div>
+      <ol class="plan-steps">${steps || '<li class="plan-review-note">No steps left.</li>'}</ol>
+      <div class="plan-constraints">
+        <div class="plan-review-label">Constraints</div>
+        <ul class="plan-constraint-list">${constraints}</ul>
+        <div class="plan-constraint-add">
+          <input class="plan-constraint-input" placeholder="e.g. keep it under 100 words" />
+          <button class="btn btn-secondary" data-plan-action="add-constraint">Add</button>
+        </div>
+      </div>
+      ${hasGeneration ? '' : '<div class="plan-review-note">Keep at least one writing step to get a result.</div>'}
+      <div class="plan-review-actions">
+        <button class="btn btn-secondary" data-plan-action="cancel">Discard</button>
+        <button class="btn btn-primary" data-plan-action="approve" ${hasGeneration ? '' : 'disabled'}>Approve &amp; run</button>
+      </div>`;
   }
 
   /**
@@ -2644,6 +3657,26 @@ class TonePilotUIManager {
     console.log(`📋 Updated step indicator: ${stepId} -> ${status}${reasoning ? ` (reasoning: ${reasoning})` : ' (NO REASONING)'}`);
   }
 
+  /**
+   * Define a step that is not in the fixed step list (e.g. one stage of a compound request)
+   * @param {string} stepId - Step identifier
+   * @param {string} title - Step title
+   * @param {string} text - Substep text (escaped before rendering)
+   * @param {string} icon - Substep icon
+   */
+  definePlanModeStep(stepId, title, text, icon = '🔗') {
+    if (!this.dynamicStepDefinitions) {
+      this.dynamicStepDefinitions = {};
+    }
+
+    this.dynamicStepDefinitions[stepId] = {
+      title,
+      substeps: [
+        { id: `${stepId}-run`, icon, text: this.escapeHtml(text), reason: null }
+      ]
+    };
+  }
+
   /**
    * Add or update a step in progressive tracking
    * @param {string} stepId - Step identifier
@@ -2728,7 +3761,7 @@ class TonePilotUIManager {
       console.log(`📋 Updated existing step: ${stepId} -> ${status}${reasoning ? ` (with AI reasoning)` : ''}`);
     } else {
       // Add new step (any status - we want to show completed steps too)
-      const stepDef = stepDefinitions[stepId];
+      const stepDef = stepDefinitions[stepId] || this.dynamicStepDefinitions?.[stepId];
       if (stepDef) {
         const substeps = JSON.parse(JSON.stringify(stepDef.substeps)); // Deep clone
 
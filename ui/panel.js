@@ -6,6 +6,8 @@
 class TonePilotPanel {
   constructor() {
     console.log('🎬 TonePilotPanel constructor called');
+    // Conversation containers whose request is still running
+    this.activeRequests = new Set();
     this.initializeManagers();
     this.initialize().catch(this.handleFatalError.bind(this));
   }
@@ -32,6 +34,9 @@ class TonePilotPanel {
       // Memory service for context management
       this.memoryService = null;
 
+      // Thread the next request continues ({threadId, parentId}), or null for a standalone request
+      this.activeThread = null;
+
       console.log('✅ Managers initialized');
     } catch (error) {
       console.error('❌ Manager initialization failed:', error);
@@ -65,9 +70,17 @@ class TonePilotPanel {
       await this.settingsManager.initialize();
       await this.messageHandler.initialize();
       await this.aiServicesManager.initializeServices();
+      this.settingsManager.setRoutingFeedbackService(this.aiServicesManager.routingFeedbackService);
+      this.settingsManager.setProfileFactService(this.aiServicesManager.profileFactService);
+      this.aiServicesManager.setPageLanguageProvider(() => this.messageHandler.getPageLanguage());
+      this.aiServicesManager.setPageContextProvider(() => this.messageHandler.getPageContext());
+      this.aiServicesManager.setStorageManager(this.storage?.isInitialized ? this.storage : null);
+      this.settingsManager.setSearchService(this.aiServicesManager.searchService);
 
       // Initialize memory service for context management
       await this.initializeMemoryService();
+      this.aiServicesManager.setMemoryService(this.memoryService);
+      this.settingsManager.setMemoryService(this.memoryService);
 
       // Request AI API probe from background (don't block initialization)
       this.requestAPIProbe().catch(error => {
@@ -115,6 +128,8 @@ class TonePilotPanel {
       if (window.MemoryService) {
         this.memoryService = new window.MemoryService();
         await this.memoryService.initialize();
+        // Opt-in long-term tier lives in IndexedDB next to the rewrite history
+        await this.memoryService.setLongTermStorage(this.storage?.isInitialized ? this.storage : null);
         console.log('✅ Memory service initialized');
 
         // Log stats
@@ -454,6 +469,9 @@ class TonePilotPanel {
         return;
       }
 
+      // A new request replaces any that are still running
+      await this.cancelActiveRequests();
+
       // 1. Check detail mode first and create container accordingly
       const planMode = this.stateManager.getPlanMode();
 
@@ -463,11 +481,20 @@ class TonePilotPanel {
       // Detail mode tab setup is now handled inside createNewConversation
 
       // 1.6. Retrieve relevant conversation context from memory
-      // Uses BM25 for semantic relevance or chronological for temporal queries
+      // The active thread comes first; otherwise hybrid BM25/embedding relevance or chronological for
+      // temporal queries, preferring this site and person
       let conversationContext = '';
       if (this.memoryService) {
         try {
-          conversationContext = this.memoryService.getRelevantContextString(inputText, 5);
+          // Resolved once: the item is saved under the same scope even if the user switches tabs meanwhile
+          conversationContainer.memoryScope = await this.getMemoryScope(selectionState);
+          if (this.activeThread) {
+            conversationContainer.parentMemoryId = this.activeThread.parentId;
+            conversationContext = this.memoryService.getContextString(5, this.activeThread.threadId, conversationContainer.memoryScope);
+          } else {
+            await this.memoryService.prepareQuery(inputText);
+            conversationContext = this.memoryService.getRelevantContextString(inputText, 5, conversationContainer.memoryScope);
+          }
           if (conversationContext) {
             console.log('📚 Retrieved relevant conversation context from memory');
           }
@@ -476,84 +503,388 @@ class TonePilotPanel {
         }
       }
 
-      // 2. Start using the service API (async) with conversation context
-      const resultsPromise = this.aiServicesManager.processText(
-        inputText,
-        selectionState.currentSelection,
-        conversationContext
-      );
+      // 2. Process and display results in the new container
+      await this.processAndDisplay(inputText, selectionState, conversationContainer, conversationContext);
 
-      // 3. (Scroll happens automatically in createNewConversation)
+      console.log('✅ Text processing completed');
 
-      // 4. Wait for results and display them in the specific container
-      const results = await resultsPromise;
+    } catch (error) {
+      console.error('❌ Submit handling failed:', error);
+      this.uiManager.showError(`Processing failed: ${error.message}`);
+    }
+  }
 
-      // Update state
-      this.stateManager.setState('currentResults', results);
+  /**
+   * Cancel every in-flight request and wait (briefly) for each to leave its cancelled state,
+   * so the next request starts with clean step indicators
+   */
+  async cancelActiveRequests() {
+    if (this.activeRequests.size === 0) {
+      return;
+    }
 
-      // Display results in the conversation container
-      await this.uiManager.showResults(results, conversationContainer);
+    const pending = [...this.activeRequests].map(container => {
+      console.log('🚫 Cancelling in-flight request');
+      container.cancelledBySubmit = true;
+      container.abortController.abort();
+      return container.requestPromise;
+    });
+    this.activeRequests.clear();
 
-      // Save to history if available and results are valid
-      if (this.storage && results.primary && results.primary.trim().length > 0) {
-        const originalText = selectionState.currentSelection?.text || inputText;
-        const rewrittenText = results.primary;
-        const preset = results.service || 'unknown';
+    await Promise.race([
+      Promise.allSettled(pending),
+      new Promise(resolve => setTimeout(resolve, 1000))
+    ]);
+  }
 
-        try {
-          await this.storage.saveRewrite({
-            originalText: originalText,
-            rewrittenText: rewrittenText,
-            preset: preset,
-            domain: window.location.hostname || 'unknown',
-            metadata: {
-              intent: results.intent,
-              via: results.via,
-              service: results.service,
-              type: results.type
-            }
+  /**
+   * Apply a follow-up command to a container's current revision
+   * Runs under the container's AbortController, so a new submission cancels it like any other request.
+   * @param {Object} conversationContainer - Container whose result is refined
+   * @param {Object} results - The item's results (platform/context of the original request)
+   * @param {string} instruction - Refinement command
+   * @returns {Promise<string>} Revised text
+   */
+  async handleRefine(conversationContainer, results, instruction) {
+    conversationContainer.abortController?.abort();
+    const controller = new AbortController();
+    conversationContainer.abortController = controller;
+    conversationContainer.cancelledBySubmit = false;
+    this.activeRequests.add(conversationContainer);
+
+    const request = this.aiServicesManager.refineResult(conversationContainer.revisions.current().text, instruction, {
+      platform: results.platform,
+      // Only rewrites carry platform context; a write's context is the text it drafted from
+      context: results.type === 'rewrite' ? results.context : null,
+      stream: { signal: controller.signal }
+    });
+    conversationContainer.requestPromise = request;
+
+    try {
+      const text = (await request).primary;
+      this.saveRefinementToMemory(conversationContainer, instruction, text, results);
+      return text;
+    } finally {
+      if (conversationContainer.abortController === controller) {
+        this.activeRequests.delete(conversationContainer);
+      }
+    }
+  }
+
+  /**
+   * Run processing for a conversation container, then display and save the results
+   * @param {string} inputText - User's input text
+   * @param {Object} selectionState - Selection state at submit time
+   * @param {Object} conversationContainer - Container to render into
+   * @param {string} conversationContext - Relevant conversation history context
+   * @param {Object} options - Options passed through to processText
+   */
+  async processAndDisplay(inputText, selectionState, conversationContainer, conversationContext, options = {}) {
+    // 2. Start using the service API (async) with conversation context, streaming output into the container
+    // One AbortController per conversation item; a re-run in the same container replaces the previous one
+    conversationContainer.abortController?.abort();
+    const controller = new AbortController();
+    conversationContainer.abortController = controller;
+    conversationContainer.cancelledBySubmit = false;
+    this.activeRequests.add(conversationContainer);
+    let streamedText = '';
+    const stream = {
+      signal: controller.signal,
+      onToken: (text) => {
+        streamedText = text;
+        this.uiManager.showStreamingText(conversationContainer, text);
+      }
+    };
+    this.uiManager.showStopButton(conversationContainer, () => controller.abort());
+
+    const resultsPromise = this.aiServicesManager.processText(
+      inputText,
+      selectionState.currentSelection,
+      conversationContext,
+      { ...options, stream }
+    );
+    conversationContainer.requestPromise = resultsPromise;
+
+    // 3. (Scroll happens automatically in createNewConversation)
+
+    // 4. Wait for results and display them in the specific container
+    let results;
+    try {
+      results = await resultsPromise;
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        throw error;
+      }
+      // Cancelled somewhere the partial output could not be kept (e.g. mid-routing): show what streamed
+      console.log('⏹️ Processing cancelled:', error.message);
+      await this.uiManager.showCancelled(conversationContainer, streamedText, !conversationContainer.cancelledBySubmit);
+      return;
+    } finally {
+      this.uiManager.hideStopButton(conversationContainer);
+      if (conversationContainer.abortController === controller) {
+        this.activeRequests.delete(conversationContainer);
+      }
+    }
+
+    if (results.stopped) {
+      results.cancelled = conversationContainer.cancelledBySubmit;
+    }
+
+    // Plan mode: the user edits and approves the plan, then exactly that plan runs
+    if (results.needsPlanApproval) {
+      this.uiManager.showPlanModeTab(conversationContainer, results.plan, (approvedPlan) => {
+        this.processAndDisplay(inputText, selectionState, conversationContainer, conversationContext, {
+          routing: results.routing,
+          approvedPlan
+        }).catch(error => {
+          console.error('❌ Plan execution failed:', error);
+          this.uiManager.showError(`Processing failed: ${error.message}`);
+        });
+      });
+      return;
+    }
+
+    // Text already in the target language: let the user confirm or pick another target
+    if (results.needsClarification && results.clarificationType === 'translation-target') {
+      this.uiManager.showClarificationChips(conversationContainer, results.candidates, (candidate) => {
+        const routing = {
+          ...results.routing,
+          targetLanguage: candidate.targetLanguage,
+          targetResolved: true
+        };
+        this.processAndDisplay(inputText, selectionState, conversationContainer, conversationContext, { routing })
+          .catch(error => {
+            console.error('❌ Translation processing failed:', error);
+            this.uiManager.showError(`Processing failed: ${error.message}`);
           });
-          console.log('💾 Result saved to history');
-        } catch (error) {
-          console.warn('⚠️ Failed to save to history:', error);
-          // Don't throw - this is not critical
+      }, results.clarificationPrompt);
+      return;
+    }
+
+    // Ambiguous intent: let the user pick, then re-run with the chosen routing
+    if (results.needsClarification) {
+      this.uiManager.showClarificationChips(conversationContainer, results.candidates, (candidate) => {
+        // Picking anything but the top guess is a correction the router should learn from
+        if (candidate.intent !== results.routing.intent) {
+          this.aiServicesManager.recordRoutingCorrection(
+            inputText,
+            Boolean(selectionState.currentSelection?.text),
+            { intent: results.routing.intent, outputType: results.routing.outputType },
+            { intent: candidate.intent }
+          );
         }
-      } else if (this.storage) {
-        console.log('ℹ️ Skipping history save - no valid result to save');
+
+        const routing = {
+          ...results.routing,
+          intent: candidate.intent,
+          score: 1,
+          ambiguous: false,
+          via: 'user-clarified'
+        };
+        this.processAndDisplay(inputText, selectionState, conversationContainer, conversationContext, { routing })
+          .catch(error => {
+            console.error('❌ Clarified processing failed:', error);
+            this.uiManager.showError(`Processing failed: ${error.message}`);
+          });
+      });
+      return;
+    }
+
+    // Update state
+    this.stateManager.setState('currentResults', results);
+
+    // Display results in the conversation container
+    await this.uiManager.showResults(results, conversationContainer);
+
+    // Let the user correct the routed intent/output type and re-run
+    this.uiManager.showRouteOverride(conversationContainer, results, this.aiServicesManager.getRoutingOptions(), (override) => {
+      this.handleRouteOverride(inputText, selectionState, conversationContainer, conversationContext, results, override)
+        .catch(error => {
+          console.error('❌ Route override failed:', error);
+          this.uiManager.showError(`Processing failed: ${error.message}`);
+        });
+    });
+
+    // "Why this?" inspector; its re-run forces an intent without teaching the router
+    this.uiManager.showRoutingInspector(
+      conversationContainer,
+      () => this.aiServicesManager.explainRouting(inputText, results.routing),
+      this.aiServicesManager.getRoutingOptions().intents,
+      (intent) => {
+        this.handleRouteOverride(inputText, selectionState, conversationContainer, conversationContext, results, { intent, outputType: results.outputType }, { recordCorrection: false })
+          .catch(error => {
+            console.error('❌ Forced re-run failed:', error);
+            this.uiManager.showError(`Processing failed: ${error.message}`);
+          });
       }
+    );
+
+    // Follow-up refinements apply to this result; each one is a revision that can be undone
+    const showRevision = (text) => {
+      results.primary = text;
+      this.stateManager.setState('currentResults', results);
+    };
+    if (!results.stopped && results.primary?.trim()) {
+      conversationContainer.revisions = new window.TonePilotRevisionHistory(results.primary);
+      this.uiManager.showRefineControls(
+        conversationContainer,
+        conversationContainer.revisions,
+        (instruction) => this.handleRefine(conversationContainer, results, instruction),
+        showRevision
+      );
+    }
 
-      // Save to memory service with summarized content
-      // Only save if we have valid content (not errors or empty responses)
-      if (this.memoryService && results && results.primary) {
-        const content = results.primary.trim();
+    // Alternative drafts: compare, then use, copy or merge (a used draft becomes a revision)
+    if (results.alternatives) {
+      this.uiManager.showAlternatives(conversationContainer, results, this.aiServicesManager.draftVariantService, (text) => {
+        showRevision(text);
+        conversationContainer.revisions?.push(text, 'Picked an alternative draft');
+        this.uiManager.updateRefineControls(conversationContainer);
+      });
+    }
 
-        // Validate we have actual content before saving
-        if (content.length > 0) {
-          try {
-            await this.memoryService.addConversation(inputText, content, {
-              intent: results.intent || 'unknown',
-              format: results.type || 'unknown',
-              tone: results.tone || 'unknown',
-              service: results.service || 'unknown',
-              via: results.via || 'unknown'
+    // Saved Plan mode runs can be inspected and replayed from their recorded results, or re-generated
+    if (results.planTraceId) {
+      this.uiManager.showPlanTrace(
+        conversationContainer,
+        () => this.aiServicesManager.getPlanTrace(results.planTraceId),
+        (trace, replayOptions) => {
+          this.handlePlanReplay(trace, conversationContainer, replayOptions)
+            .catch(error => {
+              console.error('❌ Plan replay failed:', error);
+              this.uiManager.showError(`Processing failed: ${error.message}`);
             });
-            console.log('💾 Conversation saved to memory');
-          } catch (error) {
-            console.warn('⚠️ Failed to save to memory:', error);
+        }
+      );
+    }
+
+    // Save to history if available and results are valid
+    if (this.storage && results.primary && results.primary.trim().length > 0) {
+      const originalText = selectionState.currentSelection?.text || inputText;
+      const rewrittenText = results.primary;
+      const preset = results.service || 'unknown';
+
+      try {
+        await this.storage.saveRewrite({
+          originalText: originalText,
+          rewrittenText: rewrittenText,
+          preset: preset,
+          domain: selectionState.currentSelection?.domain || 'unknown',
+          metadata: {
+            intent: results.intent,
+            via: results.via,
+            service: results.service,
+            type: results.type
+          }
+        });
+        console.log('💾 Result saved to history');
+      } catch (error) {
+        console.warn('⚠️ Failed to save to history:', error);
+        // Don't throw - this is not critical
+      }
+    } else if (this.storage) {
+      console.log('ℹ️ Skipping history save - no valid result to save');
+    }
+
+    // Save to memory service with summarized content
+    // Only save if we have valid content (not errors, empty responses or output the user stopped)
+    if (this.memoryService && results && results.primary && !results.stopped) {
+      const content = results.primary.trim();
+
+      // Validate we have actual content before saving
+      if (content.length > 0) {
+        try {
+          const memoryItem = await this.memoryService.addConversation(inputText, content, {
+            intent: results.intent || 'unknown',
+            format: results.type || 'unknown',
+            tone: results.tone || 'unknown',
+            service: results.service || 'unknown',
+            via: results.via || 'unknown'
+          }, conversationContainer.memoryScope || null, conversationContainer.parentMemoryId || null);
+          console.log('💾 Conversation saved to memory');
+
+          // Follow-ups (and refinements) of this item continue its thread
+          if (memoryItem) {
+            this.advanceThread(conversationContainer, memoryItem);
+            this.uiManager.showThreadActions(conversationContainer, () => this.enterThread(conversationContainer.memoryId));
+            await this.proposeProfileFacts(conversationContainer, inputText, content, results.type);
           }
-        } else {
-          console.warn('⚠️ Skipping memory save - empty content');
+
+          // Pinned or useful conversations are remembered across browser restarts
+          if (memoryItem && this.memoryService.longTermEnabled) {
+            this.uiManager.showMemoryActions(conversationContainer, async (flag) => {
+              const kept = flag === 'pinned'
+                ? await this.memoryService.pinConversation(memoryItem.id)
+                : await this.memoryService.markUseful(memoryItem.id);
+              this.settingsManager.updateMemoryUI();
+              return kept;
+            });
+          }
+        } catch (error) {
+          console.warn('⚠️ Failed to save to memory:', error);
         }
-      } else if (this.memoryService) {
-        console.warn('⚠️ Skipping memory save - no valid results');
+      } else {
+        console.warn('⚠️ Skipping memory save - empty content');
       }
+    } else if (this.memoryService) {
+      console.warn('⚠️ Skipping memory save - no valid results');
+    }
+  }
 
-      console.log('✅ Text processing completed');
+  /**
+   * Re-run a conversation item with a user-corrected intent/output type and remember the correction
+   * @param {string} inputText - User's input text
+   * @param {Object} selectionState - Selection state at submit time
+   * @param {Object} conversationContainer - Container to re-render
+   * @param {string} conversationContext - Relevant conversation history context
+   * @param {Object} results - Results that were routed incorrectly
+   * @param {Object} override - Corrected labels ({intent, outputType})
+   * @param {Object} options - Options
+   * @param {boolean} options.recordCorrection - Whether the router should learn from this (false for inspector re-runs)
+   */
+  async handleRouteOverride(inputText, selectionState, conversationContainer, conversationContext, results, override, { recordCorrection = true } = {}) {
+    console.log('🎓 Routing override:', { from: { intent: results.intent, outputType: results.outputType }, to: override, recordCorrection });
 
-    } catch (error) {
-      console.error('❌ Submit handling failed:', error);
-      this.uiManager.showError(`Processing failed: ${error.message}`);
+    if (recordCorrection) {
+      await this.aiServicesManager.recordRoutingCorrection(
+        inputText,
+        Boolean(selectionState.currentSelection?.text),
+        { intent: results.intent, outputType: results.outputType },
+        override
+      );
     }
+
+    const routing = {
+      intent: override.intent,
+      outputType: override.outputType,
+      tones: results.tones || [],
+      toneVector: results.routing?.toneVector || null,
+      toneConflicts: results.routing?.toneConflicts || [],
+      score: 1,
+      ambiguous: false,
+      via: recordCorrection ? 'user-override' : 'forced-rerun',
+      reasoning: null
+    };
+
+    this.uiManager.resetContainerForRerun(conversationContainer);
+    await this.processAndDisplay(inputText, selectionState, conversationContainer, conversationContext, { routing });
+  }
+
+  /**
+   * Replay a saved plan trace in its conversation item; steps reuse their recorded results unless
+   * regenerate asks for new drafts
+   * @param {Object} trace - Saved plan trace
+   * @param {Object} conversationContainer - Container to re-run in
+   * @param {Object} options - Replay options (see AIServicesManager.buildReplayPlan)
+   */
+  async handlePlanReplay(trace, conversationContainer, options = {}) {
+    const replay = this.aiServicesManager.buildReplayPlan(trace, options);
+
+    this.uiManager.resetContainerForRerun(conversationContainer);
+    await this.processAndDisplay(trace.query, { currentSelection: replay.selectionData }, conversationContainer, replay.conversationContext, {
+      routing: replay.routing,
+      approvedPlan: replay.plan
+    });
   }
 
   /**
@@ -1110,6 +1441,138 @@ class TonePilotPanel {
     return this.memoryService.getContextString(count);
   }
 
+  /**
+   * Offer the facts about the user found in a saved conversation for confirmation
+   * @param {Object} conversationContainer - Container the conversation was shown in
+   * @param {string} inputText - User's input text
+   * @param {string} content - Saved result
+   * @param {string} resultType - Result type ('write', 'rewrite', ...)
+   */
+  async proposeProfileFacts(conversationContainer, inputText, content, resultType) {
+    const profileFacts = this.aiServicesManager.profileFactService;
+    if (!profileFacts?.isInitialized) {
+      return;
+    }
+
+    try {
+      const proposals = await profileFacts.proposeFacts(inputText, content, resultType);
+      if (proposals.length === 0) {
+        return;
+      }
+
+      this.uiManager.showProfileFactProposals(conversationContainer, proposals.map(fact => ({
+        id: fact.id,
+        text: profileFacts.describeFact(fact)
+      })), async (id, confirmed) => {
+        const decided = confirmed ? await profileFacts.confirmFact(id) : await profileFacts.dismissFact(id);
+        this.settingsManager.updateProfileFactsUI();
+        return Boolean(decided);
+      });
+    } catch (error) {
+      console.warn('⚠️ Failed to propose profile facts:', error);
+    }
+  }
+
+  /**
+   * Save a refined result as a follow-up of the item it refines, without holding up the refinement
+   * @param {Object} conversationContainer - Container whose result was refined
+   * @param {string} instruction - Refinement command
+   * @param {string} text - Revised text
+   * @param {Object} results - The item's results
+   */
+  saveRefinementToMemory(conversationContainer, instruction, text, results) {
+    if (!this.memoryService || !conversationContainer.memoryId || !text?.trim()) {
+      return;
+    }
+
+    this.memoryService.addConversation(instruction, text.trim(), {
+      intent: 'refine',
+      format: results.type || 'unknown',
+      service: results.service || 'unknown'
+    }, conversationContainer.memoryScope || null, conversationContainer.memoryId)
+      .then(memoryItem => {
+        if (memoryItem) {
+          this.advanceThread(conversationContainer, memoryItem);
+        }
+      })
+      .catch(error => console.warn('⚠️ Failed to save refinement to memory:', error));
+  }
+
+  /**
+   * Make a newly saved item the latest of its container, and of the active thread when it belongs there
+   * @param {Object} conversationContainer - Container the item was produced in
+   * @param {Object} memoryItem - Saved memory item
+   */
+  advanceThread(conversationContainer, memoryItem) {
+    conversationContainer.memoryId = memoryItem.id;
+    if (this.activeThread && this.activeThread.threadId === memoryItem.threadId) {
+      this.activeThread.parentId = memoryItem.id;
+      this.renderThreadBanner();
+    }
+  }
+
+  /**
+   * Continue a conversation: later requests follow up on this item and use its thread as context
+   * @param {string} memoryId - Item to follow up on
+   */
+  enterThread(memoryId) {
+    const item = this.memoryService?.findItems(memoryId)[0];
+    if (!item) {
+      this.uiManager.showError('This conversation is no longer in memory');
+      return;
+    }
+
+    this.activeThread = { threadId: this.memoryService.getThreadId(item), parentId: item.id };
+    console.log('🧵 Following up in thread:', this.activeThread.threadId);
+    this.renderThreadBanner();
+  }
+
+  /**
+   * Leave the active thread; the next request stands on its own
+   */
+  exitThread() {
+    this.activeThread = null;
+    this.uiManager.hideThreadBanner();
+  }
+
+  /**
+   * Show the active thread above the input
+   */
+  renderThreadBanner() {
+    const items = this.activeThread ? this.memoryService.getThread(this.activeThread.threadId) : [];
+    if (items.length === 0) {
+      this.exitThread();
+      return;
+    }
+
+    this.uiManager.showThreadBanner({ title: items[0].query, items }, () => this.exitThread());
+  }
+
+  /**
+   * Where the current request happens, for scoping memory: the selection's page and author,
+   * or the active tab when nothing is selected
+   * @param {Object} selectionState - Selection state
+   * @returns {Promise<Object|null>} - {domain, platform, counterpart}, or null when unknown
+   */
+  async getMemoryScope(selectionState) {
+    const selection = selectionState?.currentSelection;
+    if (selection?.domain) {
+      return {
+        domain: selection.domain,
+        platform: selection.platform,
+        counterpart: selection.context?.author?.name || null
+      };
+    }
+
+    try {
+      const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+      return tabs[0]?.url ? { url: tabs[0].url } : null;
+    } catch (error) {
+      console.warn('⚠️ Could not read the active tab for memory scope:', error);
+      return null;
+    }
+  }
+
   /**
    * Get memory statistics
    * @returns {Object} - Memory stats
@@ -1131,6 +1594,7 @@ class TonePilotPanel {
       return;
     }
     await this.memoryService.clearMemory();
+    this.exitThread();
     console.log('✅ Memory cleared');
   }
 
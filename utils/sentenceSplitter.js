@@ -0,0 +1,91 @@
+/**
+ * Sentence Splitter Utility
+ * Finds sentence boundaries without breaking after titles ("Dr. Smith"), initials ("J. Lee"),
+ * decimals ("3.5") or a period that the sentence carries on after ("3 p.m. today")
+ */
+
+// Abbreviations that never end a sentence (compared lowercase, without the final period)
+const NON_TERMINAL_ABBREVIATIONS = new Set([
+  'mr', 'mrs', 'ms', 'dr', 'prof', 'rev', 'gen', 'col', 'capt', 'lt', 'sgt', 'mt',
+  'e.g', 'i.e', 'vs', 'cf', 'approx', 'fig', 'vol', 'pp'
+]);
+
+class SentenceSplitter {
+  /**
+   * Locate the sentences of a text (line breaks end a sentence too)
+   * @param {string} text - Text to split
+   * @returns {Array<Object>} Spans ({start, end}) including trailing spaces and tabs
+   */
+  static findSentences(text) {
+    const source = text || '';
+    const spans = [];
+    const addSpan = (start, end) => {
+      if (source.slice(start, end).trim()) {
+        spans.push({ start, end });
+      }
+    };
+
+    const marks = /[.!?]+["')\]]*[ \t]*|\n/g;
+    let start = 0;
+    let match;
+    while ((match = marks.exec(source)) !== null) {
+      if (match[0] === '\n') {
+        addSpan(start, match.index);
+        start = match.index + 1;
+      } else if (SentenceSplitter.endsSentence(source, match.index, match[0])) {
+        addSpan(start, match.index + match[0].length);
+        start = match.index + match[0].length;
+      }
+    }
+    addSpan(start, source.length);
+
+    return spans;
+  }
+
+  /**
+   * Split a text into sentences
+   * @param {string} text - Text to split
+   * @returns {Array<string>} Sentences, trimmed
+   */
+  static split(text) {
+    return SentenceSplitter.findSentences(text).map(span => text.slice(span.start, span.end).trim());
+  }
+
+  /**
+   * Whether end punctuation found in a text closes its sentence
+   * @param {string} text - Whole text
+   * @param {number} index - Where the punctuation starts
+   * @param {string} mark - The punctuation with closing quotes/brackets and following spaces
+   * @returns {boolean}
+   */
+  static endsSentence(text, index, mark) {
+    if (/[!?]/.test(mark)) {
+      return true;
+    }
+
+    // "3.5", "example.com": a period with no space after it is inside a word
+    const next = text[index + mark.length];
+    if (next !== undefined && next !== '\n' && !/[ \t]$/.test(mark)) {
+      return false;
+    }
+    // "etc. and", "3 p.m. today": the sentence carries on in lowercase
+    if (next !== undefined && /\p{Ll}/u.test(next)) {
+      return false;
+    }
+
+    const word = (text.slice(0, index).match(/[\p{L}.]+$/u) || [''])[0];
+    if (NON_TERMINAL_ABBREVIATIONS.has(word.toLowerCase())) {
+      return false;
+    }
+    // An initial ("J. Lee"), though "I." ends a sentence
+    return !(/^\p{Lu}$/u.test(word) && word !== 'I');
+  }
+}
+
+// Export sentence splitter
+if (typeof window !== 'undefined') {
+  window.SentenceSplitter = SentenceSplitter;
+  console.log('✅ SentenceSplitter utility exported to window');
+} else {
+  console.error('❌ Window object not available - SentenceSplitter not exported');
+}